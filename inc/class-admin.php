@@ -11,6 +11,27 @@ namespace KaiGen;
  * Handles WordPress admin/editor integration for KaiGen.
  */
 class Admin {
+	/**
+	 * Media Library source filters, in display order.
+	 *
+	 * @var string[]
+	 */
+	public const MEDIA_SOURCES = [ 'generated', 'reference', 'other' ];
+
+	/**
+	 * Admin page slug of the usage dashboard.
+	 *
+	 * @var string
+	 */
+	public const USAGE_PAGE_SLUG = 'kaigen-usage';
+
+	/**
+	 * Admin page slug of the settings screen.
+	 *
+	 * @var string
+	 */
+	public const SETTINGS_PAGE_SLUG = 'kaigen-settings';
+
 	/**
 	 * Holds the singleton instance of this class.
 	 *
@@ -23,10 +44,30 @@ class Admin {
 	 */
 	private function __construct() {
 		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_admin_page_scripts' ] );
+		add_action( 'admin_menu', [ $this, 'add_admin_pages' ] );
+		add_action( 'wp_enqueue_media', [ $this, 'enqueue_media_scripts' ] );
 		add_action( 'admin_head', [ $this, 'preload_logo' ] );
 		add_action( 'init', [ $this, 'register_reference_image_meta' ] );
+		add_action( 'init', [ Reference_Images::class, 'register_collection_taxonomy' ] );
+		add_action( 'init', [ $this, 'register_style_preset_meta' ] );
+		add_action( 'init', [ $this, 'register_replaced_attachment_meta' ] );
+		add_action( 'init', [ $this, 'register_generation_meta' ] );
+		add_action( 'init', [ Settings::class, 'register' ] );
 		add_action( 'enqueue_block_assets', [ $this, 'enqueue_block_editor_styles' ] );
 		add_filter( 'block_editor_settings_all', [ $this, 'add_editor_settings' ], 20 );
+		add_filter( 'ajax_query_attachments_args', [ $this, 'filter_media_grid_query' ] );
+		add_filter( 'rest_attachment_collection_params', [ $this, 'add_media_source_rest_param' ] );
+		add_filter( 'rest_attachment_query', [ $this, 'filter_media_rest_query' ], 10, 2 );
+		add_action( 'restrict_manage_posts', [ $this, 'render_media_source_dropdown' ] );
+		add_action( 'pre_get_posts', [ $this, 'filter_media_list_query' ] );
+		add_filter( 'manage_media_columns', [ $this, 'add_media_columns' ] );
+		add_action( 'manage_media_custom_column', [ $this, 'render_media_column' ], 10, 2 );
+		add_action( 'admin_init', [ $this, 'register_quota_settings' ] );
+		add_action( 'show_user_profile', [ $this, 'render_user_quota_fields' ] );
+		add_action( 'edit_user_profile', [ $this, 'render_user_quota_fields' ] );
+		add_action( 'personal_options_update', [ $this, 'save_user_quota_fields' ] );
+		add_action( 'edit_user_profile_update', [ $this, 'save_user_quota_fields' ] );
 	}
 
 	/**
@@ -52,20 +93,30 @@ class Admin {
 			$settings = [];
 		}
 
+		$settings['kaigen_settings'] = $this->get_kaigen_settings();
+
+		return $settings;
+	}
+
+	/**
+	 * Gets the KaiGen settings shared with the editor and media frame scripts.
+	 *
+	 * @return array KaiGen settings.
+	 */
+	public function get_kaigen_settings() {
 		$providers = class_exists( Rest_API::class )
 			? Rest_API::get_instance()->get_image_provider_options()
 			: [];
 
-		$kaigen_settings = [
-			'provider'               => 'auto',
+		$settings = Settings::get();
+
+		return [
+			'provider'               => $settings['provider'],
 			'providers'              => $providers,
-			'orientation'            => 'square',
+			'orientation'            => $settings['orientation'],
 			'is_ai_client_available' => function_exists( 'wp_ai_client_prompt' ),
+			'can_manage_presets'     => current_user_can( 'manage_options' ),
 		];
-
-		$settings['kaigen_settings'] = $kaigen_settings;
-
-		return $settings;
 	}
 
 	/**
@@ -82,13 +133,14 @@ class Admin {
 	}
 
 	/**
-	 * Enqueues block editor scripts and styles.
+	 * Enqueues block editor scripts and styles in the post editor and the Site Editor,
+	 * where the Site Logo block is usually edited.
 	 *
 	 * @param string $hook The current admin page hook.
 	 * @return void
 	 */
 	public function enqueue_scripts( $hook ) {
-		if ( ! in_array( $hook, [ 'post.php', 'post-new.php' ], true ) ) {
+		if ( ! in_array( $hook, [ 'post.php', 'post-new.php', 'site-editor.php' ], true ) || ! $this->is_enabled_for_current_screen() ) {
 			return;
 		}
 
@@ -96,7 +148,7 @@ class Admin {
 		$asset      = file_exists( $asset_file )
 			? include $asset_file
 			: [
-				'dependencies' => [ 'react', 'wp-api-fetch', 'wp-block-editor', 'wp-components', 'wp-data', 'wp-element', 'wp-hooks' ],
+				'dependencies' => [ 'react', 'wp-api-fetch', 'wp-block-editor', 'wp-blocks', 'wp-components', 'wp-data', 'wp-element', 'wp-hooks', 'wp-rich-text' ],
 				'version'      => '1.0.0',
 			];
 
@@ -124,6 +176,154 @@ class Admin {
 		);
 	}
 
+	/**
+	 * Enqueues the KaiGen tab for wp.media frames, including those on classic screens.
+	 *
+	 * @return void
+	 */
+	public function enqueue_media_scripts() {
+		if ( ! current_user_can( 'upload_files' ) || ! $this->is_enabled_for_current_screen() ) {
+			return;
+		}
+
+		$asset_file = plugin_dir_path( __DIR__ ) . 'build/media.asset.php';
+		$asset      = file_exists( $asset_file )
+			? include $asset_file
+			: [
+				'dependencies' => [ 'react', 'wp-api-fetch', 'wp-components', 'wp-data', 'wp-element' ],
+				'version'      => '1.0.0',
+			];
+
+		wp_enqueue_style(
+			'kaigen-admin',
+			plugin_dir_url( __DIR__ ) . 'assets/kaigen-admin.css',
+			[],
+			'1.0.2'
+		);
+
+		// The modal reports background results through the notices store, which classic screens do not load.
+		wp_enqueue_script(
+			'kaigen-media',
+			plugin_dir_url( __DIR__ ) . 'build/media.js',
+			array_merge( $asset['dependencies'], [ 'media-views', 'wp-notices' ] ),
+			$asset['version'],
+			true
+		);
+
+		wp_localize_script(
+			'kaigen-media',
+			'kaiGen',
+			[
+				'logoUrl'  => plugin_dir_url( __DIR__ ) . 'assets/KaiGen-logo-128x128.png',
+				'settings' => $this->get_kaigen_settings(),
+			]
+		);
+	}
+
+	/**
+	 * Adds the usage dashboard under the Media menu and the settings screen under Settings.
+	 *
+	 * @return void
+	 */
+	public function add_admin_pages() {
+		add_media_page(
+			__( 'KaiGen Usage', 'kaigen' ),
+			__( 'KaiGen Usage', 'kaigen' ),
+			'manage_options',
+			self::USAGE_PAGE_SLUG,
+			[ $this, 'render_usage_page' ]
+		);
+
+		add_options_page(
+			__( 'KaiGen Settings', 'kaigen' ),
+			__( 'KaiGen', 'kaigen' ),
+			'manage_options',
+			self::SETTINGS_PAGE_SLUG,
+			[ $this, 'render_settings_page' ]
+		);
+	}
+
+	/**
+	 * Renders the container the usage dashboard mounts into.
+	 *
+	 * @return void
+	 */
+	public function render_usage_page() {
+		?>
+		<div class="wrap">
+			<h1><?php esc_html_e( 'KaiGen Usage', 'kaigen' ); ?></h1>
+			<div id="kaigen-usage-root"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders the container the settings screen mounts into.
+	 *
+	 * @return void
+	 */
+	public function render_settings_page() {
+		?>
+		<div class="wrap">
+			<h1><?php esc_html_e( 'KaiGen Settings', 'kaigen' ); ?></h1>
+			<div id="kaigen-settings-root"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Enqueues the scripts and styles of the usage dashboard and settings screen.
+	 *
+	 * @param string $hook The current admin page hook.
+	 * @return void
+	 */
+	public function enqueue_admin_page_scripts( $hook ) {
+		$entries = [
+			'media_page_' . self::USAGE_PAGE_SLUG       => 'usage',
+			'settings_page_' . self::SETTINGS_PAGE_SLUG => 'settings',
+		];
+
+		if ( ! isset( $entries[ $hook ] ) ) {
+			return;
+		}
+
+		$entry      = $entries[ $hook ];
+		$asset_file = plugin_dir_path( __DIR__ ) . 'build/' . $entry . '.asset.php';
+		$asset      = file_exists( $asset_file )
+			? include $asset_file
+			: [
+				'dependencies' => [ 'react', 'wp-api-fetch', 'wp-components', 'wp-data', 'wp-element' ],
+				'version'      => '1.0.0',
+			];
+
+		wp_enqueue_style( 'wp-components' );
+		wp_enqueue_style(
+			'kaigen-admin',
+			plugin_dir_url( __DIR__ ) . 'assets/kaigen-admin.css',
+			[],
+			'1.0.2'
+		);
+
+		wp_enqueue_script(
+			'kaigen-' . $entry,
+			plugin_dir_url( __DIR__ ) . 'build/' . $entry . '.js',
+			$asset['dependencies'],
+			$asset['version'],
+			true
+		);
+
+		if ( 'settings' === $entry ) {
+			wp_localize_script(
+				'kaigen-settings',
+				'kaiGen',
+				[
+					'settings'  => $this->get_kaigen_settings(),
+					'postTypes' => Settings::get_available_post_types(),
+				]
+			);
+		}
+	}
+
 	/**
 	 * Enqueues styles inside the block editor iframe.
 	 *
@@ -167,7 +367,112 @@ class Admin {
 	}
 
 	/**
-	 * Adds the reference image checkbox to attachment edit forms.
+	 * Registers the style preset recorded on generated attachments.
+	 *
+	 * @return void
+	 */
+	public function register_style_preset_meta() {
+		register_post_meta(
+			'attachment',
+			Style_Presets::ATTACHMENT_META_KEY,
+			[
+				'show_in_rest'  => [
+					'schema' => [
+						'type'       => 'object',
+						'properties' => [
+							'id'     => [ 'type' => 'string' ],
+							'name'   => [ 'type' => 'string' ],
+							'prompt' => [ 'type' => 'string' ],
+						],
+					],
+				],
+				'single'        => true,
+				'type'          => 'object',
+				'auth_callback' => function () {
+					return current_user_can( 'upload_files' );
+				},
+			]
+		);
+	}
+
+	/**
+	 * Registers the attachment a KaiGen replacement took the place of, so the block editor can restore it.
+	 *
+	 * @return void
+	 */
+	public function register_replaced_attachment_meta() {
+		register_post_meta(
+			'attachment',
+			'kaigen_replaced_attachment',
+			[
+				'show_in_rest'      => true,
+				'single'            => true,
+				'type'              => 'integer',
+				'default'           => 0,
+				'sanitize_callback' => 'absint',
+				'auth_callback'     => function () {
+					return current_user_can( 'upload_files' );
+				},
+			]
+		);
+	}
+
+	/**
+	 * Registers the settings a generated attachment was made with, so the block editor can show and reuse them.
+	 *
+	 * They include the prompt and who generated the image, so the REST API returns them only in the edit context.
+	 *
+	 * @return void
+	 */
+	public function register_generation_meta() {
+		register_post_meta(
+			'attachment',
+			Image_Handler::GENERATION_META_KEY,
+			[
+				'show_in_rest'  => [
+					'schema' => [
+						'type'       => 'object',
+						'context'    => [ 'edit' ],
+						'properties' => [
+							'prompt'           => [ 'type' => 'string' ],
+							'provider'         => [ 'type' => 'string' ],
+							'provider_name'    => [ 'type' => 'string' ],
+							'model'            => [ 'type' => 'string' ],
+							'orientation'      => [ 'type' => 'string' ],
+							'source_image_ids' => [
+								'type'  => 'array',
+								'items' => [ 'type' => 'integer' ],
+							],
+							'preset_id'        => [ 'type' => 'string' ],
+							'negative_prompt'  => [ 'type' => 'string' ],
+							'seed'             => [ 'type' => [ 'integer', 'null' ] ],
+							'quality'          => [ 'type' => 'string' ],
+							'output_mime_type' => [ 'type' => 'string' ],
+							'crop'             => [
+								'type'       => 'object',
+								'properties' => [
+									'width'  => [ 'type' => 'integer' ],
+									'height' => [ 'type' => 'integer' ],
+									'exact'  => [ 'type' => 'boolean' ],
+								],
+							],
+							'user_id'          => [ 'type' => 'integer' ],
+							'user_name'        => [ 'type' => 'string' ],
+							'created'          => [ 'type' => 'integer' ],
+						],
+					],
+				],
+				'single'        => true,
+				'type'          => 'object',
+				'auth_callback' => function () {
+					return current_user_can( 'upload_files' );
+				},
+			]
+		);
+	}
+
+	/**
+	 * Adds the reference image checkbox and collections to attachment edit forms.
 	 *
 	 * @param array    $form_fields Current form fields.
 	 * @param \WP_Post $post Attachment post.
@@ -183,11 +488,18 @@ class Admin {
 			'html'  => '<input type="checkbox" name="attachments[' . esc_attr( $post->ID ) . '][kaigen_reference_image]" value="1"' . checked( $value, true, false ) . '/>',
 		];
 
+		$form_fields['kaigen_reference_collections'] = [
+			'label' => __( 'Reference Collections', 'kaigen' ),
+			'input' => 'text',
+			'value' => implode( ', ', Reference_Images::get_attachment_collections( $post->ID ) ),
+			'helps' => __( 'Separate collections with commas. Images in a collection are reference images.', 'kaigen' ),
+		];
+
 		return $form_fields;
 	}
 
 	/**
-	 * Saves the reference image checkbox value.
+	 * Saves the reference image checkbox value and collections.
 	 *
 	 * @param array $post Attachment post data.
 	 * @param array $attachment Attachment form fields.
@@ -196,8 +508,369 @@ class Admin {
 	public function save_reference_field( $post, $attachment ) {
 		$value = isset( $attachment['kaigen_reference_image'] ) && '1' === $attachment['kaigen_reference_image'] ? 1 : 0;
 		update_post_meta( $post['ID'], 'kaigen_reference_image', $value );
+
+		if ( isset( $attachment['kaigen_reference_collections'] ) ) {
+			Reference_Images::set_attachment_collections(
+				$post['ID'],
+				explode( ',', (string) $attachment['kaigen_reference_collections'] )
+			);
+		}
+
 		return $post;
 	}
+
+	/**
+	 * Limits Media Library grid queries to the source picked in the KaiGen filter.
+	 *
+	 * @param array $query Attachment query arguments.
+	 * @return array Modified query arguments.
+	 */
+	public function filter_media_grid_query( $query ) {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Core checks the upload_files capability before this query runs; this only narrows the results.
+		$source = isset( $_REQUEST['query']['kaigen_source'] ) ? sanitize_key( wp_unslash( $_REQUEST['query']['kaigen_source'] ) ) : '';
+
+		return $this->add_media_source_query( $query, $source );
+	}
+
+	/**
+	 * Adds the KaiGen source filter to the media REST endpoint's query parameters.
+	 *
+	 * @param array $params Collection parameters.
+	 * @return array Modified collection parameters.
+	 */
+	public function add_media_source_rest_param( $params ) {
+		$params['kaigen_source'] = [
+			'description' => __( 'Limit results to AI-generated images, reference images, or other media.', 'kaigen' ),
+			'type'        => 'string',
+			'enum'        => self::MEDIA_SOURCES,
+		];
+
+		return $params;
+	}
+
+	/**
+	 * Limits media REST queries to the requested KaiGen source.
+	 *
+	 * @param array            $args Attachment query arguments.
+	 * @param \WP_REST_Request $request The request object.
+	 * @return array Modified query arguments.
+	 */
+	public function filter_media_rest_query( $args, $request ) {
+		return $this->add_media_source_query( $args, (string) $request->get_param( 'kaigen_source' ) );
+	}
+
+	/**
+	 * Renders the KaiGen source dropdown above the Media Library list view.
+	 *
+	 * @param string $post_type Listed post type.
+	 * @return void
+	 */
+	public function render_media_source_dropdown( $post_type ) {
+		if ( 'attachment' !== $post_type ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only list filter.
+		$selected = isset( $_GET['kaigen_source'] ) ? sanitize_key( wp_unslash( $_GET['kaigen_source'] ) ) : '';
+		$labels   = $this->get_media_source_labels();
+		?>
+		<label for="kaigen-source-filter" class="screen-reader-text"><?php esc_html_e( 'Filter by source', 'kaigen' ); ?></label>
+		<select name="kaigen_source" id="kaigen-source-filter">
+			<option value=""><?php esc_html_e( 'All sources', 'kaigen' ); ?></option>
+			<?php foreach ( self::MEDIA_SOURCES as $source ) : ?>
+				<option value="<?php echo esc_attr( $source ); ?>" <?php selected( $selected, $source ); ?>><?php echo esc_html( $labels[ $source ] ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<?php
+	}
+
+	/**
+	 * Limits the Media Library list view to the source picked in the KaiGen dropdown.
+	 *
+	 * @param \WP_Query $query The query being prepared.
+	 * @return void
+	 */
+	public function filter_media_list_query( $query ) {
+		global $pagenow;
+
+		if ( ! is_admin() || 'upload.php' !== $pagenow || ! $query->is_main_query() ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only list filter.
+		$source = isset( $_GET['kaigen_source'] ) ? sanitize_key( wp_unslash( $_GET['kaigen_source'] ) ) : '';
+		$args   = $this->add_media_source_query( [ 'meta_query' => $query->get( 'meta_query' ) ], $source );
+
+		if ( ! empty( $args['meta_query'] ) ) {
+			$query->set( 'meta_query', $args['meta_query'] );
+		}
+	}
+
+	/**
+	 * Adds the KaiGen provider and prompt columns to the Media Library list view.
+	 *
+	 * @param array $columns Column labels keyed by column name.
+	 * @return array Modified columns.
+	 */
+	public function add_media_columns( $columns ) {
+		$columns['kaigen_provider'] = __( 'AI Provider', 'kaigen' );
+		$columns['kaigen_prompt']   = __( 'AI Prompt', 'kaigen' );
+
+		return $columns;
+	}
+
+	/**
+	 * Renders the KaiGen provider and prompt columns.
+	 *
+	 * @param string $column_name Column name.
+	 * @param int    $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function render_media_column( $column_name, $attachment_id ) {
+		if ( ! in_array( $column_name, [ 'kaigen_provider', 'kaigen_prompt' ], true ) ) {
+			return;
+		}
+
+		if ( ! get_post_meta( $attachment_id, Image_Handler::GENERATED_META_KEY, true ) ) {
+			echo '<span aria-hidden="true">&#8212;</span>';
+			return;
+		}
+
+		$details = get_post_meta( $attachment_id, Image_Handler::GENERATION_META_KEY, true );
+		$details = is_array( $details ) ? $details : [];
+
+		if ( 'kaigen_provider' === $column_name ) {
+			$provider = $details['provider_name'] ?? '';
+			$provider = '' !== $provider ? $provider : ( $details['provider'] ?? '' );
+			$model    = $details['model'] ?? '';
+
+			echo esc_html( '' !== $model && $model !== $provider ? $provider . ' (' . $model . ')' : $provider );
+			return;
+		}
+
+		$prompt = $details['prompt'] ?? get_post_field( 'post_excerpt', $attachment_id );
+		echo esc_html( wp_trim_words( $prompt, 20 ) );
+	}
+
+	/**
+	 * Registers the role quota settings on the Media settings screen.
+	 *
+	 * @return void
+	 */
+	public function register_quota_settings() {
+		register_setting(
+			'media',
+			Generation_Quotas::OPTION_NAME,
+			[
+				'type'              => 'object',
+				'sanitize_callback' => [ Generation_Quotas::class, 'sanitize_role_limits' ],
+				'default'           => [],
+			]
+		);
+
+		add_settings_section(
+			'kaigen_generation_quotas',
+			__( 'KaiGen generation quotas', 'kaigen' ),
+			[ $this, 'render_quota_settings' ],
+			'media'
+		);
+	}
+
+	/**
+	 * Renders the daily and monthly limit of each role.
+	 *
+	 * @return void
+	 */
+	public function render_quota_settings() {
+		$limits = Generation_Quotas::get_role_limits();
+		?>
+		<p><?php esc_html_e( 'Limit how many images each role can generate. Use 0 for no limit. Users with several roles get the highest limit among them.', 'kaigen' ); ?></p>
+		<table class="widefat striped">
+			<thead>
+				<tr>
+					<th scope="col"><?php esc_html_e( 'Role', 'kaigen' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Per day', 'kaigen' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Per month', 'kaigen' ); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ( wp_roles()->get_names() as $role => $name ) : ?>
+					<tr>
+						<th scope="row"><?php echo esc_html( translate_user_role( $name ) ); ?></th>
+						<?php foreach ( Generation_Quotas::PERIODS as $period ) : ?>
+							<td>
+								<input
+									type="number"
+									min="0"
+									class="small-text"
+									name="<?php echo esc_attr( Generation_Quotas::OPTION_NAME . '[' . $role . '][' . $period . ']' ); ?>"
+									value="<?php echo esc_attr( absint( $limits[ $role ][ $period ] ?? 0 ) ); ?>"
+								/>
+							</td>
+						<?php endforeach; ?>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Renders a user's own generation limits and usage on their profile screen.
+	 *
+	 * @param \WP_User $user The user being edited.
+	 * @return void
+	 */
+	public function render_user_quota_fields( $user ) {
+		if ( ! current_user_can( 'manage_options' ) || ! user_can( $user, 'upload_files' ) ) {
+			return;
+		}
+
+		$limits = Generation_Quotas::get_user_limits( $user->ID );
+		$status = Generation_Quotas::get_status( $user->ID );
+		$labels = [
+			'daily'   => __( 'Generations per day', 'kaigen' ),
+			'monthly' => __( 'Generations per month', 'kaigen' ),
+		];
+		?>
+		<h2><?php esc_html_e( 'KaiGen generation quota', 'kaigen' ); ?></h2>
+		<?php wp_nonce_field( 'kaigen_user_quota', 'kaigen_user_quota_nonce' ); ?>
+		<table class="form-table" role="presentation">
+			<?php foreach ( Generation_Quotas::PERIODS as $period ) : ?>
+				<tr>
+					<th scope="row">
+						<label for="kaigen-quota-<?php echo esc_attr( $period ); ?>"><?php echo esc_html( $labels[ $period ] ); ?></label>
+					</th>
+					<td>
+						<input
+							type="number"
+							min="0"
+							class="small-text"
+							id="kaigen-quota-<?php echo esc_attr( $period ); ?>"
+							name="kaigen_generation_quota[<?php echo esc_attr( $period ); ?>]"
+							value="<?php echo esc_attr( null === $limits[ $period ] ? '' : $limits[ $period ] ); ?>"
+						/>
+						<p class="description">
+							<?php
+							printf(
+								/* translators: 1: images generated in the period, 2: limit in effect, or "no limit". */
+								esc_html__( 'Leave empty to use the role limit, or use 0 for no limit. Used so far: %1$d of %2$s.', 'kaigen' ),
+								absint( $status[ $period ]['used'] ),
+								$status[ $period ]['limit'] ? absint( $status[ $period ]['limit'] ) : esc_html__( 'no limit', 'kaigen' )
+							);
+							?>
+						</p>
+					</td>
+				</tr>
+			<?php endforeach; ?>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Saves a user's own generation limits from their profile screen.
+	 *
+	 * @param int $user_id ID of the user being saved.
+	 * @return void
+	 */
+	public function save_user_quota_fields( $user_id ) {
+		if (
+			! current_user_can( 'manage_options' )
+			|| ! isset( $_POST['kaigen_user_quota_nonce'] )
+			|| ! wp_verify_nonce( sanitize_key( wp_unslash( $_POST['kaigen_user_quota_nonce'] ) ), 'kaigen_user_quota' )
+		) {
+			return;
+		}
+
+		$limits = isset( $_POST['kaigen_generation_quota'] ) ? array_map( 'sanitize_text_field', wp_unslash( (array) $_POST['kaigen_generation_quota'] ) ) : [];
+		Generation_Quotas::set_user_limits( $user_id, $limits );
+	}
+
+	/**
+	 * Checks whether KaiGen is enabled for the post type being edited.
+	 * Screens that do not edit a post, such as the Media Library, are always enabled, and so is the
+	 * Site Editor, as the templates it edits are not among the post types admins choose from.
+	 *
+	 * @return bool Whether to load KaiGen on the current screen.
+	 */
+	private function is_enabled_for_current_screen() {
+		$screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
+
+		if ( ! $screen || 'site-editor' === $screen->base ) {
+			return true;
+		}
+
+		return 'post' !== $screen->base || Settings::is_post_type_enabled( $screen->post_type );
+	}
+
+	/**
+	 * Gets the label of each Media Library source filter.
+	 *
+	 * @return array<string, string> Labels keyed by source.
+	 */
+	private function get_media_source_labels() {
+		return [
+			'generated' => __( 'AI-generated', 'kaigen' ),
+			'reference' => __( 'Reference images', 'kaigen' ),
+			'other'     => __( 'Other media', 'kaigen' ),
+		];
+	}
+
+	/**
+	 * Adds the meta query matching a KaiGen source to attachment query arguments.
+	 *
+	 * @param array  $args Attachment query arguments.
+	 * @param string $source generated, reference or other; anything else leaves the query unchanged.
+	 * @return array Modified query arguments.
+	 */
+	private function add_media_source_query( $args, $source ) {
+		$clauses = [
+			'generated' => [
+				'key'   => Image_Handler::GENERATED_META_KEY,
+				'value' => 1,
+			],
+			'reference' => [
+				'key'   => Reference_Images::META_KEY,
+				'value' => 1,
+			],
+			'other'     => [
+				'relation' => 'AND',
+				[
+					'key'     => Image_Handler::GENERATED_META_KEY,
+					'compare' => 'NOT EXISTS',
+				],
+				[
+					'relation' => 'OR',
+					[
+						'key'     => Reference_Images::META_KEY,
+						'compare' => 'NOT EXISTS',
+					],
+					[
+						'key'     => Reference_Images::META_KEY,
+						'value'   => 1,
+						'compare' => '!=',
+					],
+				],
+			],
+		];
+
+		if ( ! isset( $clauses[ $source ] ) ) {
+			return $args;
+		}
+
+		$meta_query = ! empty( $args['meta_query'] ) ? (array) $args['meta_query'] : [];
+
+		// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- KaiGen sources are flagged with meta.
+		$args['meta_query'] = empty( $meta_query )
+			? [ $clauses[ $source ] ]
+			: [
+				'relation' => 'AND',
+				$meta_query,
+				$clauses[ $source ],
+			];
+
+		return $args;
+	}
 }
 
 // phpcs:disable Universal.Files.SeparateFunctionsFromOO.Mixed -- Helper function for singleton pattern is a common WordPress practice.
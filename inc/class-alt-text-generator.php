@@ -0,0 +1,100 @@
+<?php
+/**
+ * Alt text generation for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+use WP_Error;
+
+/**
+ * Describes images for screen reader users through the WordPress AI Client's vision-capable text models.
+ */
+final class Alt_Text_Generator {
+	/**
+	 * Maximum length of generated alt text, in characters.
+	 *
+	 * @var int
+	 */
+	private const MAX_ALT_TEXT_LENGTH = 250;
+
+	/**
+	 * Writes alt text for an image attachment.
+	 *
+	 * Callers are responsible for checking that the current user may read the attachment.
+	 *
+	 * @param int $attachment_id Image attachment ID.
+	 * @return string|WP_Error The alt text, or error.
+	 */
+	public function describe( $attachment_id ) {
+		if ( ! function_exists( 'wp_ai_client_prompt' ) ) {
+			return new WP_Error(
+				'ai_client_unavailable',
+				__( 'WordPress AI Client is not available.', 'kaigen' ),
+				[ 'status' => 501 ]
+			);
+		}
+
+		$attachment_id = absint( $attachment_id );
+		if ( ! $attachment_id || ! wp_attachment_is_image( $attachment_id ) ) {
+			return new WP_Error( 'invalid_attachment', __( 'The attachment is not an image.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		$file_path = get_attached_file( $attachment_id );
+		if ( empty( $file_path ) || ! file_exists( $file_path ) ) {
+			return new WP_Error( 'missing_image_file', __( 'The image file could not be found.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		$filetype = wp_check_filetype( $file_path );
+
+		try {
+			$builder = wp_ai_client_prompt()
+				->with_file( $file_path, $filetype['type'] ?? null )
+				->with_text( __( 'Write alt text for this image.', 'kaigen' ) )
+				->using_system_instruction( $this->get_system_instruction() );
+
+			// Attaching the image makes this check require a model that accepts image input.
+			if ( ! $builder->is_supported_for_text_generation() ) {
+				return new WP_Error(
+					'vision_not_supported',
+					__( 'No configured WordPress AI provider can describe images.', 'kaigen' ),
+					[ 'status' => 400 ]
+				);
+			}
+
+			$alt_text = $builder->generate_text();
+		} catch ( \Throwable $e ) {
+			return new WP_Error( 'ai_description_failed', $e->getMessage(), [ 'status' => 500 ] );
+		}
+
+		if ( is_wp_error( $alt_text ) ) {
+			return $alt_text;
+		}
+
+		// Models sometimes wrap the answer in quotes despite the instruction.
+		$alt_text = sanitize_text_field( trim( (string) $alt_text, " \t\n\r\0\x0B\"'" ) );
+		if ( '' === $alt_text ) {
+			return new WP_Error( 'ai_description_failed', __( 'The AI Client returned empty alt text.', 'kaigen' ), [ 'status' => 500 ] );
+		}
+
+		return mb_substr( $alt_text, 0, self::MAX_ALT_TEXT_LENGTH );
+	}
+
+	/**
+	 * Gets the instruction that tells the vision model how to write alt text.
+	 *
+	 * @return string System instruction.
+	 */
+	private function get_system_instruction() {
+		$instruction = __( 'You write alt text for images on websites. Describe what the image shows and what matters about it for someone who cannot see it, in one plain sentence under 125 characters. Do not start with "Image of" or "Picture of", do not mention that it may be AI generated, and reply with the alt text only, without quotes or commentary.', 'kaigen' );
+
+		/**
+		 * Filters the instruction used to generate image alt text.
+		 *
+		 * @param string $instruction System instruction sent to the vision model.
+		 */
+		return (string) apply_filters( 'kaigen_alt_text_instruction', $instruction );
+	}
+}
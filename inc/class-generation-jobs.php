@@ -0,0 +1,284 @@
+<?php
+/**
+ * Background image generation jobs for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+/**
+ * Stores image generation jobs and their server-reported status.
+ */
+final class Generation_Jobs {
+	/**
+	 * Cron hook that runs a queued job.
+	 *
+	 * @var string
+	 */
+	public const RUN_HOOK = 'kaigen_run_generation_job';
+
+	/**
+	 * Job is waiting for the background runner.
+	 *
+	 * @var string
+	 */
+	public const STATUS_QUEUED = 'queued';
+
+	/**
+	 * Job is waiting on the AI provider.
+	 *
+	 * @var string
+	 */
+	public const STATUS_RUNNING = 'running';
+
+	/**
+	 * Job is sideloading generated images into the media library.
+	 *
+	 * @var string
+	 */
+	public const STATUS_UPLOADING = 'uploading';
+
+	/**
+	 * Job finished and its result is available.
+	 *
+	 * @var string
+	 */
+	public const STATUS_DONE = 'done';
+
+	/**
+	 * Job failed and its error is available.
+	 *
+	 * @var string
+	 */
+	public const STATUS_FAILED = 'failed';
+
+	/**
+	 * Job was cancelled by the user who requested it.
+	 *
+	 * @var string
+	 */
+	public const STATUS_CANCELLED = 'cancelled';
+
+	/**
+	 * Transient key prefix for stored jobs.
+	 *
+	 * @var string
+	 */
+	private const TRANSIENT_PREFIX = 'kaigen_job_';
+
+	/**
+	 * Option name prefix marking a job as taken by a runner.
+	 *
+	 * @var string
+	 */
+	private const CLAIM_PREFIX = 'kaigen_job_claim_';
+
+	/**
+	 * How long a job is kept after its last update, in seconds.
+	 *
+	 * @var int
+	 */
+	private const EXPIRATION = HOUR_IN_SECONDS;
+
+	/**
+	 * How long a job may wait for WP-Cron before the polling request runs it, in seconds.
+	 *
+	 * @var int
+	 */
+	private const INLINE_RUN_DELAY = 15;
+
+	/**
+	 * Creates a queued job.
+	 *
+	 * @param int   $user_id User who requested the generation.
+	 * @param array $args Sanitized generation arguments.
+	 * @return array The stored job.
+	 */
+	public static function create( $user_id, $args ) {
+		$job = [
+			'id'      => wp_generate_uuid4(),
+			'user_id' => absint( $user_id ),
+			'status'  => self::STATUS_QUEUED,
+			'args'    => $args,
+			'result'  => null,
+			'error'   => null,
+			'created' => time(),
+			'updated' => time(),
+		];
+
+		self::save( $job );
+
+		return $job;
+	}
+
+	/**
+	 * Gets a stored job.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return array|null The job, or null when missing or expired.
+	 */
+	public static function get( $job_id ) {
+		$job = get_transient( self::get_transient_key( $job_id ) );
+
+		return is_array( $job ) ? $job : null;
+	}
+
+	/**
+	 * Updates a stored job.
+	 *
+	 * Cancelled jobs keep their status so a late runner update cannot revive them.
+	 *
+	 * @param string $job_id Job ID.
+	 * @param array  $changes Fields to change.
+	 * @return array|null The updated job, or null when missing or expired.
+	 */
+	public static function update( $job_id, $changes ) {
+		$job = self::get( $job_id );
+		if ( null === $job ) {
+			return null;
+		}
+
+		if ( self::STATUS_CANCELLED === $job['status'] ) {
+			unset( $changes['status'] );
+		}
+
+		$job            = array_merge( $job, $changes );
+		$job['updated'] = time();
+
+		self::save( $job );
+
+		return $job;
+	}
+
+	/**
+	 * Cancels a job that has not finished yet.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return array|null The job, or null when missing or expired.
+	 */
+	public static function cancel( $job_id ) {
+		$job = self::get( $job_id );
+		if ( null === $job || in_array( $job['status'], [ self::STATUS_DONE, self::STATUS_FAILED ], true ) ) {
+			return $job;
+		}
+
+		wp_clear_scheduled_hook( self::RUN_HOOK, [ $job_id ] );
+
+		return self::update( $job_id, [ 'status' => self::STATUS_CANCELLED ] );
+	}
+
+	/**
+	 * Checks whether a job has been cancelled.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return bool True when the job was cancelled or no longer exists.
+	 */
+	public static function is_cancelled( $job_id ) {
+		$job = self::get( $job_id );
+
+		return null === $job || self::STATUS_CANCELLED === $job['status'];
+	}
+
+	/**
+	 * Schedules a queued job on WP-Cron and spawns the runner immediately.
+	 *
+	 * WP-Cron refuses to spawn while an earlier spawn holds its lock, so a job it did not
+	 * spawn for is left to the polling request.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	public static function schedule( $job_id ) {
+		wp_schedule_single_event( time(), self::RUN_HOOK, [ $job_id ] );
+
+		if ( ! spawn_cron() ) {
+			self::update( $job_id, [ 'run_inline' => true ] );
+		}
+	}
+
+	/**
+	 * Checks whether a queued job should be run by the polling request.
+	 *
+	 * That is when WP-Cron is disabled or could not be spawned, or when the job has waited
+	 * too long, as happens when the server blocks WP-Cron's loopback request.
+	 *
+	 * @param array $job The job.
+	 * @return bool True when the job should be run by the polling request.
+	 */
+	public static function needs_inline_run( $job ) {
+		if ( self::STATUS_QUEUED !== $job['status'] ) {
+			return false;
+		}
+
+		if ( ! empty( $job['run_inline'] ) || ( defined( 'DISABLE_WP_CRON' ) && DISABLE_WP_CRON ) ) {
+			return true;
+		}
+
+		return time() - $job['created'] >= self::INLINE_RUN_DELAY;
+	}
+
+	/**
+	 * Takes a job for a runner, so WP-Cron and a polling request never both run it.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return bool True when the job was taken, false when another runner has it.
+	 */
+	public static function claim( $job_id ) {
+		global $wpdb;
+
+		// INSERT IGNORE only adds the claim when no other runner has added it first.
+		return (bool) $wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+				self::CLAIM_PREFIX . sanitize_key( $job_id ),
+				time()
+			)
+		);
+	}
+
+	/**
+	 * Releases a job once its runner has finished with it.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	public static function release( $job_id ) {
+		delete_option( self::CLAIM_PREFIX . sanitize_key( $job_id ) );
+	}
+
+	/**
+	 * Prepares a job for the REST response.
+	 *
+	 * @param array $job The job.
+	 * @return array Public job fields.
+	 */
+	public static function to_response( $job ) {
+		return [
+			'job_id' => $job['id'],
+			'status' => $job['status'],
+			'result' => $job['result'],
+			'error'  => $job['error'],
+		];
+	}
+
+	/**
+	 * Saves a job transient.
+	 *
+	 * @param array $job The job.
+	 * @return void
+	 */
+	private static function save( $job ) {
+		set_transient( self::get_transient_key( $job['id'] ), $job, self::EXPIRATION );
+	}
+
+	/**
+	 * Gets the transient key for a job.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return string Transient key.
+	 */
+	private static function get_transient_key( $job_id ) {
+		return self::TRANSIENT_PREFIX . sanitize_key( $job_id );
+	}
+}
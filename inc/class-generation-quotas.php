@@ -0,0 +1,380 @@
+<?php
+/**
+ * Generation quotas for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+use WP_Error;
+
+/**
+ * Limits how many images each user may generate per day and per month.
+ *
+ * Limits are set per role, and may be overridden per user. A limit of 0 means unlimited.
+ */
+final class Generation_Quotas {
+	/**
+	 * Option holding the daily and monthly limits of each role.
+	 *
+	 * @var string
+	 */
+	public const OPTION_NAME = 'kaigen_generation_quotas';
+
+	/**
+	 * User meta key holding a user's own daily and monthly limits.
+	 *
+	 * @var string
+	 */
+	public const USER_META_KEY = 'kaigen_generation_quota';
+
+	/**
+	 * Prefix of the options counting a user's images, one per user and day or month.
+	 *
+	 * @var string
+	 */
+	public const USAGE_OPTION_PREFIX = 'kaigen_quota_usage_';
+
+	/**
+	 * Quota periods.
+	 *
+	 * @var string[]
+	 */
+	public const PERIODS = [ 'daily', 'monthly' ];
+
+	/**
+	 * Gets the daily and monthly limits of every role.
+	 *
+	 * @return array Limits keyed by role, each with daily and monthly counts.
+	 */
+	public static function get_role_limits() {
+		$limits = get_option( self::OPTION_NAME, [] );
+
+		return is_array( $limits ) ? $limits : [];
+	}
+
+	/**
+	 * Sanitizes role limits before they are saved.
+	 *
+	 * @param mixed $limits Raw limits keyed by role.
+	 * @return array Limits keyed by existing role, each with daily and monthly counts.
+	 */
+	public static function sanitize_role_limits( $limits ) {
+		$sanitized = [];
+
+		foreach ( array_keys( wp_roles()->get_names() ) as $role ) {
+			$sanitized[ $role ] = self::sanitize_limits( $limits[ $role ] ?? [] );
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Gets a user's own limits, which override their roles' limits.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array Daily and monthly counts, each null when the user follows their roles.
+	 */
+	public static function get_user_limits( $user_id ) {
+		$limits = get_user_meta( absint( $user_id ), self::USER_META_KEY, true );
+
+		return [
+			'daily'   => isset( $limits['daily'] ) ? absint( $limits['daily'] ) : null,
+			'monthly' => isset( $limits['monthly'] ) ? absint( $limits['monthly'] ) : null,
+		];
+	}
+
+	/**
+	 * Saves a user's own limits. An empty value makes that period follow the user's roles again.
+	 *
+	 * @param int   $user_id User ID.
+	 * @param array $limits Raw daily and monthly values.
+	 * @return void
+	 */
+	public static function set_user_limits( $user_id, $limits ) {
+		$stored = [];
+
+		foreach ( self::PERIODS as $period ) {
+			if ( isset( $limits[ $period ] ) && '' !== trim( (string) $limits[ $period ] ) ) {
+				$stored[ $period ] = absint( $limits[ $period ] );
+			}
+		}
+
+		if ( empty( $stored ) ) {
+			delete_user_meta( absint( $user_id ), self::USER_META_KEY );
+			return;
+		}
+
+		update_user_meta( absint( $user_id ), self::USER_META_KEY, $stored );
+	}
+
+	/**
+	 * Gets the limits that apply to a user.
+	 *
+	 * A user with several roles gets the most generous limit among them.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array Daily and monthly counts, 0 meaning unlimited.
+	 */
+	public static function get_limits( $user_id ) {
+		$user        = get_userdata( absint( $user_id ) );
+		$role_limits = self::get_role_limits();
+		$user_limits = self::get_user_limits( $user_id );
+		$limits      = [];
+
+		foreach ( self::PERIODS as $period ) {
+			if ( null !== $user_limits[ $period ] ) {
+				$limits[ $period ] = $user_limits[ $period ];
+				continue;
+			}
+
+			$counts = array_map(
+				function ( $role ) use ( $role_limits, $period ) {
+					return absint( $role_limits[ $role ][ $period ] ?? 0 );
+				},
+				$user ? (array) $user->roles : []
+			);
+
+			$limits[ $period ] = empty( $counts ) || in_array( 0, $counts, true ) ? 0 : max( $counts );
+		}
+
+		/**
+		 * Filters the daily and monthly generation limits that apply to a user.
+		 *
+		 * @param array $limits Daily and monthly counts, 0 meaning unlimited.
+		 * @param int   $user_id User ID.
+		 */
+		return apply_filters( 'kaigen_generation_quota_limits', $limits, $user_id );
+	}
+
+	/**
+	 * Gets how many images a user has generated in the current day and month.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array Daily and monthly counts.
+	 */
+	public static function get_usage( $user_id ) {
+		global $wpdb;
+
+		$usage = [];
+		foreach ( self::PERIODS as $period ) {
+			// Read the counter from the database, as it is changed with queries the options cache does not see.
+			$usage[ $period ] = absint(
+				$wpdb->get_var( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+					$wpdb->prepare(
+						"SELECT option_value FROM {$wpdb->options} WHERE option_name = %s",
+						self::get_usage_option_name( $user_id, $period, time() )
+					)
+				)
+			);
+		}
+
+		return $usage;
+	}
+
+	/**
+	 * Gets a user's limits, usage and remaining generations for each period.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array Daily and monthly limit, used and remaining; remaining is null when unlimited.
+	 */
+	public static function get_status( $user_id ) {
+		$limits = self::get_limits( $user_id );
+		$usage  = self::get_usage( $user_id );
+		$status = [];
+
+		foreach ( self::PERIODS as $period ) {
+			$status[ $period ] = [
+				'limit'     => $limits[ $period ],
+				'used'      => $usage[ $period ],
+				'remaining' => $limits[ $period ] ? max( $limits[ $period ] - $usage[ $period ], 0 ) : null,
+			];
+		}
+
+		return $status;
+	}
+
+	/**
+	 * Counts images against a user's quota, refusing when they would go over it.
+	 *
+	 * Each period's counter is checked and incremented in a single query, so parallel requests cannot overrun the quota.
+	 *
+	 * @param int $user_id User ID.
+	 * @param int $count Number of images requested.
+	 * @return true|WP_Error True when the images were counted, or error when the quota is used up.
+	 */
+	public static function reserve( $user_id, $count ) {
+		global $wpdb;
+
+		$limits   = self::get_limits( $user_id );
+		$now      = time();
+		$counted  = [];
+		$exceeded = null;
+
+		foreach ( self::PERIODS as $period ) {
+			$option = self::get_usage_option_name( $user_id, $period, $now );
+
+			// INSERT IGNORE leaves a counter another request has just created alone.
+			$created = $wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+				$wpdb->prepare(
+					"INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, '0', 'no')",
+					$option
+				)
+			);
+
+			if ( $created ) {
+				self::delete_stale_usage( $user_id, $now );
+			}
+
+			if ( $limits[ $period ] ) {
+				$updated = $wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+					$wpdb->prepare(
+						"UPDATE {$wpdb->options} SET option_value = option_value + %d WHERE option_name = %s AND option_value + %d <= %d",
+						$count,
+						$option,
+						$count,
+						$limits[ $period ]
+					)
+				);
+			} else {
+				$updated = $wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+					$wpdb->prepare(
+						"UPDATE {$wpdb->options} SET option_value = option_value + %d WHERE option_name = %s",
+						$count,
+						$option
+					)
+				);
+			}
+
+			wp_cache_delete( $option, 'options' );
+
+			if ( ! $updated ) {
+				$exceeded = $period;
+				break;
+			}
+
+			$counted[] = $option;
+		}
+
+		if ( null === $exceeded ) {
+			return true;
+		}
+
+		// The other period was already counted, so give its images back.
+		foreach ( $counted as $option ) {
+			self::decrement( $option, $count );
+		}
+
+		$status    = self::get_status( $user_id );
+		$remaining = (int) $status[ $exceeded ]['remaining'];
+
+		return new WP_Error(
+			'kaigen_quota_exceeded',
+			'daily' === $exceeded
+				/* translators: 1: generations left today, 2: daily limit. */
+				? sprintf( __( 'You have %1$d of %2$d generations left today.', 'kaigen' ), $remaining, $status[ $exceeded ]['limit'] )
+				/* translators: 1: generations left this month, 2: monthly limit. */
+				: sprintf( __( 'You have %1$d of %2$d generations left this month.', 'kaigen' ), $remaining, $status[ $exceeded ]['limit'] ),
+			[
+				'status' => 429,
+				'quota'  => $status,
+			]
+		);
+	}
+
+	/**
+	 * Gives back images counted for a generation that failed or was cancelled.
+	 *
+	 * @param int $user_id User ID.
+	 * @param int $count Number of images to give back.
+	 * @param int $reserved_at Timestamp the images were counted at; periods that have since ended are left alone.
+	 * @return void
+	 */
+	public static function refund( $user_id, $count, $reserved_at ) {
+		foreach ( self::PERIODS as $period ) {
+			self::decrement( self::get_usage_option_name( $user_id, $period, $reserved_at ), $count );
+		}
+	}
+
+	/**
+	 * Lowers a usage counter without taking it below zero.
+	 *
+	 * A counter for a period that has ended has been deleted, so nothing is changed.
+	 *
+	 * @param string $option Usage counter option name.
+	 * @param int    $count Number of images to give back.
+	 * @return void
+	 */
+	private static function decrement( $option, $count ) {
+		global $wpdb;
+
+		$wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"UPDATE {$wpdb->options} SET option_value = GREATEST( option_value - %d, 0 ) WHERE option_name = %s",
+				$count,
+				$option
+			)
+		);
+
+		wp_cache_delete( $option, 'options' );
+	}
+
+	/**
+	 * Deletes a user's counters for days and months that have ended.
+	 *
+	 * @param int $user_id User ID.
+	 * @param int $now Current Unix timestamp.
+	 * @return void
+	 */
+	private static function delete_stale_usage( $user_id, $now ) {
+		global $wpdb;
+
+		$wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->options} WHERE option_name LIKE %s AND option_name NOT IN (%s, %s)",
+				$wpdb->esc_like( self::USAGE_OPTION_PREFIX . absint( $user_id ) . '_' ) . '%',
+				self::get_usage_option_name( $user_id, 'daily', $now ),
+				self::get_usage_option_name( $user_id, 'monthly', $now )
+			)
+		);
+	}
+
+	/**
+	 * Gets the name of the option counting a user's images in the period a timestamp falls in.
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $period daily or monthly.
+	 * @param int    $timestamp Unix timestamp.
+	 * @return string Option name.
+	 */
+	private static function get_usage_option_name( $user_id, $period, $timestamp ) {
+		return self::USAGE_OPTION_PREFIX . absint( $user_id ) . '_' . self::get_period_keys( $timestamp )[ $period ];
+	}
+
+	/**
+	 * Gets the day and month a timestamp falls in, in the site's timezone.
+	 *
+	 * @param int $timestamp Unix timestamp.
+	 * @return array Daily and monthly period keys.
+	 */
+	private static function get_period_keys( $timestamp ) {
+		return [
+			'daily'   => wp_date( 'Y-m-d', $timestamp ),
+			'monthly' => wp_date( 'Y-m', $timestamp ),
+		];
+	}
+
+	/**
+	 * Sanitizes a pair of daily and monthly limits.
+	 *
+	 * @param mixed $limits Raw limits.
+	 * @return array Daily and monthly counts, 0 meaning unlimited.
+	 */
+	private static function sanitize_limits( $limits ) {
+		return [
+			'daily'   => absint( $limits['daily'] ?? 0 ),
+			'monthly' => absint( $limits['monthly'] ?? 0 ),
+		];
+	}
+}
@@ -14,19 +14,99 @@ use WP_Error;
  */
 final class Image_Generation_Service {
 	/**
-	 * Default timeout for Core AI image generation requests, in seconds.
+	 * Maximum number of candidate images per generation request.
 	 *
 	 * @var int
 	 */
-	private const IMAGE_GENERATION_TIMEOUT = 180;
+	public const MAX_CANDIDATE_COUNT = 4;
 
 	/**
-	 * Handles an image generation request through the WordPress AI Client.
+	 * Maximum decoded size of an inpainting mask, in bytes.
+	 *
+	 * @var int
+	 */
+	private const MAX_MASK_BYTES = 4 * MB_IN_BYTES;
+
+	/**
+	 * Advanced generation options a provider may honor.
+	 *
+	 * @var string[]
+	 */
+	public const ADVANCED_OPTIONS = [ 'negative_prompt', 'seed', 'quality', 'output_mime_type' ];
+
+	/**
+	 * Largest accepted generation seed.
+	 *
+	 * @var int
+	 */
+	public const MAX_SEED = 2147483647;
+
+	/**
+	 * Accepted quality tiers.
+	 *
+	 * @var string[]
+	 */
+	public const QUALITY_OPTIONS = [ 'low', 'medium', 'high' ];
+
+	/**
+	 * Accepted output MIME types.
+	 *
+	 * @var string[]
+	 */
+	public const OUTPUT_MIME_TYPES = [ 'image/png', 'image/jpeg', 'image/webp' ];
+
+	/**
+	 * Smallest accepted exact output width or height, in pixels.
+	 *
+	 * @var int
+	 */
+	public const MIN_OUTPUT_DIMENSION = 64;
+
+	/**
+	 * Largest accepted exact output width or height, in pixels.
+	 *
+	 * @var int
+	 */
+	public const MAX_OUTPUT_DIMENSION = 4096;
+
+	/**
+	 * Width to height ratios of the orientations providers generate natively.
+	 *
+	 * @var array<string, float>
+	 */
+	private const ORIENTATION_RATIOS = [
+		'square'    => 1,
+		'landscape' => 16 / 9,
+		'portrait'  => 9 / 16,
+	];
+
+	/**
+	 * Alt text generator for uploaded images.
+	 *
+	 * @var Alt_Text_Generator
+	 */
+	private $alt_text_generator;
+
+	/**
+	 * Registers the background job runner and usage recording.
+	 */
+	public function __construct() {
+		$this->alt_text_generator = new Alt_Text_Generator();
+		add_action( Generation_Jobs::RUN_HOOK, [ $this, 'run_job' ] );
+		add_action( 'init', [ Usage_Stats::class, 'maybe_install' ] );
+		add_action( Image_Handler::DISCARD_CANDIDATES_HOOK, [ Image_Handler::class, 'discard_candidates' ] );
+		add_action( 'kaigen_before_image_generation_request', [ Usage_Stats::class, 'start_request' ] );
+		add_action( 'kaigen_after_image_generation_request', [ Usage_Stats::class, 'record_request' ], 10, 2 );
+	}
+
+	/**
+	 * Queues an image generation request as a background job.
 	 *
 	 * @param \WP_REST_Request $request The request object.
-	 * @return \WP_REST_Response|WP_Error The response or error.
+	 * @param string[]         $supported_options Advanced options the requested provider honors; others are dropped.
+	 * @return \WP_REST_Response|WP_Error The queued job response, or error.
 	 */
-	public function generate_from_request( $request ) {
+	public function generate_from_request( $request, $supported_options = [] ) {
 		if ( ! function_exists( 'wp_ai_client_prompt' ) ) {
 			return new WP_Error(
 				'ai_client_unavailable',
@@ -35,78 +115,450 @@ final class Image_Generation_Service {
 			);
 		}
 
-		$prompt      = trim( (string) $request->get_param( 'prompt' ) );
-		$provider    = sanitize_key( (string) $request->get_param( 'provider' ) );
-		$orientation = $this->sanitize_orientation( $request->get_param( 'orientation' ) );
+		$args = [
+			'prompt'           => trim( (string) $request->get_param( 'prompt' ) ),
+			'provider'         => sanitize_key( (string) $request->get_param( 'provider' ) ),
+			'orientation'      => $this->sanitize_orientation( $request->get_param( 'orientation' ) ),
+			'count'            => $this->sanitize_candidate_count( $request->get_param( 'count' ) ),
+			'source_image_ids' => array_values( array_filter( array_map( 'absint', (array) $request->get_param( 'source_image_ids' ) ) ) ),
+			'source_mask'      => $this->sanitize_mask( $request->get_param( 'source_mask' ) ),
+		];
+		$args = array_merge( $args, $this->get_advanced_args( $request, $supported_options ) );
+
+		// Generate the closest native orientation, then crop to the requested shape before upload.
+		$args['crop'] = $this->sanitize_crop( $request );
+		if ( ! empty( $args['crop'] ) ) {
+			$args['orientation'] = $this->get_closest_orientation( $args['crop']['width'], $args['crop']['height'] );
+		}
 
-		if ( '' === $prompt ) {
+		if ( '' === $args['prompt'] ) {
 			return new WP_Error( 'missing_prompt', __( 'Prompt is required.', 'kaigen' ), [ 'status' => 400 ] );
 		}
 
-		$timeout_filter = [ $this, 'filter_image_generation_timeout' ];
+		if ( is_wp_error( $args['source_mask'] ) ) {
+			return $args['source_mask'];
+		}
+
+		if ( '' !== $args['source_mask'] && empty( $args['source_image_ids'] ) ) {
+			return new WP_Error( 'mask_requires_source_image', __( 'A mask needs the image it was painted on.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		// Keep a copy of the preset so later edits to it do not change a queued job.
+		$preset_id = sanitize_text_field( (string) $request->get_param( 'preset_id' ) );
+		if ( '' !== $preset_id ) {
+			$preset = Style_Presets::get( $preset_id );
+			if ( null === $preset ) {
+				return new WP_Error( 'preset_not_found', __( 'Style preset not found.', 'kaigen' ), [ 'status' => 400 ] );
+			}
+
+			$args['preset'] = $preset;
+		}
+
+		// Keep the mask out of the stored job; the job reads it back from a temporary file.
+		if ( '' !== $args['source_mask'] ) {
+			$mask_file = $this->save_mask( $args['source_mask'] );
+			if ( is_wp_error( $mask_file ) ) {
+				return $mask_file;
+			}
+
+			$args['source_mask_file'] = $mask_file;
+		}
+		unset( $args['source_mask'] );
+
+		// Count the images before queueing the job; a job that fails or is cancelled gives them back.
+		$quota = Generation_Quotas::reserve( get_current_user_id(), $args['count'] );
+		if ( is_wp_error( $quota ) ) {
+			$this->delete_mask( $args );
+
+			return $quota;
+		}
+
+		$job = Generation_Jobs::create( get_current_user_id(), $args );
+		Generation_Jobs::schedule( $job['id'] );
+
+		$response = rest_ensure_response( Generation_Jobs::to_response( $job ) );
+		$response->set_status( 202 );
+
+		return $response;
+	}
+
+	/**
+	 * Gets a generation job owned by the current user.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return \WP_REST_Response|WP_Error The job status response, or error.
+	 */
+	public function get_job_response( $job_id ) {
+		$job = Generation_Jobs::get( $job_id );
+
+		if ( null === $job || get_current_user_id() !== $job['user_id'] ) {
+			return new WP_Error( 'job_not_found', __( 'Generation job not found.', 'kaigen' ), [ 'status' => 404 ] );
+		}
+
+		if ( Generation_Jobs::needs_inline_run( $job ) ) {
+			wp_clear_scheduled_hook( Generation_Jobs::RUN_HOOK, [ $job['id'] ] );
+			$this->run_job( $job['id'] );
+			$job = Generation_Jobs::get( $job_id );
+		}
+
+		return rest_ensure_response( Generation_Jobs::to_response( $job ) );
+	}
+
+	/**
+	 * Cancels a generation job owned by the current user.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return \WP_REST_Response|WP_Error The job status response, or error.
+	 */
+	public function cancel_job( $job_id ) {
+		$job = Generation_Jobs::get( $job_id );
+
+		if ( null === $job || get_current_user_id() !== $job['user_id'] ) {
+			return new WP_Error( 'job_not_found', __( 'Generation job not found.', 'kaigen' ), [ 'status' => 404 ] );
+		}
+
+		// Holding the claim keeps runners off a queued job while it is cancelled; a running job's runner settles it when it stops.
+		$claimed = Generation_Jobs::claim( $job_id );
 
 		try {
-			add_filter( 'wp_ai_client_default_request_timeout', $timeout_filter );
-			do_action( 'kaigen_before_image_generation_request' );
-
-			$result = $this->generate_image_result(
-				$prompt,
-				$orientation,
-				$provider,
-				$request->get_param( 'source_image_ids' )
-			);
-			if ( is_wp_error( $result ) ) {
-				return $result;
+			$job        = Generation_Jobs::get( $job_id );
+			$was_queued = $claimed && null !== $job && Generation_Jobs::STATUS_QUEUED === $job['status'];
+
+			$cancelled = Generation_Jobs::cancel( $job_id );
+
+			if ( $was_queued ) {
+				$this->delete_mask( $job['args'] );
+				$this->settle_quota( $job );
 			}
+		} finally {
+			if ( $claimed ) {
+				Generation_Jobs::release( $job_id );
+			}
+		}
 
-			$metadata   = $this->serialize_result_metadata( $result );
-			$image_data = $this->extract_image_data( $result );
-			if ( is_wp_error( $image_data ) ) {
-				return $image_data;
+		return rest_ensure_response( Generation_Jobs::to_response( $cancelled ) );
+	}
+
+	/**
+	 * Runs a queued generation job as the user who requested it.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	public function run_job( $job_id ) {
+		if ( ! Generation_Jobs::claim( $job_id ) ) {
+			return;
+		}
+
+		try {
+			$this->run_claimed_job( $job_id );
+		} finally {
+			Generation_Jobs::release( $job_id );
+		}
+	}
+
+	/**
+	 * Runs a queued generation job once this request has claimed it.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	private function run_claimed_job( $job_id ) {
+		$job = Generation_Jobs::get( $job_id );
+		if ( null === $job || Generation_Jobs::STATUS_QUEUED !== $job['status'] ) {
+			return;
+		}
+
+		wp_set_current_user( $job['user_id'] );
+		Generation_Jobs::update( $job_id, [ 'status' => Generation_Jobs::STATUS_RUNNING ] );
+
+		$result = $this->run(
+			$job['args'],
+			function ( $status ) use ( $job_id ) {
+				Generation_Jobs::update( $job_id, [ 'status' => $status ] );
+			},
+			function () use ( $job_id ) {
+				return Generation_Jobs::is_cancelled( $job_id );
 			}
+		);
 
-			$attachment = Image_Handler::upload_to_media_library( $image_data, $prompt, $metadata );
-			if ( is_wp_error( $attachment ) ) {
-				return $attachment;
+		$this->delete_mask( $job['args'] );
+
+		if ( is_wp_error( $result ) && 'generation_cancelled' !== $result->get_error_code() ) {
+			Generation_Jobs::update(
+				$job_id,
+				[
+					'status' => Generation_Jobs::STATUS_FAILED,
+					'error'  => [
+						'code'    => $result->get_error_code(),
+						'message' => $result->get_error_message(),
+					],
+				]
+			);
+		} elseif ( ! is_wp_error( $result ) ) {
+			$finished = Generation_Jobs::update(
+				$job_id,
+				[
+					'status' => Generation_Jobs::STATUS_DONE,
+					'result' => $result,
+				]
+			);
+
+			// A cancel that arrived after the images were counted still removes them, from the library and the usage totals.
+			if ( null === $finished || Generation_Jobs::STATUS_DONE !== $finished['status'] ) {
+				$this->delete_attachments( $result['images'] );
+				Usage_Stats::discard_images( $job['args'], $result );
+				Generation_Jobs::update( $job_id, [ 'result' => null ] );
 			}
+		}
+
+		$this->settle_quota( $job );
+	}
+
+	/**
+	 * Gives a finished job's images back to the user's quota unless it produced them.
+	 *
+	 * Only the request holding the job's claim calls this, once the job has reached its final
+	 * state, so each job is settled exactly once.
+	 *
+	 * @param array $job The job as it was claimed.
+	 * @return void
+	 */
+	private function settle_quota( $job ) {
+		$final = Generation_Jobs::get( $job['id'] );
+
+		if ( null === $final || Generation_Jobs::STATUS_DONE !== $final['status'] ) {
+			Generation_Quotas::refund( $job['user_id'], $job['args']['count'], $job['created'] );
+		}
+	}
+
+	/**
+	 * Generates images through the WordPress AI Client and uploads them to the media library.
+	 *
+	 * @param array         $args Sanitized generation arguments.
+	 * @param callable|null $report_status Optional callback receiving job status changes.
+	 * @param callable|null $is_cancelled Optional callback returning true once the job is cancelled.
+	 * @return array|WP_Error Generated attachments and metadata, or error.
+	 */
+	public function run( $args, $report_status = null, $is_cancelled = null ) {
+		$timeout_filter = [ $this, 'filter_image_generation_timeout' ];
+		add_filter( 'wp_ai_client_default_request_timeout', $timeout_filter );
 
-			$attachment['metadata'] = $metadata;
+		/**
+		 * Fires before an image generation request is sent.
+		 *
+		 * @param array $args Sanitized generation arguments.
+		 */
+		do_action( 'kaigen_before_image_generation_request', $args );
 
-			return rest_ensure_response( $attachment );
+		try {
+			$response = $this->generate_and_upload( $args, $report_status, $is_cancelled );
 		} catch ( \Throwable $e ) {
-			return new WP_Error(
+			$response = new WP_Error(
 				'ai_generation_failed',
 				$e->getMessage(),
 				[ 'status' => 500 ]
 			);
-		} finally {
-			do_action( 'kaigen_after_image_generation_request' );
-			remove_filter( 'wp_ai_client_default_request_timeout', $timeout_filter );
 		}
+
+		/**
+		 * Fires after an image generation request has finished, failed or been cancelled.
+		 *
+		 * @param array          $args Sanitized generation arguments.
+		 * @param array|WP_Error $response Generated attachments and metadata, or error.
+		 */
+		do_action( 'kaigen_after_image_generation_request', $args, $response );
+		remove_filter( 'wp_ai_client_default_request_timeout', $timeout_filter );
+
+		return $response;
 	}
 
 	/**
-	 * Raises the WP AI Client timeout for image generation requests.
+	 * Sends the generation request and uploads the resulting images.
+	 *
+	 * @param array         $args Sanitized generation arguments.
+	 * @param callable|null $report_status Optional callback receiving job status changes.
+	 * @param callable|null $is_cancelled Optional callback returning true once the job is cancelled.
+	 * @return array|WP_Error Generated attachments and metadata, or error.
+	 */
+	private function generate_and_upload( $args, $report_status, $is_cancelled ) {
+		$args['source_mask'] = $this->load_mask( $args );
+		if ( is_wp_error( $args['source_mask'] ) ) {
+			return $args['source_mask'];
+		}
+
+		$result = $this->generate_image_result( $args );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$metadata = $this->serialize_result_metadata( $result );
+		if ( null !== ( $args['seed'] ?? null ) ) {
+			$metadata['seed'] = $args['seed'];
+		}
+
+		$images_data = $this->extract_images_data( $result );
+		if ( is_wp_error( $images_data ) ) {
+			return $images_data;
+		}
+
+		if ( is_callable( $report_status ) ) {
+			call_user_func( $report_status, Generation_Jobs::STATUS_UPLOADING );
+		}
+
+		$attachments = [];
+		foreach ( $images_data as $image_data ) {
+			// Stop before each upload so a cancelled job leaves no attachments behind.
+			$cancelled = $this->stop_if_cancelled( $is_cancelled, $attachments );
+			if ( is_wp_error( $cancelled ) ) {
+				return $cancelled;
+			}
+
+			$attachment = Image_Handler::upload_to_media_library( $image_data, $args['prompt'], $metadata, $args['crop'] ?? [] );
+
+			// A failed upload fails the whole generation, so the images already uploaded go too.
+			if ( is_wp_error( $attachment ) ) {
+				$this->delete_attachments( $attachments );
+
+				return $attachment;
+			}
+
+			Image_Handler::record_generation_details( $attachment['id'], $args, $metadata );
+
+			if ( ! empty( $args['preset'] ) ) {
+				Style_Presets::record_on_attachment( $attachment['id'], $args['preset'] );
+			}
+
+			$attachment['alt'] = $this->describe_attachment( $attachment['id'], $attachment['alt'] );
+
+			$attachments[] = $attachment;
+		}
+
+		// Check once more after the last upload, so a cancelled job's images are never recorded.
+		$cancelled = $this->stop_if_cancelled( $is_cancelled, $attachments );
+		if ( is_wp_error( $cancelled ) ) {
+			return $cancelled;
+		}
+
+		// The user picks one of several images, so the others can be deleted then.
+		if ( count( $attachments ) > 1 ) {
+			Image_Handler::mark_candidates( wp_list_pluck( $attachments, 'id' ) );
+		}
+
+		Prompt_History::add_entry(
+			get_current_user_id(),
+			[
+				'prompt'           => $args['prompt'],
+				'provider'         => '' !== $args['provider'] ? $args['provider'] : 'auto',
+				'orientation'      => $args['orientation'],
+				'count'            => $args['count'],
+				'source_image_ids' => $args['source_image_ids'],
+				'preset_id'        => $args['preset']['id'] ?? '',
+				'negative_prompt'  => $args['negative_prompt'] ?? '',
+				'seed'             => $args['seed'] ?? null,
+				'quality'          => $args['quality'] ?? '',
+				'output_mime_type' => $args['output_mime_type'] ?? '',
+				'crop'             => $args['crop'] ?? [],
+				'attachment_ids'   => wp_list_pluck( $attachments, 'id' ),
+			]
+		);
+
+		Reference_Images::record_usage( $args['source_image_ids'] );
+
+		// Keep the first candidate at the top level for single-image consumers.
+		$response             = $attachments[0];
+		$response['images']   = $attachments;
+		$response['metadata'] = $metadata;
+
+		return $response;
+	}
+
+	/**
+	 * Deletes the uploaded attachments of a job that has been cancelled.
+	 *
+	 * @param callable|null $is_cancelled Optional callback returning true once the job is cancelled.
+	 * @param array         $attachments Uploaded attachments, each with an id.
+	 * @return true|WP_Error True when the job goes on, or the cancellation error.
+	 */
+	private function stop_if_cancelled( $is_cancelled, $attachments ) {
+		if ( ! is_callable( $is_cancelled ) || ! call_user_func( $is_cancelled ) ) {
+			return true;
+		}
+
+		$this->delete_attachments( $attachments );
+
+		return new WP_Error( 'generation_cancelled', __( 'Image generation was cancelled.', 'kaigen' ), [ 'status' => 409 ] );
+	}
+
+	/**
+	 * Deletes generated attachments that will not be returned.
+	 *
+	 * @param array $attachments Uploaded attachments, each with an id.
+	 * @return void
+	 */
+	private function delete_attachments( $attachments ) {
+		foreach ( $attachments as $attachment ) {
+			wp_delete_attachment( $attachment['id'], true );
+		}
+	}
+
+	/**
+	 * Applies the alt text setting to a generated attachment, which starts with the prompt as alt text.
+	 * Depending on the setting the image is described, keeps the prompt, or gets no alt text.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $fallback_alt Alt text to keep when the image cannot be described.
+	 * @return string The attachment's alt text.
+	 */
+	private function describe_attachment( $attachment_id, $fallback_alt ) {
+		$strategy = Settings::get()['alt_text'];
+
+		if ( 'none' === $strategy ) {
+			delete_post_meta( $attachment_id, '_wp_attachment_image_alt' );
+			return '';
+		}
+
+		/**
+		 * Filters whether generated images get alt text from a vision-capable model.
+		 *
+		 * Each description is an extra AI request; without one the prompt is used as alt text.
+		 *
+		 * @param bool $describe Whether to describe generated images, following the alt text setting by default.
+		 * @param int  $attachment_id Attachment ID.
+		 */
+		if ( ! apply_filters( 'kaigen_describe_generated_images', 'describe' === $strategy, $attachment_id ) ) {
+			return $fallback_alt;
+		}
+
+		$alt_text = $this->alt_text_generator->describe( $attachment_id );
+		if ( is_wp_error( $alt_text ) ) {
+			return $fallback_alt;
+		}
+
+		update_post_meta( $attachment_id, '_wp_attachment_image_alt', $alt_text );
+
+		return $alt_text;
+	}
+
+	/**
+	 * Raises the WP AI Client timeout for image generation requests to the site's setting.
 	 *
 	 * @return int Timeout in seconds.
 	 */
 	public function filter_image_generation_timeout() {
-		return self::IMAGE_GENERATION_TIMEOUT;
+		return (int) Settings::get()['timeout'];
 	}
 
 	/**
 	 * Generates an image result and conditionally retries timeout-like failures with lower-level HTTP options.
 	 *
-	 * @param string $prompt The prompt text.
-	 * @param string $orientation The requested Core orientation.
-	 * @param string $provider The selected provider ID, or auto.
-	 * @param mixed  $source_image_ids Reference attachment IDs.
+	 * @param array $args Sanitized generation arguments.
 	 * @return object|WP_Error AI image result, or error.
 	 * @throws \Throwable When a non-timeout image generation exception occurs.
 	 */
-	private function generate_image_result( $prompt, $orientation, $provider, $source_image_ids ) {
+	private function generate_image_result( $args ) {
 		try {
-			$result = $this->generate_image_result_once( $prompt, $orientation, $provider, $source_image_ids );
+			$result = $this->generate_image_result_once( $args );
 		} catch ( \Throwable $e ) {
 			if ( ! $this->is_retryable_timeout_error( $e ) ) {
 				throw $e;
@@ -119,11 +571,11 @@ final class Image_Generation_Service {
 			return $result;
 		}
 
-		$http_options = new Image_Generation_HTTP_Options( self::IMAGE_GENERATION_TIMEOUT );
+		$http_options = new Image_Generation_HTTP_Options( $this->filter_image_generation_timeout() );
 
 		try {
 			$http_options->register();
-			return $this->generate_image_result_once( $prompt, $orientation, $provider, $source_image_ids );
+			return $this->generate_image_result_once( $args );
 		} finally {
 			$http_options->unregister();
 		}
@@ -132,16 +584,13 @@ final class Image_Generation_Service {
 	/**
 	 * Generates an image result once.
 	 *
-	 * @param string $prompt The prompt text.
-	 * @param string $orientation The requested Core orientation.
-	 * @param string $provider The selected provider ID, or auto.
-	 * @param mixed  $source_image_ids Reference attachment IDs.
+	 * @param array $args Sanitized generation arguments.
 	 * @return object|WP_Error AI image result, or error.
 	 */
-	private function generate_image_result_once( $prompt, $orientation, $provider, $source_image_ids ) {
-		$builder = $this->build_prompt( $prompt, $orientation, $provider );
+	private function generate_image_result_once( $args ) {
+		$builder = $this->build_prompt( $args );
 
-		$error = $this->attach_reference_images( $builder, $source_image_ids );
+		$error = $this->attach_reference_images( $builder, $args );
 		if ( is_wp_error( $error ) ) {
 			return $error;
 		}
@@ -189,15 +638,30 @@ final class Image_Generation_Service {
 	/**
 	 * Builds the WordPress AI Client prompt.
 	 *
-	 * @param string $prompt The prompt text.
-	 * @param string $orientation The requested Core orientation.
-	 * @param string $provider The selected provider ID, or auto.
+	 * @param array $args Sanitized generation arguments.
 	 * @return object Prompt builder.
 	 */
-	private function build_prompt( $prompt, $orientation, $provider ) {
+	private function build_prompt( $args ) {
+		$orientation = $args['orientation'];
+		$provider    = $args['provider'];
+
+		$prompt = $args['prompt'];
+		if ( ! empty( $args['preset']['prompt'] ) ) {
+			$prompt .= "\n\n" . $args['preset']['prompt'];
+		}
+
 		$builder = wp_ai_client_prompt()
 			->with_text( $prompt );
 
+		// Apply the model config first so the builder calls below take precedence over it.
+		$custom_options = $this->get_custom_options( $args );
+		if ( ! empty( $custom_options ) ) {
+			$model_config_class = 'WordPress\\AiClient\\Providers\\Models\\DTO\\ModelConfig';
+			if ( class_exists( $model_config_class ) ) {
+				$builder->using_model_config( $model_config_class::fromArray( [ 'customOptions' => $custom_options ] ) );
+			}
+		}
+
 		$file_type_class = 'WordPress\\AiClient\\Files\\Enums\\FileTypeEnum';
 		if ( class_exists( $file_type_class ) ) {
 			$builder->as_output_file_type( $file_type_class::inline() );
@@ -210,6 +674,14 @@ final class Image_Generation_Service {
 			}
 		}
 
+		if ( ! empty( $args['output_mime_type'] ) ) {
+			$builder->as_output_mime_type( $args['output_mime_type'] );
+		}
+
+		if ( $args['count'] > 1 ) {
+			$builder->using_candidate_count( $args['count'] );
+		}
+
 		if ( '' !== $provider && 'auto' !== $provider ) {
 			$builder->using_provider( $provider );
 		}
@@ -217,25 +689,61 @@ final class Image_Generation_Service {
 		return $builder;
 	}
 
+	/**
+	 * Gets the provider-specific options for negative prompt, seed, quality and the inpainting mask.
+	 *
+	 * The mask is sent as a PNG data URI in the `mask` option, the way OpenAI's image edits take it;
+	 * other providers can map it to their own option through the filter below.
+	 *
+	 * @param array $args Sanitized generation arguments.
+	 * @return array Custom model options.
+	 */
+	private function get_custom_options( $args ) {
+		$custom_options = array_filter(
+			[
+				'negativePrompt' => $args['negative_prompt'] ?? '',
+				'seed'           => $args['seed'] ?? null,
+				'quality'        => $args['quality'] ?? '',
+				'mask'           => $args['source_mask'] ?? '',
+			],
+			function ( $value ) {
+				return null !== $value && '' !== $value;
+			}
+		);
+
+		/**
+		 * Filters the custom model options sent with an image generation request.
+		 *
+		 * @param array  $custom_options Custom model options keyed by option name.
+		 * @param string $provider Requested provider ID, or an empty string for auto.
+		 * @param array  $args Sanitized generation arguments.
+		 */
+		return (array) apply_filters( 'kaigen_generation_custom_options', $custom_options, $args['provider'], $args );
+	}
+
 	/**
 	 * Attaches reference image files to the prompt builder.
 	 *
 	 * @param object $builder Prompt builder.
-	 * @param mixed  $source_image_ids Reference attachment IDs.
+	 * @param array  $args Sanitized generation arguments.
 	 * @return true|WP_Error True on success, or error.
 	 */
-	private function attach_reference_images( $builder, $source_image_ids ) {
+	private function attach_reference_images( $builder, $args ) {
+		$source_image_ids = $args['source_image_ids'] ?? [];
+
 		if ( ! is_array( $source_image_ids ) || empty( $source_image_ids ) ) {
 			return true;
 		}
 
+		$preset_image_ids = array_map( 'absint', (array) ( $args['preset']['source_image_ids'] ?? [] ) );
+
 		foreach ( $source_image_ids as $source_image_id ) {
 			$attachment_id = absint( $source_image_id );
 			if ( ! $attachment_id ) {
 				continue;
 			}
 
-			if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+			if ( ! $this->can_use_reference_image( $attachment_id, $preset_image_ids ) ) {
 				return new WP_Error( 'forbidden_reference_file', __( 'You are not allowed to use that reference image.', 'kaigen' ), [ 'status' => 403 ] );
 			}
 
@@ -251,6 +759,61 @@ final class Image_Generation_Service {
 		return true;
 	}
 
+	/**
+	 * Checks whether the current user may send an attachment to a provider as a reference image.
+	 *
+	 * Users may use their own images, and the images they can read in the shared reference library
+	 * or among those an admin chose for the style preset they are using.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param int[] $preset_image_ids Reference attachment IDs of the request's style preset.
+	 * @return bool Whether the attachment may be used.
+	 */
+	private function can_use_reference_image( $attachment_id, $preset_image_ids ) {
+		if ( current_user_can( 'edit_post', $attachment_id ) ) {
+			return true;
+		}
+
+		// The library only lists the images a user can read, such as those not attached to a private post.
+		if ( Reference_Images::is_reference( $attachment_id ) || in_array( $attachment_id, $preset_image_ids, true ) ) {
+			return current_user_can( 'read_post', $attachment_id );
+		}
+
+		return false;
+	}
+
+	/**
+	 * Extracts every candidate image from a Core AI result.
+	 *
+	 * @param object $result The AI result object.
+	 * @return array|WP_Error List of binary image data, data URIs, or URLs, or error.
+	 */
+	private function extract_images_data( $result ) {
+		$files = [];
+		if ( is_object( $result ) && method_exists( $result, 'to_files' ) ) {
+			$files = $result->to_files();
+		} elseif ( is_object( $result ) && method_exists( $result, 'toFiles' ) ) {
+			$files = $result->toFiles();
+		}
+
+		if ( ! is_array( $files ) || empty( $files ) ) {
+			$image_data = $this->extract_image_data( $result );
+			return is_wp_error( $image_data ) ? $image_data : [ $image_data ];
+		}
+
+		$images_data = [];
+		foreach ( $files as $file ) {
+			$image_data = $this->extract_file_data( $file );
+			if ( is_wp_error( $image_data ) ) {
+				return $image_data;
+			}
+
+			$images_data[] = $image_data;
+		}
+
+		return $images_data;
+	}
+
 	/**
 	 * Extracts image data from a Core AI result.
 	 *
@@ -265,6 +828,16 @@ final class Image_Generation_Service {
 			$file = $result->toFile();
 		}
 
+		return $this->extract_file_data( $file );
+	}
+
+	/**
+	 * Extracts image data from a Core AI file.
+	 *
+	 * @param object|null $file The AI file object.
+	 * @return string|WP_Error Binary image data, data URI, URL, or error.
+	 */
+	private function extract_file_data( $file ) {
 		if ( ! is_object( $file ) ) {
 			return new WP_Error( 'missing_image_result', __( 'The AI Client did not return an image file.', 'kaigen' ), [ 'status' => 500 ] );
 		}
@@ -347,4 +920,194 @@ final class Image_Generation_Service {
 		$orientation = sanitize_key( (string) $orientation );
 		return in_array( $orientation, [ 'square', 'landscape', 'portrait' ], true ) ? $orientation : 'square';
 	}
+
+	/**
+	 * Gets the requested output shape from an exact pixel size or an aspect ratio.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return array Crop target with width, height and whether the size is exact, or an empty array.
+	 */
+	private function sanitize_crop( $request ) {
+		$width  = absint( $request->get_param( 'width' ) );
+		$height = absint( $request->get_param( 'height' ) );
+
+		$is_valid_dimension = function ( $dimension ) {
+			return $dimension >= self::MIN_OUTPUT_DIMENSION && $dimension <= self::MAX_OUTPUT_DIMENSION;
+		};
+
+		if ( $is_valid_dimension( $width ) && $is_valid_dimension( $height ) ) {
+			return [
+				'width'  => $width,
+				'height' => $height,
+				'exact'  => true,
+			];
+		}
+
+		if ( ! preg_match( '/^([1-9][0-9]?):([1-9][0-9]?)$/', (string) $request->get_param( 'aspect_ratio' ), $matches ) ) {
+			return [];
+		}
+
+		return [
+			'width'  => (int) $matches[1],
+			'height' => (int) $matches[2],
+			'exact'  => false,
+		];
+	}
+
+	/**
+	 * Gets the native orientation closest to a width to height ratio.
+	 *
+	 * Ratios are compared on a log scale so 2:1 and 1:2 are equally far from square.
+	 *
+	 * @param int $width Ratio or pixel width.
+	 * @param int $height Ratio or pixel height.
+	 * @return string Orientation: square, landscape or portrait.
+	 */
+	private function get_closest_orientation( $width, $height ) {
+		$ratio    = log( $width / $height );
+		$closest  = 'square';
+		$distance = INF;
+
+		foreach ( self::ORIENTATION_RATIOS as $orientation => $orientation_ratio ) {
+			$orientation_distance = abs( log( $orientation_ratio ) - $ratio );
+			if ( $orientation_distance < $distance ) {
+				$closest  = $orientation;
+				$distance = $orientation_distance;
+			}
+		}
+
+		return $closest;
+	}
+
+	/**
+	 * Validates an inpainting mask sent as a PNG data URI.
+	 *
+	 * @param mixed $mask Raw mask.
+	 * @return string|WP_Error The decoded PNG, an empty string when none was sent, or error.
+	 */
+	private function sanitize_mask( $mask ) {
+		if ( ! is_string( $mask ) || '' === $mask ) {
+			return '';
+		}
+
+		$prefix = 'data:image/png;base64,';
+		if ( 0 !== strpos( $mask, $prefix ) ) {
+			return new WP_Error( 'invalid_mask', __( 'The mask must be a PNG image.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_decode -- Decoding the mask image sent by the editor.
+		$binary = base64_decode( substr( $mask, strlen( $prefix ) ), true );
+		if ( false === $binary || strlen( $binary ) > self::MAX_MASK_BYTES || "\x89PNG" !== substr( $binary, 0, 4 ) ) {
+			return new WP_Error( 'invalid_mask', __( 'The mask must be a PNG image.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		return $binary;
+	}
+
+	/**
+	 * Writes an inpainting mask to a temporary file for the job to read.
+	 *
+	 * @param string $mask The decoded PNG.
+	 * @return string|WP_Error The file path, or error.
+	 */
+	private function save_mask( $mask ) {
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+
+		$file = wp_tempnam( 'kaigen-mask.png' );
+		if ( ! $file ) {
+			return new WP_Error( 'temp_file_error', __( 'Could not create a temporary file for the mask.', 'kaigen' ), [ 'status' => 500 ] );
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Temporary file read back by the generation job.
+		if ( false === file_put_contents( $file, $mask ) ) {
+			wp_delete_file( $file );
+
+			return new WP_Error( 'temp_file_error', __( 'Could not write the mask to a temporary file.', 'kaigen' ), [ 'status' => 500 ] );
+		}
+
+		return $file;
+	}
+
+	/**
+	 * Reads a job's inpainting mask back as a PNG data URI.
+	 *
+	 * @param array $args Sanitized generation arguments.
+	 * @return string|WP_Error The mask data URI, an empty string when the job has no mask, or error.
+	 */
+	private function load_mask( $args ) {
+		$file = $args['source_mask_file'] ?? '';
+		if ( '' === $file ) {
+			return '';
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Reading the temporary mask file.
+		$mask = is_readable( $file ) ? file_get_contents( $file ) : false;
+		if ( false === $mask ) {
+			return new WP_Error( 'missing_mask', __( 'The mask could not be found. Please paint it again.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Sending the mask to the provider as a data URI.
+		return 'data:image/png;base64,' . base64_encode( $mask );
+	}
+
+	/**
+	 * Deletes a job's temporary mask file.
+	 *
+	 * @param array $args Sanitized generation arguments.
+	 * @return void
+	 */
+	private function delete_mask( $args ) {
+		if ( ! empty( $args['source_mask_file'] ) ) {
+			wp_delete_file( $args['source_mask_file'] );
+		}
+	}
+
+	/**
+	 * Gets the advanced generation arguments the requested provider honors.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @param string[]         $supported_options Supported option names.
+	 * @return array Negative prompt, seed, quality and output MIME type.
+	 */
+	private function get_advanced_args( $request, $supported_options ) {
+		$supports = function ( $option ) use ( $supported_options ) {
+			return in_array( $option, (array) $supported_options, true );
+		};
+
+		$quality   = (string) $request->get_param( 'quality' );
+		$mime_type = (string) $request->get_param( 'output_mime_type' );
+
+		return [
+			'negative_prompt'  => $supports( 'negative_prompt' ) ? sanitize_textarea_field( (string) $request->get_param( 'negative_prompt' ) ) : '',
+			'seed'             => $supports( 'seed' ) ? $this->sanitize_seed( $request->get_param( 'seed' ) ) : null,
+			'quality'          => $supports( 'quality' ) && in_array( $quality, self::QUALITY_OPTIONS, true ) ? $quality : '',
+			'output_mime_type' => $supports( 'output_mime_type' ) && in_array( $mime_type, self::OUTPUT_MIME_TYPES, true ) ? $mime_type : '',
+		];
+	}
+
+	/**
+	 * Sanitizes the requested seed.
+	 *
+	 * A seed is picked when none was sent, so every result can be reproduced.
+	 *
+	 * @param mixed $seed Raw seed.
+	 * @return int Seed between 0 and the maximum.
+	 */
+	private function sanitize_seed( $seed ) {
+		if ( null === $seed || '' === $seed ) {
+			return wp_rand( 0, self::MAX_SEED );
+		}
+
+		return min( absint( $seed ), self::MAX_SEED );
+	}
+
+	/**
+	 * Sanitizes the requested candidate count.
+	 *
+	 * @param mixed $count Raw candidate count.
+	 * @return int Candidate count between 1 and the maximum.
+	 */
+	private function sanitize_candidate_count( $count ) {
+		return min( max( absint( $count ), 1 ), self::MAX_CANDIDATE_COUNT );
+	}
 }
@@ -13,6 +13,34 @@ namespace KaiGen;
  * @package KaiGen
  */
 class Image_Handler {
+	/**
+	 * Attachment meta key holding the settings a generated image was made with.
+	 *
+	 * @var string
+	 */
+	public const GENERATION_META_KEY = 'kaigen_generation';
+
+	/**
+	 * Attachment meta key marking an image as generated by KaiGen.
+	 *
+	 * @var string
+	 */
+	public const GENERATED_META_KEY = 'kaigen_generated';
+
+	/**
+	 * Attachment meta key marking a generated candidate the user has not picked yet.
+	 *
+	 * @var string
+	 */
+	public const CANDIDATE_META_KEY = 'kaigen_candidate';
+
+	/**
+	 * WP-Cron hook deleting the candidates of a generation that were never picked or discarded.
+	 *
+	 * @var string
+	 */
+	public const DISCARD_CANDIDATES_HOOK = 'kaigen_discard_candidates';
+
 	/**
 	 * Supported generated image MIME types.
 	 *
@@ -30,9 +58,10 @@ class Image_Handler {
 	 * @param string $image_data The raw image data or URL.
 	 * @param string $prompt The prompt used to generate the image.
 	 * @param array  $metadata Core AI result metadata.
-	 * @return array|WP_Error Array containing the uploaded image URL and ID, or WP_Error on failure.
+	 * @param array  $crop Optional crop target with width, height and whether the size is exact.
+	 * @return array|WP_Error Array containing the uploaded image URL, ID and alt text, or WP_Error on failure.
 	 */
-	public static function upload_to_media_library( $image_data, $prompt, $metadata = [] ) {
+	public static function upload_to_media_library( $image_data, $prompt, $metadata = [], $crop = [] ) {
 		require_once ABSPATH . 'wp-admin/includes/file.php';
 		require_once ABSPATH . 'wp-admin/includes/media.php';
 		require_once ABSPATH . 'wp-admin/includes/image.php';
@@ -42,6 +71,32 @@ class Image_Handler {
 			return $sideload_file;
 		}
 
+		if ( ! empty( $crop ) ) {
+			$cropped = self::crop_sideload_file( $sideload_file, $crop );
+			if ( is_wp_error( $cropped ) ) {
+				wp_delete_file( $sideload_file['tmp_name'] );
+
+				return $cropped;
+			}
+
+			$sideload_file = $cropped;
+		}
+
+		// Written last, since cropping re-encodes the file and drops its metadata.
+		$has_provenance = Image_Provenance::embed(
+			$sideload_file['tmp_name'],
+			$sideload_file['type'],
+			[
+				'prompt'  => $prompt,
+				'model'   => self::get_metadata_name( $metadata, [ 'model_metadata', 'model', 'provider_metadata', 'provider' ] ),
+				'creator' => wp_get_current_user()->display_name,
+			]
+		);
+		if ( $has_provenance ) {
+			clearstatcache( true, $sideload_file['tmp_name'] );
+			$sideload_file['size'] = filesize( $sideload_file['tmp_name'] );
+		}
+
 		$attachment_id = media_handle_sideload(
 			$sideload_file,
 			0,
@@ -65,14 +120,181 @@ class Image_Handler {
 			]
 		);
 		update_post_meta( $attachment_id, '_wp_attachment_image_alt', wp_strip_all_tags( $prompt ) );
+		update_post_meta( $attachment_id, self::GENERATED_META_KEY, 1 );
 
 		return [
 			'url'    => wp_get_attachment_url( $attachment_id ),
 			'id'     => $attachment_id,
+			'alt'    => wp_strip_all_tags( $prompt ),
 			'status' => 'completed',
 		];
 	}
 
+	/**
+	 * Marks the images of a multi-candidate generation as candidates until the user picks one.
+	 *
+	 * Candidates left unresolved, as when the editor is closed before picking, are deleted after a day.
+	 *
+	 * @param int[] $attachment_ids Candidate attachment IDs.
+	 * @return void
+	 */
+	public static function mark_candidates( $attachment_ids ) {
+		foreach ( $attachment_ids as $attachment_id ) {
+			update_post_meta( $attachment_id, self::CANDIDATE_META_KEY, 1 );
+		}
+
+		wp_schedule_single_event( time() + DAY_IN_SECONDS, self::DISCARD_CANDIDATES_HOOK, [ array_values( $attachment_ids ) ] );
+	}
+
+	/**
+	 * Keeps the candidate the user picked and deletes the ones they did not.
+	 *
+	 * Only attachments still marked as candidates are touched, and only when the user may change them.
+	 *
+	 * @param int[] $discard_ids Candidate attachment IDs to delete.
+	 * @param int   $keep_id Picked candidate attachment ID, or 0 when none was picked.
+	 * @return int[] IDs of the deleted attachments.
+	 */
+	public static function resolve_candidates( $discard_ids, $keep_id = 0 ) {
+		if ( $keep_id && self::is_candidate( $keep_id ) && current_user_can( 'edit_post', $keep_id ) ) {
+			delete_post_meta( $keep_id, self::CANDIDATE_META_KEY );
+		}
+
+		$deleted = [];
+		foreach ( array_map( 'absint', (array) $discard_ids ) as $attachment_id ) {
+			if ( $attachment_id !== $keep_id && self::is_candidate( $attachment_id ) && current_user_can( 'delete_post', $attachment_id ) ) {
+				wp_delete_attachment( $attachment_id, true );
+				$deleted[] = $attachment_id;
+			}
+		}
+
+		return $deleted;
+	}
+
+	/**
+	 * Deletes the candidates of a generation that are still unresolved.
+	 *
+	 * @param int[] $attachment_ids Candidate attachment IDs.
+	 * @return void
+	 */
+	public static function discard_candidates( $attachment_ids ) {
+		foreach ( array_map( 'absint', (array) $attachment_ids ) as $attachment_id ) {
+			if ( self::is_candidate( $attachment_id ) ) {
+				wp_delete_attachment( $attachment_id, true );
+			}
+		}
+	}
+
+	/**
+	 * Checks whether an attachment is a candidate the user has not picked yet.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool Whether the attachment is an unresolved candidate.
+	 */
+	private static function is_candidate( $attachment_id ) {
+		return 1 === absint( get_post_meta( $attachment_id, self::CANDIDATE_META_KEY, true ) );
+	}
+
+	/**
+	 * Records the settings an image was generated with on its attachment.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $args Sanitized generation arguments.
+	 * @param array $metadata Core AI result metadata.
+	 * @return void
+	 */
+	public static function record_generation_details( $attachment_id, $args, $metadata = [] ) {
+		$crop = [];
+		if ( ! empty( $args['crop'] ) ) {
+			$crop = [
+				'width'  => absint( $args['crop']['width'] ),
+				'height' => absint( $args['crop']['height'] ),
+				'exact'  => ! empty( $args['crop']['exact'] ),
+			];
+		}
+
+		update_post_meta(
+			$attachment_id,
+			self::GENERATION_META_KEY,
+			[
+				'prompt'           => sanitize_textarea_field( (string) ( $args['prompt'] ?? '' ) ),
+				'provider'         => '' !== ( $args['provider'] ?? '' ) ? sanitize_key( $args['provider'] ) : 'auto',
+				'provider_name'    => self::get_metadata_name( $metadata, [ 'provider_metadata', 'provider' ] ),
+				'model'            => self::get_metadata_name( $metadata, [ 'model_metadata', 'model' ] ),
+				'orientation'      => sanitize_key( (string) ( $args['orientation'] ?? 'square' ) ),
+				'source_image_ids' => array_values( array_filter( array_map( 'absint', (array) ( $args['source_image_ids'] ?? [] ) ) ) ),
+				'preset_id'        => sanitize_text_field( (string) ( $args['preset']['id'] ?? '' ) ),
+				'negative_prompt'  => sanitize_textarea_field( (string) ( $args['negative_prompt'] ?? '' ) ),
+				'seed'             => isset( $args['seed'] ) ? absint( $args['seed'] ) : null,
+				'quality'          => sanitize_key( (string) ( $args['quality'] ?? '' ) ),
+				'output_mime_type' => sanitize_mime_type( (string) ( $args['output_mime_type'] ?? '' ) ),
+				'crop'             => $crop,
+				'user_id'          => get_current_user_id(),
+				'user_name'        => wp_get_current_user()->display_name,
+				'created'          => time(),
+			]
+		);
+	}
+
+	/**
+	 * Gets a display name from possible metadata locations.
+	 *
+	 * @param array $metadata Core AI result metadata.
+	 * @param array $keys Possible top-level metadata keys.
+	 * @return string Metadata display name.
+	 */
+	public static function get_metadata_name( $metadata, $keys ) {
+		foreach ( $keys as $key ) {
+			if ( empty( $metadata[ $key ] ) ) {
+				continue;
+			}
+
+			if ( is_array( $metadata[ $key ] ) ) {
+				if ( ! empty( $metadata[ $key ]['name'] ) ) {
+					return sanitize_text_field( (string) $metadata[ $key ]['name'] );
+				}
+
+				if ( ! empty( $metadata[ $key ]['id'] ) ) {
+					return sanitize_text_field( (string) $metadata[ $key ]['id'] );
+				}
+			}
+
+			if ( is_string( $metadata[ $key ] ) ) {
+				return sanitize_text_field( $metadata[ $key ] );
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Resolves attachment IDs into image objects, skipping deleted attachments.
+	 *
+	 * @param int[] $attachment_ids Attachment IDs.
+	 * @return array Image objects.
+	 */
+	public static function get_image_summaries( $attachment_ids ) {
+		$images = [];
+
+		foreach ( (array) $attachment_ids as $attachment_id ) {
+			$url = wp_get_attachment_url( $attachment_id );
+			if ( ! $url ) {
+				continue;
+			}
+
+			$thumbnail = wp_get_attachment_image_src( $attachment_id, 'thumbnail' );
+
+			$images[] = [
+				'id'            => $attachment_id,
+				'url'           => $url,
+				'thumbnail_url' => $thumbnail ? $thumbnail[0] : $url,
+				'alt'           => get_post_meta( $attachment_id, '_wp_attachment_image_alt', true ),
+			];
+		}
+
+		return $images;
+	}
+
 	/**
 	 * Prepares generated image data as a sideload file for WordPress media helpers.
 	 *
@@ -88,6 +310,58 @@ class Image_Handler {
 		return self::prepare_inline_sideload_file( $image_data, $prompt );
 	}
 
+	/**
+	 * Center-crops a sideload file to the target aspect ratio, scaling it when an exact size was requested.
+	 *
+	 * @param array $sideload_file Sideload file array.
+	 * @param array $crop Crop target with width, height and whether the size is exact.
+	 * @return array|\WP_Error Updated sideload file array or WP_Error on failure.
+	 */
+	private static function crop_sideload_file( $sideload_file, $crop ) {
+		$editor = wp_get_image_editor( $sideload_file['tmp_name'] );
+		if ( is_wp_error( $editor ) ) {
+			return $editor;
+		}
+
+		$size         = $editor->get_size();
+		$target_ratio = $crop['width'] / $crop['height'];
+		$crop_width   = $size['width'];
+		$crop_height  = $size['height'];
+
+		if ( $size['width'] / $size['height'] > $target_ratio ) {
+			$crop_width = (int) round( $size['height'] * $target_ratio );
+		} else {
+			$crop_height = (int) round( $size['width'] / $target_ratio );
+		}
+
+		$cropped = $editor->crop(
+			(int) floor( ( $size['width'] - $crop_width ) / 2 ),
+			(int) floor( ( $size['height'] - $crop_height ) / 2 ),
+			$crop_width,
+			$crop_height,
+			! empty( $crop['exact'] ) ? $crop['width'] : null,
+			! empty( $crop['exact'] ) ? $crop['height'] : null
+		);
+		if ( is_wp_error( $cropped ) ) {
+			return $cropped;
+		}
+
+		$saved = $editor->save( $sideload_file['tmp_name'], $sideload_file['type'] );
+		if ( is_wp_error( $saved ) ) {
+			return $saved;
+		}
+
+		// Image editors may append an extension, so follow the file they actually wrote.
+		if ( $saved['path'] !== $sideload_file['tmp_name'] ) {
+			wp_delete_file( $sideload_file['tmp_name'] );
+		}
+
+		$sideload_file['tmp_name'] = $saved['path'];
+		$sideload_file['size']     = filesize( $saved['path'] );
+
+		return $sideload_file;
+	}
+
 	/**
 	 * Downloads a remote generated image into a temporary sideload file.
 	 *
@@ -183,20 +457,14 @@ class Image_Handler {
 	}
 
 	/**
-	 * Builds a generated image filename from the prompt and image extension.
+	 * Builds a generated image filename from the site's filename pattern and the image extension.
 	 *
 	 * @param string $prompt The generation prompt.
 	 * @param string $extension The image file extension.
 	 * @return string Generated image filename.
 	 */
 	private static function build_filename( $prompt, $extension ) {
-		$prompt_slug = substr( sanitize_title( $prompt ), 0, 50 );
-
-		if ( '' === $prompt_slug ) {
-			$prompt_slug = 'image';
-		}
-
-		return sprintf( 'ai-%1$s.%2$s', $prompt_slug, $extension );
+		return Settings::build_filename( $prompt ) . '.' . $extension;
 	}
 
 	/**
@@ -256,35 +524,4 @@ class Image_Handler {
 			wp_strip_all_tags( $prompt )
 		);
 	}
-
-	/**
-	 * Gets a display name from possible metadata locations.
-	 *
-	 * @param array $metadata Core AI result metadata.
-	 * @param array $keys Possible top-level metadata keys.
-	 * @return string Metadata display name.
-	 */
-	private static function get_metadata_name( $metadata, $keys ) {
-		foreach ( $keys as $key ) {
-			if ( empty( $metadata[ $key ] ) ) {
-				continue;
-			}
-
-			if ( is_array( $metadata[ $key ] ) ) {
-				if ( ! empty( $metadata[ $key ]['name'] ) ) {
-					return sanitize_text_field( (string) $metadata[ $key ]['name'] );
-				}
-
-				if ( ! empty( $metadata[ $key ]['id'] ) ) {
-					return sanitize_text_field( (string) $metadata[ $key ]['id'] );
-				}
-			}
-
-			if ( is_string( $metadata[ $key ] ) ) {
-				return sanitize_text_field( $metadata[ $key ] );
-			}
-		}
-
-		return '';
-	}
 }
@@ -0,0 +1,297 @@
+<?php
+/**
+ * Embedded AI provenance for KaiGen images.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+/**
+ * Writes and reads the IPTC "AI-generated" XMP packet carried inside generated image files,
+ * so the origin survives downloads and syndication.
+ */
+class Image_Provenance {
+	/**
+	 * IPTC digital source type for media created by a trained model.
+	 *
+	 * @var string
+	 */
+	public const DIGITAL_SOURCE_TYPE = 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia';
+
+	/**
+	 * Namespace that prefixes XMP in a JPEG APP1 segment.
+	 *
+	 * @var string
+	 */
+	private const JPEG_XMP_NAMESPACE = "http://ns.adobe.com/xap/1.0/\0";
+
+	/**
+	 * Keyword of the PNG iTXt chunk holding XMP.
+	 *
+	 * @var string
+	 */
+	private const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+	/**
+	 * VP8X flag marking a WebP file as carrying XMP.
+	 *
+	 * @var int
+	 */
+	private const WEBP_XMP_FLAG = 0x04;
+
+	/**
+	 * VP8X flag marking a WebP file as having transparency.
+	 *
+	 * @var int
+	 */
+	private const WEBP_ALPHA_FLAG = 0x10;
+
+	/**
+	 * Embeds provenance into a JPEG, PNG or WebP file in place.
+	 * Files that already carry XMP, such as provenance written by the provider, are left alone.
+	 *
+	 * @param string $path Image file path.
+	 * @param string $mime_type Image MIME type.
+	 * @param array  $fields {
+	 *     Provenance fields.
+	 *
+	 *     @type string $prompt  The generation prompt.
+	 *     @type string $model   The model or provider that made the image.
+	 *     @type string $creator The person who generated the image.
+	 * }
+	 * @return bool Whether provenance was written.
+	 */
+	public static function embed( $path, $mime_type, $fields ) {
+		/**
+		 * Filters whether generated images get AI provenance embedded in their files.
+		 *
+		 * @param bool   $embed Whether to embed provenance.
+		 * @param string $mime_type Image MIME type.
+		 */
+		if ( ! apply_filters( 'kaigen_embed_image_provenance', true, $mime_type ) ) {
+			return false;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Reads a local temporary sideload file.
+		$data = file_get_contents( $path );
+		if ( false === $data || false !== strpos( $data, '<x:xmpmeta' ) ) {
+			return false;
+		}
+
+		$xmp = self::build_xmp( $fields );
+
+		switch ( $mime_type ) {
+			case 'image/jpeg':
+				$data = self::embed_in_jpeg( $data, $xmp );
+				break;
+			case 'image/png':
+				$data = self::embed_in_png( $data, $xmp );
+				break;
+			case 'image/webp':
+				$data = self::embed_in_webp( $data, $xmp, $path );
+				break;
+			default:
+				$data = null;
+		}
+
+		if ( null === $data ) {
+			return false;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Rewrites a local temporary sideload file.
+		return false !== file_put_contents( $path, $data );
+	}
+
+	/**
+	 * Reads embedded AI provenance from an attachment's original file.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Provenance with digital_source_type, prompt, model and creator, or null when the file carries none.
+	 */
+	public static function read( $attachment_id ) {
+		$path = wp_get_original_image_path( $attachment_id );
+		if ( ! $path || ! is_readable( $path ) ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Reads a local media library file.
+		$data = file_get_contents( $path );
+		if ( false === $data ) {
+			return null;
+		}
+
+		$start = strpos( $data, '<x:xmpmeta' );
+		$end   = false === $start ? false : strpos( $data, '</x:xmpmeta>', $start );
+		if ( false === $end ) {
+			return null;
+		}
+
+		$xmp         = substr( $data, $start, $end - $start );
+		$source_type = self::read_xmp_value( $xmp, 'Iptc4xmpExt:DigitalSourceType' );
+		if ( '' === $source_type ) {
+			return null;
+		}
+
+		return [
+			'digital_source_type' => $source_type,
+			// Also matches compositeWithTrainedAlgorithmicMedia, for images partly made by a model.
+			'is_ai_generated'     => false !== stripos( $source_type, 'trainedAlgorithmicMedia' ),
+			'prompt'              => self::read_xmp_value( $xmp, 'Iptc4xmpExt:AIPromptInformation' ),
+			'model'               => self::read_xmp_value( $xmp, 'Iptc4xmpExt:AISystemUsed' ),
+			'creator'             => self::read_xmp_value( $xmp, 'dc:creator' ),
+		];
+	}
+
+	/**
+	 * Builds the XMP packet.
+	 *
+	 * @param array $fields Provenance fields with prompt, model and creator.
+	 * @return string XMP packet.
+	 */
+	private static function build_xmp( $fields ) {
+		$prompt  = esc_xml( wp_strip_all_tags( (string) ( $fields['prompt'] ?? '' ) ) );
+		$model   = esc_xml( (string) ( $fields['model'] ?? '' ) );
+		$creator = esc_xml( (string) ( $fields['creator'] ?? '' ) );
+
+		$properties = '<Iptc4xmpExt:DigitalSourceType>' . self::DIGITAL_SOURCE_TYPE . '</Iptc4xmpExt:DigitalSourceType>'
+			. '<xmp:CreatorTool>KaiGen</xmp:CreatorTool>';
+
+		if ( '' !== $prompt ) {
+			$properties .= '<Iptc4xmpExt:AIPromptInformation>' . $prompt . '</Iptc4xmpExt:AIPromptInformation>'
+				. '<dc:description><rdf:Alt><rdf:li xml:lang="x-default">' . $prompt . '</rdf:li></rdf:Alt></dc:description>';
+		}
+
+		if ( '' !== $model ) {
+			$properties .= '<Iptc4xmpExt:AISystemUsed>' . $model . '</Iptc4xmpExt:AISystemUsed>';
+		}
+
+		if ( '' !== $creator ) {
+			$properties .= '<dc:creator><rdf:Seq><rdf:li>' . $creator . '</rdf:li></rdf:Seq></dc:creator>';
+		}
+
+		return '<?xpacket begin="' . "\u{FEFF}" . '" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+			. '<x:xmpmeta xmlns:x="adobe:ns:meta/">'
+			. '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+			. '<rdf:Description rdf:about=""'
+			. ' xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/"'
+			. ' xmlns:dc="http://purl.org/dc/elements/1.1/"'
+			. ' xmlns:xmp="http://ns.adobe.com/xap/1.0/">'
+			. $properties
+			. '</rdf:Description>'
+			. '</rdf:RDF>'
+			. '</x:xmpmeta>'
+			. '<?xpacket end="w"?>';
+	}
+
+	/**
+	 * Reads a property's text from an XMP packet, including the first item of an rdf list.
+	 *
+	 * @param string $xmp XMP packet.
+	 * @param string $property Prefixed property name.
+	 * @return string The decoded value, or an empty string.
+	 */
+	private static function read_xmp_value( $xmp, $property ) {
+		$name = preg_quote( $property, '/' );
+
+		// Properties may be elements or, as some tools write them, attributes of rdf:Description.
+		if ( preg_match( '/<' . $name . '(?:\s[^>]*)?>(.*?)<\/' . $name . '>/s', $xmp, $matches ) ) {
+			$value = $matches[1];
+			if ( preg_match( '/<rdf:li(?:\s[^>]*)?>(.*?)<\/rdf:li>/s', $value, $item ) ) {
+				$value = $item[1];
+			}
+		} elseif ( preg_match( '/\s' . $name . '="([^"]*)"/', $xmp, $matches ) ) {
+			$value = $matches[1];
+		} else {
+			return '';
+		}
+
+		return trim( html_entity_decode( wp_strip_all_tags( $value ), ENT_QUOTES | ENT_XML1, 'UTF-8' ) );
+	}
+
+	/**
+	 * Adds an XMP APP1 segment to JPEG data, after any JFIF header.
+	 *
+	 * @param string $data JPEG file contents.
+	 * @param string $xmp XMP packet.
+	 * @return string|null The new file contents, or null when the data or packet does not fit.
+	 */
+	private static function embed_in_jpeg( $data, $xmp ) {
+		$payload = self::JPEG_XMP_NAMESPACE . $xmp;
+		if ( "\xFF\xD8" !== substr( $data, 0, 2 ) || strlen( $payload ) + 2 > 0xFFFF ) {
+			return null;
+		}
+
+		$offset = 2;
+		if ( "\xFF\xE0" === substr( $data, 2, 2 ) ) {
+			$offset += 2 + unpack( 'n', substr( $data, 4, 2 ) )[1];
+		}
+
+		$segment = "\xFF\xE1" . pack( 'n', strlen( $payload ) + 2 ) . $payload;
+
+		return substr( $data, 0, $offset ) . $segment . substr( $data, $offset );
+	}
+
+	/**
+	 * Adds an XMP iTXt chunk to PNG data, right after the IHDR chunk.
+	 *
+	 * @param string $data PNG file contents.
+	 * @param string $xmp XMP packet.
+	 * @return string|null The new file contents, or null when the data is not a PNG.
+	 */
+	private static function embed_in_png( $data, $xmp ) {
+		if ( "\x89PNG\r\n\x1a\n" !== substr( $data, 0, 8 ) || 'IHDR' !== substr( $data, 12, 4 ) ) {
+			return null;
+		}
+
+		// Signature, then the IHDR length, type, 13 data bytes and CRC.
+		$offset = 8 + 4 + 4 + unpack( 'N', substr( $data, 8, 4 ) )[1] + 4;
+		$body   = 'iTXt' . self::PNG_XMP_KEYWORD . "\0\0\0\0\0" . $xmp;
+		$chunk  = pack( 'N', strlen( $body ) - 4 ) . $body . pack( 'N', crc32( $body ) );
+
+		return substr( $data, 0, $offset ) . $chunk . substr( $data, $offset );
+	}
+
+	/**
+	 * Adds an XMP chunk to WebP data, converting simple files to the extended format that can carry it.
+	 *
+	 * @param string $data WebP file contents.
+	 * @param string $xmp XMP packet.
+	 * @param string $path Image file path, used to read the canvas size.
+	 * @return string|null The new file contents, or null when the data is not a WebP.
+	 */
+	private static function embed_in_webp( $data, $xmp, $path ) {
+		if ( 'RIFF' !== substr( $data, 0, 4 ) || 'WEBP' !== substr( $data, 8, 4 ) ) {
+			return null;
+		}
+
+		$first_chunk = substr( $data, 12, 4 );
+		$chunks      = substr( $data, 12 );
+
+		if ( 'VP8X' === $first_chunk ) {
+			$chunks[8] = chr( ord( $chunks[8] ) | self::WEBP_XMP_FLAG );
+		} elseif ( 'VP8 ' === $first_chunk || 'VP8L' === $first_chunk ) {
+			$size = getimagesize( $path );
+			if ( ! $size ) {
+				return null;
+			}
+
+			$flags = self::WEBP_XMP_FLAG;
+			// A lossless bitstream records whether it uses alpha in bit 28 of its header.
+			if ( 'VP8L' === $first_chunk && ( unpack( 'V', substr( $data, 21, 4 ) )[1] >> 28 ) & 1 ) {
+				$flags |= self::WEBP_ALPHA_FLAG;
+			}
+
+			$chunks = 'VP8X' . pack( 'V', 10 ) . chr( $flags ) . "\0\0\0"
+				. substr( pack( 'V', $size[0] - 1 ), 0, 3 )
+				. substr( pack( 'V', $size[1] - 1 ), 0, 3 )
+				. $chunks;
+		} else {
+			return null;
+		}
+
+		$chunks .= 'XMP ' . pack( 'V', strlen( $xmp ) ) . $xmp . ( strlen( $xmp ) % 2 ? "\0" : '' );
+
+		return 'RIFF' . pack( 'V', strlen( $chunks ) + 4 ) . 'WEBP' . $chunks;
+	}
+}
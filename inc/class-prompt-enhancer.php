@@ -0,0 +1,89 @@
+<?php
+/**
+ * Prompt enhancement for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+use WP_Error;
+
+/**
+ * Expands short image prompts through the WordPress AI Client's text generation.
+ */
+final class Prompt_Enhancer {
+	/**
+	 * Maximum length of an enhanced prompt, in characters.
+	 *
+	 * @var int
+	 */
+	private const MAX_PROMPT_LENGTH = 2000;
+
+	/**
+	 * Rewrites an image prompt with composition, lighting and style detail.
+	 *
+	 * @param string $prompt The prompt to enhance.
+	 * @return string|WP_Error The enhanced prompt, or error.
+	 */
+	public function enhance( $prompt ) {
+		if ( ! function_exists( 'wp_ai_client_prompt' ) ) {
+			return new WP_Error(
+				'ai_client_unavailable',
+				__( 'WordPress AI Client is not available.', 'kaigen' ),
+				[ 'status' => 501 ]
+			);
+		}
+
+		$prompt = trim( (string) $prompt );
+		if ( '' === $prompt ) {
+			return new WP_Error( 'missing_prompt', __( 'Prompt is required.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		try {
+			$builder = wp_ai_client_prompt()
+				->with_text( $prompt )
+				->using_system_instruction( $this->get_system_instruction() );
+
+			if ( ! $builder->is_supported_for_text_generation() ) {
+				return new WP_Error(
+					'text_generation_not_supported',
+					__( 'No configured WordPress AI provider supports text generation.', 'kaigen' ),
+					[ 'status' => 400 ]
+				);
+			}
+
+			$enhanced = $builder->generate_text();
+		} catch ( \Throwable $e ) {
+			return new WP_Error( 'ai_enhancement_failed', $e->getMessage(), [ 'status' => 500 ] );
+		}
+
+		if ( is_wp_error( $enhanced ) ) {
+			return $enhanced;
+		}
+
+		// Models sometimes wrap the answer in quotes despite the instruction.
+		$enhanced = sanitize_textarea_field( trim( (string) $enhanced, " \t\n\r\0\x0B\"'" ) );
+		if ( '' === $enhanced ) {
+			return new WP_Error( 'ai_enhancement_failed', __( 'The AI Client returned an empty prompt.', 'kaigen' ), [ 'status' => 500 ] );
+		}
+
+		return mb_substr( $enhanced, 0, self::MAX_PROMPT_LENGTH );
+	}
+
+	/**
+	 * Gets the instruction that tells the text model how to rewrite prompts.
+	 *
+	 * @return string System instruction.
+	 */
+	private function get_system_instruction() {
+		$instruction = __( 'You rewrite short image generation prompts into detailed ones. Keep the subject and intent of the original prompt, and add concrete detail about composition, camera angle, lighting, color palette and artistic style. Reply with the rewritten prompt only, as a single paragraph under 120 words, without quotes or commentary.', 'kaigen' );
+
+		/**
+		 * Filters the instruction used to enhance image prompts.
+		 *
+		 * @param string $instruction System instruction sent to the text model.
+		 */
+		return (string) apply_filters( 'kaigen_enhance_prompt_instruction', $instruction );
+	}
+}
@@ -0,0 +1,166 @@
+<?php
+/**
+ * Per-user prompt history for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+/**
+ * Stores the generation settings each user has used so they can be restored.
+ */
+class Prompt_History {
+	/**
+	 * User meta key holding the history entries.
+	 *
+	 * @var string
+	 */
+	public const META_KEY = 'kaigen_prompt_history';
+
+	/**
+	 * Maximum number of entries kept per user.
+	 *
+	 * @var int
+	 */
+	private const MAX_ENTRIES = 50;
+
+	/**
+	 * Records a successful generation for a user.
+	 *
+	 * @param int   $user_id User ID.
+	 * @param array $entry {
+	 *     Generation settings and results.
+	 *
+	 *     @type string $prompt           The prompt text.
+	 *     @type string $provider         Provider ID, or auto.
+	 *     @type string $orientation      Requested orientation.
+	 *     @type int    $count            Number of requested candidates.
+	 *     @type int[]  $source_image_ids Reference attachment IDs.
+	 *     @type string $preset_id        Applied style preset ID, or an empty string.
+	 *     @type string $negative_prompt  Negative prompt, or an empty string.
+	 *     @type int    $seed             Seed the provider used, or null.
+	 *     @type string $quality          Quality tier, or an empty string for the provider default.
+	 *     @type string $output_mime_type Output MIME type, or an empty string for the provider default.
+	 *     @type array  $crop             Requested output shape (width, height, exact), or an empty array.
+	 *     @type int[]  $attachment_ids   Generated attachment IDs.
+	 * }
+	 * @return void
+	 */
+	public static function add_entry( $user_id, $entry ) {
+		$user_id = absint( $user_id );
+		if ( ! $user_id ) {
+			return;
+		}
+
+		$entries = self::get_raw_entries( $user_id );
+
+		array_unshift(
+			$entries,
+			[
+				'id'               => wp_generate_uuid4(),
+				'prompt'           => sanitize_textarea_field( (string) ( $entry['prompt'] ?? '' ) ),
+				'provider'         => sanitize_key( (string) ( $entry['provider'] ?? 'auto' ) ),
+				'orientation'      => sanitize_key( (string) ( $entry['orientation'] ?? 'square' ) ),
+				'count'            => absint( $entry['count'] ?? 1 ),
+				'source_image_ids' => array_values( array_filter( array_map( 'absint', (array) ( $entry['source_image_ids'] ?? [] ) ) ) ),
+				'preset_id'        => sanitize_text_field( (string) ( $entry['preset_id'] ?? '' ) ),
+				'negative_prompt'  => sanitize_textarea_field( (string) ( $entry['negative_prompt'] ?? '' ) ),
+				'seed'             => isset( $entry['seed'] ) ? absint( $entry['seed'] ) : null,
+				'quality'          => sanitize_key( (string) ( $entry['quality'] ?? '' ) ),
+				'output_mime_type' => sanitize_mime_type( (string) ( $entry['output_mime_type'] ?? '' ) ),
+				'crop'             => self::sanitize_crop( $entry['crop'] ?? [] ),
+				'attachment_ids'   => array_values( array_filter( array_map( 'absint', (array) ( $entry['attachment_ids'] ?? [] ) ) ) ),
+				'created'          => time(),
+			]
+		);
+
+		update_user_meta( $user_id, self::META_KEY, array_slice( $entries, 0, self::MAX_ENTRIES ) );
+	}
+
+	/**
+	 * Gets a user's history entries with reference and result images resolved.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array History entries, newest first.
+	 */
+	public static function get_entries( $user_id ) {
+		return array_map(
+			function ( $entry ) {
+				$entry['reference_images'] = Image_Handler::get_image_summaries( $entry['source_image_ids'] );
+				$entry['images']           = Image_Handler::get_image_summaries( $entry['attachment_ids'] );
+
+				return $entry;
+			},
+			self::get_raw_entries( $user_id )
+		);
+	}
+
+	/**
+	 * Deletes a single history entry.
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $entry_id History entry ID.
+	 * @return bool Whether an entry was deleted.
+	 */
+	public static function delete_entry( $user_id, $entry_id ) {
+		$entries  = self::get_raw_entries( $user_id );
+		$filtered = array_values(
+			array_filter(
+				$entries,
+				function ( $entry ) use ( $entry_id ) {
+					return $entry['id'] !== $entry_id;
+				}
+			)
+		);
+
+		if ( count( $filtered ) === count( $entries ) ) {
+			return false;
+		}
+
+		update_user_meta( absint( $user_id ), self::META_KEY, $filtered );
+
+		return true;
+	}
+
+	/**
+	 * Sanitizes a requested output shape.
+	 *
+	 * @param mixed $crop Raw crop target.
+	 * @return array Crop target with width, height and exact, or an empty array.
+	 */
+	private static function sanitize_crop( $crop ) {
+		if ( ! is_array( $crop ) || empty( $crop['width'] ) || empty( $crop['height'] ) ) {
+			return [];
+		}
+
+		return [
+			'width'  => absint( $crop['width'] ),
+			'height' => absint( $crop['height'] ),
+			'exact'  => ! empty( $crop['exact'] ),
+		];
+	}
+
+	/**
+	 * Gets the stored history entries for a user.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array Stored entries.
+	 */
+	private static function get_raw_entries( $user_id ) {
+		$entries = get_user_meta( absint( $user_id ), self::META_KEY, true );
+
+		if ( ! is_array( $entries ) ) {
+			return [];
+		}
+
+		return array_values(
+			array_filter(
+				$entries,
+				function ( $entry ) {
+					return is_array( $entry ) && ! empty( $entry['id'] );
+				}
+			)
+		);
+	}
+}
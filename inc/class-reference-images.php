@@ -0,0 +1,311 @@
+<?php
+/**
+ * Reference image library for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+use WP_Error;
+
+/**
+ * Finds, adds and tracks the media library images marked as KaiGen references.
+ *
+ * The library is shared: anyone who can upload files may list every reference image and generate with it.
+ * Only someone who can edit an image may add it to the library.
+ */
+class Reference_Images {
+	/**
+	 * Attachment meta key marking an image as a reference.
+	 *
+	 * @var string
+	 */
+	public const META_KEY = 'kaigen_reference_image';
+
+	/**
+	 * Attachment meta key counting the generations an image was used as a reference in.
+	 *
+	 * @var string
+	 */
+	public const USAGE_META_KEY = 'kaigen_reference_usage_count';
+
+	/**
+	 * Attachment taxonomy grouping reference images into named collections.
+	 *
+	 * @var string
+	 */
+	public const COLLECTION_TAXONOMY = 'kaigen_reference_collection';
+
+	/**
+	 * Accepted sort orders.
+	 *
+	 * @var string[]
+	 */
+	public const ORDERBY_OPTIONS = [ 'date', 'usage' ];
+
+	/**
+	 * Largest page size.
+	 *
+	 * @var int
+	 */
+	public const MAX_PER_PAGE = 100;
+
+	/**
+	 * Finds a page of the reference images the current user can read.
+	 *
+	 * @param array $args {
+	 *     Query arguments.
+	 *
+	 *     @type string $search     Text to match against the title, caption and description.
+	 *     @type int    $page       1-based page number.
+	 *     @type int    $per_page   Images per page.
+	 *     @type string $orderby    date for newest first, or usage for most used first.
+	 *     @type int    $collection Optional collection term ID to limit the results to.
+	 * }
+	 * @return array {
+	 *     @type array $images      Image objects.
+	 *     @type int   $total       Number of matching images.
+	 *     @type int   $total_pages Number of pages.
+	 * }
+	 */
+	public static function query( $args = [] ) {
+		$per_page = min( max( absint( $args['per_page'] ?? 20 ), 1 ), self::MAX_PER_PAGE );
+		$orderby  = in_array( $args['orderby'] ?? '', self::ORDERBY_OPTIONS, true ) ? $args['orderby'] : 'date';
+
+		$query_args = [
+			'post_type'      => 'attachment',
+			'post_status'    => 'inherit',
+			'post_mime_type' => 'image',
+			'posts_per_page' => $per_page,
+			'paged'          => max( absint( $args['page'] ?? 1 ), 1 ),
+			's'              => sanitize_text_field( (string) ( $args['search'] ?? '' ) ),
+			// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- References are flagged with meta.
+			'meta_query'     => [
+				'relation' => 'AND',
+				[
+					'key'   => self::META_KEY,
+					'value' => 1,
+				],
+			],
+			'orderby'        => [ 'date' => 'DESC' ],
+		];
+
+		$collection = absint( $args['collection'] ?? 0 );
+		if ( $collection ) {
+			// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query -- Collections are a taxonomy.
+			$query_args['tax_query'] = [
+				[
+					'taxonomy' => self::COLLECTION_TAXONOMY,
+					'field'    => 'term_id',
+					'terms'    => $collection,
+				],
+			];
+		}
+
+		if ( 'usage' === $orderby ) {
+			// Images never used have no counter, so match them too and let them sort last.
+			$query_args['meta_query'][] = [
+				'relation' => 'OR',
+				'usage'    => [
+					'key'     => self::USAGE_META_KEY,
+					'type'    => 'NUMERIC',
+					'compare' => 'EXISTS',
+				],
+				[
+					'key'     => self::USAGE_META_KEY,
+					'compare' => 'NOT EXISTS',
+				],
+			];
+			$query_args['orderby']      = [
+				'usage' => 'DESC',
+				'date'  => 'DESC',
+			];
+		}
+
+		$query = new \WP_Query( $query_args );
+
+		// Images attached to a post the user cannot read, such as a private one, are left out.
+		$image_ids = wp_list_pluck( $query->posts, 'ID' );
+		$readable  = array_values(
+			array_filter(
+				$image_ids,
+				function ( $image_id ) {
+					return current_user_can( 'read_post', $image_id );
+				}
+			)
+		);
+
+		return [
+			'images'      => Image_Handler::get_image_summaries( $readable ),
+			'total'       => (int) $query->found_posts - ( count( $image_ids ) - count( $readable ) ),
+			'total_pages' => (int) $query->max_num_pages,
+		];
+	}
+
+	/**
+	 * Checks whether an attachment is an image in the reference library.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool Whether the attachment is a reference image.
+	 */
+	public static function is_reference( $attachment_id ) {
+		return wp_attachment_is_image( $attachment_id ) && 1 === absint( get_post_meta( $attachment_id, self::META_KEY, true ) );
+	}
+
+	/**
+	 * Adds an uploaded file to the media library and marks it as a reference.
+	 *
+	 * @param string $file_key Key of the file in the $_FILES array.
+	 * @return array|WP_Error The image object, or error.
+	 */
+	public static function upload( $file_key ) {
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+		require_once ABSPATH . 'wp-admin/includes/media.php';
+		require_once ABSPATH . 'wp-admin/includes/image.php';
+
+		$attachment_id = media_handle_upload( $file_key, 0, [], [ 'test_form' => false ] );
+		if ( is_wp_error( $attachment_id ) ) {
+			return new WP_Error( 'reference_upload_failed', $attachment_id->get_error_message(), [ 'status' => 400 ] );
+		}
+
+		if ( ! wp_attachment_is_image( $attachment_id ) ) {
+			wp_delete_attachment( $attachment_id, true );
+
+			return new WP_Error( 'invalid_reference_file', __( 'Reference images must be image files.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		update_post_meta( $attachment_id, self::META_KEY, 1 );
+
+		$images = Image_Handler::get_image_summaries( [ $attachment_id ] );
+
+		return $images[0];
+	}
+
+	/**
+	 * Registers the reference collection taxonomy.
+	 *
+	 * Any user who can upload files may create collections and file images in them.
+	 *
+	 * @return void
+	 */
+	public static function register_collection_taxonomy() {
+		register_taxonomy(
+			self::COLLECTION_TAXONOMY,
+			'attachment',
+			[
+				'labels'                => [
+					'name'          => __( 'Reference Collections', 'kaigen' ),
+					'singular_name' => __( 'Reference Collection', 'kaigen' ),
+				],
+				'public'                => false,
+				'show_ui'               => true,
+				'show_admin_column'     => true,
+				'show_in_rest'          => false,
+				'hierarchical'          => false,
+				'rewrite'               => false,
+				'capabilities'          => [
+					'manage_terms' => 'upload_files',
+					'edit_terms'   => 'upload_files',
+					'delete_terms' => 'manage_options',
+					'assign_terms' => 'upload_files',
+				],
+				'update_count_callback' => '_update_generic_term_count',
+			]
+		);
+	}
+
+	/**
+	 * Gets every reference collection.
+	 *
+	 * @return array Collections with id, name and the number of images in each.
+	 */
+	public static function get_collections() {
+		$terms = get_terms(
+			[
+				'taxonomy'   => self::COLLECTION_TAXONOMY,
+				'hide_empty' => false,
+				'orderby'    => 'name',
+			]
+		);
+
+		if ( is_wp_error( $terms ) ) {
+			return [];
+		}
+
+		return array_map(
+			function ( $term ) {
+				return [
+					'id'    => (int) $term->term_id,
+					'name'  => $term->name,
+					'count' => (int) $term->count,
+				];
+			},
+			$terms
+		);
+	}
+
+	/**
+	 * Gets the names of the collections an attachment belongs to.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return string[] Collection names.
+	 */
+	public static function get_attachment_collections( $attachment_id ) {
+		$names = wp_get_object_terms( absint( $attachment_id ), self::COLLECTION_TAXONOMY, [ 'fields' => 'names' ] );
+
+		return is_wp_error( $names ) ? [] : $names;
+	}
+
+	/**
+	 * Files an attachment in the named collections, creating collections that do not exist yet.
+	 * An image in any collection is also marked as a reference image.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param string[] $names Collection names; an empty list removes the image from every collection.
+	 * @return string[]|WP_Error The attachment's collection names, or error.
+	 */
+	public static function set_attachment_collections( $attachment_id, $names ) {
+		$names = array_values(
+			array_unique(
+				array_filter(
+					array_map(
+						function ( $name ) {
+							return sanitize_text_field( (string) $name );
+						},
+						(array) $names
+					),
+					'strlen'
+				)
+			)
+		);
+
+		$result = wp_set_object_terms( absint( $attachment_id ), $names, self::COLLECTION_TAXONOMY );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		if ( ! empty( $names ) ) {
+			update_post_meta( $attachment_id, self::META_KEY, 1 );
+		}
+
+		return self::get_attachment_collections( $attachment_id );
+	}
+
+	/**
+	 * Counts a generation against each reference image it used.
+	 *
+	 * @param int[] $attachment_ids Reference attachment IDs.
+	 * @return void
+	 */
+	public static function record_usage( $attachment_ids ) {
+		foreach ( array_unique( array_map( 'absint', (array) $attachment_ids ) ) as $attachment_id ) {
+			if ( ! $attachment_id ) {
+				continue;
+			}
+
+			$count = absint( get_post_meta( $attachment_id, self::USAGE_META_KEY, true ) );
+			update_post_meta( $attachment_id, self::USAGE_META_KEY, $count + 1 );
+		}
+	}
+}
@@ -50,6 +50,30 @@ final class Rest_API {
 		'openai' => 5,
 	];
 
+	/**
+	 * Image types every provider accepts as reference images.
+	 *
+	 * @var string[]
+	 */
+	private const DEFAULT_REFERENCE_MIME_TYPES = [ 'image/png', 'image/jpeg', 'image/webp' ];
+
+	/**
+	 * Providers known to honor an inpainting mask.
+	 *
+	 * @var string[]
+	 */
+	private const MASK_EDITING_PROVIDERS = [ 'openai' ];
+
+	/**
+	 * Advanced generation options each provider is known to honor.
+	 *
+	 * @var array<string, string[]>
+	 */
+	private const PROVIDER_SUPPORTED_OPTIONS = [
+		'google' => [ 'negative_prompt', 'seed', 'output_mime_type' ],
+		'openai' => [ 'quality', 'output_mime_type' ],
+	];
+
 	/**
 	 * Image generation service.
 	 *
@@ -57,11 +81,27 @@ final class Rest_API {
 	 */
 	private $image_generation_service;
 
+	/**
+	 * Prompt enhancer.
+	 *
+	 * @var Prompt_Enhancer
+	 */
+	private $prompt_enhancer;
+
+	/**
+	 * Alt text generator.
+	 *
+	 * @var Alt_Text_Generator
+	 */
+	private $alt_text_generator;
+
 	/**
 	 * Initialize the REST API functionality.
 	 */
 	private function __construct() {
 		$this->image_generation_service = new Image_Generation_Service();
+		$this->prompt_enhancer          = new Prompt_Enhancer();
+		$this->alt_text_generator       = new Alt_Text_Generator();
 		add_action( 'rest_api_init', [ $this, 'register_routes' ] );
 	}
 
@@ -114,20 +154,350 @@ final class Rest_API {
 							'type' => 'integer',
 						],
 					],
+					'count'            => [
+						'type'     => 'integer',
+						'required' => false,
+						'default'  => 1,
+						'minimum'  => 1,
+						'maximum'  => Image_Generation_Service::MAX_CANDIDATE_COUNT,
+					],
+					'source_mask'      => [
+						'type'     => 'string',
+						'required' => false,
+					],
+					'preset_id'        => [
+						'type'     => 'string',
+						'required' => false,
+					],
+					'negative_prompt'  => [
+						'type'              => 'string',
+						'required'          => false,
+						'sanitize_callback' => 'sanitize_textarea_field',
+					],
+					'seed'             => [
+						'type'     => 'integer',
+						'required' => false,
+						'minimum'  => 0,
+						'maximum'  => Image_Generation_Service::MAX_SEED,
+					],
+					'quality'          => [
+						'type'     => 'string',
+						'required' => false,
+						'enum'     => Image_Generation_Service::QUALITY_OPTIONS,
+					],
+					'output_mime_type' => [
+						'type'     => 'string',
+						'required' => false,
+						'enum'     => Image_Generation_Service::OUTPUT_MIME_TYPES,
+					],
+					'aspect_ratio'     => [
+						'type'     => 'string',
+						'required' => false,
+						'pattern'  => '^[1-9][0-9]?:[1-9][0-9]?$',
+					],
+					'width'            => [
+						'type'     => 'integer',
+						'required' => false,
+						'minimum'  => Image_Generation_Service::MIN_OUTPUT_DIMENSION,
+						'maximum'  => Image_Generation_Service::MAX_OUTPUT_DIMENSION,
+					],
+					'height'           => [
+						'type'     => 'integer',
+						'required' => false,
+						'minimum'  => Image_Generation_Service::MIN_OUTPUT_DIMENSION,
+						'maximum'  => Image_Generation_Service::MAX_OUTPUT_DIMENSION,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/jobs/(?P<id>[a-f0-9-]+)',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_generation_job' ],
+					'permission_callback' => [ $this, 'check_permission' ],
+				],
+				[
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => [ $this, 'cancel_generation_job' ],
+					'permission_callback' => [ $this, 'check_permission' ],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/enhance-prompt',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'enhance_prompt' ],
+				'permission_callback' => [ $this, 'check_permission' ],
+				'args'                => [
+					'prompt' => [
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => 'sanitize_textarea_field',
+					],
 				],
 			]
 		);
 
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/describe-image',
+			[
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => [ $this, 'describe_image' ],
+				'permission_callback' => [ $this, 'check_permission' ],
+				'args'                => [
+					'attachment_id' => [
+						'type'     => 'integer',
+						'required' => true,
+						'minimum'  => 1,
+					],
+					'save'          => [
+						'type'    => 'boolean',
+						'default' => false,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/provenance/(?P<id>\d+)',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_image_provenance' ],
+				'permission_callback' => [ $this, 'check_permission' ],
+			]
+		);
+
 		register_rest_route(
 			self::API_NAMESPACE,
 			'/reference-images',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_reference_images' ],
+					'permission_callback' => [ $this, 'check_permission' ],
+					'args'                => [
+						'search'     => [
+							'type'              => 'string',
+							'default'           => '',
+							'sanitize_callback' => 'sanitize_text_field',
+						],
+						'page'       => [
+							'type'    => 'integer',
+							'default' => 1,
+							'minimum' => 1,
+						],
+						'per_page'   => [
+							'type'    => 'integer',
+							'default' => 20,
+							'minimum' => 1,
+							'maximum' => Reference_Images::MAX_PER_PAGE,
+						],
+						'orderby'    => [
+							'type'    => 'string',
+							'default' => 'date',
+							'enum'    => Reference_Images::ORDERBY_OPTIONS,
+						],
+						'collection' => [
+							'type'    => 'integer',
+							'default' => 0,
+							'minimum' => 0,
+						],
+					],
+				],
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'upload_reference_image' ],
+					'permission_callback' => [ $this, 'check_permission' ],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/reference-images/(?P<id>\d+)/collections',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_reference_image_collections' ],
+					'permission_callback' => [ $this, 'check_permission' ],
+				],
+				[
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => [ $this, 'update_reference_image_collections' ],
+					'permission_callback' => [ $this, 'check_permission' ],
+					'args'                => [
+						'collections' => [
+							'type'     => 'array',
+							'required' => true,
+							'items'    => [
+								'type' => 'string',
+							],
+						],
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/reference-collections',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_reference_collections' ],
+				'permission_callback' => [ $this, 'check_permission' ],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/quota',
 			[
 				'methods'             => WP_REST_Server::READABLE,
-				'callback'            => [ $this, 'get_reference_images' ],
+				'callback'            => [ $this, 'get_generation_quota' ],
+				'permission_callback' => [ $this, 'check_permission' ],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/history',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_prompt_history' ],
+				'permission_callback' => [ $this, 'check_permission' ],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/history/(?P<id>[a-f0-9-]+)',
+			[
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => [ $this, 'delete_prompt_history_entry' ],
 				'permission_callback' => [ $this, 'check_permission' ],
 			]
 		);
 
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/candidates',
+			[
+				'methods'             => WP_REST_Server::DELETABLE,
+				'callback'            => [ $this, 'resolve_candidates' ],
+				'permission_callback' => [ $this, 'check_permission' ],
+				'args'                => [
+					'ids'  => [
+						'type'     => 'array',
+						'items'    => [
+							'type' => 'integer',
+						],
+						'required' => true,
+					],
+					'keep' => [
+						'type'    => 'integer',
+						'default' => 0,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/presets',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_style_presets' ],
+					'permission_callback' => [ $this, 'check_permission' ],
+				],
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'create_style_preset' ],
+					'permission_callback' => [ $this, 'check_manage_permission' ],
+					'args'                => $this->get_style_preset_args( true ),
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/presets/(?P<id>[a-f0-9-]+)',
+			[
+				[
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => [ $this, 'update_style_preset' ],
+					'permission_callback' => [ $this, 'check_manage_permission' ],
+					'args'                => $this->get_style_preset_args( false ),
+				],
+				[
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => [ $this, 'delete_style_preset' ],
+					'permission_callback' => [ $this, 'check_manage_permission' ],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/stats',
+			[
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => [ $this, 'get_usage_stats' ],
+				'permission_callback' => [ $this, 'check_manage_permission' ],
+				'args'                => [
+					'days' => [
+						'type'    => 'integer',
+						'default' => 30,
+						'minimum' => 1,
+						'maximum' => Usage_Stats::MAX_DAYS,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::API_NAMESPACE,
+			'/stats/prices',
+			[
+				'methods'             => WP_REST_Server::EDITABLE,
+				'callback'            => [ $this, 'update_image_prices' ],
+				'permission_callback' => [ $this, 'check_manage_permission' ],
+				'args'                => [
+					'prices' => [
+						'type'     => 'array',
+						'required' => true,
+						'items'    => [
+							'type'       => 'object',
+							'properties' => [
+								'provider' => [
+									'type'     => 'string',
+									'required' => true,
+								],
+								'model'    => [
+									'type'    => 'string',
+									'default' => '',
+								],
+								'price'    => [
+									'type'     => 'number',
+									'required' => true,
+									'minimum'  => 0,
+								],
+							],
+						],
+					],
+				],
+			]
+		);
+
 		register_rest_route(
 			self::API_NAMESPACE,
 			'/providers',
@@ -149,13 +519,303 @@ final class Rest_API {
 	}
 
 	/**
-	 * Handles an image generation request through the WordPress AI Client.
+	 * Checks whether the current user can manage site-wide KaiGen settings.
+	 *
+	 * @return bool Whether the user has permission.
+	 */
+	public function check_manage_permission() {
+		return current_user_can( 'manage_options' );
+	}
+
+	/**
+	 * Queues an image generation request for the WordPress AI Client.
 	 *
 	 * @param \WP_REST_Request $request The request object.
-	 * @return \WP_REST_Response|WP_Error The response or error.
+	 * @return \WP_REST_Response|WP_Error The queued job response, or error.
 	 */
 	public function handle_generate_request( $request ) {
-		return $this->image_generation_service->generate_from_request( $request );
+		$provider = $this->get_request_provider( sanitize_key( (string) $request->get_param( 'provider' ) ) );
+		$has_mask = '' !== (string) $request->get_param( 'source_mask' );
+
+		if ( $has_mask && empty( $provider['supportsMask'] ) ) {
+			return new \WP_Error( 'mask_not_supported', __( 'This provider cannot edit only part of an image.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		// The mask is sent to the provider alongside the reference images, so it counts against their limit.
+		$reference_count = count( array_filter( array_map( 'absint', (array) $request->get_param( 'source_image_ids' ) ) ) ) + ( $has_mask ? 1 : 0 );
+		$reference_limit = absint( $provider['referenceImageLimit'] ?? 0 );
+		if ( $reference_limit > 0 && $reference_count > $reference_limit ) {
+			return new \WP_Error(
+				'too_many_reference_images',
+				/* translators: %d: Maximum number of reference images. */
+				sprintf( __( 'This provider accepts at most %d reference images, including the mask.', 'kaigen' ), $reference_limit ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return $this->image_generation_service->generate_from_request( $request, $provider['supportedOptions'] ?? [] );
+	}
+
+	/**
+	 * Reports the status of a background image generation job.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The job status, or error.
+	 */
+	public function get_generation_job( $request ) {
+		return $this->image_generation_service->get_job_response( (string) $request['id'] );
+	}
+
+	/**
+	 * Cancels a background image generation job.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The job status, or error.
+	 */
+	public function cancel_generation_job( $request ) {
+		return $this->image_generation_service->cancel_job( (string) $request['id'] );
+	}
+
+	/**
+	 * Rewrites a prompt with more visual detail using a text model.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The enhanced prompt, or error.
+	 */
+	public function enhance_prompt( $request ) {
+		$prompt = $this->prompt_enhancer->enhance( $request->get_param( 'prompt' ) );
+		if ( is_wp_error( $prompt ) ) {
+			return $prompt;
+		}
+
+		return rest_ensure_response( [ 'prompt' => $prompt ] );
+	}
+
+	/**
+	 * Writes alt text for an image attachment, optionally saving it as the attachment's alt text.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The alt text, or error.
+	 */
+	public function describe_image( $request ) {
+		$attachment_id = absint( $request->get_param( 'attachment_id' ) );
+		if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+			return new \WP_Error( 'forbidden_attachment', __( 'You are not allowed to describe that image.', 'kaigen' ), [ 'status' => 403 ] );
+		}
+
+		$alt_text = $this->alt_text_generator->describe( $attachment_id );
+		if ( is_wp_error( $alt_text ) ) {
+			return $alt_text;
+		}
+
+		$save = (bool) $request->get_param( 'save' );
+		if ( $save ) {
+			update_post_meta( $attachment_id, '_wp_attachment_image_alt', $alt_text );
+		}
+
+		return rest_ensure_response(
+			[
+				'attachment_id' => $attachment_id,
+				'alt'           => $alt_text,
+				'saved'         => $save,
+			]
+		);
+	}
+
+	/**
+	 * Reads the AI provenance embedded in an image's file.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The provenance, which is null when the file carries none, or error.
+	 */
+	public function get_image_provenance( $request ) {
+		$attachment_id = absint( $request->get_param( 'id' ) );
+		if ( ! wp_attachment_is_image( $attachment_id ) ) {
+			return new \WP_Error( 'invalid_attachment', __( 'The attachment is not an image.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		if ( ! current_user_can( 'read_post', $attachment_id ) ) {
+			return new \WP_Error( 'forbidden_attachment', __( 'You are not allowed to view that image.', 'kaigen' ), [ 'status' => 403 ] );
+		}
+
+		return rest_ensure_response(
+			[
+				'attachment_id' => $attachment_id,
+				'provenance'    => Image_Provenance::read( $attachment_id ),
+			]
+		);
+	}
+
+	/**
+	 * Gets the current user's generation quota.
+	 *
+	 * @return \WP_REST_Response Daily and monthly limit, used and remaining.
+	 */
+	public function get_generation_quota() {
+		return rest_ensure_response( Generation_Quotas::get_status( get_current_user_id() ) );
+	}
+
+	/**
+	 * Gets generation usage and estimated cost over the requested number of days.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response Usage totals, and totals per user, provider and model.
+	 */
+	public function get_usage_stats( $request ) {
+		return rest_ensure_response( Usage_Stats::get_summary( (int) $request->get_param( 'days' ) ) );
+	}
+
+	/**
+	 * Saves the price of one image for provider and model pairs.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error Prices keyed by provider, then by model, or error.
+	 */
+	public function update_image_prices( $request ) {
+		$prices = Usage_Stats::update_prices( (array) $request->get_param( 'prices' ) );
+		if ( is_wp_error( $prices ) ) {
+			return $prices;
+		}
+
+		return rest_ensure_response( (object) $prices );
+	}
+
+	/**
+	 * Gets the current user's prompt history.
+	 *
+	 * @return \WP_REST_Response History entries, newest first.
+	 */
+	public function get_prompt_history() {
+		return rest_ensure_response( Prompt_History::get_entries( get_current_user_id() ) );
+	}
+
+	/**
+	 * Deletes an entry from the current user's prompt history.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The response or error.
+	 */
+	public function delete_prompt_history_entry( $request ) {
+		if ( ! Prompt_History::delete_entry( get_current_user_id(), (string) $request['id'] ) ) {
+			return new \WP_Error( 'history_entry_not_found', __( 'History entry not found.', 'kaigen' ), [ 'status' => 404 ] );
+		}
+
+		return rest_ensure_response( [ 'deleted' => true ] );
+	}
+
+	/**
+	 * Keeps the generated candidate the user picked and deletes the others.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response IDs of the deleted candidates.
+	 */
+	public function resolve_candidates( $request ) {
+		return rest_ensure_response(
+			[
+				'deleted' => Image_Handler::resolve_candidates( (array) $request->get_param( 'ids' ), absint( $request->get_param( 'keep' ) ) ),
+			]
+		);
+	}
+
+	/**
+	 * Gets the site-wide style presets.
+	 *
+	 * @return \WP_REST_Response Style presets.
+	 */
+	public function get_style_presets() {
+		return rest_ensure_response( Style_Presets::get_all() );
+	}
+
+	/**
+	 * Creates a style preset.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response The created preset.
+	 */
+	public function create_style_preset( $request ) {
+		$response = rest_ensure_response( Style_Presets::create( $this->get_style_preset_fields( $request ) ) );
+		$response->set_status( 201 );
+
+		return $response;
+	}
+
+	/**
+	 * Updates a style preset.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The updated preset, or error.
+	 */
+	public function update_style_preset( $request ) {
+		$preset = Style_Presets::update( (string) $request['id'], $this->get_style_preset_fields( $request ) );
+		if ( null === $preset ) {
+			return new \WP_Error( 'preset_not_found', __( 'Style preset not found.', 'kaigen' ), [ 'status' => 404 ] );
+		}
+
+		return rest_ensure_response( $preset );
+	}
+
+	/**
+	 * Deletes a style preset.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error Deletion result, or error.
+	 */
+	public function delete_style_preset( $request ) {
+		if ( ! Style_Presets::delete( (string) $request['id'] ) ) {
+			return new \WP_Error( 'preset_not_found', __( 'Style preset not found.', 'kaigen' ), [ 'status' => 404 ] );
+		}
+
+		return rest_ensure_response( [ 'deleted' => true ] );
+	}
+
+	/**
+	 * Gets the REST arguments for creating or updating a style preset.
+	 *
+	 * @param bool $is_create Whether the name is required.
+	 * @return array Route arguments.
+	 */
+	private function get_style_preset_args( $is_create ) {
+		return [
+			'name'             => [
+				'type'      => 'string',
+				'required'  => $is_create,
+				'minLength' => 1,
+			],
+			'prompt'           => [
+				'type'     => 'string',
+				'required' => false,
+			],
+			'orientation'      => [
+				'type'     => 'string',
+				'required' => false,
+				'enum'     => [ '', 'square', 'landscape', 'portrait' ],
+			],
+			'source_image_ids' => [
+				'type'     => 'array',
+				'required' => false,
+				'items'    => [
+					'type' => 'integer',
+				],
+			],
+		];
+	}
+
+	/**
+	 * Gets the style preset fields sent with a request.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return array Preset fields present in the request.
+	 */
+	private function get_style_preset_fields( $request ) {
+		$fields = [];
+
+		foreach ( [ 'name', 'prompt', 'orientation', 'source_image_ids' ] as $field ) {
+			if ( $request->has_param( $field ) ) {
+				$fields[ $field ] = $request->get_param( $field );
+			}
+		}
+
+		return $fields;
 	}
 
 	/**
@@ -195,6 +855,9 @@ final class Rest_API {
 					'id'                  => $provider_id,
 					'name'                => $provider_class::metadata()->getName(),
 					'referenceImageLimit' => $this->get_provider_reference_image_limit( $provider_id ),
+					'referenceMimeTypes'  => $this->get_provider_reference_mime_types( $provider_id ),
+					'supportsMask'        => $this->provider_supports_mask( $provider_id ),
+					'supportedOptions'    => $this->get_provider_supported_options( $provider_id ),
 				];
 			}
 		} catch ( \Throwable $e ) {
@@ -220,6 +883,12 @@ final class Rest_API {
 				'id'                  => 'auto',
 				'name'                => __( 'Auto', 'kaigen' ),
 				'referenceImageLimit' => ! empty( $provider_limits ) ? min( $provider_limits ) : self::DEFAULT_REFERENCE_IMAGE_LIMIT,
+				// Auto may pick any provider, so it only accepts the reference types every provider accepts.
+				'referenceMimeTypes'  => array_values( array_intersect( $providers[0]['referenceMimeTypes'], ...array_column( $providers, 'referenceMimeTypes' ) ) ),
+				// Auto may pick any provider, so it only offers masks when every provider honors them.
+				'supportsMask'        => ! in_array( false, array_column( $providers, 'supportsMask' ), true ),
+				// Likewise it only offers the advanced options every provider honors.
+				'supportedOptions'    => array_values( array_intersect( Image_Generation_Service::ADVANCED_OPTIONS, ...array_column( $providers, 'supportedOptions' ) ) ),
 			]
 		);
 
@@ -261,35 +930,194 @@ final class Rest_API {
 	}
 
 	/**
-	 * Retrieves all images marked as reference images.
+	 * Gets the image types a provider accepts as reference images.
+	 *
+	 * @param string $provider_id Provider ID.
+	 * @return string[] Accepted MIME types.
+	 */
+	private function get_provider_reference_mime_types( $provider_id ) {
+		/**
+		 * Filters the image types a provider accepts as reference images.
+		 *
+		 * @param string[] $mime_types Accepted MIME types.
+		 * @param string   $provider_id Provider ID.
+		 */
+		$mime_types = apply_filters(
+			'kaigen_provider_reference_mime_types',
+			self::DEFAULT_REFERENCE_MIME_TYPES,
+			$provider_id
+		);
+
+		return array_values( array_filter( array_map( 'sanitize_mime_type', (array) $mime_types ) ) );
+	}
+
+	/**
+	 * Checks whether a provider can edit only the masked area of an image.
+	 *
+	 * @param string $provider_id Provider ID.
+	 * @return bool True when the mask editor should be offered for the provider.
+	 */
+	private function provider_supports_mask( $provider_id ) {
+		/**
+		 * Filters whether a provider supports mask-based inpainting.
+		 *
+		 * @param bool   $supports_mask Whether the provider honors an inpainting mask.
+		 * @param string $provider_id Provider ID.
+		 */
+		return (bool) apply_filters(
+			'kaigen_provider_supports_mask',
+			in_array( $provider_id, self::MASK_EDITING_PROVIDERS, true ),
+			$provider_id
+		);
+	}
+
+	/**
+	 * Gets the advanced generation options a provider honors.
+	 *
+	 * @param string $provider_id Provider ID.
+	 * @return string[] Supported option names: negative_prompt, seed, quality and output_mime_type.
+	 */
+	private function get_provider_supported_options( $provider_id ) {
+		/**
+		 * Filters the advanced generation options a provider honors.
+		 *
+		 * @param string[] $options Supported option names.
+		 * @param string   $provider_id Provider ID.
+		 */
+		$options = apply_filters(
+			'kaigen_provider_supported_options',
+			self::PROVIDER_SUPPORTED_OPTIONS[ $provider_id ] ?? [],
+			$provider_id
+		);
+
+		return array_values( array_intersect( Image_Generation_Service::ADVANCED_OPTIONS, (array) $options ) );
+	}
+
+	/**
+	 * Gets the options of a requested provider.
+	 *
+	 * @param string $provider_id Requested provider ID, or an empty string for auto.
+	 * @return array|null Provider options, or null when the provider is not available.
+	 */
+	private function get_request_provider( $provider_id ) {
+		$provider_id = '' !== $provider_id ? $provider_id : 'auto';
+
+		foreach ( $this->get_image_provider_options() as $provider ) {
+			if ( $provider['id'] === $provider_id ) {
+				return $provider;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Retrieves a page of images marked as reference images.
 	 *
-	 * @return \WP_REST_Response The response containing reference images.
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response The reference images, with X-WP-Total and X-WP-TotalPages headers.
 	 */
-	public function get_reference_images() {
-		$query = new \WP_Query(
+	public function get_reference_images( $request ) {
+		$result = Reference_Images::query(
 			[
-				'post_type'      => 'attachment',
-				'post_status'    => 'inherit',
-				'posts_per_page' => 100,
-				'meta_key'       => 'kaigen_reference_image', // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
-				'meta_value'     => 1, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+				'search'     => $request->get_param( 'search' ),
+				'page'       => $request->get_param( 'page' ),
+				'per_page'   => $request->get_param( 'per_page' ),
+				'orderby'    => $request->get_param( 'orderby' ),
+				'collection' => $request->get_param( 'collection' ),
 			]
 		);
 
-		$images = [];
-		foreach ( $query->posts as $post ) {
-			$thumbnail     = wp_get_attachment_image_src( $post->ID, 'thumbnail' );
-			$thumbnail_url = $thumbnail ? $thumbnail[0] : wp_get_attachment_url( $post->ID );
-
-			$images[] = [
-				'id'            => $post->ID,
-				'url'           => wp_get_attachment_url( $post->ID ),
-				'thumbnail_url' => $thumbnail_url,
-				'alt'           => get_post_meta( $post->ID, '_wp_attachment_image_alt', true ),
-			];
+		$response = rest_ensure_response( $result['images'] );
+		$response->header( 'X-WP-Total', (string) $result['total'] );
+		$response->header( 'X-WP-TotalPages', (string) $result['total_pages'] );
+
+		return $response;
+	}
+
+	/**
+	 * Adds an uploaded image to the media library as a reference image.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The new reference image, or error.
+	 */
+	public function upload_reference_image( $request ) {
+		if ( empty( $request->get_file_params()['file'] ) ) {
+			return new \WP_Error( 'missing_reference_file', __( 'No file was uploaded.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		$image = Reference_Images::upload( 'file' );
+		if ( is_wp_error( $image ) ) {
+			return $image;
+		}
+
+		$response = rest_ensure_response( $image );
+		$response->set_status( 201 );
+
+		return $response;
+	}
+
+	/**
+	 * Retrieves every reference collection.
+	 *
+	 * @return \WP_REST_Response Collections with id, name and image count.
+	 */
+	public function get_reference_collections() {
+		return rest_ensure_response( Reference_Images::get_collections() );
+	}
+
+	/**
+	 * Retrieves the names of the collections an image belongs to.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The collection names, or error.
+	 */
+	public function get_reference_image_collections( $request ) {
+		$attachment_id = $this->get_editable_image_id( $request );
+		if ( is_wp_error( $attachment_id ) ) {
+			return $attachment_id;
+		}
+
+		return rest_ensure_response( Reference_Images::get_attachment_collections( $attachment_id ) );
+	}
+
+	/**
+	 * Replaces the collections an image belongs to.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return \WP_REST_Response|\WP_Error The saved collection names, or error.
+	 */
+	public function update_reference_image_collections( $request ) {
+		$attachment_id = $this->get_editable_image_id( $request );
+		if ( is_wp_error( $attachment_id ) ) {
+			return $attachment_id;
+		}
+
+		$names = Reference_Images::set_attachment_collections( $attachment_id, $request->get_param( 'collections' ) );
+		if ( is_wp_error( $names ) ) {
+			return $names;
+		}
+
+		return rest_ensure_response( $names );
+	}
+
+	/**
+	 * Reads the image attachment ID from a request and checks the current user may edit it.
+	 *
+	 * @param \WP_REST_Request $request The request object.
+	 * @return int|\WP_Error The attachment ID, or error.
+	 */
+	private function get_editable_image_id( $request ) {
+		$attachment_id = absint( $request->get_param( 'id' ) );
+		if ( ! wp_attachment_is_image( $attachment_id ) ) {
+			return new \WP_Error( 'invalid_attachment', __( 'The attachment is not an image.', 'kaigen' ), [ 'status' => 400 ] );
+		}
+
+		if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+			return new \WP_Error( 'forbidden_attachment', __( 'You are not allowed to edit this image.', 'kaigen' ), [ 'status' => 403 ] );
 		}
 
-		return rest_ensure_response( $images );
+		return $attachment_id;
 	}
 }
 
@@ -0,0 +1,207 @@
+<?php
+/**
+ * Site-wide settings for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+/**
+ * Stores the defaults and behavior admins choose on the Settings → KaiGen screen.
+ */
+final class Settings {
+	/**
+	 * Option holding the settings.
+	 *
+	 * @var string
+	 */
+	public const OPTION_NAME = 'kaigen_settings';
+
+	/**
+	 * Orientations providers generate natively.
+	 *
+	 * @var string[]
+	 */
+	public const ORIENTATIONS = [ 'square', 'landscape', 'portrait' ];
+
+	/**
+	 * Ways generated images get alt text: described by a vision model, copied from the prompt, or left empty.
+	 *
+	 * @var string[]
+	 */
+	public const ALT_TEXT_STRATEGIES = [ 'describe', 'prompt', 'none' ];
+
+	/**
+	 * Shortest and longest image generation timeout, in seconds.
+	 *
+	 * @var int[]
+	 */
+	public const TIMEOUT_RANGE = [ 30, 600 ];
+
+	/**
+	 * Settings used until an admin saves their own. A null post_types enables KaiGen for every post type.
+	 *
+	 * @var array
+	 */
+	public const DEFAULTS = [
+		'provider'         => 'auto',
+		'orientation'      => 'square',
+		'timeout'          => 180,
+		'alt_text'         => 'describe',
+		'filename_pattern' => 'ai-{prompt}',
+		'post_types'       => null,
+	];
+
+	/**
+	 * Registers the settings so they can be saved through the REST settings endpoint.
+	 *
+	 * @return void
+	 */
+	public static function register() {
+		register_setting(
+			'kaigen',
+			self::OPTION_NAME,
+			[
+				'type'              => 'object',
+				'default'           => self::DEFAULTS,
+				'sanitize_callback' => [ self::class, 'sanitize' ],
+				'show_in_rest'      => [
+					'schema' => [
+						'type'                 => 'object',
+						'additionalProperties' => false,
+						'properties'           => [
+							'provider'         => [
+								'type' => 'string',
+							],
+							'orientation'      => [
+								'type' => 'string',
+								'enum' => self::ORIENTATIONS,
+							],
+							'timeout'          => [
+								'type'    => 'integer',
+								'minimum' => self::TIMEOUT_RANGE[0],
+								'maximum' => self::TIMEOUT_RANGE[1],
+							],
+							'alt_text'         => [
+								'type' => 'string',
+								'enum' => self::ALT_TEXT_STRATEGIES,
+							],
+							'filename_pattern' => [
+								'type' => 'string',
+							],
+							'post_types'       => [
+								'type'  => [ 'array', 'null' ],
+								'items' => [
+									'type' => 'string',
+								],
+							],
+						],
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Gets the settings, filling in defaults for anything not saved.
+	 *
+	 * @return array Settings.
+	 */
+	public static function get() {
+		$settings = get_option( self::OPTION_NAME, [] );
+
+		return array_merge( self::DEFAULTS, is_array( $settings ) ? $settings : [] );
+	}
+
+	/**
+	 * Sanitizes settings before they are saved.
+	 *
+	 * @param mixed $settings Raw settings.
+	 * @return array Settings with every field valid.
+	 */
+	public static function sanitize( $settings ) {
+		$settings = array_merge( self::DEFAULTS, is_array( $settings ) ? $settings : [] );
+		$pattern  = sanitize_text_field( (string) $settings['filename_pattern'] );
+
+		return [
+			'provider'         => '' !== sanitize_key( (string) $settings['provider'] ) ? sanitize_key( (string) $settings['provider'] ) : 'auto',
+			'orientation'      => in_array( $settings['orientation'], self::ORIENTATIONS, true ) ? $settings['orientation'] : self::DEFAULTS['orientation'],
+			'timeout'          => min( max( absint( $settings['timeout'] ), self::TIMEOUT_RANGE[0] ), self::TIMEOUT_RANGE[1] ),
+			'alt_text'         => in_array( $settings['alt_text'], self::ALT_TEXT_STRATEGIES, true ) ? $settings['alt_text'] : self::DEFAULTS['alt_text'],
+			'filename_pattern' => '' !== $pattern ? $pattern : self::DEFAULTS['filename_pattern'],
+			'post_types'       => is_array( $settings['post_types'] ) ? array_values( array_filter( array_map( 'sanitize_key', $settings['post_types'] ), 'post_type_exists' ) ) : null,
+		];
+	}
+
+	/**
+	 * Checks whether KaiGen is offered when editing a post type.
+	 *
+	 * Every post type is enabled until an admin saves a list of post types.
+	 *
+	 * @param string $post_type Post type name.
+	 * @return bool Whether KaiGen is enabled for the post type.
+	 */
+	public static function is_post_type_enabled( $post_type ) {
+		$post_types = self::get()['post_types'];
+
+		return null === $post_types || in_array( $post_type, (array) $post_types, true );
+	}
+
+	/**
+	 * Gets the post types KaiGen can be enabled for.
+	 *
+	 * @return array List of post types with name and label.
+	 */
+	public static function get_available_post_types() {
+		$post_types = get_post_types(
+			[
+				'show_ui'      => true,
+				'show_in_rest' => true,
+			],
+			'objects'
+		);
+
+		$available = [];
+		foreach ( $post_types as $post_type ) {
+			if ( 'attachment' === $post_type->name || ! post_type_supports( $post_type->name, 'editor' ) ) {
+				continue;
+			}
+
+			$available[] = [
+				'name'  => $post_type->name,
+				'label' => $post_type->labels->singular_name,
+			];
+		}
+
+		return $available;
+	}
+
+	/**
+	 * Builds a generated image's file name, without extension, from the filename pattern.
+	 *
+	 * Supported placeholders are {prompt}, {date}, {user}, {site} and {random}.
+	 *
+	 * @param string $prompt The generation prompt.
+	 * @return string The file name.
+	 */
+	public static function build_filename( $prompt ) {
+		$prompt_slug = substr( sanitize_title( $prompt ), 0, 50 );
+		$user        = wp_get_current_user();
+
+		$filename = strtr(
+			self::get()['filename_pattern'],
+			[
+				'{prompt}' => '' !== $prompt_slug ? $prompt_slug : 'image',
+				'{date}'   => wp_date( 'Y-m-d' ),
+				'{user}'   => $user->exists() ? $user->user_nicename : 'guest',
+				'{site}'   => sanitize_title( get_bloginfo( 'name' ) ),
+				'{random}' => strtolower( wp_generate_password( 6, false ) ),
+			]
+		);
+
+		$filename = sanitize_title( $filename );
+
+		return '' !== $filename ? $filename : 'image';
+	}
+}
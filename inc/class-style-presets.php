@@ -0,0 +1,191 @@
+<?php
+/**
+ * Site-wide style presets for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+/**
+ * Stores named style presets that add prompt text and default generation settings.
+ */
+class Style_Presets {
+	/**
+	 * Option holding the presets.
+	 *
+	 * @var string
+	 */
+	public const OPTION_NAME = 'kaigen_style_presets';
+
+	/**
+	 * Attachment meta key recording the preset applied to a generated image.
+	 *
+	 * @var string
+	 */
+	public const ATTACHMENT_META_KEY = 'kaigen_style_preset';
+
+	/**
+	 * Gets every preset with its reference images resolved.
+	 *
+	 * @return array Presets in the order they were created.
+	 */
+	public static function get_all() {
+		return array_map(
+			function ( $preset ) {
+				$preset['reference_images'] = Image_Handler::get_image_summaries( $preset['source_image_ids'] );
+				return $preset;
+			},
+			self::get_raw_presets()
+		);
+	}
+
+	/**
+	 * Gets a single stored preset.
+	 *
+	 * @param string $preset_id Preset ID.
+	 * @return array|null The preset, or null when missing.
+	 */
+	public static function get( $preset_id ) {
+		foreach ( self::get_raw_presets() as $preset ) {
+			if ( $preset['id'] === $preset_id ) {
+				return $preset;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Creates a preset.
+	 *
+	 * @param array $data {
+	 *     Preset fields.
+	 *
+	 *     @type string $name             Display name.
+	 *     @type string $prompt           Prompt text added to every generation using the preset.
+	 *     @type string $orientation      Optional default orientation, or an empty string.
+	 *     @type int[]  $source_image_ids Optional default reference attachment IDs.
+	 * }
+	 * @return array The stored preset.
+	 */
+	public static function create( $data ) {
+		$preset       = self::sanitize( $data );
+		$preset['id'] = wp_generate_uuid4();
+
+		$presets   = self::get_raw_presets();
+		$presets[] = $preset;
+		update_option( self::OPTION_NAME, $presets, false );
+
+		return $preset;
+	}
+
+	/**
+	 * Updates a preset.
+	 *
+	 * @param string $preset_id Preset ID.
+	 * @param array  $data Fields to change.
+	 * @return array|null The updated preset, or null when missing.
+	 */
+	public static function update( $preset_id, $data ) {
+		$presets = self::get_raw_presets();
+
+		foreach ( $presets as $index => $preset ) {
+			if ( $preset['id'] !== $preset_id ) {
+				continue;
+			}
+
+			$presets[ $index ]       = self::sanitize( array_merge( $preset, $data ) );
+			$presets[ $index ]['id'] = $preset_id;
+			update_option( self::OPTION_NAME, $presets, false );
+
+			return $presets[ $index ];
+		}
+
+		return null;
+	}
+
+	/**
+	 * Deletes a preset.
+	 *
+	 * @param string $preset_id Preset ID.
+	 * @return bool Whether a preset was deleted.
+	 */
+	public static function delete( $preset_id ) {
+		$presets  = self::get_raw_presets();
+		$filtered = array_values(
+			array_filter(
+				$presets,
+				function ( $preset ) use ( $preset_id ) {
+					return $preset['id'] !== $preset_id;
+				}
+			)
+		);
+
+		if ( count( $filtered ) === count( $presets ) ) {
+			return false;
+		}
+
+		update_option( self::OPTION_NAME, $filtered, false );
+
+		return true;
+	}
+
+	/**
+	 * Records the preset applied to a generated attachment.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $preset The applied preset.
+	 * @return void
+	 */
+	public static function record_on_attachment( $attachment_id, $preset ) {
+		update_post_meta(
+			$attachment_id,
+			self::ATTACHMENT_META_KEY,
+			[
+				'id'     => $preset['id'],
+				'name'   => $preset['name'],
+				'prompt' => $preset['prompt'],
+			]
+		);
+	}
+
+	/**
+	 * Sanitizes preset fields.
+	 *
+	 * @param array $data Raw preset fields.
+	 * @return array Sanitized preset without an ID.
+	 */
+	private static function sanitize( $data ) {
+		$orientation = sanitize_key( (string) ( $data['orientation'] ?? '' ) );
+
+		return [
+			'name'             => sanitize_text_field( (string) ( $data['name'] ?? '' ) ),
+			'prompt'           => sanitize_textarea_field( (string) ( $data['prompt'] ?? '' ) ),
+			'orientation'      => in_array( $orientation, [ 'square', 'landscape', 'portrait' ], true ) ? $orientation : '',
+			'source_image_ids' => array_values( array_filter( array_map( 'absint', (array) ( $data['source_image_ids'] ?? [] ) ) ) ),
+		];
+	}
+
+	/**
+	 * Gets the stored presets.
+	 *
+	 * @return array Stored presets.
+	 */
+	private static function get_raw_presets() {
+		$presets = get_option( self::OPTION_NAME, [] );
+
+		if ( ! is_array( $presets ) ) {
+			return [];
+		}
+
+		return array_values(
+			array_filter(
+				$presets,
+				function ( $preset ) {
+					return is_array( $preset ) && ! empty( $preset['id'] );
+				}
+			)
+		);
+	}
+}
@@ -0,0 +1,451 @@
+<?php
+/**
+ * Generation usage statistics for KaiGen.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen;
+
+use WP_Error;
+
+/**
+ * Records every image generation request and summarizes usage and estimated cost for the dashboard.
+ *
+ * Requests are kept as daily totals per user, provider and model, one row each in a custom table,
+ * so concurrent jobs add to a total in a single statement instead of rewriting a shared option.
+ */
+final class Usage_Stats {
+	/**
+	 * Table holding the daily totals, without the site's table prefix.
+	 *
+	 * @var string
+	 */
+	public const TABLE_NAME = 'kaigen_usage';
+
+	/**
+	 * Option holding the version of the table schema last installed.
+	 *
+	 * @var string
+	 */
+	public const DB_VERSION_OPTION_NAME = 'kaigen_usage_db_version';
+
+	/**
+	 * Current version of the table schema.
+	 *
+	 * @var int
+	 */
+	private const DB_VERSION = 1;
+
+	/**
+	 * Option holding the admin-entered price of one image per provider and model.
+	 *
+	 * @var string
+	 */
+	public const PRICES_OPTION_NAME = 'kaigen_image_prices';
+
+	/**
+	 * Number of days the dashboard can look back over.
+	 *
+	 * @var int
+	 */
+	public const MAX_DAYS = 365;
+
+	/**
+	 * When the running generation request started, as a float Unix timestamp.
+	 *
+	 * @var float|null
+	 */
+	private static $started_at = null;
+
+	/**
+	 * Creates or upgrades the totals table when its schema has changed.
+	 *
+	 * @return void
+	 */
+	public static function maybe_install() {
+		if ( self::DB_VERSION === absint( get_option( self::DB_VERSION_OPTION_NAME ) ) ) {
+			return;
+		}
+
+		global $wpdb;
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		$table = self::get_table_name();
+
+		// dbDelta needs two spaces after PRIMARY KEY.
+		dbDelta(
+			"CREATE TABLE {$table} (
+				day date NOT NULL,
+				user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				provider varchar(80) NOT NULL DEFAULT '',
+				model varchar(80) NOT NULL DEFAULT '',
+				requests int(10) unsigned NOT NULL DEFAULT 0,
+				images int(10) unsigned NOT NULL DEFAULT 0,
+				failures int(10) unsigned NOT NULL DEFAULT 0,
+				duration double NOT NULL DEFAULT 0,
+				PRIMARY KEY  (day, user_id, provider, model)
+			) {$wpdb->get_charset_collate()};"
+		);
+
+		update_option( self::DB_VERSION_OPTION_NAME, self::DB_VERSION );
+	}
+
+	/**
+	 * Notes when a generation request starts.
+	 *
+	 * @return void
+	 */
+	public static function start_request() {
+		self::$started_at = microtime( true );
+	}
+
+	/**
+	 * Adds a finished generation request to today's totals.
+	 *
+	 * @param array          $args Sanitized generation arguments.
+	 * @param array|WP_Error $result Generated attachments and metadata, or error.
+	 * @return void
+	 */
+	public static function record_request( $args, $result ) {
+		global $wpdb;
+
+		$duration         = null === self::$started_at ? 0 : microtime( true ) - self::$started_at;
+		self::$started_at = null;
+
+		// A cancelled request is neither a failure nor a source of images.
+		$images   = is_wp_error( $result ) ? 0 : count( $result['images'] ?? [] );
+		$failures = is_wp_error( $result ) && 'generation_cancelled' !== $result->get_error_code() ? 1 : 0;
+		$key      = self::get_row_key( $args, $result );
+		$table    = self::get_table_name();
+
+		$wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"INSERT INTO {$table} (day, user_id, provider, model, requests, images, failures, duration) VALUES (%s, %d, %s, %s, 1, %d, %d, %f) ON DUPLICATE KEY UPDATE requests = requests + 1, images = images + %d, failures = failures + %d, duration = duration + %f", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				wp_date( 'Y-m-d' ),
+				$key['user_id'],
+				$key['provider'],
+				$key['model'],
+				$images,
+				$failures,
+				round( $duration, 3 ),
+				$images,
+				$failures,
+				round( $duration, 3 )
+			)
+		);
+
+		// Drop days older than the dashboard can show.
+		$wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"DELETE FROM {$table} WHERE day < %s", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				self::get_oldest_day()
+			)
+		);
+	}
+
+	/**
+	 * Takes back the images of a request that was cancelled after they were counted.
+	 *
+	 * @param array $args Sanitized generation arguments.
+	 * @param array $result Generated attachments and metadata.
+	 * @return void
+	 */
+	public static function discard_images( $args, $result ) {
+		global $wpdb;
+
+		$key   = self::get_row_key( $args, $result );
+		$table = self::get_table_name();
+
+		$wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"UPDATE {$table} SET images = GREATEST( images - %d, 0 ) WHERE day = %s AND user_id = %d AND provider = %s AND model = %s", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				count( $result['images'] ?? [] ),
+				wp_date( 'Y-m-d' ),
+				$key['user_id'],
+				$key['provider'],
+				$key['model']
+			)
+		);
+	}
+
+	/**
+	 * Summarizes usage over the last few days.
+	 *
+	 * @param int $days Number of days to cover, ending today.
+	 * @return array {
+	 *     Usage summary.
+	 *
+	 *     @type string[] $days      Dates covered, oldest first.
+	 *     @type array    $totals    Totals over the whole range.
+	 *     @type array    $users     Totals and images per day for each user.
+	 *     @type array    $providers Totals and images per day for each provider.
+	 *     @type array    $models    Totals and images per day for each provider and model, with its price.
+	 * }
+	 */
+	public static function get_summary( $days ) {
+		$days   = min( max( absint( $days ), 1 ), self::MAX_DAYS );
+		$prices = self::get_prices();
+		$dates  = [];
+
+		for ( $offset = $days - 1; $offset >= 0; $offset-- ) {
+			$dates[] = wp_date( 'Y-m-d', strtotime( "-{$offset} days" ) );
+		}
+
+		$stats = self::get_daily_totals( $dates[0] );
+
+		$totals = self::empty_group( '', '', $days );
+		$groups = [
+			'users'     => [],
+			'providers' => [],
+			'models'    => [],
+		];
+
+		foreach ( $dates as $index => $date ) {
+			foreach ( $stats[ $date ] ?? [] as $bucket ) {
+				$price = (float) ( $prices[ $bucket['provider'] ][ $bucket['model'] ] ?? 0 );
+				$keys  = [
+					'users'     => (string) $bucket['user_id'],
+					'providers' => $bucket['provider'],
+					'models'    => $bucket['provider'] . '|' . $bucket['model'],
+				];
+
+				foreach ( $keys as $group => $key ) {
+					if ( ! isset( $groups[ $group ][ $key ] ) ) {
+						$groups[ $group ][ $key ] = self::empty_group( $key, self::get_group_name( $group, $bucket ), $days );
+
+						if ( 'models' === $group ) {
+							$groups[ $group ][ $key ]['provider'] = $bucket['provider'];
+							$groups[ $group ][ $key ]['model']    = $bucket['model'];
+							$groups[ $group ][ $key ]['price']    = $price;
+						}
+					}
+
+					self::add_bucket( $groups[ $group ][ $key ], $bucket, $index, $price );
+				}
+
+				self::add_bucket( $totals, $bucket, $index, $price );
+			}
+		}
+
+		$summary = [
+			'days'   => $dates,
+			'totals' => self::finish_group( $totals ),
+		];
+
+		foreach ( $groups as $group => $entries ) {
+			$entries = array_map( [ self::class, 'finish_group' ], array_values( $entries ) );
+			usort(
+				$entries,
+				function ( $a, $b ) {
+					return $b['images'] <=> $a['images'];
+				}
+			);
+
+			$summary[ $group ] = $entries;
+		}
+
+		return $summary;
+	}
+
+	/**
+	 * Gets the admin-entered price of one image.
+	 *
+	 * @return array Prices keyed by provider, then by model.
+	 */
+	public static function get_prices() {
+		$prices = get_option( self::PRICES_OPTION_NAME, [] );
+
+		return is_array( $prices ) ? $prices : [];
+	}
+
+	/**
+	 * Saves the price of one image for provider and model pairs.
+	 * A price of 0 removes the pair.
+	 *
+	 * @param array $prices List of prices, each with provider, model and price.
+	 * @return array|WP_Error Prices keyed by provider, then by model, or error.
+	 */
+	public static function update_prices( $prices ) {
+		$stored = self::get_prices();
+
+		foreach ( (array) $prices as $entry ) {
+			$provider = sanitize_text_field( (string) ( $entry['provider'] ?? '' ) );
+			$model    = sanitize_text_field( (string) ( $entry['model'] ?? '' ) );
+			$price    = (float) ( $entry['price'] ?? 0 );
+
+			if ( '' === $provider ) {
+				return new WP_Error( 'invalid_price', __( 'Each price needs a provider.', 'kaigen' ), [ 'status' => 400 ] );
+			}
+
+			if ( $price < 0 ) {
+				return new WP_Error( 'invalid_price', __( 'Prices cannot be negative.', 'kaigen' ), [ 'status' => 400 ] );
+			}
+
+			if ( 0.0 === $price ) {
+				unset( $stored[ $provider ][ $model ] );
+				if ( empty( $stored[ $provider ] ) ) {
+					unset( $stored[ $provider ] );
+				}
+				continue;
+			}
+
+			$stored[ $provider ][ $model ] = round( $price, 4 );
+		}
+
+		update_option( self::PRICES_OPTION_NAME, $stored, false );
+
+		return $stored;
+	}
+
+	/**
+	 * Gets the name of the totals table.
+	 *
+	 * @return string Table name with the site's prefix.
+	 */
+	public static function get_table_name() {
+		global $wpdb;
+
+		return $wpdb->prefix . self::TABLE_NAME;
+	}
+
+	/**
+	 * Gets the stored daily totals from a date on.
+	 *
+	 * @param string $since First date to include, as Y-m-d.
+	 * @return array Totals keyed by date, each a list of totals per user, provider and model.
+	 */
+	private static function get_daily_totals( $since ) {
+		global $wpdb;
+
+		$table = self::get_table_name();
+		$rows  = $wpdb->get_results( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"SELECT day, user_id, provider, model, requests, images, failures, duration FROM {$table} WHERE day >= %s", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				$since
+			),
+			ARRAY_A
+		);
+
+		$stats = [];
+		foreach ( (array) $rows as $row ) {
+			$stats[ $row['day'] ][] = [
+				'user_id'  => absint( $row['user_id'] ),
+				'provider' => (string) $row['provider'],
+				'model'    => (string) $row['model'],
+				'requests' => absint( $row['requests'] ),
+				'images'   => absint( $row['images'] ),
+				'failures' => absint( $row['failures'] ),
+				'duration' => (float) $row['duration'],
+			];
+		}
+
+		return $stats;
+	}
+
+	/**
+	 * Gets the user, provider and model a request's totals are kept under.
+	 *
+	 * @param array          $args Sanitized generation arguments.
+	 * @param array|WP_Error $result Generated attachments and metadata, or error.
+	 * @return array User ID, provider and model.
+	 */
+	private static function get_row_key( $args, $result ) {
+		$metadata = is_wp_error( $result ) ? [] : (array) ( $result['metadata'] ?? [] );
+		$provider = Image_Handler::get_metadata_name( $metadata, [ 'provider_metadata', 'provider' ] );
+		if ( '' === $provider ) {
+			$provider = '' !== ( $args['provider'] ?? '' ) ? $args['provider'] : 'auto';
+		}
+
+		return [
+			'user_id'  => get_current_user_id(),
+			'provider' => $provider,
+			'model'    => Image_Handler::get_metadata_name( $metadata, [ 'model_metadata', 'model' ] ),
+		];
+	}
+
+	/**
+	 * Gets the oldest date the dashboard can show.
+	 *
+	 * @return string The date, as Y-m-d.
+	 */
+	private static function get_oldest_day() {
+		return wp_date( 'Y-m-d', strtotime( '-' . ( self::MAX_DAYS - 1 ) . ' days' ) );
+	}
+
+	/**
+	 * Gets the display name of a user, provider or model group.
+	 *
+	 * @param string $group users, providers or models.
+	 * @param array  $bucket A daily total.
+	 * @return string The display name.
+	 */
+	private static function get_group_name( $group, $bucket ) {
+		if ( 'users' === $group ) {
+			$user = get_userdata( $bucket['user_id'] );
+
+			return $user ? $user->display_name : __( 'Deleted user', 'kaigen' );
+		}
+
+		if ( 'providers' === $group || '' === $bucket['model'] ) {
+			return $bucket['provider'];
+		}
+
+		return $bucket['provider'] . ' / ' . $bucket['model'];
+	}
+
+	/**
+	 * Creates an empty group of totals.
+	 *
+	 * @param string $key Group key.
+	 * @param string $name Group display name.
+	 * @param int    $days Number of days covered.
+	 * @return array The empty group.
+	 */
+	private static function empty_group( $key, $name, $days ) {
+		return [
+			'key'            => $key,
+			'name'           => $name,
+			'requests'       => 0,
+			'images'         => 0,
+			'failures'       => 0,
+			'duration'       => 0,
+			'estimated_cost' => 0,
+			'daily'          => array_fill( 0, $days, 0 ),
+		];
+	}
+
+	/**
+	 * Adds a daily total to a group.
+	 *
+	 * @param array $group The group, updated in place.
+	 * @param array $bucket A daily total.
+	 * @param int   $index Position of the total's date in the covered range.
+	 * @param float $price Price of one image for the total's provider and model.
+	 * @return void
+	 */
+	private static function add_bucket( &$group, $bucket, $index, $price ) {
+		$group['requests']        += $bucket['requests'];
+		$group['images']          += $bucket['images'];
+		$group['failures']        += $bucket['failures'];
+		$group['duration']        += $bucket['duration'];
+		$group['estimated_cost']  += $bucket['images'] * $price;
+		$group['daily'][ $index ] += $bucket['images'];
+	}
+
+	/**
+	 * Replaces a group's summed duration with its averages and rates.
+	 *
+	 * @param array $group The group.
+	 * @return array The group with average_duration in seconds and failure_rate from 0 to 1.
+	 */
+	private static function finish_group( $group ) {
+		$group['average_duration'] = $group['requests'] ? round( $group['duration'] / $group['requests'], 1 ) : 0;
+		$group['failure_rate']     = $group['requests'] ? round( $group['failures'] / $group['requests'], 3 ) : 0;
+		$group['estimated_cost']   = round( $group['estimated_cost'], 2 );
+		unset( $group['duration'] );
+
+		return $group;
+	}
+}
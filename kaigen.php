@@ -29,8 +29,18 @@ define( 'KAIGEN_PLUGIN_FILE', __FILE__ );
 define( 'KAIGEN_VERSION', '0.2.11' );
 
 // Load the small Core AI Client integration.
+require_once __DIR__ . '/inc/class-settings.php';
+require_once __DIR__ . '/inc/class-image-provenance.php';
 require_once __DIR__ . '/inc/class-image-handler.php';
+require_once __DIR__ . '/inc/class-prompt-history.php';
+require_once __DIR__ . '/inc/class-style-presets.php';
+require_once __DIR__ . '/inc/class-reference-images.php';
 require_once __DIR__ . '/inc/class-image-generation-http-options.php';
+require_once __DIR__ . '/inc/class-generation-jobs.php';
+require_once __DIR__ . '/inc/class-generation-quotas.php';
+require_once __DIR__ . '/inc/class-usage-stats.php';
+require_once __DIR__ . '/inc/class-alt-text-generator.php';
 require_once __DIR__ . '/inc/class-image-generation-service.php';
+require_once __DIR__ . '/inc/class-prompt-enhancer.php';
 require_once __DIR__ . '/inc/class-admin.php';
 require_once __DIR__ . '/inc/class-rest-api.php';
@@ -2,17 +2,229 @@
 
 import apiFetch from '@wordpress/api-fetch';
 
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Longest a job is polled for: twice the longest provider timeout, as a timed out request is retried once, plus the uploads.
+const JOB_MAX_WAIT_MS = 25 * 60 * 1000;
+
+const JOB_FINAL_STATUSES = [ 'done', 'failed', 'cancelled' ];
+
 /**
- * Generates an AI image based on the given prompt and optional parameters.
+ * Creates the error thrown when a generation is cancelled.
  *
- * @param {string}   prompt                   The text prompt for image generation.
- * @param {Object}   [options]                Optional parameters for image generation.
- * @param {number[]} [options.sourceImageIds] Array of reference image IDs.
- * @param {string}   [options.provider]       Core AI provider ID, or 'auto'.
- * @param {string}   [options.orientation]    Core orientation: square, landscape, or portrait.
- * @return {Promise<Object>} Generated media object.
+ * @return {Error} Error named AbortError.
  */
-export const generateImage = async ( prompt, options = {} ) => {
+const createAbortError = () => {
+	const error = new Error( 'Image generation was cancelled.' );
+	error.name = 'AbortError';
+	return error;
+};
+
+/**
+ * Checks whether an error was caused by cancelling a generation.
+ *
+ * @param {Error} error The caught error.
+ * @return {boolean} Whether the error is an abort.
+ */
+export const isAbortError = ( error ) => error?.name === 'AbortError';
+
+/**
+ * Waits for the given number of milliseconds, or rejects early when aborted.
+ *
+ * @param {number}      ms       Delay in milliseconds.
+ * @param {AbortSignal} [signal] Signal that cancels the wait.
+ * @return {Promise<void>} Resolves after the delay.
+ */
+const wait = ( ms, signal ) =>
+	new Promise( ( resolve, reject ) => {
+		if ( signal?.aborted ) {
+			reject( createAbortError() );
+			return;
+		}
+
+		const timeout = setTimeout( () => {
+			signal?.removeEventListener( 'abort', onAbort );
+			resolve();
+		}, ms );
+		const onAbort = () => {
+			clearTimeout( timeout );
+			reject( createAbortError() );
+		};
+
+		signal?.addEventListener( 'abort', onAbort, { once: true } );
+	} );
+
+/**
+ * Normalizes a generated attachment from the REST response into a media object.
+ *
+ * @param {Object}      image    Generated attachment data.
+ * @param {string}      prompt   The prompt used for generation.
+ * @param {Object|null} metadata Core AI result metadata.
+ * @return {Object} Media object.
+ */
+const toMedia = ( image, prompt, metadata ) => {
+	const media = {
+		url: image.url,
+		// Older responses carry no alt text; the prompt is better than nothing.
+		alt: image.alt || prompt,
+		caption: '',
+		metadata,
+	};
+
+	if ( image.id && typeof image.id === 'number' && image.id > 0 ) {
+		media.id = image.id;
+	}
+
+	return media;
+};
+
+/**
+ * Fetches the current status of a background generation job.
+ *
+ * @param {string} jobId Generation job ID.
+ * @return {Promise<Object>} Job status: job_id, status, result and error.
+ */
+export const fetchGenerationJob = ( jobId ) =>
+	apiFetch( {
+		path: `/kaigen/v1/jobs/${ jobId }`,
+		method: 'GET',
+	} );
+
+/**
+ * Cancels a background generation job so the server skips its media upload.
+ *
+ * @param {string} jobId Generation job ID.
+ * @return {Promise<Object>} The cancelled job status.
+ */
+export const cancelGenerationJob = ( jobId ) =>
+	apiFetch( {
+		path: `/kaigen/v1/jobs/${ jobId }`,
+		method: 'DELETE',
+	} );
+
+/**
+ * Queues a background generation job.
+ *
+ * The request itself is never aborted, as the server may already have queued the job:
+ * an abort rejects at once, and the job is cancelled as soon as its ID arrives.
+ *
+ * @param {Object}      data     Generation request body.
+ * @param {AbortSignal} [signal] Signal that cancels the job.
+ * @return {Promise<Object>} The queued job response.
+ */
+const queueGenerationJob = ( data, signal ) => {
+	const request = apiFetch( {
+		path: '/kaigen/v1/generate-image',
+		method: 'POST',
+		data,
+	} );
+
+	if ( ! signal ) {
+		return request;
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const onAbort = () => {
+			reject( createAbortError() );
+			request
+				.then(
+					( job ) => job?.job_id && cancelGenerationJob( job.job_id )
+				)
+				.catch( () => {} );
+		};
+
+		if ( signal.aborted ) {
+			onAbort();
+			return;
+		}
+
+		signal.addEventListener( 'abort', onAbort, { once: true } );
+		request.then(
+			( job ) => {
+				signal.removeEventListener( 'abort', onAbort );
+				resolve( job );
+			},
+			( error ) => {
+				signal.removeEventListener( 'abort', onAbort );
+				reject( error );
+			}
+		);
+	} );
+};
+
+/**
+ * Polls a background generation job until it is done, failed or cancelled,
+ * giving up and cancelling it after JOB_MAX_WAIT_MS.
+ *
+ * @param {Object}      job        Queued job response.
+ * @param {Function}    [onStatus] Callback receiving each reported job status.
+ * @param {AbortSignal} [signal]   Signal that cancels the job.
+ * @return {Promise<Object>} The finished job's generation result.
+ */
+const waitForGenerationJob = async ( job, onStatus, signal ) => {
+	const startedAt = Date.now();
+	let current = job;
+
+	try {
+		while ( ! JOB_FINAL_STATUSES.includes( current.status ) ) {
+			if ( Date.now() - startedAt >= JOB_MAX_WAIT_MS ) {
+				// Stop the job so it cannot finish unseen and still use up the quota.
+				await cancelGenerationJob( job.job_id ).catch( () => {} );
+				throw new Error(
+					'The image took too long to generate. Please try again.'
+				);
+			}
+
+			onStatus?.( current.status );
+			await wait( JOB_POLL_INTERVAL_MS, signal );
+			current = await fetchGenerationJob( job.job_id );
+		}
+	} catch ( error ) {
+		if ( isAbortError( error ) ) {
+			// Best effort: the local abort stands even if the server is unreachable.
+			await cancelGenerationJob( job.job_id ).catch( () => {} );
+		}
+
+		throw error;
+	}
+
+	onStatus?.( current.status );
+
+	if ( current.status === 'cancelled' ) {
+		throw createAbortError();
+	}
+
+	if ( current.status === 'failed' ) {
+		throw new Error(
+			current.error?.message ||
+				'An unknown error occurred while generating the image'
+		);
+	}
+
+	return current.result;
+};
+
+/**
+ * Generates one or more AI image candidates for the given prompt.
+ *
+ * @param {string}      prompt                   The text prompt for image generation.
+ * @param {Object}      [options]                Optional parameters for image generation.
+ * @param {number[]}    [options.sourceImageIds] Array of reference image IDs.
+ * @param {string}      [options.provider]       Core AI provider ID, or 'auto'.
+ * @param {string}      [options.orientation]    Core orientation: square, landscape, or portrait.
+ * @param {number}      [options.count]          Number of candidates to generate (1-4).
+ * @param {string}      [options.sourceMask]     PNG data URI marking the area of the first reference image to change.
+ * @param {string}      [options.presetId]       Style preset ID to apply.
+ * @param {string}      [options.negativePrompt] What the image should not contain.
+ * @param {number}      [options.seed]           Seed for reproducible results.
+ * @param {string}      [options.quality]        Quality tier: low, medium, or high.
+ * @param {string}      [options.outputMimeType] Output MIME type: image/png, image/jpeg, or image/webp.
+ * @param {Object}      [options.size]           Shape to crop the result to: { width, height, exact }. Exact sizes are in pixels; otherwise width and height form a ratio.
+ * @param {Function}    [options.onStatus]       Callback receiving server-reported job statuses.
+ * @param {AbortSignal} [options.signal]         Signal that cancels the generation.
+ * @return {Promise<Object[]>} Generated media objects.
+ */
+export const generateImages = async ( prompt, options = {} ) => {
 	const data = {
 		prompt,
 		provider: options.provider || 'auto',
@@ -23,14 +235,57 @@ export const generateImage = async ( prompt, options = {} ) => {
 		data.source_image_ids = options.sourceImageIds;
 	}
 
+	if ( Number.isInteger( options.count ) && options.count > 1 ) {
+		data.count = options.count;
+	}
+
+	if ( options.sourceMask ) {
+		data.source_mask = options.sourceMask;
+	}
+
+	if ( options.presetId ) {
+		data.preset_id = options.presetId;
+	}
+
+	if ( options.negativePrompt ) {
+		data.negative_prompt = options.negativePrompt;
+	}
+
+	if ( Number.isInteger( options.seed ) && options.seed >= 0 ) {
+		data.seed = options.seed;
+	}
+
+	if ( options.quality ) {
+		data.quality = options.quality;
+	}
+
+	if ( options.outputMimeType ) {
+		data.output_mime_type = options.outputMimeType;
+	}
+
+	if ( options.size?.exact ) {
+		data.width = options.size.width;
+		data.height = options.size.height;
+	} else if ( options.size ) {
+		data.aspect_ratio = `${ options.size.width }:${ options.size.height }`;
+	}
+
 	let response;
 	try {
-		response = await apiFetch( {
-			path: '/kaigen/v1/generate-image',
-			method: 'POST',
-			data,
-		} );
+		response = await queueGenerationJob( data, options.signal );
+
+		if ( response?.job_id ) {
+			response = await waitForGenerationJob(
+				response,
+				options.onStatus,
+				options.signal
+			);
+		}
 	} catch ( error ) {
+		if ( isAbortError( error ) ) {
+			throw createAbortError();
+		}
+
 		throw new Error(
 			error.message ||
 				'An unknown error occurred while generating the image'
@@ -41,40 +296,522 @@ export const generateImage = async ( prompt, options = {} ) => {
 		throw new Error( response.message );
 	}
 
-	if ( ! response || ! response.url ) {
+	const images =
+		Array.isArray( response?.images ) && response.images.length > 0
+			? response.images
+			: [ response ];
+
+	if ( ! response || images.some( ( image ) => ! image?.url ) ) {
 		throw new Error(
 			'Invalid response from server: ' + JSON.stringify( response )
 		);
 	}
 
-	const media = {
-		url: response.url,
-		alt: prompt,
-		caption: '',
-		metadata: response.metadata || null,
+	return images.map( ( image ) =>
+		toMedia( image, prompt, response.metadata || null )
+	);
+};
+
+/**
+ * Generates an AI image based on the given prompt and optional parameters.
+ *
+ * @param {string}      prompt                   The text prompt for image generation.
+ * @param {Object}      [options]                Optional parameters for image generation.
+ * @param {number[]}    [options.sourceImageIds] Array of reference image IDs.
+ * @param {string}      [options.provider]       Core AI provider ID, or 'auto'.
+ * @param {string}      [options.orientation]    Core orientation: square, landscape, or portrait.
+ * @param {Function}    [options.onStatus]       Callback receiving server-reported job statuses.
+ * @param {AbortSignal} [options.signal]         Signal that cancels the generation.
+ * @return {Promise<Object>} Generated media object.
+ */
+export const generateImage = async ( prompt, options = {} ) => {
+	const [ media ] = await generateImages( prompt, {
+		...options,
+		count: 1,
+	} );
+
+	return media;
+};
+
+/**
+ * Rewrites a prompt with composition, lighting and style detail using a text model.
+ *
+ * @param {string} prompt The prompt to enhance.
+ * @return {Promise<string>} The enhanced prompt.
+ */
+export const enhancePrompt = async ( prompt ) => {
+	let response;
+	try {
+		response = await apiFetch( {
+			path: '/kaigen/v1/enhance-prompt',
+			method: 'POST',
+			data: { prompt },
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while enhancing the prompt'
+		);
+	}
+
+	if ( ! response?.prompt ) {
+		throw new Error(
+			'Invalid response from server: ' + JSON.stringify( response )
+		);
+	}
+
+	return response.prompt;
+};
+
+/**
+ * Writes alt text for an image attachment using a vision-capable model.
+ *
+ * @param {number}  attachmentId   Image attachment ID.
+ * @param {Object}  [options]      Optional parameters.
+ * @param {boolean} [options.save] Whether to also store the alt text on the attachment.
+ * @return {Promise<string>} The alt text.
+ */
+export const describeImage = async ( attachmentId, options = {} ) => {
+	let response;
+	try {
+		response = await apiFetch( {
+			path: '/kaigen/v1/describe-image',
+			method: 'POST',
+			data: {
+				attachment_id: attachmentId,
+				save: options.save === true,
+			},
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while describing the image'
+		);
+	}
+
+	if ( ! response?.alt ) {
+		throw new Error(
+			'Invalid response from server: ' + JSON.stringify( response )
+		);
+	}
+
+	return response.alt;
+};
+
+/**
+ * Fetches a page of reference images marked in the media library.
+ *
+ * @param {Object} [query]            Query parameters.
+ * @param {string} [query.search]     Text to search for.
+ * @param {number} [query.page]       1-based page number.
+ * @param {number} [query.perPage]    Images per page.
+ * @param {string} [query.orderby]    Sort order: date or usage.
+ * @param {number} [query.collection] Collection ID to limit the images to.
+ * @return {Promise<Object>} The page's images and the total number of pages.
+ */
+export const fetchReferenceImages = async ( query = {} ) => {
+	const params = new URLSearchParams( {
+		page: String( query.page || 1 ),
+		per_page: String( query.perPage || 20 ),
+		orderby: query.orderby || 'date',
+	} );
+
+	if ( query.search ) {
+		params.set( 'search', query.search );
+	}
+
+	if ( query.collection ) {
+		params.set( 'collection', String( query.collection ) );
+	}
+
+	let response;
+	try {
+		response = await apiFetch( {
+			path: `/kaigen/v1/reference-images?${ params }`,
+			method: 'GET',
+			parse: false,
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while loading reference images'
+		);
+	}
+
+	const images = await response.json();
+
+	return {
+		images: Array.isArray( images ) ? images : [],
+		totalPages: Number( response.headers.get( 'X-WP-TotalPages' ) ) || 0,
 	};
+};
+
+/**
+ * Uploads an image to the media library and marks it as a reference image.
+ *
+ * @param {File} file The image file.
+ * @return {Promise<Object>} The new reference image.
+ */
+export const uploadReferenceImage = async ( file ) => {
+	const body = new window.FormData();
+	body.append( 'file', file, file.name );
 
-	if ( response.id && typeof response.id === 'number' && response.id > 0 ) {
-		media.id = response.id;
+	try {
+		return await apiFetch( {
+			path: '/kaigen/v1/reference-images',
+			method: 'POST',
+			body,
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while uploading the reference image'
+		);
 	}
+};
 
-	return media;
+/**
+ * Shapes a media endpoint attachment like the images the KaiGen endpoints return.
+ *
+ * @param {Object} media Attachment from the media endpoint.
+ * @return {Object} Image with id, url, thumbnail_url and alt.
+ */
+const toReferenceImage = ( media ) => ( {
+	id: media.id,
+	url: media.source_url,
+	thumbnail_url:
+		media.media_details?.sizes?.thumbnail?.source_url || media.source_url,
+	alt: media.alt_text || '',
+} );
+
+/**
+ * Fetches media library images by attachment ID, in the given order.
+ * Deleted attachments are left out.
+ *
+ * @param {number[]} attachmentIds Attachment IDs.
+ * @return {Promise<Object[]>} Images with id, url, thumbnail_url and alt.
+ */
+export const fetchImagesById = async ( attachmentIds ) => {
+	if ( attachmentIds.length === 0 ) {
+		return [];
+	}
+
+	const media = await apiFetch( {
+		path: `/wp/v2/media?include=${ attachmentIds.join( ',' ) }&per_page=${
+			attachmentIds.length
+		}&orderby=include`,
+	} );
+
+	return Array.isArray( media ) ? media.map( toReferenceImage ) : [];
+};
+
+/**
+ * Fetches the settings a generated image was made with.
+ * They are only returned in the edit context, so users who cannot edit the image get an error.
+ *
+ * @param {number} attachmentId Attachment ID.
+ * @return {Promise<Object|null>} The generation details, or null for images KaiGen did not generate.
+ */
+export const fetchGenerationDetails = async ( attachmentId ) => {
+	const media = await apiFetch( {
+		path: `/wp/v2/media/${ attachmentId }?context=edit`,
+	} );
+	const details = media?.meta?.kaigen_generation;
+
+	return details?.prompt ? details : null;
+};
+
+/**
+ * Reads the AI provenance embedded in an image's file.
+ *
+ * @param {number} attachmentId Attachment ID.
+ * @return {Promise<Object|null>} The provenance with is_ai_generated, prompt, model and creator, or null when the file carries none.
+ */
+export const fetchImageProvenance = async ( attachmentId ) => {
+	const response = await apiFetch( {
+		path: `/kaigen/v1/provenance/${ attachmentId }`,
+		method: 'GET',
+	} );
+
+	return response?.provenance || null;
+};
+
+/**
+ * Uploads an image to the media library without marking it as a reference image.
+ *
+ * @param {File} file The image file.
+ * @return {Promise<Object>} The new image, shaped like a reference image.
+ */
+export const uploadMediaImage = async ( file ) => {
+	const body = new window.FormData();
+	body.append( 'file', file, file.name );
+
+	let media;
+	try {
+		media = await apiFetch( {
+			path: '/wp/v2/media',
+			method: 'POST',
+			body,
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while uploading the image'
+		);
+	}
+
+	return toReferenceImage( media );
 };
 
 /**
- * Fetches all reference images marked in the media library.
+ * Marks a media library image as a reference image.
  *
- * @return {Promise<Array>} Array of image objects.
+ * @param {number} attachmentId Attachment ID.
+ * @return {Promise<Object>} The updated attachment.
  */
-export const fetchReferenceImages = async () => {
+export const markAsReferenceImage = ( attachmentId ) =>
+	apiFetch( {
+		path: `/wp/v2/media/${ attachmentId }`,
+		method: 'POST',
+		data: { meta: { kaigen_reference_image: true } },
+	} );
+
+/**
+ * Fetches every reference image collection.
+ *
+ * @return {Promise<Array>} Collections with id, name and image count.
+ */
+export const fetchReferenceCollections = async () => {
 	try {
 		const response = await apiFetch( {
-			path: '/kaigen/v1/reference-images',
+			path: '/kaigen/v1/reference-collections',
 			method: 'GET',
 		} );
 		return Array.isArray( response ) ? response : [];
 	} catch {
-		// Silently fail and return empty array
 		return [];
 	}
 };
+
+/**
+ * Fetches the names of the collections an image belongs to.
+ *
+ * @param {number} attachmentId Attachment ID.
+ * @return {Promise<string[]>} Collection names.
+ */
+export const fetchImageCollections = async ( attachmentId ) => {
+	const response = await apiFetch( {
+		path: `/kaigen/v1/reference-images/${ attachmentId }/collections`,
+		method: 'GET',
+	} );
+	return Array.isArray( response ) ? response : [];
+};
+
+/**
+ * Files an image in the named collections, replacing its current ones.
+ * Collections that do not exist yet are created.
+ *
+ * @param {number}   attachmentId Attachment ID.
+ * @param {string[]} collections  Collection names.
+ * @return {Promise<string[]>} The saved collection names.
+ */
+export const updateImageCollections = async ( attachmentId, collections ) => {
+	try {
+		return await apiFetch( {
+			path: `/kaigen/v1/reference-images/${ attachmentId }/collections`,
+			method: 'POST',
+			data: { collections },
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while saving the image collections'
+		);
+	}
+};
+
+/**
+ * Fetches the current user's generation quota.
+ *
+ * @return {Promise<Object|null>} Daily and monthly limit, used and remaining, or null when it could not be loaded.
+ */
+export const fetchQuota = async () => {
+	try {
+		return await apiFetch( {
+			path: '/kaigen/v1/quota',
+			method: 'GET',
+		} );
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Fetches generation usage and estimated cost for the usage dashboard.
+ *
+ * @param {number} days Number of days to cover, ending today.
+ * @return {Promise<Object>} Usage totals, and totals per user, provider and model.
+ */
+export const fetchUsageStats = async ( days ) => {
+	try {
+		return await apiFetch( {
+			path: `/kaigen/v1/stats?days=${ days }`,
+			method: 'GET',
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while loading usage statistics'
+		);
+	}
+};
+
+/**
+ * Saves the price of one image for provider and model pairs. A price of 0 clears it.
+ *
+ * @param {Array} prices Prices, each with provider, model and price.
+ * @return {Promise<Object>} The saved prices, keyed by provider, then by model.
+ */
+export const updateImagePrices = async ( prices ) => {
+	try {
+		return await apiFetch( {
+			path: '/kaigen/v1/stats/prices',
+			method: 'POST',
+			data: { prices },
+		} );
+	} catch ( error ) {
+		throw new Error(
+			error.message ||
+				'An unknown error occurred while saving the image prices'
+		);
+	}
+};
+
+/**
+ * Fetches the site-wide KaiGen settings through the REST settings endpoint.
+ *
+ * @return {Promise<Object>} The settings.
+ */
+export const fetchPluginSettings = async () => {
+	try {
+		const response = await apiFetch( {
+			path: '/wp/v2/settings',
+			method: 'GET',
+		} );
+		return response.kaigen_settings || {};
+	} catch ( error ) {
+		throw new Error(
+			error.message || 'An unknown error occurred while loading settings'
+		);
+	}
+};
+
+/**
+ * Saves the site-wide KaiGen settings through the REST settings endpoint.
+ *
+ * @param {Object} settings The settings.
+ * @return {Promise<Object>} The saved settings.
+ */
+export const updatePluginSettings = async ( settings ) => {
+	try {
+		const response = await apiFetch( {
+			path: '/wp/v2/settings',
+			method: 'POST',
+			data: { kaigen_settings: settings },
+		} );
+		return response.kaigen_settings || {};
+	} catch ( error ) {
+		throw new Error(
+			error.message || 'An unknown error occurred while saving settings'
+		);
+	}
+};
+
+/**
+ * Fetches the current user's prompt history.
+ *
+ * @return {Promise<Array>} History entries, newest first.
+ */
+export const fetchPromptHistory = async () => {
+	try {
+		const response = await apiFetch( {
+			path: '/kaigen/v1/history',
+			method: 'GET',
+		} );
+		return Array.isArray( response ) ? response : [];
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Deletes an entry from the current user's prompt history.
+ *
+ * @param {string} entryId History entry ID.
+ * @return {Promise<Object>} Deletion response.
+ */
+export const deletePromptHistoryEntry = ( entryId ) =>
+	apiFetch( {
+		path: `/kaigen/v1/history/${ entryId }`,
+		method: 'DELETE',
+	} );
+
+/**
+ * Keeps the generated candidate the user picked and deletes the others.
+ *
+ * @param {number[]} ids      Candidate attachment IDs to delete.
+ * @param {number}   [keepId] Picked candidate attachment ID.
+ * @return {Promise<Object>} IDs of the deleted candidates.
+ */
+export const resolveCandidates = ( ids, keepId = 0 ) =>
+	apiFetch( {
+		path: '/kaigen/v1/candidates',
+		method: 'DELETE',
+		data: { ids, keep: keepId },
+	} );
+
+/**
+ * Fetches the site-wide style presets.
+ *
+ * @return {Promise<Array>} Style presets.
+ */
+export const fetchStylePresets = async () => {
+	try {
+		const response = await apiFetch( {
+			path: '/kaigen/v1/presets',
+			method: 'GET',
+		} );
+		return Array.isArray( response ) ? response : [];
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Creates a site-wide style preset.
+ *
+ * @param {Object}   preset                    Preset fields.
+ * @param {string}   preset.name               Display name.
+ * @param {string}   [preset.prompt]           Prompt text added to every generation using the preset.
+ * @param {string}   [preset.orientation]      Default orientation, or an empty string.
+ * @param {number[]} [preset.source_image_ids] Default reference image IDs.
+ * @return {Promise<Object>} The created preset.
+ */
+export const createStylePreset = ( preset ) =>
+	apiFetch( {
+		path: '/kaigen/v1/presets',
+		method: 'POST',
+		data: preset,
+	} );
+
+/**
+ * Deletes a site-wide style preset.
+ *
+ * @param {string} presetId Preset ID.
+ * @return {Promise<Object>} Deletion response.
+ */
+export const deleteStylePreset = ( presetId ) =>
+	apiFetch( {
+		path: `/kaigen/v1/presets/${ presetId }`,
+		method: 'DELETE',
+	} );
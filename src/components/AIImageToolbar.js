@@ -8,30 +8,60 @@ import { isKaiGenAvailable } from '../utils/kaigenSettings';
 
 const kaiGenLogo = window.kaiGen?.logoUrl;
 
+const IDLE_GENERATION = {
+	isGenerating: false,
+	status: 'queued',
+	cancel: null,
+};
+
 /**
  * AIImageToolbar component for adding AI image generation or regeneration buttons.
  *
- * @param {Object}   props                    - Component properties.
- * @param {boolean}  props.isGenerating       - Indicates if an image is currently being generated.
- * @param {Function} props.onGenerateImage    - Callback to handle image generation.
- * @param {boolean}  [props.isRegenerating]   - Indicates if an image is being regenerated.
- * @param {Function} [props.onImageGenerated] - Callback when image is generated (for regenerate).
- * @param {boolean}  [props.isImageBlock]     - Determines if the current block is an image block.
- * @param {boolean}  [props.isTextSelected]   - Determines if text is selected to trigger generation.
- * @param {Object}   [props.currentImage]     - The current image data for regeneration (url, id, alt).
+ * @param {Object}   props                     - Component properties.
+ * @param {boolean}  props.isGenerating        - Indicates if an image is currently being generated.
+ * @param {Function} props.onGenerateImage     - Callback to handle image generation.
+ * @param {Function} [props.onCancel]          - Callback to cancel a running text-selection generation.
+ * @param {string}   [props.generationStatus]  - Latest server-reported job status for text-selection generation.
+ * @param {boolean}  [props.isRegenerating]    - Indicates if an image is being regenerated.
+ * @param {Function} [props.onImageGenerated]  - Callback when image is generated (for regenerate).
+ * @param {boolean}  [props.isImageBlock]      - Determines if the current block is an image block.
+ * @param {boolean}  [props.isTextSelected]    - Determines if text is selected to trigger generation.
+ * @param {Object}   [props.currentImage]      - The current image data for regeneration (url, id, alt).
+ * @param {string}   [props.orientation]       - Orientation the modal starts with for this block type.
+ * @param {Object}   [props.size]              - Crop size the modal starts with, from the block's own dimensions.
+ * @param {Object}   [props.initialSettings]   - Generation settings, shaped like a prompt history entry, to pre-fill the modal with.
+ * @param {boolean}  [props.isGalleryMode]     - Opens the modal in gallery mode, reporting each image as it finishes.
+ * @param {boolean}  [props.isModalOpen]       - Controls whether the modal is open, for callers that open it from elsewhere.
+ * @param {Function} [props.onModalOpenChange] - Callback receiving the requested open state when `isModalOpen` is controlled.
  * @return {Object|null} The toolbar button or null if conditions are unmet.
  */
 const AIImageToolbar = ( {
 	isGenerating,
 	onGenerateImage,
+	onCancel,
+	generationStatus,
 	isRegenerating,
 	onImageGenerated,
 	isImageBlock,
 	isTextSelected,
 	currentImage,
+	orientation,
+	size,
+	initialSettings,
+	isGalleryMode,
+	isModalOpen: controlledIsModalOpen,
+	onModalOpenChange,
 } ) => {
-	const [ isModalOpen, setIsModalOpen ] = useState( false );
-	const progress = useGenerationProgress( isGenerating || isRegenerating );
+	const [ uncontrolledIsModalOpen, setUncontrolledIsModalOpen ] =
+		useState( false );
+	const isModalOpen = controlledIsModalOpen ?? uncontrolledIsModalOpen;
+	const setIsModalOpen = onModalOpenChange || setUncontrolledIsModalOpen;
+	const [ modalGeneration, setModalGeneration ] = useState( IDLE_GENERATION );
+	const isModalGenerating = isRegenerating || modalGeneration.isGenerating;
+	const progress = useGenerationProgress(
+		isGenerating || isModalGenerating,
+		isModalGenerating ? modalGeneration.status : generationStatus
+	);
 
 	if ( ! isKaiGenAvailable() ) {
 		return null;
@@ -55,7 +85,7 @@ const AIImageToolbar = ( {
 				<ToolbarGroup>
 					<ToolbarButton
 						icon={
-							isRegenerating ? (
+							isModalGenerating ? (
 								progressIcon
 							) : (
 								<img
@@ -66,13 +96,20 @@ const AIImageToolbar = ( {
 							)
 						}
 						label={
-							isRegenerating
+							isModalGenerating
 								? `KaiGen is generating... ${ progress }%`
 								: 'KaiGen'
 						}
 						onClick={ () => setIsModalOpen( true ) }
-						disabled={ isRegenerating }
 					/>
+					{ modalGeneration.isGenerating &&
+						modalGeneration.cancel && (
+							<ToolbarButton
+								icon="no-alt"
+								label="Cancel generation"
+								onClick={ modalGeneration.cancel }
+							/>
+						) }
 				</ToolbarGroup>
 
 				<GenerateImageModal
@@ -80,6 +117,11 @@ const AIImageToolbar = ( {
 					onClose={ () => setIsModalOpen( false ) }
 					onSelect={ onImageGenerated }
 					initialReferenceImage={ currentImage }
+					initialOrientation={ orientation }
+					initialSize={ size }
+					initialSettings={ initialSettings }
+					isGalleryMode={ isGalleryMode }
+					onGenerationStateChange={ setModalGeneration }
 				/>
 			</>
 		);
@@ -98,6 +140,13 @@ const AIImageToolbar = ( {
 					onClick={ onGenerateImage }
 					disabled={ isGenerating }
 				/>
+				{ isGenerating && onCancel && (
+					<ToolbarButton
+						icon="no-alt"
+						label="Cancel generation"
+						onClick={ onCancel }
+					/>
+				) }
 			</ToolbarGroup>
 		);
 	}
@@ -11,9 +11,15 @@ const kaiGenLogoBig = window.kaiGen?.logoUrl;
  * @param {boolean}  props.shouldDisplay - Flag indicating whether to render the AITab.
  * @param {string}   props.variant       - The UI variant to render.
  * @param {Function} props.onClick       - Callback after clicking the control.
+ * @param {string}   [props.label]       - Text of the menu variant.
  * @return {Object|null} The rendered AITab component or null if not displayed.
  */
-const AITab = ( { shouldDisplay, variant = 'placeholder', onClick } ) => {
+const AITab = ( {
+	shouldDisplay,
+	variant = 'placeholder',
+	onClick,
+	label = 'KaiGen',
+} ) => {
 	// Do not render the component if shouldDisplay is false.
 	if ( ! shouldDisplay ) {
 		return null;
@@ -33,11 +39,31 @@ const AITab = ( { shouldDisplay, variant = 'placeholder', onClick } ) => {
 					/>
 				}
 			>
-				KaiGen
+				{ label }
 			</MenuItem>
 		);
 	}
 
+	if ( variant === 'button' ) {
+		return (
+			<Button
+				onClick={ onClick }
+				variant="secondary"
+				className="kaigen-featured-image-button"
+				icon={
+					<img
+						src={ kaiGenLogoBig }
+						alt=""
+						aria-hidden="true"
+						className="kaigen-toolbar-icon"
+					/>
+				}
+			>
+				Generate with KaiGen
+			</Button>
+		);
+	}
+
 	return (
 		<Button
 			onClick={ onClick }
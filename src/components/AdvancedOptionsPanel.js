@@ -0,0 +1,133 @@
+// This file contains the AdvancedOptionsPanel component - the collapsible advanced settings inside GenerateImageModal.
+
+import {
+	Button,
+	SelectControl,
+	TextControl,
+	TextareaControl,
+} from '@wordpress/components';
+
+const QUALITY_OPTIONS = [
+	{ value: '', label: 'Provider default' },
+	{ value: 'low', label: 'Low' },
+	{ value: 'medium', label: 'Medium' },
+	{ value: 'high', label: 'High' },
+];
+
+const OUTPUT_MIME_TYPE_OPTIONS = [
+	{ value: '', label: 'Provider default' },
+	{ value: 'image/png', label: 'PNG' },
+	{ value: 'image/jpeg', label: 'JPEG' },
+	{ value: 'image/webp', label: 'WebP' },
+];
+
+/**
+ * AdvancedOptionsPanel component - negative prompt, seed, quality, output format and candidate count.
+ * Options the selected provider does not honor are hidden.
+ *
+ * @param {Object}   props                  - The properties object.
+ * @param {Object}   props.options          - Current negativePrompt, seed, quality and outputMimeType values.
+ * @param {Function} props.onChange         - Callback receiving the changed option values.
+ * @param {string[]} props.supportedOptions - Option names the selected provider honors.
+ * @param {number}   props.count            - Number of candidates per generation.
+ * @param {Function} props.onCountChange    - Callback receiving the new candidate count.
+ * @param {number[]} props.countOptions     - Selectable candidate counts.
+ * @param {boolean}  [props.showCount]      - Whether to offer the candidate count.
+ * @param {number}   [props.lastSeed]       - Seed reported for the last result, if any.
+ * @return {Object} The rendered panel.
+ */
+const AdvancedOptionsPanel = ( {
+	options,
+	onChange,
+	supportedOptions,
+	count,
+	onCountChange,
+	countOptions,
+	showCount = true,
+	lastSeed,
+} ) => {
+	const supports = ( option ) => supportedOptions.includes( option );
+
+	return (
+		<div className="kaigen-modal__advanced">
+			{ supports( 'negative_prompt' ) && (
+				<TextareaControl
+					__nextHasNoMarginBottom
+					className="kaigen-modal__advanced-negative-prompt"
+					label="Negative prompt"
+					help="Things the image should not contain."
+					value={ options.negativePrompt }
+					onChange={ ( negativePrompt ) =>
+						onChange( { negativePrompt } )
+					}
+					rows={ 2 }
+				/>
+			) }
+
+			{ supports( 'seed' ) && (
+				<div className="kaigen-modal__advanced-seed">
+					<TextControl
+						__nextHasNoMarginBottom
+						__next40pxDefaultSize
+						type="number"
+						min={ 0 }
+						label="Seed"
+						help="Leave empty for a random seed."
+						value={ options.seed }
+						onChange={ ( seed ) => onChange( { seed } ) }
+					/>
+					{ Number.isInteger( lastSeed ) && (
+						<Button
+							variant="link"
+							onClick={ () =>
+								onChange( { seed: String( lastSeed ) } )
+							}
+						>
+							{ `Reuse last seed (${ lastSeed })` }
+						</Button>
+					) }
+				</div>
+			) }
+
+			{ supports( 'quality' ) && (
+				<SelectControl
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+					label="Quality"
+					value={ options.quality }
+					options={ QUALITY_OPTIONS }
+					onChange={ ( quality ) => onChange( { quality } ) }
+				/>
+			) }
+
+			{ supports( 'output_mime_type' ) && (
+				<SelectControl
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+					label="Output format"
+					value={ options.outputMimeType }
+					options={ OUTPUT_MIME_TYPE_OPTIONS }
+					onChange={ ( outputMimeType ) =>
+						onChange( { outputMimeType } )
+					}
+				/>
+			) }
+
+			{ showCount && (
+				<SelectControl
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+					label="Images per generation"
+					value={ String( count ) }
+					options={ countOptions.map( ( value ) => ( {
+						value: String( value ),
+						label: value === 1 ? '1 image' : `${ value } images`,
+					} ) ) }
+					onChange={ ( value ) => onCountChange( Number( value ) ) }
+				/>
+			) }
+		</div>
+	);
+};
+
+export default AdvancedOptionsPanel;
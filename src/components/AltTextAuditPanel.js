@@ -0,0 +1,171 @@
+// This file contains the AltTextAuditPanel component - the document sidebar list of images missing alt text.
+
+import { useMemo, useState } from '@wordpress/element';
+import { Button } from '@wordpress/components';
+import { dispatch, useSelect } from '@wordpress/data';
+import { describeImage } from '../api';
+import { getImageBlocksMissingAlt } from '../filters/mediaUtils';
+import { runWithConcurrency } from '../utils/concurrency';
+
+const DESCRIBE_CONCURRENCY = 2;
+
+/**
+ * Checks whether an image block points at a media library attachment the server can describe.
+ *
+ * @param {Object} block - The image block.
+ * @return {boolean} Whether the block has a valid attachment ID.
+ */
+const hasAttachment = ( block ) =>
+	Number.isInteger( block.attributes.id ) && block.attributes.id > 0;
+
+/**
+ * AltTextAuditPanel component - lists every image block in the post without alt text and fills them in.
+ * Images inserted from a URL have no attachment to describe, so they are listed for manual editing.
+ *
+ * @return {Object} The rendered audit.
+ */
+const AltTextAuditPanel = () => {
+	const blocks = useSelect(
+		( select ) => select( 'core/block-editor' ).getBlocks(),
+		[]
+	);
+	const missingAlt = useMemo(
+		() => getImageBlocksMissingAlt( blocks ),
+		[ blocks ]
+	);
+	const [ describingIds, setDescribingIds ] = useState( [] );
+
+	const describeBlock = async ( block ) => {
+		setDescribingIds( ( prev ) => [ ...prev, block.clientId ] );
+
+		try {
+			const alt = await describeImage( block.attributes.id );
+			dispatch( 'core/block-editor' ).updateBlockAttributes(
+				block.clientId,
+				{ alt }
+			);
+		} finally {
+			setDescribingIds( ( prev ) =>
+				prev.filter( ( clientId ) => clientId !== block.clientId )
+			);
+		}
+	};
+
+	const handleDescribe = async ( block ) => {
+		try {
+			await describeBlock( block );
+		} catch ( error ) {
+			dispatch( 'core/notices' ).createErrorNotice(
+				error.message || 'Failed to generate alt text.',
+				{ type: 'snackbar' }
+			);
+		}
+	};
+
+	const handleFillAll = async () => {
+		const describable = missingAlt.filter(
+			( block ) =>
+				hasAttachment( block ) &&
+				! describingIds.includes( block.clientId )
+		);
+		const results = await runWithConcurrency(
+			describable.map( ( block ) => () => describeBlock( block ) ),
+			DESCRIBE_CONCURRENCY
+		);
+		const failures = results.filter(
+			( result ) => result.status === 'rejected'
+		);
+
+		if ( failures.length > 0 ) {
+			dispatch( 'core/notices' ).createErrorNotice(
+				`Alt text could not be generated for ${ failures.length } of ${
+					results.length
+				} images: ${
+					failures[ 0 ].reason?.message || 'unknown error'
+				}`,
+				{ type: 'snackbar' }
+			);
+			return;
+		}
+
+		dispatch( 'core/notices' ).createSuccessNotice(
+			`Alt text generated for ${ results.length } ${
+				results.length === 1 ? 'image' : 'images'
+			}.`,
+			{ type: 'snackbar' }
+		);
+	};
+
+	if ( missingAlt.length === 0 ) {
+		return (
+			<p className="kaigen-alt-audit__empty">Every image has alt text.</p>
+		);
+	}
+
+	const describableCount = missingAlt.filter( hasAttachment ).length;
+	const isDescribing = describingIds.length > 0;
+
+	return (
+		<div className="kaigen-alt-audit">
+			<p className="kaigen-alt-audit__summary">
+				{ missingAlt.length === 1
+					? '1 image is missing alt text.'
+					: `${ missingAlt.length } images are missing alt text.` }
+			</p>
+			<ul className="kaigen-alt-audit__list">
+				{ missingAlt.map( ( block ) => (
+					<li
+						key={ block.clientId }
+						className="kaigen-alt-audit__item"
+					>
+						<button
+							type="button"
+							className="kaigen-alt-audit__select"
+							onClick={ () =>
+								dispatch( 'core/block-editor' ).selectBlock(
+									block.clientId
+								)
+							}
+							aria-label="Select image block"
+						>
+							<img src={ block.attributes.url } alt="" />
+						</button>
+						{ hasAttachment( block ) ? (
+							<Button
+								variant="secondary"
+								size="small"
+								onClick={ () => handleDescribe( block ) }
+								isBusy={ describingIds.includes(
+									block.clientId
+								) }
+								disabled={ describingIds.includes(
+									block.clientId
+								) }
+							>
+								Generate
+							</Button>
+						) : (
+							<span className="kaigen-alt-audit__note">
+								Not in the media library
+							</span>
+						) }
+					</li>
+				) ) }
+			</ul>
+			{ describableCount > 0 && (
+				<Button
+					variant="primary"
+					onClick={ handleFillAll }
+					isBusy={ isDescribing }
+					disabled={ isDescribing }
+				>
+					{ `Generate alt text for ${ describableCount } ${
+						describableCount === 1 ? 'image' : 'images'
+					}` }
+				</Button>
+			) }
+		</div>
+	);
+};
+
+export default AltTextAuditPanel;
@@ -0,0 +1,148 @@
+// This file contains the GalleryVariationList component - per-image prompts and progress for gallery mode in GenerateImageModal.
+
+import { Button, TextControl } from '@wordpress/components';
+import useGenerationProgress from '../hooks/useGenerationProgress';
+
+const ITEM_STATUS_LABELS = {
+	queued: 'Queued',
+	running: 'Generating',
+	uploading: 'Saving',
+	done: 'Done',
+	failed: 'Failed',
+	cancelled: 'Cancelled',
+};
+
+const ACTIVE_STATUSES = [ 'queued', 'running', 'uploading' ];
+
+/**
+ * Progress bar and status for one gallery image.
+ *
+ * @param {Object} props      - The properties object.
+ * @param {Object} props.item - The item state ({ status, media, error }).
+ * @return {Object} The rendered status.
+ */
+const GalleryItemStatus = ( { item } ) => {
+	const isActive = ACTIVE_STATUSES.includes( item.status );
+	const progress = useGenerationProgress( isActive, item.status );
+
+	return (
+		<div
+			className={ `kaigen-modal__gallery-status is-${ item.status }` }
+			title={ item.error || undefined }
+		>
+			<span className="kaigen-modal__gallery-status-label">
+				{ ITEM_STATUS_LABELS[ item.status ] || item.status }
+				{ isActive && ` ${ progress }%` }
+			</span>
+			{ isActive && (
+				<div
+					className="kaigen-modal__progress-track"
+					role="progressbar"
+					aria-valuenow={ progress }
+					aria-valuemin={ 0 }
+					aria-valuemax={ 100 }
+					aria-label="Gallery image progress"
+				>
+					<div
+						className="kaigen-modal__progress-fill"
+						style={ { width: `${ progress }%` } }
+					/>
+				</div>
+			) }
+		</div>
+	);
+};
+
+/**
+ * GalleryVariationList component - edits the per-image variations and shows each image's progress.
+ *
+ * @param {Object}   props               - The properties object.
+ * @param {Array}    props.variations    - Variation text for each gallery image.
+ * @param {Array}    props.items         - Generation state for each gallery image, empty before a run.
+ * @param {number}   props.maxVariations - Maximum number of gallery images.
+ * @param {boolean}  props.isGenerating  - Whether the gallery is being generated.
+ * @param {Function} props.onChange      - Callback receiving the updated variations.
+ * @return {Object} The rendered list.
+ */
+const GalleryVariationList = ( {
+	variations,
+	items,
+	maxVariations,
+	isGenerating,
+	onChange,
+} ) => {
+	const updateVariation = ( index, value ) =>
+		onChange(
+			variations.map( ( variation, i ) =>
+				i === index ? value : variation
+			)
+		);
+
+	return (
+		<div className="kaigen-modal__gallery">
+			<ol className="kaigen-modal__gallery-list">
+				{ variations.map( ( variation, index ) => {
+					const item = items[ index ];
+
+					return (
+						<li
+							key={ index }
+							className="kaigen-modal__gallery-item"
+						>
+							<span className="kaigen-modal__gallery-thumbnail">
+								{ item?.media?.url && (
+									<img src={ item.media.url } alt="" />
+								) }
+							</span>
+							<TextControl
+								__nextHasNoMarginBottom
+								__next40pxDefaultSize
+								className="kaigen-modal__gallery-variation"
+								label={ `Image ${ index + 1 } variation` }
+								hideLabelFromVision
+								placeholder="Variation (optional)"
+								value={ variation }
+								onChange={ ( value ) =>
+									updateVariation( index, value )
+								}
+								disabled={ isGenerating }
+							/>
+							{ item ? (
+								<GalleryItemStatus item={ item } />
+							) : (
+								<Button
+									icon="no-alt"
+									label="Remove image"
+									size="small"
+									onClick={ () =>
+										onChange(
+											variations.filter(
+												( _, i ) => i !== index
+											)
+										)
+									}
+									disabled={
+										isGenerating || variations.length <= 1
+									}
+								/>
+							) }
+						</li>
+					);
+				} ) }
+			</ol>
+			{ variations.length < maxVariations && (
+				<Button
+					variant="secondary"
+					size="small"
+					icon="plus-alt2"
+					onClick={ () => onChange( [ ...variations, '' ] ) }
+					disabled={ isGenerating }
+				>
+					Add image
+				</Button>
+			) }
+		</div>
+	);
+};
+
+export default GalleryVariationList;
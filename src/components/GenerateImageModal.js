@@ -7,14 +7,43 @@ import {
 	Modal,
 	Dropdown,
 	Dashicon,
+	TextControl,
 } from '@wordpress/components';
-import { generateImage, fetchReferenceImages } from '../api';
+import { dispatch } from '@wordpress/data';
+import {
+	generateImage,
+	generateImages,
+	enhancePrompt,
+	fetchQuota,
+	isAbortError,
+	markAsReferenceImage,
+	resolveCandidates,
+} from '../api';
 import useGenerationProgress from '../hooks/useGenerationProgress';
+import useReferenceFileDrop from '../hooks/useReferenceFileDrop';
+import { runWithConcurrency } from '../utils/concurrency';
+import { formatQuotaSummary, getQuotaSummary } from '../utils/quota';
+import PromptHistoryPanel from './PromptHistoryPanel';
+import GalleryVariationList from './GalleryVariationList';
+import MaskCanvas from './MaskCanvas';
+import StylePresetDropdown from './StylePresetDropdown';
+import AdvancedOptionsPanel from './AdvancedOptionsPanel';
+import ReferenceImageBrowser from './ReferenceImageBrowser';
+import ReferenceImageChips from './ReferenceImageChips';
 import {
 	DEFAULT_REFERENCE_IMAGE_LIMIT,
+	DEFAULT_REFERENCE_MIME_TYPES,
 	getKaiGenSettings,
 	isKaiGenAvailable,
 } from '../utils/kaigenSettings';
+import {
+	MAX_ASPECT_RATIO_TERM,
+	MAX_OUTPUT_DIMENSION,
+	MIN_OUTPUT_DIMENSION,
+	getClosestOrientation,
+	isValidAspectRatio,
+	isValidOutputSize,
+} from '../utils/aspectRatio';
 
 const kaiGenLogo = window.kaiGen?.logoUrl;
 
@@ -53,8 +82,158 @@ const ASPECT_RATIO_OPTIONS = [
 		ratio: '9:16',
 		label: 'Vertical',
 	},
+	// The rest are generated at the closest orientation and cropped on the server.
+	{
+		value: '4:3',
+		ratio: '4:3',
+		label: 'Standard',
+		size: { width: 4, height: 3 },
+	},
+	{
+		value: '3:4',
+		ratio: '3:4',
+		label: 'Tall',
+		size: { width: 3, height: 4 },
+	},
+	{
+		value: '3:2',
+		ratio: '3:2',
+		label: 'Photo',
+		size: { width: 3, height: 2 },
+	},
+	{
+		value: '2:3',
+		ratio: '2:3',
+		label: 'Tall photo',
+		size: { width: 2, height: 3 },
+	},
+	{
+		value: '21:9',
+		ratio: '21:9',
+		label: 'Cinematic',
+		size: { width: 21, height: 9 },
+	},
 ];
 
+/**
+ * Gets the aspect ratio option matching the current orientation and crop size.
+ * Sizes that are not in the list, such as exact pixel sizes, get a custom option.
+ *
+ * @param {string}      orientation - The native orientation.
+ * @param {Object|null} size        - The crop size ({ width, height, exact }), if any.
+ * @return {Object} The aspect ratio option.
+ */
+const getAspectRatioOption = ( orientation, size ) => {
+	if ( ! size ) {
+		return (
+			ASPECT_RATIO_OPTIONS.find(
+				( option ) => ! option.size && option.value === orientation
+			) || ASPECT_RATIO_OPTIONS[ 0 ]
+		);
+	}
+
+	const listedOption =
+		! size.exact &&
+		ASPECT_RATIO_OPTIONS.find(
+			( option ) =>
+				option.size?.width === size.width &&
+				option.size?.height === size.height
+		);
+
+	return (
+		listedOption || {
+			value: 'custom',
+			ratio: size.exact
+				? `${ size.width }×${ size.height }`
+				: `${ size.width }:${ size.height }`,
+			label: 'Custom',
+			size,
+		}
+	);
+};
+
+/**
+ * Renders the shape icon for an aspect ratio option.
+ * Native orientations use fixed icon classes; cropped ratios are drawn to scale.
+ *
+ * @param {Object} option - The aspect ratio option.
+ * @return {Object} The icon element.
+ */
+const renderAspectRatioIcon = ( option ) => {
+	if ( ! option.size ) {
+		return (
+			<span
+				className={ `kaigen-modal-aspect-ratio-icon kaigen-aspect-ratio-${ option.value }` }
+			></span>
+		);
+	}
+
+	const ratio = option.size.width / option.size.height;
+
+	return (
+		<span
+			className="kaigen-modal-aspect-ratio-icon"
+			style={ {
+				width: `${ Math.max(
+					8,
+					Math.round( 26 * Math.min( ratio, 1 ) )
+				) }px`,
+				height: `${ Math.max(
+					8,
+					Math.round( 26 / Math.max( ratio, 1 ) )
+				) }px`,
+			} }
+		></span>
+	);
+};
+
+const CANDIDATE_COUNT_OPTIONS = [ 1, 2, 3, 4 ];
+
+// Magic wand, since Dashicons has no icon for rewriting text.
+const ENHANCE_PROMPT_ICON = (
+	<svg
+		xmlns="http://www.w3.org/2000/svg"
+		viewBox="0 0 24 24"
+		width="24"
+		height="24"
+		aria-hidden="true"
+		focusable="false"
+	>
+		<path d="M3.3 19.3l10.6-10.6 1.4 1.4L4.7 20.7l-1.4-1.4zM16 3l.9 2.1L19 6l-2.1.9L16 9l-.9-2.1L13 6l2.1-.9L16 3zm4 6l.6 1.4 1.4.6-1.4.6L20 13l-.6-1.4L18 11l1.4-.6L20 9zM10 2l.6 1.4L12 4l-1.4.6L10 6l-.6-1.4L8 4l1.4-.6L10 2z" />
+	</svg>
+);
+
+const DEFAULT_ADVANCED_OPTIONS = {
+	negativePrompt: '',
+	seed: '',
+	quality: '',
+	outputMimeType: '',
+};
+
+const DEFAULT_GALLERY_VARIATIONS = [ '', '', '', '' ];
+
+const MAX_GALLERY_IMAGES = 8;
+
+// Gallery images are generated a few at a time so one batch does not flood the provider.
+const GALLERY_CONCURRENCY = 2;
+
+const JOB_STATUS_LABELS = {
+	queued: 'Queued...',
+	running: 'Generating...',
+	uploading: 'Saving to Media Library...',
+	done: 'Done',
+};
+
+/**
+ * Combines the gallery base prompt with one image's variation.
+ *
+ * @param {string} basePrompt - Prompt shared by every gallery image.
+ * @param {string} variation  - Optional per-image variation.
+ * @return {string} The prompt for that image.
+ */
+const getGalleryItemPrompt = ( basePrompt, variation ) =>
+	[ basePrompt, variation.trim() ].filter( Boolean ).join( ', ' );
+
 const getReferenceImageId = ( image ) => {
 	const imageId = Number( image?.id );
 	return Number.isInteger( imageId ) && imageId > 0 ? imageId : null;
@@ -63,11 +242,18 @@ const getReferenceImageId = ( image ) => {
 /**
  * GenerateImageModal component - shared modal for generating AI images.
  *
- * @param {Object}   props                         - The properties object.
- * @param {boolean}  props.isOpen                  - Whether the modal is open.
- * @param {Function} props.onClose                 - Callback when modal is closed.
- * @param {Function} props.onSelect                - Callback to handle the generated image.
- * @param {Object}   [props.initialReferenceImage] - Optional initial reference image to pre-select.
+ * @param {Object}   props                           - The properties object.
+ * @param {boolean}  props.isOpen                    - Whether the modal is open.
+ * @param {Function} props.onClose                   - Callback when modal is closed.
+ * @param {Function} props.onSelect                  - Callback to handle the generated image. In gallery mode it runs once per finished image with (media, index).
+ * @param {Object}   [props.initialReferenceImage]   - Optional initial reference image to pre-select.
+ * @param {string}   [props.initialPrompt]           - Optional prompt to pre-fill when the modal opens.
+ * @param {string}   [props.initialOrientation]      - Optional orientation to start with instead of the default.
+ * @param {Object}   [props.initialSize]             - Optional crop size ({ width, height, exact }) to start with, such as the image block's dimensions.
+ * @param {Object}   [props.initialSettings]         - Optional generation settings, shaped like a prompt history entry, to restore when the modal opens.
+ * @param {Function} [props.onGenerationStateChange] - Callback receiving { isGenerating, status, cancel } as a generation runs.
+ * @param {boolean}  [props.isGalleryMode]           - Whether to generate a batch of gallery images from a base prompt plus per-image variations.
+ * @param {boolean}  [props.isInline]                - Whether to render the composer in place, such as inside a media frame tab, instead of in a modal.
  * @return {Object|null} The rendered modal or null if not open.
  */
 const GenerateImageModal = ( {
@@ -75,16 +261,56 @@ const GenerateImageModal = ( {
 	onClose,
 	onSelect,
 	initialReferenceImage,
+	initialPrompt,
+	initialOrientation,
+	initialSize,
+	initialSettings,
+	onGenerationStateChange,
+	isGalleryMode = false,
+	isInline = false,
 } ) => {
 	const [ prompt, setPrompt ] = useState( '' );
 	const [ isLoading, setIsLoading ] = useState( false );
+	const [ jobStatus, setJobStatus ] = useState( 'queued' );
 	const [ error, setError ] = useState( null );
-	const [ referenceImages, setReferenceImages ] = useState( [] );
 	const [ selectedRefs, setSelectedRefs ] = useState( [] );
 	const [ generatedImage, setGeneratedImage ] = useState( null );
 	const [ provider, setProvider ] = useState( 'auto' );
 	const [ orientation, setOrientation ] = useState( 'square' );
+	const [ size, setSize ] = useState( null );
+	const [ customSize, setCustomSize ] = useState( {
+		width: '',
+		height: '',
+	} );
+	const [ count, setCount ] = useState( 1 );
+	const [ candidates, setCandidates ] = useState( [] );
+	const [ isHistoryOpen, setIsHistoryOpen ] = useState( false );
+	const [ galleryVariations, setGalleryVariations ] = useState(
+		DEFAULT_GALLERY_VARIATIONS
+	);
+	const [ galleryItems, setGalleryItems ] = useState( [] );
+	const [ isMaskEditing, setIsMaskEditing ] = useState( false );
+	const [ maskDataUrl, setMaskDataUrl ] = useState( null );
+	const [ presetId, setPresetId ] = useState( null );
+	const [ isAdvancedOpen, setIsAdvancedOpen ] = useState( false );
+	const [ advancedOptions, setAdvancedOptions ] = useState(
+		DEFAULT_ADVANCED_OPTIONS
+	);
+	const [ lastSeed, setLastSeed ] = useState( null );
+	const [ isEnhancing, setIsEnhancing ] = useState( false );
+	const [ promptBeforeEnhance, setPromptBeforeEnhance ] = useState( null );
+	const [ quota, setQuota ] = useState( null );
+	const previewImageRef = useRef( null );
 	const textareaContainerRef = useRef( null );
+	const isOpenRef = useRef( isOpen );
+	const isLoadingRef = useRef( false );
+	const abortControllerRef = useRef( null );
+	const onGenerationStateChangeRef = useRef( onGenerationStateChange );
+	onGenerationStateChangeRef.current = onGenerationStateChange;
+	const restoreSettingsRef = useRef( null );
+	// IDs of the reference images the chosen style preset added.
+	const presetImageIdsRef = useRef( [] );
+	const candidatesRef = useRef( [] );
 
 	const kaiGenSettings = getKaiGenSettings();
 	const availableProviders = kaiGenSettings.providers || [];
@@ -98,29 +324,130 @@ const GenerateImageModal = ( {
 	const selectedProviderLogo = selectedProvider
 		? getProviderLogo( selectedProvider )
 		: null;
-	const selectedAspectRatio =
-		ASPECT_RATIO_OPTIONS.find(
-			( option ) => option.value === orientation
-		) || ASPECT_RATIO_OPTIONS[ 0 ];
 	const referenceImageLimit =
 		Number.isInteger( selectedProvider?.referenceImageLimit ) &&
 		selectedProvider.referenceImageLimit > 0
 			? selectedProvider.referenceImageLimit
 			: DEFAULT_REFERENCE_IMAGE_LIMIT;
+	const referenceMimeTypes =
+		selectedProvider?.referenceMimeTypes?.length > 0
+			? selectedProvider.referenceMimeTypes
+			: DEFAULT_REFERENCE_MIME_TYPES;
+	const {
+		isDragging: isDraggingReference,
+		isUploading: isUploadingReference,
+		dropZoneProps: referenceDropZoneProps,
+	} = useReferenceFileDrop( {
+		acceptedMimeTypes: referenceMimeTypes,
+		remainingSlots: referenceImageLimit - selectedRefs.length,
+		// Uploaded through the media endpoint, so it stays out of the reference library until kept.
+		onUploaded: ( image ) =>
+			setSelectedRefs( ( prev ) =>
+				[ ...prev, { ...image, is_reference: false } ].slice(
+					0,
+					referenceImageLimit
+				)
+			),
+		onError: setError,
+	} );
 	const initialReferenceImageId = getReferenceImageId(
 		initialReferenceImage
 	);
-	const progress = useGenerationProgress( isLoading );
+	const generatedImageId = getReferenceImageId( generatedImage );
+	// Compared by value so a block re-rendering with the same dimensions does not reset the modal.
+	const initialSizeWidth = initialSize?.width;
+	const initialSizeHeight = initialSize?.height;
+	const initialSizeExact = !! initialSize?.exact;
+	// Ratios such as 100:1 fail the server's validation, so they are generated at the closest orientation instead.
+	const hasUnsupportedInitialRatio =
+		!! initialSizeWidth &&
+		!! initialSizeHeight &&
+		! initialSizeExact &&
+		! isValidAspectRatio( initialSizeWidth, initialSizeHeight );
+	const supportedOptions = selectedProvider?.supportedOptions || [];
+	const hasAdvancedOptions = ! isGalleryMode || supportedOptions.length > 0;
+	// The mask counts as a reference image, so it needs room for the masked image and itself.
+	const canEditMask =
+		selectedProvider?.supportsMask === true &&
+		referenceImageLimit > 1 &&
+		!! generatedImageId &&
+		! isGalleryMode &&
+		candidates.length === 0;
+	const quotaSummary = getQuotaSummary( quota );
+	const isQuotaUsedUp = quotaSummary?.remaining === 0;
+	const jobProgress = useGenerationProgress(
+		isLoading && ! isGalleryMode,
+		jobStatus
+	);
+	const finishedGalleryCount = galleryItems.filter( ( item ) =>
+		[ 'done', 'failed', 'cancelled' ].includes( item.status )
+	).length;
+	const progress = isGalleryMode
+		? Math.round(
+				( finishedGalleryCount / Math.max( galleryItems.length, 1 ) ) *
+					100
+		  )
+		: jobProgress;
 
 	useEffect( () => {
-		if ( isOpen ) {
-			fetchReferenceImages().then( setReferenceImages );
+		isOpenRef.current = isOpen;
+	}, [ isOpen ] );
+
+	useEffect( () => {
+		onGenerationStateChangeRef.current?.( {
+			isGenerating: isLoading,
+			status: jobStatus,
+			cancel: () => abortControllerRef.current?.abort(),
+		} );
+	}, [ isLoading, jobStatus ] );
+
+	useEffect( () => {
+		// Reopening while a background job runs keeps the in-progress composer.
+		if ( isOpen && ! isLoadingRef.current ) {
 			setProvider( kaiGenSettings.provider || 'auto' );
-			setOrientation( kaiGenSettings.orientation || 'square' );
+			setCustomSize(
+				initialSizeExact
+					? {
+							width: String( initialSizeWidth ),
+							height: String( initialSizeHeight ),
+					  }
+					: { width: '', height: '' }
+			);
+			setSize(
+				initialSizeWidth &&
+					initialSizeHeight &&
+					! hasUnsupportedInitialRatio
+					? {
+							width: initialSizeWidth,
+							height: initialSizeHeight,
+							exact: initialSizeExact,
+					  }
+					: null
+			);
+			setOrientation(
+				initialSizeWidth && initialSizeHeight
+					? getClosestOrientation(
+							initialSizeWidth,
+							initialSizeHeight
+					  )
+					: initialOrientation ||
+							kaiGenSettings.orientation ||
+							'square'
+			);
 			setGeneratedImage(
 				initialReferenceImage?.url ? initialReferenceImage : null
 			);
 
+			if ( hasUnsupportedInitialRatio ) {
+				setError(
+					`Aspect ratios can use numbers up to ${ MAX_ASPECT_RATIO_TERM }, so the closest orientation is used instead of ${ initialSizeWidth }:${ initialSizeHeight }.`
+				);
+			}
+
+			if ( initialPrompt ) {
+				setPrompt( initialPrompt );
+			}
+
 			if ( initialReferenceImageId ) {
 				setSelectedRefs( [ initialReferenceImage ] );
 			} else {
@@ -131,14 +458,39 @@ const GenerateImageModal = ( {
 		isOpen,
 		initialReferenceImage,
 		initialReferenceImageId,
+		initialPrompt,
+		initialOrientation,
+		initialSizeWidth,
+		initialSizeHeight,
+		initialSizeExact,
+		hasUnsupportedInitialRatio,
 		kaiGenSettings.provider,
 		kaiGenSettings.orientation,
 	] );
 
+	useEffect( () => {
+		if ( isOpen ) {
+			fetchQuota().then( setQuota );
+		}
+	}, [ isOpen ] );
+
+	// Runs after the reset above, so regenerating an image restores every setting it was made with.
+	useEffect( () => {
+		if ( isOpen && initialSettings ) {
+			restoreSettingsRef.current( initialSettings );
+		}
+	}, [ isOpen, initialSettings ] );
+
 	useEffect( () => {
 		setSelectedRefs( ( prev ) => prev.slice( 0, referenceImageLimit ) );
 	}, [ referenceImageLimit ] );
 
+	// A mask only applies to the image it was painted on.
+	useEffect( () => {
+		setIsMaskEditing( false );
+		setMaskDataUrl( null );
+	}, [ generatedImage?.url ] );
+
 	useEffect( () => {
 		const textarea =
 			textareaContainerRef.current?.querySelector( 'textarea' );
@@ -164,6 +516,126 @@ const GenerateImageModal = ( {
 		}
 	};
 
+	/**
+	 * Replaces the prompt with a more detailed rewrite, keeping the original for undo.
+	 *
+	 * @return {void}
+	 */
+	const handleEnhancePrompt = async () => {
+		const originalPrompt = prompt;
+		setIsEnhancing( true );
+		setError( null );
+
+		try {
+			const enhancedPrompt = await enhancePrompt( originalPrompt.trim() );
+			setPromptBeforeEnhance(
+				( previous ) => previous ?? originalPrompt
+			);
+			setPrompt( enhancedPrompt );
+		} catch ( enhanceError ) {
+			setError( enhanceError.message );
+		} finally {
+			setIsEnhancing( false );
+		}
+	};
+
+	/**
+	 * Restores the prompt as it was before it was enhanced.
+	 *
+	 * @return {void}
+	 */
+	const handleUndoEnhance = () => {
+		setPrompt( promptBeforeEnhance );
+		setPromptBeforeEnhance( null );
+	};
+
+	/**
+	 * Deletes the candidates on offer, apart from the one picked.
+	 * Candidates are uploaded before one is picked, so the rest would otherwise stay in the Media Library.
+	 *
+	 * @param {number} [keptId] - Attachment ID of the picked candidate.
+	 * @return {void}
+	 */
+	const releaseCandidates = ( keptId = 0 ) => {
+		const ids = candidatesRef.current
+			.map( ( candidate ) => candidate.id )
+			.filter( ( id ) => id && id !== keptId );
+
+		candidatesRef.current = [];
+		if ( ids.length > 0 ) {
+			resolveCandidates( ids, keptId ).catch( () => {} );
+		}
+	};
+
+	/**
+	 * Applies a generated candidate to the caller and keeps it as the next reference.
+	 *
+	 * @param {Object} media - The chosen generated image.
+	 * @return {void}
+	 */
+	const handleSelectCandidate = ( media ) => {
+		releaseCandidates( media.id );
+		setCandidates( [] );
+		setGeneratedImage( media );
+		setSelectedRefs( getReferenceImageId( media ) ? [ media ] : [] );
+		onSelect( media );
+	};
+
+	/**
+	 * Builds the generation options shared by single and gallery generations.
+	 *
+	 * Advanced options are only sent when the selected provider honors them.
+	 *
+	 * @return {Object} Provider, orientation, reference image, style preset and advanced options.
+	 */
+	const getSharedOptions = () => {
+		const options = { provider, orientation };
+		const sourceImageIds = selectedRefs
+			.map( getReferenceImageId )
+			.filter( Boolean );
+
+		if ( sourceImageIds.length > 0 ) {
+			options.sourceImageIds = sourceImageIds;
+		}
+
+		if ( presetId ) {
+			options.presetId = presetId;
+		}
+
+		if ( size ) {
+			options.size = size;
+		}
+
+		const negativePrompt = advancedOptions.negativePrompt.trim();
+		if (
+			supportedOptions.includes( 'negative_prompt' ) &&
+			negativePrompt
+		) {
+			options.negativePrompt = negativePrompt;
+		}
+
+		const seed = parseInt( advancedOptions.seed, 10 );
+		if ( supportedOptions.includes( 'seed' ) && seed >= 0 ) {
+			options.seed = seed;
+		}
+
+		if (
+			supportedOptions.includes( 'quality' ) &&
+			advancedOptions.quality
+		) {
+			options.quality = advancedOptions.quality;
+		}
+
+		if (
+			supportedOptions.includes( 'output_mime_type' ) &&
+			advancedOptions.outputMimeType
+		) {
+			options.outputMimeType = advancedOptions.outputMimeType;
+		}
+
+		return options;
+	};
+
 	/**
 	 * Handles the image generation process when the Generate button is clicked.
 	 *
@@ -174,47 +646,327 @@ const GenerateImageModal = ( {
 			setError( 'Please enter a prompt for image generation.' );
 			return;
 		}
+		if ( isQuotaUsedUp ) {
+			setError(
+				`You have no generations left ${ quotaSummary.period }.`
+			);
+			return;
+		}
+		setPromptBeforeEnhance( null );
+		if ( isGalleryMode ) {
+			handleGenerateGallery();
+			return;
+		}
 		setIsLoading( true );
+		isLoadingRef.current = true;
+		setJobStatus( 'queued' );
 		setError( null );
 
-		const options = {};
-		if ( selectedRefs.length > 0 ) {
-			const sourceImageIds = selectedRefs
-				.map( getReferenceImageId )
-				.filter( Boolean );
+		abortControllerRef.current = new AbortController();
+		const options = {
+			onStatus: setJobStatus,
+			signal: abortControllerRef.current.signal,
+			...getSharedOptions(),
+			count,
+		};
 
-			if ( sourceImageIds.length > 0 ) {
-				options.sourceImageIds = sourceImageIds;
-			}
+		// The masked image must be the first reference so the provider edits it, and the mask takes one of the slots.
+		if ( canEditMask && maskDataUrl ) {
+			options.sourceMask = maskDataUrl;
+			options.sourceImageIds = [
+				generatedImageId,
+				...( options.sourceImageIds || [] ).filter(
+					( imageId ) => imageId !== generatedImageId
+				),
+			].slice( 0, referenceImageLimit - 1 );
 		}
-		options.provider = provider;
-		options.orientation = orientation;
 
 		try {
-			const media = await generateImage( prompt.trim(), options );
-			setGeneratedImage( media );
-			setSelectedRefs( getReferenceImageId( media ) ? [ media ] : [] );
-			onSelect( media );
-			setIsLoading( false );
+			const results = await generateImages( prompt.trim(), options );
+			setLastSeed( results[ 0 ]?.metadata?.seed ?? null );
+			if ( results.length === 1 ) {
+				handleSelectCandidate( results[ 0 ] );
+			} else {
+				setCandidates( results );
+				releaseCandidates();
+				candidatesRef.current = results;
+			}
+
+			// The modal may have been closed while the job kept running.
+			if ( ! isOpenRef.current ) {
+				dispatch( 'core/notices' ).createSuccessNotice(
+					results.length === 1
+						? 'Your KaiGen image is ready.'
+						: 'Your KaiGen images are ready. Reopen KaiGen to choose one.',
+					{ type: 'snackbar' }
+				);
+			}
 		} catch ( generationError ) {
-			setError(
+			if ( isAbortError( generationError ) ) {
+				return;
+			}
+
+			const message =
 				generationError.message ||
-					'An unknown error occurred while generating the image'
+				'An unknown error occurred while generating the image';
+
+			setError( message );
+
+			if ( ! isOpenRef.current ) {
+				dispatch( 'core/notices' ).createErrorNotice( message, {
+					type: 'snackbar',
+				} );
+			}
+		} finally {
+			abortControllerRef.current = null;
+			isLoadingRef.current = false;
+			setIsLoading( false );
+			fetchQuota().then( setQuota );
+		}
+	};
+
+	/**
+	 * Generates one image per gallery variation, a few at a time.
+	 * Each image is handed to the caller as soon as it finishes, and a failed
+	 * image is reported without stopping the rest of the batch.
+	 *
+	 * @return {void}
+	 */
+	const handleGenerateGallery = async () => {
+		const basePrompt = prompt.trim();
+		const abortController = new AbortController();
+		const sharedOptions = getSharedOptions();
+		const updateItem = ( index, changes ) =>
+			setGalleryItems( ( prev ) =>
+				prev.map( ( item, i ) =>
+					i === index ? { ...item, ...changes } : item
+				)
 			);
+
+		setIsLoading( true );
+		isLoadingRef.current = true;
+		setJobStatus( 'running' );
+		setError( null );
+		abortControllerRef.current = abortController;
+		setGalleryItems(
+			galleryVariations.map( () => ( { status: 'queued' } ) )
+		);
+
+		const tasks = galleryVariations.map(
+			( variation, index ) => async () => {
+				if ( abortController.signal.aborted ) {
+					updateItem( index, { status: 'cancelled' } );
+					return false;
+				}
+
+				try {
+					const media = await generateImage(
+						getGalleryItemPrompt( basePrompt, variation ),
+						{
+							...sharedOptions,
+							onStatus: ( status ) =>
+								updateItem( index, { status } ),
+							signal: abortController.signal,
+						}
+					);
+					updateItem( index, { status: 'done', media } );
+					onSelect( media, index );
+					return true;
+				} catch ( itemError ) {
+					if ( isAbortError( itemError ) ) {
+						updateItem( index, { status: 'cancelled' } );
+						return false;
+					}
+
+					updateItem( index, {
+						status: 'failed',
+						error: itemError.message,
+					} );
+					return false;
+				}
+			}
+		);
+
+		try {
+			const results = await runWithConcurrency(
+				tasks,
+				GALLERY_CONCURRENCY
+			);
+
+			if ( abortController.signal.aborted ) {
+				return;
+			}
+
+			const failedCount = results.filter(
+				( result ) => result.value !== true
+			).length;
+			const message =
+				failedCount > 0
+					? `${ failedCount } of ${ tasks.length } gallery images failed to generate.`
+					: null;
+
+			setError( message );
+
+			if ( ! isOpenRef.current ) {
+				if ( message ) {
+					dispatch( 'core/notices' ).createErrorNotice( message, {
+						type: 'snackbar',
+					} );
+				} else {
+					dispatch( 'core/notices' ).createSuccessNotice(
+						'Your KaiGen gallery is ready.',
+						{ type: 'snackbar' }
+					);
+				}
+			}
+		} finally {
+			abortControllerRef.current = null;
+			isLoadingRef.current = false;
 			setIsLoading( false );
+			fetchQuota().then( setQuota );
+		}
+	};
+
+	/**
+	 * Updates the gallery variations and clears the previous batch's results.
+	 *
+	 * @param {Array} variations - The new variation list.
+	 * @return {void}
+	 */
+	const handleGalleryVariationsChange = ( variations ) => {
+		setGalleryVariations( variations );
+		setGalleryItems( [] );
+	};
+
+	/**
+	 * Cancels the running generation.
+	 *
+	 * @return {void}
+	 */
+	const handleCancel = () => {
+		abortControllerRef.current?.abort();
+	};
+
+	/**
+	 * Applies a style preset, adding its default orientation and reference images.
+	 * The previous preset's reference images are removed, as users who cannot edit
+	 * them may only generate with them through their preset.
+	 *
+	 * @param {Object|null} preset - The chosen preset, or null to clear it.
+	 * @return {void}
+	 */
+	const handleSelectPreset = ( preset ) => {
+		const previousPresetImageIds = presetImageIdsRef.current;
+		presetImageIdsRef.current = ( preset?.reference_images || [] ).map(
+			getReferenceImageId
+		);
+
+		setPresetId( preset?.id || null );
+		setSelectedRefs( ( prev ) =>
+			prev.filter(
+				( img ) =>
+					! previousPresetImageIds.includes(
+						getReferenceImageId( img )
+					)
+			)
+		);
+
+		if ( ! preset ) {
+			return;
+		}
+
+		if ( preset.orientation ) {
+			setOrientation( preset.orientation );
+			setSize( null );
+		}
+
+		if ( preset.reference_images?.length > 0 ) {
+			setSelectedRefs( ( prev ) =>
+				[ ...prev, ...preset.reference_images ]
+					.filter(
+						( img, index, images ) =>
+							images.findIndex(
+								( candidate ) =>
+									getReferenceImageId( candidate ) ===
+									getReferenceImageId( img )
+							) === index
+					)
+					.slice( 0, referenceImageLimit )
+			);
 		}
 	};
 
 	/**
-	 * Handles modal close and resets state
+	 * Restores every composer setting from a prompt history entry.
+	 *
+	 * @param {Object} entry - The prompt history entry.
+	 * @return {void}
+	 */
+	const handleRestoreHistory = ( entry ) => {
+		const isProviderAvailable = availableProviders.some(
+			( option ) => option.id === entry.provider
+		);
+
+		setPrompt( entry.prompt || '' );
+		setPromptBeforeEnhance( null );
+		setProvider(
+			isProviderAvailable
+				? entry.provider
+				: kaiGenSettings.provider || 'auto'
+		);
+		setOrientation( entry.orientation || 'square' );
+		setSize( entry.crop?.width ? entry.crop : null );
+		setCount(
+			CANDIDATE_COUNT_OPTIONS.includes( entry.count ) ? entry.count : 1
+		);
+		setSelectedRefs( entry.reference_images || [] );
+		presetImageIdsRef.current = [];
+		releaseCandidates();
+		setPresetId( entry.preset_id || null );
+		setAdvancedOptions( {
+			negativePrompt: entry.negative_prompt || '',
+			seed: Number.isInteger( entry.seed ) ? String( entry.seed ) : '',
+			quality: entry.quality || '',
+			outputMimeType: entry.output_mime_type || '',
+		} );
+		setCandidates( [] );
+		setGeneratedImage( entry.images?.[ 0 ] || null );
+		setError( null );
+		setIsHistoryOpen( false );
+	};
+	restoreSettingsRef.current = handleRestoreHistory;
+
+	/**
+	 * Handles modal close and resets state.
+	 * A running generation keeps going in the background and keeps its composer state.
 	 */
 	const handleClose = () => {
+		if ( isLoadingRef.current ) {
+			setIsHistoryOpen( false );
+			onClose();
+			return;
+		}
+
 		setPrompt( '' );
+		setPromptBeforeEnhance( null );
 		setError( null );
 		setSelectedRefs( [] );
 		setGeneratedImage( null );
+		releaseCandidates();
+		setCandidates( [] );
+		setCount( 1 );
+		setGalleryVariations( DEFAULT_GALLERY_VARIATIONS );
+		setGalleryItems( [] );
+		setIsHistoryOpen( false );
+		setPresetId( null );
+		presetImageIdsRef.current = [];
+		setIsAdvancedOpen( false );
+		setAdvancedOptions( DEFAULT_ADVANCED_OPTIONS );
+		setLastSeed( null );
 		setProvider( kaiGenSettings.provider || 'auto' );
 		setOrientation( kaiGenSettings.orientation || 'square' );
+		setSize( null );
+		setCustomSize( { width: '', height: '' } );
 		onClose();
 	};
 
@@ -222,23 +974,16 @@ const GenerateImageModal = ( {
 		return null;
 	}
 
-	const allReferenceImages = [
+	const selectedAspectRatio = getAspectRatioOption( orientation, size );
+	const customWidth = parseInt( customSize.width, 10 );
+	const customHeight = parseInt( customSize.height, 10 );
+
+	// Listed ahead of the library so the current image and selection stay reachable while searching.
+	const pinnedReferenceImages = [
 		generatedImage,
 		initialReferenceImageId ? initialReferenceImage : null,
-		...referenceImages,
-	].filter( ( img, index, images ) => {
-		const imageId = getReferenceImageId( img );
-
-		if ( ! imageId ) {
-			return false;
-		}
-
-		return (
-			images.findIndex(
-				( candidate ) => getReferenceImageId( candidate ) === imageId
-			) === index
-		);
-	} );
+		...selectedRefs,
+	].filter( Boolean );
 
 	const handleImageToggle = ( img ) => {
 		const imageId = getReferenceImageId( img );
@@ -263,6 +1008,74 @@ const GenerateImageModal = ( {
 		} );
 	};
 
+	/**
+	 * Replaces the selected reference images with a collection's images, up to the provider's limit.
+	 *
+	 * @param {Object[]} images - The collection's images.
+	 * @return {void}
+	 */
+	const handleSelectCollection = ( images ) => {
+		setSelectedRefs(
+			images
+				.filter( ( img ) => getReferenceImageId( img ) )
+				.slice( 0, referenceImageLimit )
+		);
+	};
+
+	/**
+	 * Marks a pasted or dropped reference image as a permanent library reference.
+	 *
+	 * @param {Object} img - The uploaded image.
+	 * @return {Promise<void>} Resolves once the image is marked.
+	 */
+	const handleKeepReference = async ( img ) => {
+		const imageId = getReferenceImageId( img );
+
+		try {
+			await markAsReferenceImage( imageId );
+			setSelectedRefs( ( prev ) =>
+				prev.map( ( selected ) =>
+					getReferenceImageId( selected ) === imageId
+						? { ...selected, is_reference: true }
+						: selected
+				)
+			);
+		} catch ( keepError ) {
+			setError(
+				keepError.message || 'Failed to keep the reference image.'
+			);
+		}
+	};
+
+	/**
+	 * Picks a listed aspect ratio, generating the closest orientation when it needs a crop.
+	 *
+	 * @param {Object} option - The aspect ratio option.
+	 * @return {void}
+	 */
+	const handleSelectAspectRatio = ( option ) => {
+		if ( option.size ) {
+			setSize( { ...option.size, exact: false } );
+			setOrientation(
+				getClosestOrientation( option.size.width, option.size.height )
+			);
+			return;
+		}
+
+		setSize( null );
+		setOrientation( option.value );
+	};
+
+	/**
+	 * Applies the custom pixel size entered in the aspect ratio menu.
+	 *
+	 * @return {void}
+	 */
+	const handleApplyCustomSize = () => {
+		setSize( { width: customWidth, height: customHeight, exact: true } );
+		setOrientation( getClosestOrientation( customWidth, customHeight ) );
+	};
+
 	const referenceImagesDropdown = (
 		<Dropdown
 			popoverProps={ {
@@ -293,49 +1106,15 @@ const GenerateImageModal = ( {
 				</Button>
 			) }
 			renderContent={ () => (
-				<div className="kaigen-modal__reference-menu" role="menu">
-					{ allReferenceImages.length > 0 ? (
-						<div className="kaigen-modal-reference-images-container">
-							{ allReferenceImages.map( ( img, index ) => {
-								const imageId = getReferenceImageId( img );
-								const isSelected = selectedRefs.some(
-									( selected ) =>
-										getReferenceImageId( selected ) ===
-										imageId
-								);
-
-								return (
-									<button
-										type="button"
-										key={ imageId || `initial-${ index }` }
-										onClick={ () =>
-											handleImageToggle( img )
-										}
-										className={ `kaigen-modal-reference-image ${
-											isSelected
-												? 'kaigen-modal-reference-image-selected'
-												: ''
-										}` }
-										role="menuitemcheckbox"
-										aria-checked={ isSelected }
-										aria-label={
-											img.alt || 'Select reference image'
-										}
-									>
-										<img
-											src={ img.thumbnail_url || img.url }
-											alt={ img.alt || '' }
-										/>
-									</button>
-								);
-							} ) }
-						</div>
-					) : (
-						<p className="kaigen-modal-no-references">
-							No reference images. Mark images in the Media
-							Library to use them here.
-						</p>
-					) }
+				<div className="kaigen-modal__reference-menu">
+					<ReferenceImageBrowser
+						pinnedImages={ pinnedReferenceImages }
+						selectedImages={ selectedRefs }
+						onToggle={ handleImageToggle }
+						onSelectCollection={ handleSelectCollection }
+						selectionLimit={ referenceImageLimit }
+						getReferenceId={ getReferenceImageId }
+					/>
 				</div>
 			) }
 		/>
@@ -356,9 +1135,7 @@ const GenerateImageModal = ( {
 					aria-expanded={ isDropdownOpen }
 					aria-label={ `Aspect ratio: ${ selectedAspectRatio.ratio } ${ selectedAspectRatio.label }` }
 				>
-					<span
-						className={ `kaigen-modal-aspect-ratio-icon kaigen-aspect-ratio-${ selectedAspectRatio.value }` }
-					></span>
+					{ renderAspectRatioIcon( selectedAspectRatio ) }
 				</Button>
 			) }
 			renderContent={ ( { onClose: closeDropdown } ) => (
@@ -368,20 +1145,20 @@ const GenerateImageModal = ( {
 							type="button"
 							key={ opt.value }
 							className={ `kaigen-modal__aspect-ratio-menu-item ${
-								orientation === opt.value
+								selectedAspectRatio.value === opt.value
 									? 'kaigen-modal__aspect-ratio-menu-item-selected'
 									: ''
 							}` }
 							onClick={ () => {
-								setOrientation( opt.value );
+								handleSelectAspectRatio( opt );
 								closeDropdown();
 							} }
 							role="menuitemradio"
-							aria-checked={ orientation === opt.value }
+							aria-checked={
+								selectedAspectRatio.value === opt.value
+							}
 						>
-							<span
-								className={ `kaigen-modal-aspect-ratio-icon kaigen-aspect-ratio-${ opt.value }` }
-							></span>
+							{ renderAspectRatioIcon( opt ) }
 							<span className="kaigen-modal__aspect-ratio-ratio">
 								{ opt.ratio }
 							</span>
@@ -390,6 +1167,52 @@ const GenerateImageModal = ( {
 							</span>
 						</button>
 					) ) }
+					<div className="kaigen-modal__aspect-ratio-custom">
+						<TextControl
+							__nextHasNoMarginBottom
+							__next40pxDefaultSize
+							type="number"
+							min={ MIN_OUTPUT_DIMENSION }
+							max={ MAX_OUTPUT_DIMENSION }
+							label="Width"
+							value={ customSize.width }
+							onChange={ ( width ) =>
+								setCustomSize( ( prev ) => ( {
+									...prev,
+									width,
+								} ) )
+							}
+						/>
+						<span aria-hidden="true">×</span>
+						<TextControl
+							__nextHasNoMarginBottom
+							__next40pxDefaultSize
+							type="number"
+							min={ MIN_OUTPUT_DIMENSION }
+							max={ MAX_OUTPUT_DIMENSION }
+							label="Height"
+							value={ customSize.height }
+							onChange={ ( height ) =>
+								setCustomSize( ( prev ) => ( {
+									...prev,
+									height,
+								} ) )
+							}
+						/>
+						<Button
+							variant="secondary"
+							size="compact"
+							disabled={
+								! isValidOutputSize( customWidth, customHeight )
+							}
+							onClick={ () => {
+								handleApplyCustomSize();
+								closeDropdown();
+							} }
+						>
+							Apply
+						</Button>
+					</div>
 				</div>
 			) }
 		/>
@@ -475,21 +1298,17 @@ const GenerateImageModal = ( {
 		/>
 	);
 
-	return (
-		<Modal
-			className="kaigen-modal"
-			title={
-				<div className="kaigen-modal__logo-container">
-					<img
-						src={ kaiGenLogo }
-						alt="KaiGen logo"
-						className="kaigen-modal__logo"
-					/>
-				</div>
-			}
-			aria-label="KaiGen"
-			onRequestClose={ handleClose }
-		>
+	const historyButton = (
+		<Button
+			icon="backup"
+			label="Prompt history"
+			isPressed={ isHistoryOpen }
+			onClick={ () => setIsHistoryOpen( ( open ) => ! open ) }
+		/>
+	);
+
+	const content = (
+		<>
 			{ /* Display error message if present. */ }
 			{ error && <p className="kaigen-error-text">{ error }</p> }
 
@@ -498,20 +1317,117 @@ const GenerateImageModal = ( {
 					generatedImage?.url ? 'has-generated-image' : ''
 				}` }
 			>
-				{ generatedImage?.url && (
-					<div className="kaigen-modal__generated-preview">
-						<img
-							src={ generatedImage.url }
-							alt={ generatedImage.alt || '' }
-						/>
+				{ isHistoryOpen && (
+					<PromptHistoryPanel
+						providers={ availableProviders }
+						onRestore={ handleRestoreHistory }
+						onClose={ () => setIsHistoryOpen( false ) }
+					/>
+				) }
+
+				{ candidates.length > 0 && (
+					<div
+						className="kaigen-modal__candidates"
+						role="listbox"
+						aria-label="Generated images"
+					>
+						{ candidates.map( ( candidate, index ) => (
+							<button
+								type="button"
+								key={ candidate.id || candidate.url }
+								className="kaigen-modal__candidate"
+								onClick={ () =>
+									handleSelectCandidate( candidate )
+								}
+								role="option"
+								aria-selected={ false }
+								aria-label={ `Use image ${ index + 1 } of ${
+									candidates.length
+								}` }
+							>
+								<img
+									src={ candidate.url }
+									alt={ candidate.alt || '' }
+								/>
+							</button>
+						) ) }
 					</div>
 				) }
 
-				<div className="kaigen-modal__composer">
+				{ isGalleryMode && (
+					<GalleryVariationList
+						variations={ galleryVariations }
+						items={ galleryItems }
+						maxVariations={ MAX_GALLERY_IMAGES }
+						isGenerating={ isLoading }
+						onChange={ handleGalleryVariationsChange }
+					/>
+				) }
+
+				{ ! isGalleryMode &&
+					candidates.length === 0 &&
+					generatedImage?.url && (
+						<div className="kaigen-modal__generated-preview">
+							<div className="kaigen-modal__mask-frame">
+								<img
+									ref={ previewImageRef }
+									src={ generatedImage.url }
+									alt={ generatedImage.alt || '' }
+								/>
+								{ canEditMask && isMaskEditing && (
+									<MaskCanvas
+										imageRef={ previewImageRef }
+										onChange={ setMaskDataUrl }
+									/>
+								) }
+								{ canEditMask && (
+									<Button
+										className="kaigen-modal__mask-toggle"
+										icon="art"
+										label={
+											isMaskEditing
+												? 'Stop editing an area'
+												: 'Edit an area'
+										}
+										isPressed={ isMaskEditing }
+										onClick={ () => {
+											setIsMaskEditing( ! isMaskEditing );
+											setMaskDataUrl( null );
+										} }
+									/>
+								) }
+							</div>
+						</div>
+					) }
+
+				<div
+					className={ `kaigen-modal__composer ${
+						isDraggingReference ? 'is-dragging-file' : ''
+					}` }
+					{ ...referenceDropZoneProps }
+				>
+					<ReferenceImageChips
+						images={ selectedRefs }
+						isUploading={ isUploadingReference }
+						onRemove={ handleImageToggle }
+						onKeep={ handleKeepReference }
+						getReferenceId={ getReferenceImageId }
+					/>
 					<div className="kaigen-modal__prompt-row">
 						<div className="kaigen-modal__prompt-action">
 							{ referenceImagesDropdown }
 							{ aspectRatioDropdown }
+							<StylePresetDropdown
+								selectedPresetId={ presetId }
+								onChange={ handleSelectPreset }
+								orientation={ orientation }
+								referenceImageIds={ selectedRefs
+									.map( getReferenceImageId )
+									.filter( Boolean ) }
+								canManage={
+									kaiGenSettings.can_manage_presets === true
+								}
+							/>
 						</div>
 
 						<div
@@ -520,7 +1436,11 @@ const GenerateImageModal = ( {
 						>
 							<TextareaControl
 								className="kaigen-modal__textarea"
-								placeholder="Type to imagine"
+								placeholder={
+									isGalleryMode
+										? 'Describe the whole gallery'
+										: 'Type to imagine'
+								}
 								value={ prompt }
 								onChange={ setPrompt }
 								onKeyDown={ handleKeyPress }
@@ -529,26 +1449,98 @@ const GenerateImageModal = ( {
 						</div>
 
 						<div className="kaigen-modal__output-action">
+							{ promptBeforeEnhance !== null && (
+								<Button
+									className="kaigen-modal__enhance-button"
+									icon="undo"
+									label="Undo prompt enhancement"
+									onClick={ handleUndoEnhance }
+									disabled={ isEnhancing }
+								/>
+							) }
+							<Button
+								className="kaigen-modal__enhance-button"
+								icon={ ENHANCE_PROMPT_ICON }
+								label="Enhance prompt"
+								onClick={ handleEnhancePrompt }
+								isBusy={ isEnhancing }
+								disabled={
+									isEnhancing || isLoading || ! prompt.trim()
+								}
+							/>
 							{ providerDropdown }
+							{ quotaSummary && (
+								<span
+									className={ `kaigen-modal__quota${
+										isQuotaUsedUp ? ' is-used-up' : ''
+									}` }
+								>
+									{ formatQuotaSummary( quotaSummary ) }
+								</span>
+							) }
 							<Button
 								className="kaigen-modal__submit-button"
 								variant={
 									prompt.trim() ? 'primary' : undefined
 								}
 								onClick={ handleGenerate }
-								disabled={ isLoading || ! prompt.trim() }
+								disabled={
+									isLoading ||
+									! prompt.trim() ||
+									isQuotaUsedUp
+								}
 								aria-label="Generate Image"
 							>
 								<Dashicon icon="admin-appearance" />
 							</Button>
 						</div>
 					</div>
+
+					{ hasAdvancedOptions && (
+						<div className="kaigen-modal__options-row">
+							<Button
+								className="kaigen-modal__advanced-toggle"
+								variant="link"
+								aria-expanded={ isAdvancedOpen }
+								onClick={ () =>
+									setIsAdvancedOpen( ( open ) => ! open )
+								}
+							>
+								{ isAdvancedOpen
+									? 'Hide advanced'
+									: 'Advanced' }
+							</Button>
+						</div>
+					) }
+
+					{ hasAdvancedOptions && isAdvancedOpen && (
+						<AdvancedOptionsPanel
+							options={ advancedOptions }
+							onChange={ ( changes ) =>
+								setAdvancedOptions( ( prev ) => ( {
+									...prev,
+									...changes,
+								} ) )
+							}
+							supportedOptions={ supportedOptions }
+							count={ count }
+							onCountChange={ setCount }
+							countOptions={ CANDIDATE_COUNT_OPTIONS }
+							showCount={ ! isGalleryMode }
+							lastSeed={ lastSeed }
+						/>
+					) }
 				</div>
 			</div>
 			{ isLoading && (
 				<div className="kaigen-modal__progress">
 					<div className="kaigen-modal__progress-label">
-						Generating... { progress }%
+						{ isGalleryMode
+							? `Generating gallery... ${ finishedGalleryCount } of ${ galleryItems.length } finished`
+							: `${
+									JOB_STATUS_LABELS[ jobStatus ] ||
+									'Generating...'
+							  } ${ progress }%` }
 					</div>
 					<div
 						className="kaigen-modal__progress-track"
@@ -563,8 +1555,47 @@ const GenerateImageModal = ( {
 							style={ { width: `${ progress }%` } }
 						/>
 					</div>
+					<Button
+						className="kaigen-modal__cancel-button"
+						variant="secondary"
+						size="small"
+						onClick={ handleCancel }
+					>
+						Cancel
+					</Button>
 				</div>
 			) }
+		</>
+	);
+
+	if ( isInline ) {
+		return (
+			<div className="kaigen-modal kaigen-modal--inline">
+				<div className="kaigen-modal__inline-header">
+					{ historyButton }
+				</div>
+				{ content }
+			</div>
+		);
+	}
+
+	return (
+		<Modal
+			className="kaigen-modal"
+			title={
+				<div className="kaigen-modal__logo-container">
+					<img
+						src={ kaiGenLogo }
+						alt="KaiGen logo"
+						className="kaigen-modal__logo"
+					/>
+				</div>
+			}
+			aria-label="KaiGen"
+			onRequestClose={ handleClose }
+			headerActions={ historyButton }
+		>
+			{ content }
 		</Modal>
 	);
 };
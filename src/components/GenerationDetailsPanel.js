@@ -0,0 +1,120 @@
+// This file contains the GenerationDetailsPanel component - the block inspector panel showing how an image was generated.
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, PanelBody } from '@wordpress/components';
+import { dispatch } from '@wordpress/data';
+import { fetchGenerationDetails, fetchImagesById } from '../api';
+
+/**
+ * Describes the output shape an image was generated at.
+ *
+ * @param {Object} details - The generation details.
+ * @return {string} The exact size, or the orientation.
+ */
+const formatShape = ( details ) =>
+	details.crop?.width && details.crop?.height
+		? `${ details.crop.width } × ${ details.crop.height }`
+		: details.orientation;
+
+/**
+ * GenerationDetailsPanel component - lists the settings an image was generated with and regenerates from them.
+ * Images KaiGen did not generate have no details, so nothing is rendered for them.
+ *
+ * @param {Object}   props              - The properties object.
+ * @param {number}   props.attachmentId - The image's attachment ID.
+ * @param {Function} props.onRegenerate - Callback receiving the settings to open the modal with, shaped like a prompt history entry.
+ * @return {Object|null} The rendered panel, or null.
+ */
+const GenerationDetailsPanel = ( { attachmentId, onRegenerate } ) => {
+	const [ details, setDetails ] = useState( null );
+	const [ isPreparing, setIsPreparing ] = useState( false );
+
+	useEffect( () => {
+		let isCurrent = true;
+		setDetails( null );
+
+		fetchGenerationDetails( attachmentId )
+			.then( ( result ) => {
+				if ( isCurrent ) {
+					setDetails( result );
+				}
+			} )
+			.catch( () => {} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ attachmentId ] );
+
+	if ( ! details ) {
+		return null;
+	}
+
+	const handleRegenerate = async () => {
+		setIsPreparing( true );
+
+		try {
+			const referenceImages = await fetchImagesById(
+				details.source_image_ids || []
+			);
+			onRegenerate( { ...details, reference_images: referenceImages } );
+		} catch {
+			dispatch( 'core/notices' ).createErrorNotice(
+				'The reference images for this generation could not be loaded.',
+				{ type: 'snackbar' }
+			);
+		} finally {
+			setIsPreparing( false );
+		}
+	};
+
+	const rows = [
+		[ 'Prompt', details.prompt ],
+		[ 'Provider', details.provider_name || details.provider ],
+		[ 'Model', details.model ],
+		[ 'Shape', formatShape( details ) ],
+		[
+			'Reference images',
+			details.source_image_ids?.length > 0
+				? String( details.source_image_ids.length )
+				: '',
+		],
+		[
+			'Seed',
+			Number.isInteger( details.seed ) ? String( details.seed ) : '',
+		],
+		[ 'Generated by', details.user_name ],
+		[
+			'Generated on',
+			details.created
+				? new Date( details.created * 1000 ).toLocaleString()
+				: '',
+		],
+	].filter( ( [ , value ] ) => value );
+
+	return (
+		<PanelBody title="Generation details" initialOpen={ false }>
+			<dl className="kaigen-generation-details">
+				{ rows.map( ( [ label, value ] ) => (
+					<div
+						key={ label }
+						className="kaigen-generation-details__row"
+					>
+						<dt>{ label }</dt>
+						<dd>{ value }</dd>
+					</div>
+				) ) }
+			</dl>
+			<Button
+				variant="secondary"
+				onClick={ handleRegenerate }
+				isBusy={ isPreparing }
+				disabled={ isPreparing }
+			>
+				Regenerate with same settings
+			</Button>
+		</PanelBody>
+	);
+};
+
+export default GenerationDetailsPanel;
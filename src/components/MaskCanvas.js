@@ -0,0 +1,204 @@
+// This file contains the MaskCanvas component - the brush/eraser mask editor over the generated image preview.
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import { Button, RangeControl } from '@wordpress/components';
+
+const DEFAULT_BRUSH_SIZE = 40;
+
+/**
+ * Checks whether nothing has been painted on a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas - The paint canvas.
+ * @return {boolean} True when every pixel is transparent.
+ */
+const isCanvasEmpty = ( canvas ) => {
+	const { data } = canvas
+		.getContext( '2d' )
+		.getImageData( 0, 0, canvas.width, canvas.height );
+
+	for ( let index = 3; index < data.length; index += 4 ) {
+		if ( data[ index ] !== 0 ) {
+			return false;
+		}
+	}
+
+	return true;
+};
+
+/**
+ * Converts the painted strokes into a black and white PNG mask.
+ * Painted pixels become white (the area to change); everything else is black.
+ *
+ * @param {HTMLCanvasElement} canvas - The paint canvas.
+ * @return {string} PNG data URI.
+ */
+const toMaskDataUrl = ( canvas ) => {
+	const strokes = document.createElement( 'canvas' );
+	strokes.width = canvas.width;
+	strokes.height = canvas.height;
+	const strokesContext = strokes.getContext( '2d' );
+	strokesContext.drawImage( canvas, 0, 0 );
+	strokesContext.globalCompositeOperation = 'source-in';
+	strokesContext.fillStyle = '#fff';
+	strokesContext.fillRect( 0, 0, strokes.width, strokes.height );
+
+	const mask = document.createElement( 'canvas' );
+	mask.width = canvas.width;
+	mask.height = canvas.height;
+	const maskContext = mask.getContext( '2d' );
+	maskContext.fillStyle = '#000';
+	maskContext.fillRect( 0, 0, mask.width, mask.height );
+	maskContext.drawImage( strokes, 0, 0 );
+
+	return mask.toDataURL( 'image/png' );
+};
+
+/**
+ * MaskCanvas component - lets users paint the region of an image to regenerate.
+ *
+ * @param {Object}   props          - The properties object.
+ * @param {Object}   props.imageRef - Ref to the preview image the mask is painted over.
+ * @param {Function} props.onChange - Callback receiving the mask PNG data URI, or null when the mask is empty.
+ * @return {Object} The rendered canvas and mask tools.
+ */
+const MaskCanvas = ( { imageRef, onChange } ) => {
+	const canvasRef = useRef( null );
+	const lastPointRef = useRef( null );
+	const [ tool, setTool ] = useState( 'brush' );
+	const [ brushSize, setBrushSize ] = useState( DEFAULT_BRUSH_SIZE );
+
+	// Paint at the image's natural resolution so the mask lines up with the file sent to the provider.
+	useEffect( () => {
+		const image = imageRef.current;
+		const canvas = canvasRef.current;
+
+		if ( ! image || ! canvas ) {
+			return undefined;
+		}
+
+		const resize = () => {
+			canvas.width = image.naturalWidth;
+			canvas.height = image.naturalHeight;
+		};
+
+		if ( image.complete ) {
+			resize();
+			return undefined;
+		}
+
+		image.addEventListener( 'load', resize );
+		return () => image.removeEventListener( 'load', resize );
+	}, [ imageRef ] );
+
+	const getPoint = ( event ) => {
+		const canvas = canvasRef.current;
+		const rect = canvas.getBoundingClientRect();
+		const scale = canvas.width / rect.width;
+
+		return {
+			x: ( event.clientX - rect.left ) * scale,
+			y: ( event.clientY - rect.top ) * scale,
+			scale,
+		};
+	};
+
+	const drawTo = ( point ) => {
+		const context = canvasRef.current.getContext( '2d' );
+		const from = lastPointRef.current || point;
+
+		context.globalCompositeOperation =
+			tool === 'eraser' ? 'destination-out' : 'source-over';
+		context.strokeStyle = '#3858e9';
+		context.lineCap = 'round';
+		context.lineJoin = 'round';
+		context.lineWidth = brushSize * point.scale;
+		context.beginPath();
+		context.moveTo( from.x, from.y );
+		context.lineTo( point.x, point.y );
+		context.stroke();
+
+		lastPointRef.current = point;
+	};
+
+	const handlePointerDown = ( event ) => {
+		event.currentTarget.setPointerCapture( event.pointerId );
+		lastPointRef.current = null;
+		drawTo( getPoint( event ) );
+	};
+
+	const handlePointerMove = ( event ) => {
+		if ( lastPointRef.current ) {
+			drawTo( getPoint( event ) );
+		}
+	};
+
+	const handlePointerUp = () => {
+		if ( ! lastPointRef.current ) {
+			return;
+		}
+
+		lastPointRef.current = null;
+		const canvas = canvasRef.current;
+		onChange( isCanvasEmpty( canvas ) ? null : toMaskDataUrl( canvas ) );
+	};
+
+	const handleClear = () => {
+		const canvas = canvasRef.current;
+		canvas
+			.getContext( '2d' )
+			.clearRect( 0, 0, canvas.width, canvas.height );
+		onChange( null );
+	};
+
+	return (
+		<>
+			<canvas
+				ref={ canvasRef }
+				className="kaigen-modal__mask-canvas"
+				onPointerDown={ handlePointerDown }
+				onPointerMove={ handlePointerMove }
+				onPointerUp={ handlePointerUp }
+				onPointerCancel={ handlePointerUp }
+				aria-label="Paint the area to change"
+			/>
+			<div className="kaigen-modal__mask-tools">
+				<Button
+					icon="admin-customizer"
+					label="Brush"
+					size="small"
+					isPressed={ tool === 'brush' }
+					onClick={ () => setTool( 'brush' ) }
+				/>
+				<Button
+					icon="editor-removeformatting"
+					label="Eraser"
+					size="small"
+					isPressed={ tool === 'eraser' }
+					onClick={ () => setTool( 'eraser' ) }
+				/>
+				<RangeControl
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+					className="kaigen-modal__mask-size"
+					label="Brush size"
+					hideLabelFromVision
+					value={ brushSize }
+					onChange={ ( value ) =>
+						setBrushSize( value || DEFAULT_BRUSH_SIZE )
+					}
+					min={ 5 }
+					max={ 120 }
+					withInputField={ false }
+				/>
+				<Button
+					icon="trash"
+					label="Clear mask"
+					size="small"
+					onClick={ handleClear }
+				/>
+			</div>
+		</>
+	);
+};
+
+export default MaskCanvas;
@@ -0,0 +1,152 @@
+// This file contains the PromptHistoryPanel component - the prompt history drawer inside GenerateImageModal.
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Spinner } from '@wordpress/components';
+import { fetchPromptHistory, deletePromptHistoryEntry } from '../api';
+
+const ORIENTATION_LABELS = {
+	square: 'Square',
+	landscape: 'Wide',
+	portrait: 'Vertical',
+};
+
+/**
+ * PromptHistoryPanel component - lists past prompts so their settings can be restored.
+ *
+ * @param {Object}   props           - The properties object.
+ * @param {Array}    props.providers - Available provider options, used for display names.
+ * @param {Function} props.onRestore - Callback receiving the history entry to restore.
+ * @param {Function} props.onClose   - Callback to close the drawer.
+ * @return {Object} The rendered history drawer.
+ */
+const PromptHistoryPanel = ( { providers = [], onRestore, onClose } ) => {
+	const [ entries, setEntries ] = useState( [] );
+	const [ isLoading, setIsLoading ] = useState( true );
+
+	useEffect( () => {
+		let isCurrent = true;
+
+		fetchPromptHistory().then( ( history ) => {
+			if ( isCurrent ) {
+				setEntries( history );
+				setIsLoading( false );
+			}
+		} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [] );
+
+	const getProviderName = ( providerId ) =>
+		providers.find( ( option ) => option.id === providerId )?.name ||
+		providerId ||
+		'Auto';
+
+	const handleDelete = async ( entryId ) => {
+		const previousEntries = entries;
+		setEntries( ( prev ) =>
+			prev.filter( ( entry ) => entry.id !== entryId )
+		);
+
+		try {
+			await deletePromptHistoryEntry( entryId );
+		} catch {
+			setEntries( previousEntries );
+		}
+	};
+
+	return (
+		<aside className="kaigen-modal__history" aria-label="Prompt history">
+			<div className="kaigen-modal__history-header">
+				<h2 className="kaigen-modal__history-title">History</h2>
+				<Button
+					icon="no-alt"
+					label="Close history"
+					onClick={ onClose }
+					size="small"
+				/>
+			</div>
+
+			{ isLoading && <Spinner /> }
+
+			{ ! isLoading && entries.length === 0 && (
+				<p className="kaigen-modal__history-empty">
+					Prompts you generate will appear here.
+				</p>
+			) }
+
+			<ul className="kaigen-modal__history-list">
+				{ entries.map( ( entry ) => {
+					const thumbnail = entry.images?.[ 0 ];
+					const entryReferences = entry.reference_images || [];
+
+					return (
+						<li
+							key={ entry.id }
+							className="kaigen-modal__history-entry"
+						>
+							<button
+								type="button"
+								className="kaigen-modal__history-restore"
+								onClick={ () => onRestore( entry ) }
+							>
+								{ thumbnail ? (
+									<img
+										src={
+											thumbnail.thumbnail_url ||
+											thumbnail.url
+										}
+										alt=""
+										className="kaigen-modal__history-thumbnail"
+									/>
+								) : (
+									<span
+										className="kaigen-modal__history-thumbnail"
+										aria-hidden="true"
+									/>
+								) }
+								<span className="kaigen-modal__history-prompt">
+									{ entry.prompt }
+								</span>
+								<span className="kaigen-modal__history-meta">
+									{ [
+										getProviderName( entry.provider ),
+										ORIENTATION_LABELS[
+											entry.orientation
+										] || entry.orientation,
+									]
+										.filter( Boolean )
+										.join( ' · ' ) }
+								</span>
+								{ entryReferences.length > 0 && (
+									<span className="kaigen-modal__history-references">
+										{ entryReferences.map( ( image ) => (
+											<img
+												key={ image.id }
+												src={
+													image.thumbnail_url ||
+													image.url
+												}
+												alt=""
+											/>
+										) ) }
+									</span>
+								) }
+							</button>
+							<Button
+								icon="trash"
+								label="Delete from history"
+								onClick={ () => handleDelete( entry.id ) }
+								size="small"
+								className="kaigen-modal__history-delete"
+							/>
+						</li>
+					);
+				} ) }
+			</ul>
+		</aside>
+	);
+};
+
+export default PromptHistoryPanel;
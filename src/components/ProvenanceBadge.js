@@ -0,0 +1,54 @@
+// This file contains the ProvenanceBadge component - the block inspector badge for images labeled as AI-generated.
+
+import { useState, useEffect } from '@wordpress/element';
+import { Dashicon } from '@wordpress/components';
+import { fetchImageProvenance } from '../api';
+
+/**
+ * ProvenanceBadge component - shows when an image file carries IPTC provenance marking it as AI-generated.
+ * The provenance is read from the file itself, so it reflects what travels with downloaded copies.
+ *
+ * @param {Object} props              - The properties object.
+ * @param {number} props.attachmentId - The image's attachment ID.
+ * @return {Object|null} The rendered badge, or null when the file is not labeled.
+ */
+const ProvenanceBadge = ( { attachmentId } ) => {
+	const [ provenance, setProvenance ] = useState( null );
+
+	useEffect( () => {
+		let isCurrent = true;
+		setProvenance( null );
+
+		fetchImageProvenance( attachmentId )
+			.then( ( result ) => {
+				if ( isCurrent ) {
+					setProvenance( result );
+				}
+			} )
+			.catch( () => {} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ attachmentId ] );
+
+	if ( ! provenance?.is_ai_generated ) {
+		return null;
+	}
+
+	return (
+		<div className="kaigen-provenance-badge">
+			<Dashicon icon="shield" className="kaigen-provenance-badge__icon" />
+			<div>
+				<strong>AI-generated</strong>
+				<p className="kaigen-provenance-badge__detail">
+					{ provenance.model
+						? `The file is labeled as made by ${ provenance.model }.`
+						: 'The file is labeled as made by AI.' }
+				</p>
+			</div>
+		</div>
+	);
+};
+
+export default ProvenanceBadge;
@@ -0,0 +1,93 @@
+// This file contains the ReferenceCollectionsField component - the block inspector field filing an image in reference collections.
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import { FormTokenField } from '@wordpress/components';
+import { dispatch } from '@wordpress/data';
+import {
+	fetchImageCollections,
+	fetchReferenceCollections,
+	updateImageCollections,
+} from '../api';
+
+/**
+ * ReferenceCollectionsField component - lists and edits the collections an image belongs to.
+ * Collections are saved as soon as they change, like the reference image checkbox beside it.
+ *
+ * @param {Object}   props              - The properties object.
+ * @param {number}   props.attachmentId - The image's attachment ID.
+ * @param {Function} props.onSaved      - Callback receiving the saved collection names.
+ * @return {Object} The rendered field.
+ */
+const ReferenceCollectionsField = ( { attachmentId, onSaved } ) => {
+	const [ collections, setCollections ] = useState( [] );
+	const [ suggestions, setSuggestions ] = useState( [] );
+	const requestIdRef = useRef( 0 );
+
+	useEffect( () => {
+		let isCurrent = true;
+		const requestId = ++requestIdRef.current;
+
+		fetchImageCollections( attachmentId )
+			.then( ( names ) => {
+				if ( isCurrent && requestId === requestIdRef.current ) {
+					setCollections( names );
+				}
+			} )
+			.catch( () => {
+				if ( isCurrent && requestId === requestIdRef.current ) {
+					setCollections( [] );
+				}
+			} );
+
+		fetchReferenceCollections().then( ( allCollections ) => {
+			if ( isCurrent ) {
+				setSuggestions(
+					allCollections.map( ( collection ) => collection.name )
+				);
+			}
+		} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ attachmentId ] );
+
+	const handleChange = async ( tokens ) => {
+		const names = tokens.map( ( token ) =>
+			typeof token === 'string' ? token : token.value
+		);
+		const previousCollections = collections;
+		requestIdRef.current++;
+		setCollections( names );
+
+		try {
+			const saved = await updateImageCollections( attachmentId, names );
+			setCollections( saved );
+			setSuggestions( ( prev ) => [
+				...new Set( [ ...prev, ...saved ] ),
+			] );
+			onSaved( saved );
+		} catch ( error ) {
+			setCollections( previousCollections );
+			dispatch( 'core/notices' ).createErrorNotice(
+				error.message || 'Failed to update reference collections',
+				{ type: 'snackbar' }
+			);
+		}
+	};
+
+	return (
+		<FormTokenField
+			__nextHasNoMarginBottom
+			__next40pxDefaultSize
+			label="Reference collections"
+			value={ collections }
+			suggestions={ suggestions }
+			onChange={ handleChange }
+			__experimentalExpandOnFocus
+			__experimentalShowHowTo={ false }
+		/>
+	);
+};
+
+export default ReferenceCollectionsField;
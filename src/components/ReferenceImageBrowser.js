@@ -0,0 +1,344 @@
+// This file contains the ReferenceImageBrowser component - the searchable reference image picker inside GenerateImageModal.
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import {
+	FormFileUpload,
+	SearchControl,
+	SelectControl,
+	Spinner,
+	Button,
+} from '@wordpress/components';
+import {
+	fetchReferenceCollections,
+	fetchReferenceImages,
+	uploadReferenceImage,
+} from '../api';
+
+const PER_PAGE = 20;
+
+const SEARCH_DELAY_MS = 300;
+
+const ORDERBY_OPTIONS = [
+	{ value: 'date', label: 'Newest' },
+	{ value: 'usage', label: 'Most used' },
+];
+
+/**
+ * Lists images once, keeping the first occurrence of each attachment ID.
+ *
+ * @param {Object[]} images         - Images that may repeat.
+ * @param {Function} getReferenceId - Reads an image's attachment ID.
+ * @return {Object[]} Images with an ID, without repeats.
+ */
+const uniqueById = ( images, getReferenceId ) =>
+	images.filter( ( img, index ) => {
+		const imageId = getReferenceId( img );
+
+		return (
+			!! imageId &&
+			images.findIndex(
+				( candidate ) => getReferenceId( candidate ) === imageId
+			) === index
+		);
+	} );
+
+/**
+ * ReferenceImageBrowser component - searches, sorts, filters by collection, pages through and uploads reference images.
+ * Pinned images, such as the current selection, stay listed first whatever the search.
+ *
+ * @param {Object}   props                    - The properties object.
+ * @param {Object[]} props.pinnedImages       - Images listed before the library results.
+ * @param {Object[]} props.selectedImages     - The selected reference images.
+ * @param {Function} props.onToggle           - Callback receiving an image to select or deselect.
+ * @param {Function} props.onSelectCollection - Callback receiving a whole collection's images to select.
+ * @param {number}   props.selectionLimit     - The most reference images that can be selected.
+ * @param {Function} props.getReferenceId     - Reads an image's attachment ID.
+ * @return {Object} The rendered browser.
+ */
+const ReferenceImageBrowser = ( {
+	pinnedImages,
+	selectedImages,
+	onToggle,
+	onSelectCollection,
+	selectionLimit,
+	getReferenceId,
+} ) => {
+	const [ search, setSearch ] = useState( '' );
+	const [ query, setQuery ] = useState( {
+		search: '',
+		orderby: 'date',
+		collection: 0,
+		page: 1,
+	} );
+	const [ images, setImages ] = useState( [] );
+	const [ totalPages, setTotalPages ] = useState( 0 );
+	const [ collections, setCollections ] = useState( [] );
+	const [ isLoading, setIsLoading ] = useState( false );
+	const [ isUploading, setIsUploading ] = useState( false );
+	const [ isSelectingCollection, setIsSelectingCollection ] =
+		useState( false );
+	const [ error, setError ] = useState( null );
+	const listRef = useRef( null );
+	const sentinelRef = useRef( null );
+	const requestIdRef = useRef( 0 );
+
+	useEffect( () => {
+		const timeout = setTimeout(
+			() =>
+				setQuery( ( prev ) =>
+					prev.search === search ? prev : { ...prev, search, page: 1 }
+				),
+			SEARCH_DELAY_MS
+		);
+
+		return () => clearTimeout( timeout );
+	}, [ search ] );
+
+	useEffect( () => {
+		let isCurrent = true;
+
+		fetchReferenceCollections().then( ( result ) => {
+			if ( isCurrent ) {
+				setCollections( result );
+			}
+		} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [] );
+
+	useEffect( () => {
+		const requestId = ++requestIdRef.current;
+		setIsLoading( true );
+		setError( null );
+
+		fetchReferenceImages( { ...query, perPage: PER_PAGE } )
+			.then( ( result ) => {
+				if ( requestId !== requestIdRef.current ) {
+					return;
+				}
+
+				setImages( ( prev ) =>
+					query.page === 1
+						? result.images
+						: [ ...prev, ...result.images ]
+				);
+				setTotalPages( result.totalPages );
+			} )
+			.catch( ( loadError ) => {
+				if ( requestId === requestIdRef.current ) {
+					setError( loadError.message );
+				}
+			} )
+			.finally( () => {
+				if ( requestId === requestIdRef.current ) {
+					setIsLoading( false );
+				}
+			} );
+	}, [ query ] );
+
+	const hasMore = query.page < totalPages;
+
+	// Loads the next page once the end of the row scrolls into view.
+	useEffect( () => {
+		if ( ! hasMore || isLoading || ! sentinelRef.current ) {
+			return;
+		}
+
+		const observer = new window.IntersectionObserver(
+			( entries ) => {
+				if ( entries.some( ( entry ) => entry.isIntersecting ) ) {
+					setQuery( ( prev ) => ( {
+						...prev,
+						page: prev.page + 1,
+					} ) );
+				}
+			},
+			{ root: listRef.current }
+		);
+		observer.observe( sentinelRef.current );
+
+		return () => observer.disconnect();
+	}, [ hasMore, isLoading ] );
+
+	const handleUpload = async ( event ) => {
+		const [ file ] = event.target.files || [];
+		if ( ! file ) {
+			return;
+		}
+
+		setIsUploading( true );
+		setError( null );
+
+		try {
+			const image = await uploadReferenceImage( file );
+			setImages( ( prev ) => [ image, ...prev ] );
+			onToggle( image );
+		} catch ( uploadError ) {
+			setError( uploadError.message );
+		} finally {
+			setIsUploading( false );
+		}
+	};
+
+	const handleSelectCollection = async () => {
+		setIsSelectingCollection( true );
+		setError( null );
+
+		try {
+			// The filtered library may not have loaded that far yet, so fetch the collection's first images.
+			const result = await fetchReferenceImages( {
+				collection: query.collection,
+				orderby: query.orderby,
+				perPage: selectionLimit,
+			} );
+			onSelectCollection( result.images );
+		} catch ( loadError ) {
+			setError( loadError.message );
+		} finally {
+			setIsSelectingCollection( false );
+		}
+	};
+
+	const listedImages = uniqueById(
+		[ ...pinnedImages, ...images ],
+		getReferenceId
+	);
+
+	return (
+		<div className="kaigen-modal__reference-browser">
+			<div className="kaigen-modal__reference-controls">
+				<SearchControl
+					__nextHasNoMarginBottom
+					label="Search reference images"
+					value={ search }
+					onChange={ setSearch }
+				/>
+				<SelectControl
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+					hideLabelFromVision
+					label="Sort reference images"
+					value={ query.orderby }
+					options={ ORDERBY_OPTIONS }
+					onChange={ ( orderby ) =>
+						setQuery( ( prev ) => ( {
+							...prev,
+							orderby,
+							page: 1,
+						} ) )
+					}
+				/>
+				{ collections.length > 0 && (
+					<SelectControl
+						__nextHasNoMarginBottom
+						__next40pxDefaultSize
+						hideLabelFromVision
+						label="Reference collection"
+						value={ String( query.collection ) }
+						options={ [
+							{ value: '0', label: 'All references' },
+							...collections.map( ( collection ) => ( {
+								value: String( collection.id ),
+								label: `${ collection.name } (${ collection.count })`,
+							} ) ),
+						] }
+						onChange={ ( collection ) =>
+							setQuery( ( prev ) => ( {
+								...prev,
+								collection: Number( collection ),
+								page: 1,
+							} ) )
+						}
+					/>
+				) }
+				<FormFileUpload
+					__next40pxDefaultSize
+					accept="image/*"
+					variant="secondary"
+					icon="upload"
+					onChange={ handleUpload }
+					isBusy={ isUploading }
+					disabled={ isUploading }
+				>
+					Upload
+				</FormFileUpload>
+			</div>
+
+			{ query.collection > 0 && (
+				<Button
+					__next40pxDefaultSize
+					variant="secondary"
+					className="kaigen-modal__reference-collection-button"
+					onClick={ handleSelectCollection }
+					isBusy={ isSelectingCollection }
+					disabled={ isSelectingCollection }
+				>
+					{ `Use collection (up to ${ selectionLimit })` }
+				</Button>
+			) }
+
+			{ error && <p className="kaigen-error-text">{ error }</p> }
+
+			{ listedImages.length > 0 ? (
+				<div
+					ref={ listRef }
+					className="kaigen-modal-reference-images-container"
+					role="group"
+					aria-label="Reference images"
+				>
+					{ listedImages.map( ( img ) => {
+						const imageId = getReferenceId( img );
+						const isSelected = selectedImages.some(
+							( selected ) =>
+								getReferenceId( selected ) === imageId
+						);
+
+						return (
+							<button
+								type="button"
+								key={ imageId }
+								onClick={ () => onToggle( img ) }
+								className={ `kaigen-modal-reference-image ${
+									isSelected
+										? 'kaigen-modal-reference-image-selected'
+										: ''
+								}` }
+								aria-pressed={ isSelected }
+								aria-label={
+									img.alt || 'Select reference image'
+								}
+							>
+								<img
+									src={ img.thumbnail_url || img.url }
+									alt={ img.alt || '' }
+								/>
+							</button>
+						);
+					} ) }
+					{ hasMore && (
+						<div
+							ref={ sentinelRef }
+							className="kaigen-modal__reference-sentinel"
+						>
+							{ isLoading && <Spinner /> }
+						</div>
+					) }
+				</div>
+			) : (
+				! isLoading && (
+					<p className="kaigen-modal-no-references">
+						{ query.search || query.collection
+							? 'No reference images match your search.'
+							: 'No reference images. Upload one, or mark images in the Media Library to use them here.' }
+					</p>
+				)
+			) }
+
+			{ isLoading && listedImages.length === 0 && <Spinner /> }
+		</div>
+	);
+};
+
+export default ReferenceImageBrowser;
@@ -0,0 +1,61 @@
+// This file contains the ReferenceImageChips component - the selected reference images shown in the composer.
+
+import { Button, Spinner } from '@wordpress/components';
+
+/**
+ * ReferenceImageChips component - shows each selected reference image as a removable chip.
+ * Images pasted or dropped into the composer are not library references until kept.
+ *
+ * @param {Object}   props                - The properties object.
+ * @param {Object[]} props.images         - The selected reference images.
+ * @param {boolean}  props.isUploading    - Whether pasted or dropped images are uploading.
+ * @param {Function} props.onRemove       - Callback receiving an image to deselect.
+ * @param {Function} props.onKeep         - Callback receiving an uploaded image to mark as a reference.
+ * @param {Function} props.getReferenceId - Reads an image's attachment ID.
+ * @return {Object|null} The rendered chips, or null when there is nothing to show.
+ */
+const ReferenceImageChips = ( {
+	images,
+	isUploading,
+	onRemove,
+	onKeep,
+	getReferenceId,
+} ) => {
+	if ( images.length === 0 && ! isUploading ) {
+		return null;
+	}
+
+	return (
+		<ul className="kaigen-modal__reference-chips">
+			{ images.map( ( img ) => (
+				<li
+					key={ getReferenceId( img ) }
+					className="kaigen-modal__reference-chip"
+				>
+					<img src={ img.thumbnail_url || img.url } alt="" />
+					{ img.is_reference === false && (
+						<Button
+							size="small"
+							icon="admin-post"
+							label="Keep as a reference image"
+							onClick={ () => onKeep( img ) }
+						/>
+					) }
+					<Button
+						size="small"
+						icon="no-alt"
+						label="Remove reference image"
+						onClick={ () => onRemove( img ) }
+					/>
+				</li>
+			) ) }
+			{ isUploading && (
+				<li className="kaigen-modal__reference-chip">
+					<Spinner />
+				</li>
+			) }
+		</ul>
+	);
+};
+
+export default ReferenceImageChips;
@@ -0,0 +1,195 @@
+// This file contains the SettingsPage component - the Settings → KaiGen admin screen.
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	CheckboxControl,
+	Notice,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+import { fetchPluginSettings, updatePluginSettings } from '../api';
+
+const ORIENTATION_OPTIONS = [
+	{ label: 'Square', value: 'square' },
+	{ label: 'Landscape', value: 'landscape' },
+	{ label: 'Portrait', value: 'portrait' },
+];
+
+const ALT_TEXT_OPTIONS = [
+	{ label: 'Describe the image with a vision model', value: 'describe' },
+	{ label: 'Use the prompt', value: 'prompt' },
+	{ label: 'Leave empty', value: 'none' },
+];
+
+/**
+ * Smallest and largest generation timeout, in seconds, matching Settings::TIMEOUT_RANGE.
+ */
+const MIN_TIMEOUT = 30;
+const MAX_TIMEOUT = 600;
+
+/**
+ * SettingsPage component - edits the site-wide defaults and behavior of KaiGen.
+ *
+ * @param {Object} props           - The properties object.
+ * @param {Array}  props.providers - Image providers with id and name, including Auto.
+ * @param {Array}  props.postTypes - Post types KaiGen can be enabled for, with name and label.
+ * @return {Object} The rendered settings form.
+ */
+const SettingsPage = ( { providers, postTypes } ) => {
+	const [ settings, setSettings ] = useState( null );
+	const [ notice, setNotice ] = useState( null );
+	const [ isSaving, setIsSaving ] = useState( false );
+
+	useEffect( () => {
+		fetchPluginSettings()
+			.then( setSettings )
+			.catch( ( error ) =>
+				setNotice( { status: 'error', message: error.message } )
+			);
+	}, [] );
+
+	if ( ! settings ) {
+		return notice ? (
+			<Notice status="error" isDismissible={ false }>
+				{ notice.message }
+			</Notice>
+		) : (
+			<Spinner />
+		);
+	}
+
+	const updateSetting = ( key, value ) =>
+		setSettings( ( prev ) => ( { ...prev, [ key ]: value } ) );
+
+	// No saved list means every post type is enabled.
+	const enabledPostTypes =
+		settings.post_types ?? postTypes.map( ( postType ) => postType.name );
+
+	const handleTogglePostType = ( name, isEnabled ) =>
+		updateSetting(
+			'post_types',
+			isEnabled
+				? [ ...enabledPostTypes, name ]
+				: enabledPostTypes.filter( ( postType ) => postType !== name )
+		);
+
+	const handleSave = async () => {
+		setIsSaving( true );
+		setNotice( null );
+
+		try {
+			setSettings(
+				await updatePluginSettings( {
+					...settings,
+					timeout: Math.min(
+						Math.max(
+							parseInt( settings.timeout, 10 ) || MIN_TIMEOUT,
+							MIN_TIMEOUT
+						),
+						MAX_TIMEOUT
+					),
+				} )
+			);
+			setNotice( { status: 'success', message: 'Settings saved.' } );
+		} catch ( error ) {
+			setNotice( { status: 'error', message: error.message } );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	return (
+		<div className="kaigen-settings">
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					onRemove={ () => setNotice( null ) }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			<h2>Defaults</h2>
+			<SelectControl
+				label="Default provider"
+				value={ settings.provider }
+				options={ providers.map( ( provider ) => ( {
+					label: provider.name,
+					value: provider.id,
+				} ) ) }
+				onChange={ ( value ) => updateSetting( 'provider', value ) }
+				__nextHasNoMarginBottom
+				__next40pxDefaultSize
+			/>
+			<SelectControl
+				label="Default orientation"
+				value={ settings.orientation }
+				options={ ORIENTATION_OPTIONS }
+				onChange={ ( value ) => updateSetting( 'orientation', value ) }
+				__nextHasNoMarginBottom
+				__next40pxDefaultSize
+			/>
+
+			<h2>Generation</h2>
+			<TextControl
+				label="Timeout (seconds)"
+				help={ `How long to wait for a provider, from ${ MIN_TIMEOUT } to ${ MAX_TIMEOUT } seconds.` }
+				type="number"
+				min={ MIN_TIMEOUT }
+				max={ MAX_TIMEOUT }
+				value={ String( settings.timeout ) }
+				onChange={ ( value ) => updateSetting( 'timeout', value ) }
+				__nextHasNoMarginBottom
+				__next40pxDefaultSize
+			/>
+			<SelectControl
+				label="Alt text for generated images"
+				help="Describing an image is an extra AI request."
+				value={ settings.alt_text }
+				options={ ALT_TEXT_OPTIONS }
+				onChange={ ( value ) => updateSetting( 'alt_text', value ) }
+				__nextHasNoMarginBottom
+				__next40pxDefaultSize
+			/>
+			<TextControl
+				label="Filename pattern"
+				help="Placeholders: {prompt}, {date}, {user}, {site} and {random}. The file extension is added automatically."
+				value={ settings.filename_pattern }
+				onChange={ ( value ) =>
+					updateSetting( 'filename_pattern', value )
+				}
+				__nextHasNoMarginBottom
+				__next40pxDefaultSize
+			/>
+
+			<h2>Post types</h2>
+			<p className="description">
+				KaiGen is offered in the editor for these post types.
+			</p>
+			{ postTypes.map( ( postType ) => (
+				<CheckboxControl
+					key={ postType.name }
+					label={ postType.label }
+					checked={ enabledPostTypes.includes( postType.name ) }
+					onChange={ ( isEnabled ) =>
+						handleTogglePostType( postType.name, isEnabled )
+					}
+					__nextHasNoMarginBottom
+				/>
+			) ) }
+
+			<Button
+				variant="primary"
+				onClick={ handleSave }
+				isBusy={ isSaving }
+				disabled={ isSaving }
+			>
+				Save settings
+			</Button>
+		</div>
+	);
+};
+
+export default SettingsPage;
@@ -0,0 +1,232 @@
+// This file contains the StylePresetDropdown component - the site-wide style preset picker inside GenerateImageModal.
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	CheckboxControl,
+	Dashicon,
+	Dropdown,
+	TextControl,
+	TextareaControl,
+} from '@wordpress/components';
+import {
+	fetchStylePresets,
+	createStylePreset,
+	deleteStylePreset,
+} from '../api';
+
+/**
+ * StylePresetDropdown component - picks a style preset and lets administrators manage presets.
+ *
+ * @param {Object}   props                    - The properties object.
+ * @param {string}   [props.selectedPresetId] - ID of the applied preset, if any.
+ * @param {Function} props.onChange           - Callback receiving the chosen preset, or null for no preset.
+ * @param {string}   props.orientation        - The modal's current orientation, offered as the new preset's default.
+ * @param {number[]} props.referenceImageIds  - The modal's selected reference image IDs, offered as the new preset's defaults.
+ * @param {boolean}  [props.canManage]        - Whether the current user may create and delete presets.
+ * @return {Object|null} The rendered dropdown, or null when there is nothing to pick or manage.
+ */
+const StylePresetDropdown = ( {
+	selectedPresetId,
+	onChange,
+	orientation,
+	referenceImageIds,
+	canManage = false,
+} ) => {
+	const [ presets, setPresets ] = useState( [] );
+	const [ hasLoaded, setHasLoaded ] = useState( false );
+	const [ name, setName ] = useState( '' );
+	const [ presetPrompt, setPresetPrompt ] = useState( '' );
+	const [ includeSettings, setIncludeSettings ] = useState( false );
+	const [ isSaving, setIsSaving ] = useState( false );
+	const [ error, setError ] = useState( null );
+
+	useEffect( () => {
+		let isCurrent = true;
+
+		fetchStylePresets().then( ( stylePresets ) => {
+			if ( isCurrent ) {
+				setPresets( stylePresets );
+				setHasLoaded( true );
+			}
+		} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [] );
+
+	// A preset restored from history may have been deleted since.
+	useEffect( () => {
+		if (
+			hasLoaded &&
+			selectedPresetId &&
+			! presets.some( ( preset ) => preset.id === selectedPresetId )
+		) {
+			onChange( null );
+		}
+	}, [ hasLoaded, presets, selectedPresetId, onChange ] );
+
+	if ( ! canManage && presets.length === 0 ) {
+		return null;
+	}
+
+	const selectedPreset = presets.find(
+		( preset ) => preset.id === selectedPresetId
+	);
+
+	const handleSave = async () => {
+		setIsSaving( true );
+		setError( null );
+
+		try {
+			const preset = await createStylePreset( {
+				name: name.trim(),
+				prompt: presetPrompt.trim(),
+				orientation: includeSettings ? orientation : '',
+				source_image_ids: includeSettings ? referenceImageIds : [],
+			} );
+
+			setPresets( ( prev ) => [ ...prev, preset ] );
+			setName( '' );
+			setPresetPrompt( '' );
+			setIncludeSettings( false );
+			onChange( preset );
+		} catch ( saveError ) {
+			setError( saveError.message || 'Failed to save the preset.' );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	const handleDelete = async ( presetId ) => {
+		const previousPresets = presets;
+		setPresets( ( prev ) =>
+			prev.filter( ( preset ) => preset.id !== presetId )
+		);
+
+		if ( presetId === selectedPresetId ) {
+			onChange( null );
+		}
+
+		try {
+			await deleteStylePreset( presetId );
+		} catch {
+			setPresets( previousPresets );
+		}
+	};
+
+	return (
+		<Dropdown
+			popoverProps={ {
+				placement: 'top-start',
+				focusOnMount: true,
+			} }
+			renderToggle={ ( { isOpen: isDropdownOpen, onToggle } ) => (
+				<Button
+					className={ `kaigen-modal__preset-toggle ${
+						isDropdownOpen ? 'is-primary' : ''
+					} ${
+						selectedPreset ? 'kaigen-preset-toggle-selected' : ''
+					}` }
+					onClick={ onToggle }
+					aria-expanded={ isDropdownOpen }
+					aria-label={ `Style preset: ${
+						selectedPreset?.name || 'None'
+					}` }
+				>
+					<Dashicon icon="admin-customizer" />
+				</Button>
+			) }
+			renderContent={ ( { onClose: closeDropdown } ) => (
+				<div className="kaigen-modal__preset-menu">
+					<div role="menu">
+						{ [ null, ...presets ].map( ( preset ) => {
+							const isSelected =
+								( preset?.id || null ) ===
+								( selectedPreset?.id || null );
+
+							return (
+								<div
+									key={ preset?.id || 'none' }
+									className="kaigen-modal__preset-menu-row"
+								>
+									<button
+										type="button"
+										className={ `kaigen-modal__preset-menu-item ${
+											isSelected
+												? 'kaigen-modal__preset-menu-item-selected'
+												: ''
+										}` }
+										onClick={ () => {
+											onChange( preset );
+											closeDropdown();
+										} }
+										role="menuitemradio"
+										aria-checked={ isSelected }
+									>
+										{ preset?.name || 'No preset' }
+									</button>
+									{ preset && canManage && (
+										<Button
+											icon="trash"
+											label={ `Delete ${ preset.name }` }
+											size="small"
+											onClick={ () =>
+												handleDelete( preset.id )
+											}
+										/>
+									) }
+								</div>
+							);
+						} ) }
+					</div>
+
+					{ canManage && (
+						<div className="kaigen-modal__preset-form">
+							<TextControl
+								__nextHasNoMarginBottom
+								__next40pxDefaultSize
+								label="New preset name"
+								value={ name }
+								onChange={ setName }
+							/>
+							<TextareaControl
+								__nextHasNoMarginBottom
+								label="Style prompt"
+								help="Added to every prompt generated with this preset."
+								value={ presetPrompt }
+								onChange={ setPresetPrompt }
+								rows={ 2 }
+							/>
+							<CheckboxControl
+								__nextHasNoMarginBottom
+								label="Use the current aspect ratio and reference images"
+								checked={ includeSettings }
+								onChange={ setIncludeSettings }
+							/>
+							{ error && (
+								<p className="kaigen-error-text">{ error }</p>
+							) }
+							<Button
+								variant="secondary"
+								size="small"
+								onClick={ handleSave }
+								isBusy={ isSaving }
+								disabled={
+									isSaving ||
+									! name.trim() ||
+									! presetPrompt.trim()
+								}
+							>
+								Save preset
+							</Button>
+						</div>
+					) }
+				</div>
+			) }
+		/>
+	);
+};
+
+export default StylePresetDropdown;
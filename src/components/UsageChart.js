@@ -0,0 +1,89 @@
+// This file contains the UsageChart component - the stacked bar chart of images generated per day.
+
+import { SERIES_COLORS } from '../utils/usageStats';
+
+/**
+ * UsageChart component - draws one stacked bar per day, split by series.
+ *
+ * @param {Object}   props        - The properties object.
+ * @param {string[]} props.days   - Dates covered, oldest first.
+ * @param {Array}    props.series - Series with key, name and images per day.
+ * @return {Object} The rendered chart.
+ */
+const UsageChart = ( { days, series } ) => {
+	const dayTotals = days.map( ( _, index ) =>
+		series.reduce( ( sum, entry ) => sum + entry.daily[ index ], 0 )
+	);
+	const maxTotal = Math.max( ...dayTotals, 1 );
+
+	if ( series.length === 0 ) {
+		return (
+			<p className="kaigen-usage-chart__empty">
+				No images were generated in this period.
+			</p>
+		);
+	}
+
+	return (
+		<div className="kaigen-usage-chart">
+			<div
+				className="kaigen-usage-chart__bars"
+				role="img"
+				aria-label="Images generated per day"
+			>
+				{ days.map( ( day, dayIndex ) => (
+					<div
+						key={ day }
+						className="kaigen-usage-chart__bar"
+						title={ `${ day }: ${ dayTotals[ dayIndex ] } ${
+							dayTotals[ dayIndex ] === 1 ? 'image' : 'images'
+						}` }
+					>
+						{ series.map( ( entry, seriesIndex ) =>
+							entry.daily[ dayIndex ] > 0 ? (
+								<span
+									key={ entry.key }
+									className="kaigen-usage-chart__segment"
+									style={ {
+										height: `${
+											( entry.daily[ dayIndex ] /
+												maxTotal ) *
+											100
+										}%`,
+										background:
+											SERIES_COLORS[
+												seriesIndex %
+													SERIES_COLORS.length
+											],
+									} }
+								/>
+							) : null
+						) }
+					</div>
+				) ) }
+			</div>
+			<div className="kaigen-usage-chart__axis">
+				<span>{ days[ 0 ] }</span>
+				<span>{ days[ days.length - 1 ] }</span>
+			</div>
+			<ul className="kaigen-usage-chart__legend">
+				{ series.map( ( entry, seriesIndex ) => (
+					<li key={ entry.key }>
+						<span
+							className="kaigen-usage-chart__swatch"
+							style={ {
+								background:
+									SERIES_COLORS[
+										seriesIndex % SERIES_COLORS.length
+									],
+							} }
+						/>
+						{ entry.name }
+					</li>
+				) ) }
+			</ul>
+		</div>
+	);
+};
+
+export default UsageChart;
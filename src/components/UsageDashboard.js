@@ -0,0 +1,239 @@
+// This file contains the UsageDashboard component - the Media → KaiGen Usage admin page.
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	Notice,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+import { fetchUsageStats, updateImagePrices } from '../api';
+import {
+	formatCost,
+	formatDuration,
+	formatRate,
+	getChartSeries,
+} from '../utils/usageStats';
+import UsageChart from './UsageChart';
+
+const PERIOD_OPTIONS = [
+	{ label: 'Last 7 days', value: '7' },
+	{ label: 'Last 30 days', value: '30' },
+	{ label: 'Last 90 days', value: '90' },
+	{ label: 'Last 365 days', value: '365' },
+];
+
+const GROUP_OPTIONS = [
+	{ label: 'User', value: 'users' },
+	{ label: 'Provider', value: 'providers' },
+	{ label: 'Model', value: 'models' },
+];
+
+/**
+ * Lists the totals shown for the whole period and for each group.
+ *
+ * @param {Object} totals - Requests, images, failure rate, average duration and estimated cost.
+ * @return {Array} Label and formatted value pairs.
+ */
+const getTotalsRows = ( totals ) => [
+	[ 'Images', String( totals.images ) ],
+	[ 'Requests', String( totals.requests ) ],
+	[ 'Failure rate', formatRate( totals.failure_rate ) ],
+	[ 'Average duration', formatDuration( totals.average_duration ) ],
+	[ 'Estimated cost', formatCost( totals.estimated_cost ) ],
+];
+
+/**
+ * UsageDashboard component - charts generations over time by user, provider or model,
+ * and lets admins enter the price of one image so the cost can be estimated.
+ *
+ * @return {Object} The rendered dashboard.
+ */
+const UsageDashboard = () => {
+	const [ days, setDays ] = useState( '30' );
+	const [ groupBy, setGroupBy ] = useState( 'users' );
+	const [ stats, setStats ] = useState( null );
+	const [ error, setError ] = useState( null );
+	const [ prices, setPrices ] = useState( {} );
+	const [ isSavingPrices, setIsSavingPrices ] = useState( false );
+	const [ reloadCount, setReloadCount ] = useState( 0 );
+
+	useEffect( () => {
+		let isCurrent = true;
+		setError( null );
+
+		fetchUsageStats( Number( days ) )
+			.then( ( result ) => {
+				if ( isCurrent ) {
+					setStats( result );
+					setPrices(
+						Object.fromEntries(
+							result.models.map( ( model ) => [
+								model.key,
+								model.price ? String( model.price ) : '',
+							] )
+						)
+					);
+				}
+			} )
+			.catch( ( fetchError ) => {
+				if ( isCurrent ) {
+					setError( fetchError.message );
+				}
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ days, reloadCount ] );
+
+	const handleSavePrices = async () => {
+		setIsSavingPrices( true );
+		setError( null );
+
+		try {
+			await updateImagePrices(
+				stats.models.map( ( model ) => ( {
+					provider: model.provider,
+					model: model.model,
+					price: Number( prices[ model.key ] ) || 0,
+				} ) )
+			);
+			setReloadCount( ( count ) => count + 1 );
+		} catch ( saveError ) {
+			setError( saveError.message );
+		} finally {
+			setIsSavingPrices( false );
+		}
+	};
+
+	if ( ! stats ) {
+		return error ? (
+			<Notice status="error" isDismissible={ false }>
+				{ error }
+			</Notice>
+		) : (
+			<Spinner />
+		);
+	}
+
+	const groups = stats[ groupBy ];
+
+	return (
+		<div className="kaigen-usage">
+			{ error && (
+				<Notice status="error" onRemove={ () => setError( null ) }>
+					{ error }
+				</Notice>
+			) }
+
+			<div className="kaigen-usage__filters">
+				<SelectControl
+					label="Period"
+					value={ days }
+					options={ PERIOD_OPTIONS }
+					onChange={ setDays }
+					__nextHasNoMarginBottom
+				/>
+				<SelectControl
+					label="Group by"
+					value={ groupBy }
+					options={ GROUP_OPTIONS }
+					onChange={ setGroupBy }
+					__nextHasNoMarginBottom
+				/>
+			</div>
+
+			<dl className="kaigen-usage__totals">
+				{ getTotalsRows( stats.totals ).map( ( [ label, value ] ) => (
+					<div key={ label } className="kaigen-usage__total">
+						<dt>{ label }</dt>
+						<dd>{ value }</dd>
+					</div>
+				) ) }
+			</dl>
+
+			<h2>Images per day</h2>
+			<UsageChart
+				days={ stats.days }
+				series={ getChartSeries( groups ) }
+			/>
+
+			{ groups.length > 0 && (
+				<table className="widefat striped kaigen-usage__table">
+					<thead>
+						<tr>
+							<th scope="col">
+								{
+									GROUP_OPTIONS.find(
+										( option ) => option.value === groupBy
+									).label
+								}
+							</th>
+							{ getTotalsRows( stats.totals ).map(
+								( [ label ] ) => (
+									<th key={ label } scope="col">
+										{ label }
+									</th>
+								)
+							) }
+						</tr>
+					</thead>
+					<tbody>
+						{ groups.map( ( group ) => (
+							<tr key={ group.key }>
+								<th scope="row">{ group.name }</th>
+								{ getTotalsRows( group ).map(
+									( [ label, value ] ) => (
+										<td key={ label }>{ value }</td>
+									)
+								) }
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+			) }
+
+			{ stats.models.length > 0 && (
+				<>
+					<h2>Price per image</h2>
+					<p className="description">
+						Enter what one image costs with each model, in your
+						billing currency, to estimate the cost. Leave empty for
+						no estimate.
+					</p>
+					<div className="kaigen-usage__prices">
+						{ stats.models.map( ( model ) => (
+							<TextControl
+								key={ model.key }
+								label={ model.name }
+								type="number"
+								min="0"
+								step="0.001"
+								value={ prices[ model.key ] ?? '' }
+								onChange={ ( value ) =>
+									setPrices( ( prev ) => ( {
+										...prev,
+										[ model.key ]: value,
+									} ) )
+								}
+								__nextHasNoMarginBottom
+							/>
+						) ) }
+					</div>
+					<Button
+						variant="primary"
+						onClick={ handleSavePrices }
+						isBusy={ isSavingPrices }
+						disabled={ isSavingPrices }
+					>
+						Save prices
+					</Button>
+				</>
+			) }
+		</div>
+	);
+};
+
+export default UsageDashboard;
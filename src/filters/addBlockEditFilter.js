@@ -1,16 +1,29 @@
-// This file modifies the block editor for core/image blocks to include an AI image regeneration button.
+// This file modifies the block editor for media blocks to include an AI image regeneration button.
 
-import { addFilter } from '@wordpress/hooks';
+import { addAction, addFilter, removeAction } from '@wordpress/hooks';
 import { useState, useEffect, useRef } from '@wordpress/element';
 import { BlockControls, InspectorControls } from '@wordpress/block-editor';
-import { PanelBody, CheckboxControl } from '@wordpress/components';
+import { Button, PanelBody, CheckboxControl } from '@wordpress/components';
 import apiFetch from '@wordpress/api-fetch';
-import { dispatch } from '@wordpress/data';
+import { dispatch, useSelect } from '@wordpress/data';
+import { describeImage, markAsReferenceImage } from '../api';
 import AIImageToolbar from '../components/AIImageToolbar';
+import GenerationDetailsPanel from '../components/GenerationDetailsPanel';
+import ProvenanceBadge from '../components/ProvenanceBadge';
+import ReferenceCollectionsField from '../components/ReferenceCollectionsField';
 import { isKaiGenAvailable } from '../utils/kaigenSettings';
+import {
+	getBlockImageSize,
+	getCurrentImage,
+	getMediaAttributes,
+	getMediaBlockConfig,
+	getSiteLogo,
+	insertGalleryImage,
+	OPEN_GALLERY_MODAL_ACTION,
+} from './mediaUtils';
 
 /**
- * Enhances the core/image block with an AI image regeneration button.
+ * Enhances media blocks with an AI image regeneration button.
  *
  * @param {Function} BlockEdit - The original BlockEdit component.
  * @return {Function} A new BlockEdit component with additional regeneration functionality.
@@ -20,15 +33,39 @@ addFilter(
 	'kaigen/add-regenerate-button',
 	( BlockEdit ) => {
 		return ( props ) => {
-			if ( props.name !== 'core/image' ) {
+			const blockConfig = getMediaBlockConfig( props.name );
+			if ( ! blockConfig ) {
 				return <BlockEdit { ...props } />;
 			}
 
-			const normalizedBlockId = Number( props.attributes.id );
+			const siteLogo = useSelect(
+				() => ( blockConfig.isSiteLogo ? getSiteLogo() : null ),
+				[ blockConfig.isSiteLogo ]
+			);
+			// A gallery has no image of its own, so its panel acts on the images inside it.
+			const galleryBlocks = useSelect(
+				( select ) =>
+					blockConfig.multiple
+						? select( 'core/block-editor' ).getBlocks(
+								props.clientId
+						  )
+						: null,
+				[ blockConfig.multiple, props.clientId ]
+			);
+			const galleryImageIds = ( galleryBlocks || [] )
+				.map( ( block ) => Number( block.attributes?.id ) )
+				.filter( ( id ) => Number.isInteger( id ) && id > 0 );
+			const blockImage = getCurrentImage( props, siteLogo );
+			const normalizedBlockId = Number( blockImage?.id );
 			const hasValidId =
 				Number.isInteger( normalizedBlockId ) && normalizedBlockId > 0;
 			const [ isReferenceImage, setIsReferenceImage ] = useState( false );
 			const referenceImageMetaRequestId = useRef( 0 );
+			const [ isModalOpen, setIsModalOpen ] = useState( false );
+			const [ isDescribing, setIsDescribing ] = useState( false );
+			const [ isMarkingGallery, setIsMarkingGallery ] = useState( false );
+			const [ regenerateSettings, setRegenerateSettings ] =
+				useState( null );
 
 			const { setAttributes } = props;
 
@@ -71,24 +108,51 @@ addFilter(
 				};
 			}, [ hasValidId, normalizedBlockId ] );
 
+			// The empty gallery placeholder asks this block to open its gallery modal.
+			useEffect( () => {
+				if ( ! blockConfig.multiple ) {
+					return;
+				}
+
+				const namespace = `kaigen/open-gallery-modal/${ props.clientId }`;
+				addAction(
+					OPEN_GALLERY_MODAL_ACTION,
+					namespace,
+					( clientId ) => {
+						if ( clientId === props.clientId ) {
+							setIsModalOpen( true );
+						}
+					}
+				);
+
+				return () =>
+					removeAction( OPEN_GALLERY_MODAL_ACTION, namespace );
+			}, [ blockConfig.multiple, props.clientId ] );
+
+			const idAttribute = blockConfig.attributes?.id;
 			useEffect( () => {
-				if ( ! normalizedBlockId ) {
+				if ( ! idAttribute || ! normalizedBlockId ) {
 					return;
 				}
 
-				if ( props.attributes.id !== normalizedBlockId ) {
-					setAttributes( { id: normalizedBlockId } );
+				if ( props.attributes[ idAttribute ] !== normalizedBlockId ) {
+					setAttributes( { [ idAttribute ]: normalizedBlockId } );
 				}
-			}, [ normalizedBlockId, props.attributes.id, setAttributes ] );
+			}, [
+				idAttribute,
+				normalizedBlockId,
+				props.attributes,
+				setAttributes,
+			] );
 
 			/**
 			 * Build current image object for the modal
 			 */
-			const currentImage = props.attributes.url
+			const currentImage = blockImage?.url
 				? {
-						url: props.attributes.url,
+						url: blockImage.url,
 						id: hasValidId ? normalizedBlockId : undefined,
-						alt: props.attributes.alt || '',
+						alt: blockImage.alt,
 				  }
 				: null;
 			const isAvailable = isKaiGenAvailable();
@@ -99,22 +163,27 @@ addFilter(
 			 * @param {Object} result - The generated image data.
 			 */
 			const handleImageGenerated = ( result ) => {
-				if (
-					result.id &&
-					typeof result.id === 'number' &&
-					result.id > 0
-				) {
-					props.setAttributes( {
-						url: result.url,
-						id: result.id,
-						alt: result.alt || '',
-					} );
+				if ( blockConfig.multiple ) {
+					// Gallery mode reports each image as it finishes; the modal announces the batch.
+					insertGalleryImage( props.clientId, result );
+					return;
+				}
+
+				if ( blockConfig.isSiteLogo ) {
+					if ( ! result.id ) {
+						return;
+					}
+
+					dispatch( 'core' ).editEntityRecord(
+						'root',
+						'site',
+						undefined,
+						{ site_logo: result.id }
+					);
 				} else {
-					props.setAttributes( {
-						url: result.url,
-						id: undefined,
-						alt: result.alt || '',
-					} );
+					props.setAttributes(
+						getMediaAttributes( props.name, result )
+					);
 				}
 
 				dispatch( 'core/notices' ).createSuccessNotice(
@@ -125,21 +194,95 @@ addFilter(
 				);
 			};
 
+			/**
+			 * Replaces the image's alt text with a description written by a vision model.
+			 * The site logo's alt text lives on its attachment, so it is saved there.
+			 */
+			const handleGenerateAltText = async () => {
+				setIsDescribing( true );
+
+				try {
+					const alt = await describeImage( normalizedBlockId, {
+						save: !! blockConfig.isSiteLogo,
+					} );
+
+					if ( blockConfig.attributes?.alt ) {
+						props.setAttributes( {
+							[ blockConfig.attributes.alt ]: alt,
+						} );
+					}
+
+					dispatch( 'core/notices' ).createSuccessNotice(
+						'Alt text generated.',
+						{ type: 'snackbar' }
+					);
+				} catch ( error ) {
+					dispatch( 'core/notices' ).createErrorNotice(
+						error.message || 'Failed to generate alt text.',
+						{ type: 'snackbar' }
+					);
+				} finally {
+					setIsDescribing( false );
+				}
+			};
+
+			/**
+			 * Adds every image in the gallery to the reference images.
+			 */
+			const handleMarkGalleryAsReference = async () => {
+				setIsMarkingGallery( true );
+
+				try {
+					await Promise.all(
+						galleryImageIds.map( ( id ) =>
+							markAsReferenceImage( id )
+						)
+					);
+
+					dispatch( 'core/notices' ).createSuccessNotice(
+						'Gallery images added to the reference images.',
+						{ type: 'snackbar' }
+					);
+				} catch {
+					dispatch( 'core/notices' ).createErrorNotice(
+						'Failed to update reference image meta',
+						{ type: 'snackbar' }
+					);
+				} finally {
+					setIsMarkingGallery( false );
+				}
+			};
+
 			return (
 				<>
 					<BlockEdit { ...props } />
-					{ props.attributes.url && isAvailable && (
-						<BlockControls>
-							<AIImageToolbar
-								onImageGenerated={ handleImageGenerated }
-								isImageBlock={ true }
-								currentImage={ currentImage }
-							/>
-						</BlockControls>
-					) }
+					{ ( currentImage || blockConfig.multiple ) &&
+						isAvailable && (
+							<BlockControls>
+								<AIImageToolbar
+									onImageGenerated={ handleImageGenerated }
+									isImageBlock={ true }
+									currentImage={ currentImage }
+									orientation={ blockConfig.orientation }
+									size={ getBlockImageSize( props ) }
+									isGalleryMode={ !! blockConfig.multiple }
+									initialSettings={ regenerateSettings }
+									isModalOpen={ isModalOpen }
+									onModalOpenChange={ ( isOpen ) => {
+										setIsModalOpen( isOpen );
+										if ( ! isOpen ) {
+											setRegenerateSettings( null );
+										}
+									} }
+								/>
+							</BlockControls>
+						) }
 					{ hasValidId && isAvailable && (
 						<InspectorControls>
 							<PanelBody title="KaiGen" initialOpen={ false }>
+								<ProvenanceBadge
+									attachmentId={ normalizedBlockId }
+								/>
 								<CheckboxControl
 									label="Reference image"
 									checked={ isReferenceImage }
@@ -174,9 +317,60 @@ addFilter(
 									} }
 									help="Add to the list of reference images."
 								/>
+								<ReferenceCollectionsField
+									attachmentId={ normalizedBlockId }
+									onSaved={ ( collections ) => {
+										// Filing an image in a collection marks it as a reference on the server.
+										if ( collections.length > 0 ) {
+											referenceImageMetaRequestId.current++;
+											setIsReferenceImage( true );
+										}
+									} }
+								/>
+								<Button
+									variant="secondary"
+									className="kaigen-describe-image-button"
+									onClick={ handleGenerateAltText }
+									isBusy={ isDescribing }
+									disabled={ isDescribing }
+								>
+									{ blockImage?.alt
+										? 'Regenerate alt text'
+										: 'Generate alt text' }
+								</Button>
 							</PanelBody>
+							<GenerationDetailsPanel
+								attachmentId={ normalizedBlockId }
+								onRegenerate={ ( settings ) => {
+									setRegenerateSettings( {
+										...settings,
+										images: [ currentImage ],
+									} );
+									setIsModalOpen( true );
+								} }
+							/>
 						</InspectorControls>
 					) }
+					{ blockConfig.multiple &&
+						galleryImageIds.length > 0 &&
+						isAvailable && (
+							<InspectorControls>
+								<PanelBody title="KaiGen" initialOpen={ false }>
+									<p>
+										Select an image in the gallery to see
+										how it was generated or to describe it.
+									</p>
+									<Button
+										variant="secondary"
+										onClick={ handleMarkGalleryAsReference }
+										isBusy={ isMarkingGallery }
+										disabled={ isMarkingGallery }
+									>
+										Add all images to reference images
+									</Button>
+								</PanelBody>
+							</InspectorControls>
+						) }
 				</>
 			);
 		};
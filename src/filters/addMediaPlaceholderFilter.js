@@ -1,12 +1,14 @@
-// Adds KaiGen to the empty image block placeholder.
+// Adds KaiGen to the empty media block placeholders.
 
 import { useState } from '@wordpress/element';
-import { addFilter } from '@wordpress/hooks';
+import { addFilter, doAction } from '@wordpress/hooks';
 import AITab from '../components/AITab';
 import GenerateImageModal from '../components/GenerateImageModal';
 import {
-	getSelectedImageBlock,
-	shouldDisplayForSelectedImageBlock,
+	OPEN_GALLERY_MODAL_ACTION,
+	getMediaBlockConfig,
+	getSelectedMediaBlock,
+	shouldDisplayForSelectedMediaBlock,
 } from './mediaUtils';
 import { isKaiGenAvailable } from '../utils/kaigenSettings';
 
@@ -16,18 +18,39 @@ addFilter(
 	( OriginalMediaPlaceholder ) => {
 		return ( props ) => {
 			const [ isModalOpen, setIsModalOpen ] = useState( false );
-			const selectedBlock = getSelectedImageBlock();
+			const selectedBlock = getSelectedMediaBlock();
+			const blockConfig = getMediaBlockConfig( selectedBlock?.name );
 			const shouldDisplay =
-				shouldDisplayForSelectedImageBlock( props, selectedBlock, {
+				shouldDisplayForSelectedMediaBlock( props, selectedBlock, {
 					requireEmptyImage: true,
 				} ) && isKaiGenAvailable();
 			const kaiGenButton = (
 				<AITab
 					shouldDisplay={ shouldDisplay }
 					variant="placeholder"
-					onClick={ () => setIsModalOpen( true ) }
+					onClick={ () => {
+						// The gallery placeholder unmounts as soon as the first image lands,
+						// so gallery batches run from the modal owned by the gallery block itself.
+						if ( blockConfig?.multiple ) {
+							doAction(
+								OPEN_GALLERY_MODAL_ACTION,
+								selectedBlock.clientId
+							);
+							return;
+						}
+
+						setIsModalOpen( true );
+					} }
 				/>
 			);
+			/**
+			 * Passes the generated image to the block's own media handler.
+			 * Blocks that accept several media types read `type` to pick a background or media type.
+			 *
+			 * @param {Object} media - The generated image data.
+			 */
+			const handleSelect = ( media ) =>
+				props.onSelect( { ...media, type: 'image' } );
 			const placeholder = props.placeholder
 				? ( content ) =>
 						props.placeholder(
@@ -50,7 +73,8 @@ addFilter(
 					<GenerateImageModal
 						isOpen={ isModalOpen }
 						onClose={ () => setIsModalOpen( false ) }
-						onSelect={ props.onSelect }
+						onSelect={ handleSelect }
+						initialOrientation={ blockConfig?.orientation }
 					/>
 				</>
 			);
@@ -0,0 +1,204 @@
+// Adds KaiGen to the Replace menu of media blocks.
+
+import { useEffect, useMemo, useState } from '@wordpress/element';
+import { addFilter } from '@wordpress/hooks';
+import { MenuItem } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+import { dispatch } from '@wordpress/data';
+import AITab from '../components/AITab';
+import GenerateImageModal from '../components/GenerateImageModal';
+import {
+	getMediaBlockConfig,
+	getSelectedMediaBlock,
+	shouldDisplayForSelectedMediaBlock,
+} from './mediaUtils';
+import { isKaiGenAvailable } from '../utils/kaigenSettings';
+
+/**
+ * Attachment meta recording the attachment a KaiGen replacement took the place of.
+ */
+const REPLACED_ATTACHMENT_META = 'kaigen_replaced_attachment';
+
+/**
+ * Checks whether a value is a valid attachment ID.
+ *
+ * @param {*} id - The value to check.
+ * @return {boolean} Whether the value is a positive integer.
+ */
+const isAttachmentId = ( id ) => Number.isInteger( id ) && id > 0;
+
+/**
+ * Records the attachment a generated image replaced, so the replacement can be undone later.
+ *
+ * @param {number} attachmentId         - The generated attachment ID.
+ * @param {number} replacedAttachmentId - The replaced attachment ID.
+ * @return {Promise<void>} Resolves once the meta is saved.
+ */
+const recordReplacedAttachment = async (
+	attachmentId,
+	replacedAttachmentId
+) => {
+	try {
+		await apiFetch( {
+			path: `/wp/v2/media/${ attachmentId }`,
+			method: 'POST',
+			data: {
+				meta: { [ REPLACED_ATTACHMENT_META ]: replacedAttachmentId },
+			},
+		} );
+	} catch {
+		dispatch( 'core/notices' ).createErrorNotice(
+			'The image was replaced, but the previous image could not be recorded for restoring.',
+			{ type: 'snackbar' }
+		);
+	}
+};
+
+/**
+ * RestorePreviousImageItem component - a menu item that puts back the attachment a KaiGen replacement took the place of.
+ *
+ * @param {Object}   props          - The properties object.
+ * @param {number}   props.mediaId  - The current attachment ID.
+ * @param {Function} props.onSelect - The block's media handler.
+ * @param {Function} props.onClose  - Closes the Replace menu.
+ * @return {Object|null} The menu item, or null when the current image replaced nothing.
+ */
+const RestorePreviousImageItem = ( { mediaId, onSelect, onClose } ) => {
+	const [ replacedAttachmentId, setReplacedAttachmentId ] = useState( null );
+
+	// Fetched each time the menu opens, since the meta is written after the block's media was loaded.
+	useEffect( () => {
+		let isCurrent = true;
+
+		apiFetch( { path: `/wp/v2/media/${ mediaId }` } )
+			.then( ( media ) => {
+				if ( isCurrent ) {
+					setReplacedAttachmentId(
+						media?.meta?.[ REPLACED_ATTACHMENT_META ]
+					);
+				}
+			} )
+			.catch( () => {} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ mediaId ] );
+
+	if ( ! isAttachmentId( replacedAttachmentId ) ) {
+		return null;
+	}
+
+	const handleRestore = async () => {
+		onClose();
+
+		try {
+			const media = await apiFetch( {
+				path: `/wp/v2/media/${ replacedAttachmentId }`,
+			} );
+
+			onSelect( {
+				id: media.id,
+				url: media.source_url,
+				alt: media.alt_text || '',
+				type: 'image',
+			} );
+		} catch {
+			dispatch( 'core/notices' ).createErrorNotice(
+				'The previous image is no longer in the media library.',
+				{ type: 'snackbar' }
+			);
+		}
+	};
+
+	return (
+		<MenuItem icon="undo" onClick={ handleRestore }>
+			Restore previous image
+		</MenuItem>
+	);
+};
+
+addFilter(
+	'editor.MediaReplaceFlow',
+	'kaigen/add-replace-flow-menu-item',
+	( OriginalMediaReplaceFlow ) => {
+		return ( props ) => {
+			const [ isModalOpen, setIsModalOpen ] = useState( false );
+			const selectedBlock = getSelectedMediaBlock();
+			const blockConfig = getMediaBlockConfig( selectedBlock?.name );
+			const shouldDisplay =
+				shouldDisplayForSelectedMediaBlock( props, selectedBlock ) &&
+				! blockConfig?.multiple &&
+				isKaiGenAvailable();
+			const { mediaId, mediaURL, onSelect } = props;
+			// Memoized so the modal does not reset every time the block re-renders.
+			const currentImage = useMemo(
+				() =>
+					mediaURL
+						? {
+								url: mediaURL,
+								id: isAttachmentId( mediaId )
+									? mediaId
+									: undefined,
+						  }
+						: null,
+				[ mediaId, mediaURL ]
+			);
+
+			if ( ! shouldDisplay ) {
+				return <OriginalMediaReplaceFlow { ...props } />;
+			}
+
+			/**
+			 * Passes the generated image to the block and records what it replaced.
+			 *
+			 * @param {Object} media - The generated image data.
+			 */
+			const handleSelect = ( media ) => {
+				onSelect( { ...media, type: 'image' } );
+
+				if ( isAttachmentId( media.id ) && currentImage?.id ) {
+					recordReplacedAttachment( media.id, currentImage.id );
+				}
+			};
+
+			return (
+				<>
+					<OriginalMediaReplaceFlow { ...props }>
+						{ ( { onClose } ) => (
+							<>
+								{ typeof props.children === 'function'
+									? props.children( { onClose } )
+									: props.children }
+								<AITab
+									shouldDisplay={ true }
+									variant="menu"
+									label="Replace with KaiGen"
+									onClick={ () => {
+										// The menu unmounts on close, so the modal lives outside it.
+										setIsModalOpen( true );
+										onClose();
+									} }
+								/>
+								{ currentImage?.id && (
+									<RestorePreviousImageItem
+										mediaId={ currentImage.id }
+										onSelect={ onSelect }
+										onClose={ onClose }
+									/>
+								) }
+							</>
+						) }
+					</OriginalMediaReplaceFlow>
+					<GenerateImageModal
+						isOpen={ isModalOpen }
+						onClose={ () => setIsModalOpen( false ) }
+						onSelect={ handleSelect }
+						initialReferenceImage={ currentImage }
+						initialOrientation={ blockConfig?.orientation }
+					/>
+				</>
+			);
+		};
+	}
+);
@@ -0,0 +1,76 @@
+// Adds KaiGen to the Featured Image panel in the post sidebar.
+
+import { useState } from '@wordpress/element';
+import { addFilter } from '@wordpress/hooks';
+import { dispatch, select } from '@wordpress/data';
+import { create, getTextContent } from '@wordpress/rich-text';
+import AITab from '../components/AITab';
+import GenerateImageModal from '../components/GenerateImageModal';
+import { isKaiGenAvailable } from '../utils/kaigenSettings';
+
+/**
+ * Builds a featured image prompt from the post title and excerpt.
+ *
+ * @return {string} The suggested prompt, or an empty string when the post has neither.
+ */
+const getFeaturedImagePrompt = () => {
+	const { getEditedPostAttribute } = select( 'core/editor' );
+	const title = getTextContent(
+		create( { html: getEditedPostAttribute( 'title' ) || '' } )
+	).trim();
+	const excerpt = getTextContent(
+		create( { html: getEditedPostAttribute( 'excerpt' ) || '' } )
+	).trim();
+
+	return [ title, excerpt ].filter( Boolean ).join( '\n\n' );
+};
+
+addFilter(
+	'editor.PostFeaturedImage',
+	'kaigen/add-featured-image-button',
+	( OriginalPostFeaturedImage ) => {
+		return ( props ) => {
+			const [ isModalOpen, setIsModalOpen ] = useState( false );
+			const [ initialPrompt, setInitialPrompt ] = useState( '' );
+
+			/**
+			 * Sets the generated image as the post's featured image.
+			 *
+			 * @param {Object} media - The generated image data.
+			 */
+			const handleImageGenerated = ( media ) => {
+				if ( ! media?.id ) {
+					return;
+				}
+
+				dispatch( 'core/editor' ).editPost( {
+					featured_media: media.id,
+				} );
+				dispatch( 'core/notices' ).createSuccessNotice(
+					'Featured image generated successfully!',
+					{ type: 'snackbar' }
+				);
+			};
+
+			return (
+				<>
+					<OriginalPostFeaturedImage { ...props } />
+					<AITab
+						shouldDisplay={ isKaiGenAvailable() }
+						variant="button"
+						onClick={ () => {
+							setInitialPrompt( getFeaturedImagePrompt() );
+							setIsModalOpen( true );
+						} }
+					/>
+					<GenerateImageModal
+						isOpen={ isModalOpen }
+						onClose={ () => setIsModalOpen( false ) }
+						onSelect={ handleImageGenerated }
+						initialPrompt={ initialPrompt }
+					/>
+				</>
+			);
+		};
+	}
+);
@@ -0,0 +1,186 @@
+// This file adds an AI image generation button to text blocks that generates an image from the selected text.
+
+import { addFilter } from '@wordpress/hooks';
+import { useState, useRef } from '@wordpress/element';
+import {
+	BlockControls,
+	store as blockEditorStore,
+} from '@wordpress/block-editor';
+import { createBlock } from '@wordpress/blocks';
+import { create, getTextContent, slice } from '@wordpress/rich-text';
+import { dispatch, select, useSelect } from '@wordpress/data';
+import AIImageToolbar from '../components/AIImageToolbar';
+import { generateImage, isAbortError } from '../api';
+import { getKaiGenSettings, isKaiGenAvailable } from '../utils/kaigenSettings';
+
+const TEXT_BLOCKS = [
+	'core/paragraph',
+	'core/heading',
+	'core/list',
+	'core/list-item',
+];
+
+/**
+ * Gets the plain text of the current selection inside a block.
+ *
+ * @param {string} clientId - The block client ID.
+ * @return {string} The selected text, or an empty string when nothing is selected.
+ */
+const getSelectedText = ( clientId ) => {
+	const { getSelectionStart, getSelectionEnd, getBlockAttributes } =
+		select( blockEditorStore );
+	const selectionStart = getSelectionStart();
+	const selectionEnd = getSelectionEnd();
+
+	if (
+		selectionStart?.clientId !== clientId ||
+		selectionEnd?.clientId !== clientId ||
+		! selectionStart.attributeKey ||
+		selectionStart.offset === selectionEnd.offset
+	) {
+		return '';
+	}
+
+	const value =
+		getBlockAttributes( clientId )?.[ selectionStart.attributeKey ];
+	const richText = create( { html: String( value ?? '' ) } );
+	const start = Math.min( selectionStart.offset, selectionEnd.offset );
+	const end = Math.max( selectionStart.offset, selectionEnd.offset );
+
+	return getTextContent( slice( richText, start, end ) ).trim();
+};
+
+/**
+ * Gets the block an image should be inserted after. Selections inside a list
+ * item insert after the whole list, because a list cannot contain an image.
+ *
+ * @param {string} clientId - The block client ID.
+ * @return {string} Client ID of the block to insert after.
+ */
+const getInsertionAnchor = ( clientId ) => {
+	const { getBlockName, getBlockParentsByBlockName } =
+		select( blockEditorStore );
+
+	if ( getBlockName( clientId ) !== 'core/list-item' ) {
+		return clientId;
+	}
+
+	const [ outermostList ] = getBlockParentsByBlockName(
+		clientId,
+		'core/list'
+	);
+
+	return outermostList || clientId;
+};
+
+/**
+ * Toolbar controls that generate an image from the selected text.
+ *
+ * @param {Object} props          - The properties object.
+ * @param {string} props.clientId - The text block client ID.
+ * @return {Object|null} The block controls, or null when nothing is selected.
+ */
+const TextSelectionControls = ( { clientId } ) => {
+	const [ isGenerating, setIsGenerating ] = useState( false );
+	const [ generationStatus, setGenerationStatus ] = useState( 'queued' );
+	const abortControllerRef = useRef( null );
+	const hasSelectedText = useSelect(
+		() => getSelectedText( clientId ) !== '',
+		[ clientId ]
+	);
+
+	if ( ! isGenerating && ! hasSelectedText ) {
+		return null;
+	}
+
+	const handleGenerateImage = async () => {
+		const prompt = getSelectedText( clientId );
+		if ( ! prompt ) {
+			return;
+		}
+
+		const { provider, orientation } = getKaiGenSettings();
+		const abortController = new AbortController();
+		abortControllerRef.current = abortController;
+		setGenerationStatus( 'queued' );
+		setIsGenerating( true );
+
+		try {
+			const media = await generateImage( prompt, {
+				provider,
+				orientation,
+				onStatus: setGenerationStatus,
+				signal: abortController.signal,
+			} );
+			const anchorClientId = getInsertionAnchor( clientId );
+			const { getBlockRootClientId, getBlockIndex } =
+				select( blockEditorStore );
+
+			dispatch( blockEditorStore ).insertBlocks(
+				createBlock( 'core/image', {
+					url: media.url,
+					id: media.id,
+					alt: media.alt,
+				} ),
+				getBlockIndex( anchorClientId ) + 1,
+				getBlockRootClientId( anchorClientId ) || undefined
+			);
+			dispatch( 'core/notices' ).createSuccessNotice(
+				'Image generated successfully!',
+				{ type: 'snackbar' }
+			);
+		} catch ( generationError ) {
+			if ( ! isAbortError( generationError ) ) {
+				dispatch( 'core/notices' ).createErrorNotice(
+					generationError?.message || 'Failed to generate image',
+					{ type: 'snackbar' }
+				);
+			}
+		} finally {
+			if ( abortControllerRef.current === abortController ) {
+				abortControllerRef.current = null;
+			}
+			setIsGenerating( false );
+		}
+	};
+
+	return (
+		<BlockControls>
+			<AIImageToolbar
+				isTextSelected={ true }
+				isGenerating={ isGenerating }
+				generationStatus={ generationStatus }
+				onGenerateImage={ handleGenerateImage }
+				onCancel={ () => abortControllerRef.current?.abort() }
+			/>
+		</BlockControls>
+	);
+};
+
+/**
+ * Adds a generate-from-selection button to paragraph, heading and list blocks.
+ *
+ * @param {Function} BlockEdit - The original BlockEdit component.
+ * @return {Function} A new BlockEdit component with the text selection button.
+ */
+addFilter(
+	'editor.BlockEdit',
+	'kaigen/add-text-selection-button',
+	( BlockEdit ) => {
+		return ( props ) => {
+			if (
+				! TEXT_BLOCKS.includes( props.name ) ||
+				! isKaiGenAvailable()
+			) {
+				return <BlockEdit { ...props } />;
+			}
+
+			return (
+				<>
+					<BlockEdit { ...props } />
+					<TextSelectionControls clientId={ props.clientId } />
+				</>
+			);
+		};
+	}
+);
@@ -1,39 +1,183 @@
-import { select } from '@wordpress/data';
+import { createBlock } from '@wordpress/blocks';
+import { dispatch, select } from '@wordpress/data';
+import { getImageBlockSize } from '../utils/aspectRatio';
 
-export const isImageOnlyMedia = ( allowedTypes = [] ) => {
-	return (
-		allowedTypes.length > 0 &&
-		allowedTypes.every(
-			( allowedType ) =>
-				allowedType === 'image' || allowedType.startsWith( 'image/' )
-		)
-	);
+/**
+ * Blocks KaiGen can generate media for, keyed by block name.
+ * `attributes` maps the generated media fields onto the block's own attribute names,
+ * and `orientation` is the aspect ratio the modal starts with for that block.
+ * Blocks with `hasDimensions` start from their own width/height/aspectRatio attributes instead.
+ */
+export const MEDIA_BLOCKS = {
+	'core/image': {
+		attributes: { url: 'url', id: 'id', alt: 'alt' },
+		hasDimensions: true,
+	},
+	'core/cover': {
+		attributes: { url: 'url', id: 'id', alt: 'alt' },
+		extraAttributes: { backgroundType: 'image' },
+		orientation: 'landscape',
+	},
+	'core/media-text': {
+		attributes: { url: 'mediaUrl', id: 'mediaId', alt: 'mediaAlt' },
+		extraAttributes: { mediaType: 'image' },
+	},
+	'core/gallery': {
+		multiple: true,
+	},
+	'core/site-logo': {
+		isSiteLogo: true,
+		orientation: 'square',
+	},
 };
 
-export const getSelectedImageBlock = () => {
+/**
+ * Action fired with a gallery's client ID to open its gallery generation modal.
+ */
+export const OPEN_GALLERY_MODAL_ACTION = 'kaigen.openGalleryModal';
+
+export const getMediaBlockConfig = ( blockName ) =>
+	MEDIA_BLOCKS[ blockName ] || null;
+
+export const allowsImageMedia = ( allowedTypes = [] ) =>
+	allowedTypes.some(
+		( allowedType ) =>
+			allowedType === 'image' || allowedType.startsWith( 'image/' )
+	);
+
+export const getSelectedMediaBlock = () => {
 	const selectedBlock = select( 'core/block-editor' ).getSelectedBlock();
 
-	return selectedBlock?.name === 'core/image' ? selectedBlock : null;
+	return getMediaBlockConfig( selectedBlock?.name ) ? selectedBlock : null;
 };
 
-export const getCurrentImage = ( selectedBlock ) => {
-	if ( ! selectedBlock?.attributes?.url ) {
+/**
+ * Gets the site logo attachment record, since the site logo block stores it as a site setting.
+ *
+ * @return {Object|null} The attachment record, or null when no logo is set or it is still loading.
+ */
+export const getSiteLogo = () => {
+	const { getEditedEntityRecord, getMedia } = select( 'core' );
+	const siteLogoId = getEditedEntityRecord( 'root', 'site' )?.site_logo;
+
+	return siteLogoId
+		? getMedia( siteLogoId, { context: 'view' } ) || null
+		: null;
+};
+
+/**
+ * Gets the image currently shown by a media block.
+ *
+ * @param {Object} block      - The block, with name and attributes.
+ * @param {Object} [siteLogo] - The site logo attachment record, for site logo blocks.
+ * @return {Object|null} The current image (url, id, alt), or null when the block has none.
+ */
+export const getCurrentImage = ( block, siteLogo = null ) => {
+	const config = getMediaBlockConfig( block?.name );
+
+	if ( ! config || config.multiple ) {
+		return null;
+	}
+
+	if ( config.isSiteLogo ) {
+		return siteLogo?.source_url
+			? {
+					url: siteLogo.source_url,
+					id: siteLogo.id,
+					alt: siteLogo.alt_text || '',
+			  }
+			: null;
+	}
+
+	const { url, id, alt } = config.attributes;
+	const attributes = block.attributes || {};
+
+	if ( ! attributes[ url ] ) {
 		return null;
 	}
 
 	return {
-		url: selectedBlock.attributes.url,
-		id: selectedBlock.attributes.id,
-		alt: selectedBlock.attributes.alt || '',
+		url: attributes[ url ],
+		id: attributes[ id ],
+		alt: attributes[ alt ] || '',
+	};
+};
+
+/**
+ * Gets the size a block lays its image out at, so a regenerated image fits it.
+ *
+ * @param {Object} block - The block, with name and attributes.
+ * @return {Object|null} Crop size ({ width, height, exact }), or null when the block has no fixed shape.
+ */
+export const getBlockImageSize = ( block ) =>
+	getMediaBlockConfig( block?.name )?.hasDimensions
+		? getImageBlockSize( block.attributes )
+		: null;
+
+/**
+ * Maps generated media onto a block's attributes.
+ *
+ * @param {string} blockName - The block name.
+ * @param {Object} media     - The generated media (url, id, alt).
+ * @return {Object} Attributes to set on the block.
+ */
+export const getMediaAttributes = ( blockName, media ) => {
+	const config = getMediaBlockConfig( blockName );
+	const { url, id, alt } = config.attributes;
+	const hasValidId = Number.isInteger( media.id ) && media.id > 0;
+
+	return {
+		...config.extraAttributes,
+		[ url ]: media.url,
+		[ id ]: hasValidId ? media.id : undefined,
+		[ alt ]: media.alt || '',
 	};
 };
 
-export const shouldDisplayForSelectedImageBlock = (
+/**
+ * Collects image blocks that show an image without alt text, including those nested in galleries, groups and columns.
+ *
+ * @param {Object[]} blocks - Blocks to search, with their innerBlocks.
+ * @return {Object[]} The image blocks missing alt text, in document order.
+ */
+export const getImageBlocksMissingAlt = ( blocks = [] ) =>
+	blocks.flatMap( ( block ) => [
+		...( block.name === 'core/image' &&
+		block.attributes?.url &&
+		! block.attributes.alt?.trim()
+			? [ block ]
+			: [] ),
+		...getImageBlocksMissingAlt( block.innerBlocks ),
+	] );
+
+/**
+ * Appends a generated image to a gallery as a new inner core/image block.
+ * The gallery stays selected so its toolbar, and the modal it owns, stay mounted.
+ *
+ * @param {string} galleryClientId - The gallery block client ID.
+ * @param {Object} media           - The generated image data.
+ * @return {void}
+ */
+export const insertGalleryImage = ( galleryClientId, media ) => {
+	dispatch( 'core/block-editor' ).insertBlocks(
+		createBlock( 'core/image', getMediaAttributes( 'core/image', media ) ),
+		undefined,
+		galleryClientId,
+		false
+	);
+};
+
+export const shouldDisplayForSelectedMediaBlock = (
 	props,
 	selectedBlock,
 	{ requireEmptyImage = false } = {}
-) =>
-	isImageOnlyMedia( props.allowedTypes ) &&
-	! props.multiple &&
-	selectedBlock?.name === 'core/image' &&
-	( ! requireEmptyImage || ! selectedBlock?.attributes?.url );
+) => {
+	const config = getMediaBlockConfig( selectedBlock?.name );
+
+	return (
+		!! config &&
+		allowsImageMedia( props.allowedTypes ) &&
+		( ! props.multiple || !! config.multiple ) &&
+		( ! requireEmptyImage || ! getCurrentImage( selectedBlock ) )
+	);
+};
@@ -1,40 +1,52 @@
-// Shared hook for estimating generation progress based on provider/model settings.
+// Shared hook for turning server-reported generation job states into progress.
 
 import { useEffect, useRef, useState } from '@wordpress/element';
 
 const DEFAULT_DURATION_MS = 30000;
 
 /**
- * Returns a 0-99 progress value while `isActive` is true.
- * Increments linearly over a fixed 30-second window, capping at 99%.
+ * Progress range covered by each server-reported job status.
+ * Within a range, progress creeps toward the upper bound over time.
+ */
+const STATUS_PROGRESS_RANGES = {
+	queued: [ 0, 10 ],
+	running: [ 10, 85 ],
+	uploading: [ 85, 99 ],
+	done: [ 100, 100 ],
+};
+
+/**
+ * Returns a 0-100 progress value while `isActive` is true.
+ * Each job status maps to a progress range; progress advances within the
+ * current range over a 30-second window and never moves backwards.
  *
  * @param {boolean} isActive Whether a generation is in progress.
- * @return {number} Progress percentage (0-99).
+ * @param {string}  [status] Latest server-reported job status.
+ * @return {number} Progress percentage (0-100).
  */
-const useGenerationProgress = ( isActive ) => {
+const useGenerationProgress = ( isActive, status = 'running' ) => {
 	const [ progress, setProgress ] = useState( 0 );
-	const startTimeRef = useRef( null );
+	const statusStartRef = useRef( null );
 	const lastProgressRef = useRef( 0 );
 
 	useEffect( () => {
 		if ( ! isActive ) {
 			setProgress( 0 );
-			startTimeRef.current = null;
+			statusStartRef.current = null;
 			lastProgressRef.current = 0;
 			return undefined;
 		}
 
-		if ( ! startTimeRef.current ) {
-			startTimeRef.current = Date.now();
-			setProgress( 0 );
-			lastProgressRef.current = 0;
-		}
+		statusStartRef.current = Date.now();
+		const [ start, end ] =
+			STATUS_PROGRESS_RANGES[ status ] || STATUS_PROGRESS_RANGES.running;
 
-		const interval = setInterval( () => {
-			const elapsed = Date.now() - startTimeRef.current;
-			const nextProgress = Math.min(
-				Math.floor( ( elapsed / DEFAULT_DURATION_MS ) * 100 ),
-				99
+		const update = () => {
+			const elapsed = Date.now() - statusStartRef.current;
+			const nextProgress = Math.floor(
+				start +
+					( end - start ) *
+						Math.min( elapsed / DEFAULT_DURATION_MS, 1 )
 			);
 			const clampedProgress = Math.max(
 				nextProgress,
@@ -42,10 +54,13 @@ const useGenerationProgress = ( isActive ) => {
 			);
 			lastProgressRef.current = clampedProgress;
 			setProgress( clampedProgress );
-		}, 200 );
+		};
+
+		update();
+		const interval = setInterval( update, 200 );
 
 		return () => clearInterval( interval );
-	}, [ isActive ] );
+	}, [ isActive, status ] );
 
 	return progress;
 };
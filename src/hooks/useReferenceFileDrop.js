@@ -0,0 +1,160 @@
+// Shared hook for uploading images pasted or dropped onto the composer as reference images.
+
+import { useRef, useState } from '@wordpress/element';
+import { uploadMediaImage } from '../api';
+import { runWithConcurrency } from '../utils/concurrency';
+
+const UPLOAD_CONCURRENCY = 2;
+
+/**
+ * Splits pasted or dropped files into the images to upload and the reason any were left out.
+ * Files that are not images are ignored without a message, since they were never meant as references.
+ *
+ * @param {File[]}   files             - The pasted or dropped files.
+ * @param {string[]} acceptedMimeTypes - Image types the provider accepts as references.
+ * @param {number}   remainingSlots    - How many more reference images can be selected.
+ * @return {Object} The files to upload, and an error message or null.
+ */
+export const partitionReferenceFiles = (
+	files,
+	acceptedMimeTypes,
+	remainingSlots
+) => {
+	const images = files.filter( ( file ) =>
+		file.type?.startsWith( 'image/' )
+	);
+	const accepted = images.filter( ( file ) =>
+		acceptedMimeTypes.includes( file.type )
+	);
+	const uploads = accepted.slice( 0, Math.max( remainingSlots, 0 ) );
+	let error = null;
+
+	if ( accepted.length < images.length ) {
+		error = `The selected provider only accepts ${ acceptedMimeTypes
+			.map( ( type ) => type.replace( 'image/', '' ).toUpperCase() )
+			.join( ', ' ) } reference images.`;
+	} else if ( uploads.length < accepted.length ) {
+		error =
+			remainingSlots > 0
+				? `Only ${ remainingSlots } more reference ${
+						remainingSlots === 1 ? 'image' : 'images'
+				  } can be added.`
+				: 'The selected provider cannot take any more reference images.';
+	}
+
+	return { images, uploads, error };
+};
+
+/**
+ * Returns drag, drop and paste handlers that upload images to the media library as reference images.
+ *
+ * @param {Object}   options                   - Hook options.
+ * @param {string[]} options.acceptedMimeTypes - Image types the provider accepts as references.
+ * @param {number}   options.remainingSlots    - How many more reference images can be selected.
+ * @param {Function} options.onUploaded        - Callback receiving each uploaded image.
+ * @param {Function} options.onError           - Callback receiving an error message.
+ * @return {Object} Whether a file is dragged over or uploading, and the handlers to spread on the drop zone.
+ */
+const useReferenceFileDrop = ( {
+	acceptedMimeTypes,
+	remainingSlots,
+	onUploaded,
+	onError,
+} ) => {
+	const [ isDragging, setIsDragging ] = useState( false );
+	const [ isUploading, setIsUploading ] = useState( false );
+	// Counts nested dragenter/dragleave pairs so moving over child elements does not flicker.
+	const dragDepthRef = useRef( 0 );
+
+	const hasFiles = ( event ) =>
+		Array.from( event.dataTransfer?.types || [] ).includes( 'Files' );
+
+	/**
+	 * Uploads the acceptable images among the given files.
+	 *
+	 * @param {File[]} files - The pasted or dropped files.
+	 * @return {boolean} Whether any of the files were images.
+	 */
+	const uploadFiles = ( files ) => {
+		const { images, uploads, error } = partitionReferenceFiles(
+			files,
+			acceptedMimeTypes,
+			remainingSlots
+		);
+
+		if ( images.length === 0 ) {
+			return false;
+		}
+
+		if ( error ) {
+			onError( error );
+		}
+
+		if ( uploads.length > 0 ) {
+			setIsUploading( true );
+			runWithConcurrency(
+				uploads.map( ( file ) => () => uploadMediaImage( file ) ),
+				UPLOAD_CONCURRENCY
+			).then( ( results ) => {
+				results.forEach( ( result ) => {
+					if ( result.status === 'fulfilled' ) {
+						onUploaded( result.value );
+					}
+				} );
+
+				const failure = results.find(
+					( result ) => result.status === 'rejected'
+				);
+				if ( failure ) {
+					onError( failure.reason.message );
+				}
+
+				setIsUploading( false );
+			} );
+		}
+
+		return true;
+	};
+
+	const dropZoneProps = {
+		onDragEnter: ( event ) => {
+			if ( hasFiles( event ) ) {
+				dragDepthRef.current++;
+				setIsDragging( true );
+			}
+		},
+		onDragOver: ( event ) => {
+			if ( hasFiles( event ) ) {
+				event.preventDefault();
+			}
+		},
+		onDragLeave: ( event ) => {
+			if ( hasFiles( event ) && --dragDepthRef.current <= 0 ) {
+				dragDepthRef.current = 0;
+				setIsDragging( false );
+			}
+		},
+		onDrop: ( event ) => {
+			if ( ! hasFiles( event ) ) {
+				return;
+			}
+
+			event.preventDefault();
+			dragDepthRef.current = 0;
+			setIsDragging( false );
+			uploadFiles( Array.from( event.dataTransfer.files ) );
+		},
+		onPaste: ( event ) => {
+			// Pasted text still reaches the prompt; only image files are taken over.
+			if (
+				uploadFiles( Array.from( event.clipboardData?.files || [] ) )
+			) {
+				event.preventDefault();
+			}
+		},
+	};
+
+	return { isDragging, isUploading, dropZoneProps };
+};
+
+export default useReferenceFileDrop;
@@ -5,4 +5,8 @@ import './api';
 import './components/AITab';
 import './components/AIImageToolbar';
 import './filters/addMediaPlaceholderFilter';
+import './filters/addMediaReplaceFlowFilter';
 import './filters/addBlockEditFilter';
+import './filters/addTextSelectionFilter';
+import './filters/addPostFeaturedImageFilter';
+import './plugins/altTextAudit';
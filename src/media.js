@@ -0,0 +1,163 @@
+/**
+ * Entry point for the KaiGen tab and source filter in classic wp.media frames.
+ */
+import { createRoot } from '@wordpress/element';
+import GenerateImageModal from './components/GenerateImageModal';
+import { isKaiGenAvailable } from './utils/kaigenSettings';
+
+const KAIGEN_MODE = 'kaigen';
+
+const SOURCE_FILTER_ID = 'media-attachment-kaigen-source-filter';
+
+/**
+ * Media Library source filters, matching Admin::MEDIA_SOURCES.
+ */
+const SOURCE_FILTERS = [
+	{ value: null, text: 'All sources' },
+	{ value: 'generated', text: 'AI-generated' },
+	{ value: 'reference', text: 'Reference images' },
+	{ value: 'other', text: 'Other media' },
+];
+
+/**
+ * Selects a generated image in the frame's library and switches back to it,
+ * so whatever opened the frame receives the image like any other selection.
+ *
+ * @param {Object} frame - The media frame.
+ * @param {Object} media - The generated image.
+ * @return {Promise<void>} Resolves once the attachment is selected.
+ */
+const selectGeneratedImage = async ( frame, media ) => {
+	if ( ! media.id ) {
+		return;
+	}
+
+	const attachment = window.wp.media.attachment( media.id );
+	await attachment.fetch();
+
+	const state = frame.state();
+	state.get( 'library' )?.add( attachment, { at: 0 } );
+	state.get( 'selection' )?.add( attachment );
+	frame.content.mode( 'browse' );
+};
+
+/**
+ * Adds the KaiGen router tab and its content to a media frame class.
+ *
+ * @param {Function} Frame - The media frame class.
+ * @return {Function} The extended media frame class.
+ */
+const withKaiGenTab = ( Frame ) =>
+	Frame.extend( {
+		bindHandlers() {
+			Frame.prototype.bindHandlers.apply( this, arguments );
+			this.on(
+				`content:create:${ KAIGEN_MODE }`,
+				this.kaiGenContent,
+				this
+			);
+		},
+
+		browseRouter( routerView ) {
+			Frame.prototype.browseRouter.apply( this, arguments );
+
+			if ( isKaiGenAvailable() ) {
+				routerView.set( {
+					[ KAIGEN_MODE ]: { text: 'KaiGen', priority: 60 },
+				} );
+			}
+		},
+
+		kaiGenContent( contentRegion ) {
+			contentRegion.view = new KaiGenView( { controller: this } );
+		},
+	} );
+
+const KaiGenView = window.wp?.media?.View.extend( {
+	className: 'kaigen-media-tab',
+
+	render() {
+		this.root = this.root || createRoot( this.el );
+		this.root.render(
+			<GenerateImageModal
+				isOpen={ true }
+				isInline={ true }
+				onClose={ () => {} }
+				onSelect={ ( media ) =>
+					selectGeneratedImage( this.controller, media )
+				}
+			/>
+		);
+
+		return this;
+	},
+
+	remove() {
+		this.root?.unmount();
+		this.root = null;
+
+		return window.wp.media.View.prototype.remove.apply( this, arguments );
+	},
+} );
+
+// Sent to the attachments query as `kaigen_source`, which the server turns into a meta query.
+const KaiGenSourceFilter = window.wp?.media?.view.AttachmentFilters.extend( {
+	id: SOURCE_FILTER_ID,
+
+	createFilters() {
+		this.filters = Object.fromEntries(
+			SOURCE_FILTERS.map( ( { value, text }, index ) => [
+				value || 'all',
+				{
+					text,
+					props: { kaigen_source: value },
+					priority: ( index + 1 ) * 10,
+				},
+			] )
+		);
+	},
+} );
+
+/**
+ * Adds the source filter beside the type and date filters of an attachments browser class.
+ *
+ * @param {Function} AttachmentsBrowser - The attachments browser class.
+ * @return {Function} The extended attachments browser class.
+ */
+const withSourceFilter = ( AttachmentsBrowser ) =>
+	AttachmentsBrowser.extend( {
+		createToolbar() {
+			AttachmentsBrowser.prototype.createToolbar.apply( this, arguments );
+
+			if ( ! this.options.filters ) {
+				return;
+			}
+
+			this.toolbar.set(
+				'kaiGenSourceFilterLabel',
+				new window.wp.media.view.Label( {
+					value: 'Filter by source',
+					attributes: { for: SOURCE_FILTER_ID },
+					priority: -70,
+				} ).render()
+			);
+			this.toolbar.set(
+				'kaiGenSourceFilter',
+				new KaiGenSourceFilter( {
+					controller: this.controller,
+					model: this.collection.props,
+					priority: -70,
+				} ).render()
+			);
+		},
+	} );
+
+if ( KaiGenView ) {
+	const { view } = window.wp.media;
+	const { MediaFrame } = view;
+
+	// Post extends the original Select, so each frame gets the tab exactly once.
+	MediaFrame.Select = withKaiGenTab( MediaFrame.Select );
+	MediaFrame.Post = withKaiGenTab( MediaFrame.Post );
+	view.AttachmentsBrowser = withSourceFilter( view.AttachmentsBrowser );
+}
@@ -0,0 +1,19 @@
+// This file registers the alt text audit in the post's document settings sidebar.
+
+import { registerPlugin } from '@wordpress/plugins';
+import { PluginDocumentSettingPanel } from '@wordpress/editor';
+import AltTextAuditPanel from '../components/AltTextAuditPanel';
+import { isKaiGenAvailable } from '../utils/kaigenSettings';
+
+registerPlugin( 'kaigen-alt-text-audit', {
+	render: () =>
+		isKaiGenAvailable() ? (
+			<PluginDocumentSettingPanel
+				name="kaigen-alt-text-audit"
+				title="Image alt text"
+				className="kaigen-alt-audit-panel"
+			>
+				<AltTextAuditPanel />
+			</PluginDocumentSettingPanel>
+		) : null,
+} );
@@ -0,0 +1,17 @@
+/**
+ * Entry point for the Settings → KaiGen screen.
+ */
+import { createRoot } from '@wordpress/element';
+import SettingsPage from './components/SettingsPage';
+import { getKaiGenSettings } from './utils/kaigenSettings';
+
+const container = document.getElementById( 'kaigen-settings-root' );
+
+if ( container ) {
+	createRoot( container ).render(
+		<SettingsPage
+			providers={ getKaiGenSettings().providers || [] }
+			postTypes={ window.kaiGen?.postTypes || [] }
+		/>
+	);
+}
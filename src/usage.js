@@ -0,0 +1,11 @@
+/**
+ * Entry point for the Media → KaiGen Usage dashboard.
+ */
+import { createRoot } from '@wordpress/element';
+import UsageDashboard from './components/UsageDashboard';
+
+const container = document.getElementById( 'kaigen-usage-root' );
+
+if ( container ) {
+	createRoot( container ).render( <UsageDashboard /> );
+}
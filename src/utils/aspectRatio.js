@@ -0,0 +1,137 @@
+/**
+ * Smallest and largest exact output size, in pixels, matching the REST route.
+ */
+export const MIN_OUTPUT_DIMENSION = 64;
+export const MAX_OUTPUT_DIMENSION = 4096;
+
+/**
+ * Largest term of an aspect ratio, matching the REST route's aspect_ratio pattern.
+ */
+export const MAX_ASPECT_RATIO_TERM = 99;
+
+// Ratios of the orientations providers generate natively.
+const ORIENTATION_RATIOS = {
+	square: 1,
+	landscape: 16 / 9,
+	portrait: 9 / 16,
+};
+
+/**
+ * Gets the provider orientation closest to a width/height ratio.
+ * Ratios are compared on a log scale so 2:1 and 1:2 are equally far from square.
+ *
+ * @param {number} width  - Ratio width or pixel width.
+ * @param {number} height - Ratio height or pixel height.
+ * @return {string} square, landscape or portrait.
+ */
+export const getClosestOrientation = ( width, height ) => {
+	const ratio = Math.log( width / height );
+
+	return Object.keys( ORIENTATION_RATIOS ).reduce(
+		( closest, orientation ) =>
+			Math.abs( Math.log( ORIENTATION_RATIOS[ orientation ] ) - ratio ) <
+			Math.abs( Math.log( ORIENTATION_RATIOS[ closest ] ) - ratio )
+				? orientation
+				: closest
+	);
+};
+
+/**
+ * Checks whether an aspect ratio can be sent to the server, which accepts terms up to 99.
+ *
+ * @param {number} width  - Ratio width.
+ * @param {number} height - Ratio height.
+ * @return {boolean} Whether both terms are accepted.
+ */
+export const isValidAspectRatio = ( width, height ) =>
+	[ width, height ].every(
+		( term ) =>
+			Number.isInteger( term ) &&
+			term >= 1 &&
+			term <= MAX_ASPECT_RATIO_TERM
+	);
+
+/**
+ * Gets the greatest common divisor of two whole numbers.
+ *
+ * @param {number} a - First number.
+ * @param {number} b - Second number.
+ * @return {number} The greatest common divisor.
+ */
+const getGreatestCommonDivisor = ( a, b ) =>
+	b ? getGreatestCommonDivisor( b, a % b ) : a;
+
+/**
+ * Parses an aspect ratio written as "4:3", "4/3" or, like the image block's square option, "1".
+ * Ratios with terms over the server's limit are reduced to their lowest terms, so "1920:1080" becomes 16:9,
+ * while ratios such as 21:9 are kept as written to match the modal's options.
+ *
+ * @param {string} value - The aspect ratio.
+ * @return {Object|null} The ratio's width and height, or null when it is not a whole-number ratio.
+ */
+export const parseAspectRatio = ( value ) => {
+	const match = String( value ?? '' ).match(
+		/^\s*(\d+)\s*(?:[:/]\s*(\d+)\s*)?$/
+	);
+	const width = Number( match?.[ 1 ] );
+	const height = Number( match?.[ 2 ] ?? 1 );
+
+	if ( ! match || width < 1 || height < 1 ) {
+		return null;
+	}
+
+	if ( isValidAspectRatio( width, height ) ) {
+		return { width, height };
+	}
+
+	const divisor = getGreatestCommonDivisor( width, height );
+
+	return { width: width / divisor, height: height / divisor };
+};
+
+/**
+ * Parses an image block dimension, stored as a number or a pixel string such as "600px".
+ *
+ * @param {number|string} value - The dimension attribute.
+ * @return {number|null} Whole pixels, or null when the value is not in pixels.
+ */
+const parsePixels = ( value ) => {
+	const match = String( value ?? '' ).match( /^\s*(\d+)(?:px)?\s*$/ );
+
+	return match ? Number( match[ 1 ] ) : null;
+};
+
+/**
+ * Checks whether an exact output size is within the accepted range.
+ *
+ * @param {number} width  - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @return {boolean} Whether both dimensions are accepted.
+ */
+export const isValidOutputSize = ( width, height ) =>
+	[ width, height ].every(
+		( dimension ) =>
+			Number.isInteger( dimension ) &&
+			dimension >= MIN_OUTPUT_DIMENSION &&
+			dimension <= MAX_OUTPUT_DIMENSION
+	);
+
+/**
+ * Gets the output size an image block is laid out at.
+ * Exact pixel width and height win over an aspect ratio.
+ *
+ * @param {Object} attributes - The image block attributes.
+ * @return {Object|null} Crop size ({ width, height, exact }), or null when the block has no fixed shape.
+ */
+export const getImageBlockSize = ( attributes = {} ) => {
+	const width = parsePixels( attributes.width );
+	const height = parsePixels( attributes.height );
+
+	if ( isValidOutputSize( width, height ) ) {
+		return { width, height, exact: true };
+	}
+
+	const ratio = parseAspectRatio( attributes.aspectRatio );
+
+	return ratio ? { ...ratio, exact: false } : null;
+};
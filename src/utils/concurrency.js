@@ -0,0 +1,32 @@
+/**
+ * Runs async tasks with at most `limit` of them in flight at once.
+ * A rejected task does not stop the others; every outcome is returned in task order.
+ *
+ * @param {Array<Function>} tasks - Functions that each return a promise.
+ * @param {number}          limit - Maximum number of tasks running at the same time.
+ * @return {Promise<Array<Object>>} Settled results, shaped like Promise.allSettled().
+ */
+export const runWithConcurrency = async ( tasks, limit ) => {
+	const results = new Array( tasks.length );
+	let nextIndex = 0;
+
+	const runNext = async () => {
+		while ( nextIndex < tasks.length ) {
+			const index = nextIndex++;
+
+			try {
+				results[ index ] = {
+					status: 'fulfilled',
+					value: await tasks[ index ](),
+				};
+			} catch ( reason ) {
+				results[ index ] = { status: 'rejected', reason };
+			}
+		}
+	};
+
+	const workerCount = Math.max( 1, Math.min( limit, tasks.length ) );
+	await Promise.all( Array.from( { length: workerCount }, runNext ) );
+
+	return results;
+};
@@ -2,14 +2,21 @@ import { select } from '@wordpress/data';
 
 export const DEFAULT_REFERENCE_IMAGE_LIMIT = 5;
 
+export const DEFAULT_REFERENCE_MIME_TYPES = [
+	'image/png',
+	'image/jpeg',
+	'image/webp',
+];
+
 /**
  * Gets KaiGen settings from the block editor settings payload.
+ * Screens without the block editor, such as classic media frames, get them from the localized script data.
  *
  * @return {Object} KaiGen settings.
  */
 export const getKaiGenSettings = () => {
 	const editorSettings = select( 'core/editor' )?.getEditorSettings() || {};
-	return editorSettings.kaigen_settings || {};
+	return editorSettings.kaigen_settings || window.kaiGen?.settings || {};
 };
 
 /**
@@ -0,0 +1,41 @@
+// Periods a generation quota is counted over, with the words used to describe them.
+const QUOTA_PERIODS = {
+	daily: 'today',
+	monthly: 'this month',
+};
+
+/**
+ * Picks the quota period with the fewest generations left.
+ *
+ * @param {Object|null} quota - Daily and monthly limit, used and remaining, as returned by the quota endpoint.
+ * @return {Object|null} The remaining count, limit and period wording, or null when no limit applies.
+ */
+export const getQuotaSummary = ( quota ) =>
+	Object.keys( QUOTA_PERIODS ).reduce( ( tightest, period ) => {
+		const status = quota?.[ period ];
+
+		if ( ! status?.limit || typeof status.remaining !== 'number' ) {
+			return tightest;
+		}
+
+		if ( tightest && tightest.remaining <= status.remaining ) {
+			return tightest;
+		}
+
+		return {
+			remaining: status.remaining,
+			limit: status.limit,
+			period: QUOTA_PERIODS[ period ],
+		};
+	}, null );
+
+/**
+ * Describes how many generations are left, like "3 of 10 generations left today".
+ *
+ * @param {Object} summary - A quota summary from getQuotaSummary().
+ * @return {string} The description.
+ */
+export const formatQuotaSummary = ( summary ) =>
+	`${ summary.remaining } of ${ summary.limit } ${
+		summary.limit === 1 ? 'generation' : 'generations'
+	} left ${ summary.period }`;
@@ -0,0 +1,66 @@
+// Colors for the chart series, matching the WordPress admin palette.
+export const SERIES_COLORS = [
+	'#3858e9',
+	'#00a32a',
+	'#dba617',
+	'#d63638',
+	'#9b51e0',
+	'#757575',
+];
+
+/**
+ * Picks the groups to chart, folding all but the busiest into an "Others" series.
+ *
+ * @param {Array}  groups    - User, provider or model totals from the stats endpoint, busiest first.
+ * @param {number} maxSeries - Most series to show, including "Others".
+ * @return {Array} Series with key, name and images per day.
+ */
+export const getChartSeries = ( groups, maxSeries = SERIES_COLORS.length ) => {
+	const active = groups.filter( ( group ) => group.images > 0 );
+
+	if ( active.length <= maxSeries ) {
+		return active.map( ( { key, name, daily } ) => ( {
+			key,
+			name,
+			daily,
+		} ) );
+	}
+
+	const shown = active.slice( 0, maxSeries - 1 );
+	const others = active.slice( maxSeries - 1 );
+
+	return [
+		...shown.map( ( { key, name, daily } ) => ( { key, name, daily } ) ),
+		{
+			key: 'others',
+			name: 'Others',
+			daily: others[ 0 ].daily.map( ( _, index ) =>
+				others.reduce( ( sum, group ) => sum + group.daily[ index ], 0 )
+			),
+		},
+	];
+};
+
+/**
+ * Formats a failure rate between 0 and 1 as a percentage.
+ *
+ * @param {number} rate - The failure rate.
+ * @return {string} The percentage, like "4.5%".
+ */
+export const formatRate = ( rate ) => `${ Math.round( rate * 1000 ) / 10 }%`;
+
+/**
+ * Formats an average duration in seconds.
+ *
+ * @param {number} seconds - The duration.
+ * @return {string} The duration, like "12.3 s".
+ */
+export const formatDuration = ( seconds ) => `${ seconds.toFixed( 1 ) } s`;
+
+/**
+ * Formats an estimated cost in the currency the prices were entered in.
+ *
+ * @param {number} cost - The cost.
+ * @return {string} The cost with two decimals.
+ */
+export const formatCost = ( cost ) => cost.toFixed( 2 );
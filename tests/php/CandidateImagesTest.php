@@ -0,0 +1,85 @@
+<?php
+/**
+ * Tests for cleaning up the generated candidates a user did not pick.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Image_Handler;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-image-handler.php';
+
+/**
+ * Tests marking, keeping and deleting generated candidates.
+ */
+final class CandidateImagesTest extends TestCase {
+	/**
+	 * Sets up three candidates the user generated and one image of someone else's.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+
+		$GLOBALS['kaigen_test_images']   = [
+			10 => 'a.png',
+			11 => 'b.png',
+			12 => 'c.png',
+			20 => 'd.png',
+		];
+		$GLOBALS['kaigen_test_editable'] = [ 10, 11, 12 ];
+
+		Image_Handler::mark_candidates( [ 10, 11, 12 ] );
+		update_post_meta( 20, Image_Handler::CANDIDATE_META_KEY, 1 );
+	}
+
+	/**
+	 * Tests that candidates are cleaned up after a day if the user never resolves them.
+	 *
+	 * @return void
+	 */
+	public function test_marking_candidates_schedules_their_cleanup() {
+		$this->assertCount( 1, $GLOBALS['kaigen_test_scheduled'] );
+		$this->assertSame( Image_Handler::DISCARD_CANDIDATES_HOOK, $GLOBALS['kaigen_test_scheduled'][0][1] );
+		$this->assertSame( [ [ 10, 11, 12 ] ], $GLOBALS['kaigen_test_scheduled'][0][2] );
+	}
+
+	/**
+	 * Tests that the picked candidate is kept and the others are deleted.
+	 *
+	 * @return void
+	 */
+	public function test_resolving_keeps_the_picked_candidate() {
+		$this->assertSame( [ 10, 12 ], Image_Handler::resolve_candidates( [ 10, 11, 12 ], 11 ) );
+
+		$this->assertSame( [ 11, 20 ], array_keys( $GLOBALS['kaigen_test_images'] ) );
+		$this->assertSame( '', get_post_meta( 11, Image_Handler::CANDIDATE_META_KEY, true ) );
+	}
+
+	/**
+	 * Tests that only candidates the user may delete are deleted.
+	 *
+	 * @return void
+	 */
+	public function test_resolving_skips_other_users_images_and_kept_images() {
+		Image_Handler::resolve_candidates( [ 10 ], 10 );
+
+		$this->assertSame( [], Image_Handler::resolve_candidates( [ 10, 20 ] ) );
+		$this->assertArrayHasKey( 20, $GLOBALS['kaigen_test_images'] );
+	}
+
+	/**
+	 * Tests that the scheduled cleanup leaves the picked candidate alone.
+	 *
+	 * @return void
+	 */
+	public function test_cleanup_deletes_only_unresolved_candidates() {
+		Image_Handler::resolve_candidates( [], 11 );
+		Image_Handler::discard_candidates( [ 10, 11, 12 ] );
+
+		$this->assertSame( [ 11, 20 ], array_keys( $GLOBALS['kaigen_test_images'] ) );
+	}
+}
@@ -0,0 +1,88 @@
+<?php
+/**
+ * Tests for background image generation jobs.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Generation_Jobs;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-generation-jobs.php';
+
+/**
+ * Tests when jobs run inline and that only one runner gets each job.
+ */
+final class GenerationJobsTest extends TestCase {
+	/**
+	 * Resets the in-memory WordPress state.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+	}
+
+	/**
+	 * Tests that a queued job is left to WP-Cron for a while.
+	 *
+	 * @return void
+	 */
+	public function test_a_new_job_waits_for_wp_cron() {
+		$this->assertFalse( Generation_Jobs::needs_inline_run( $this->get_job( Generation_Jobs::STATUS_QUEUED, 2 ) ) );
+	}
+
+	/**
+	 * Tests that a job WP-Cron has not picked up in time is run by the polling request.
+	 *
+	 * @return void
+	 */
+	public function test_a_job_waiting_too_long_runs_inline() {
+		$this->assertTrue( Generation_Jobs::needs_inline_run( $this->get_job( Generation_Jobs::STATUS_QUEUED, 20 ) ) );
+		$this->assertFalse( Generation_Jobs::needs_inline_run( $this->get_job( Generation_Jobs::STATUS_RUNNING, 20 ) ) );
+	}
+
+	/**
+	 * Tests that a job WP-Cron could not be spawned for runs inline right away.
+	 *
+	 * @return void
+	 */
+	public function test_a_job_without_a_cron_spawn_runs_inline() {
+		$job               = $this->get_job( Generation_Jobs::STATUS_QUEUED, 0 );
+		$job['run_inline'] = true;
+
+		$this->assertTrue( Generation_Jobs::needs_inline_run( $job ) );
+	}
+
+	/**
+	 * Tests that a job can only be claimed by one runner at a time.
+	 *
+	 * @return void
+	 */
+	public function test_only_one_runner_claims_a_job() {
+		$this->assertTrue( Generation_Jobs::claim( 'job-1' ) );
+		$this->assertFalse( Generation_Jobs::claim( 'job-1' ) );
+		$this->assertTrue( Generation_Jobs::claim( 'job-2' ) );
+
+		Generation_Jobs::release( 'job-1' );
+
+		$this->assertTrue( Generation_Jobs::claim( 'job-1' ) );
+	}
+
+	/**
+	 * Builds a job.
+	 *
+	 * @param string $status Job status.
+	 * @param int    $age Seconds since the job was created.
+	 * @return array The job.
+	 */
+	private function get_job( $status, $age ) {
+		return [
+			'id'      => 'job-1',
+			'status'  => $status,
+			'created' => time() - $age,
+		];
+	}
+}
@@ -0,0 +1,206 @@
+<?php
+/**
+ * Tests for per-role and per-user generation quotas.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Generation_Quotas;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-generation-quotas.php';
+
+/**
+ * Tests quota limits, reservations and refunds.
+ */
+final class GenerationQuotasTest extends TestCase {
+	/**
+	 * Sets up an author and an editor with daily and monthly limits.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+
+		$GLOBALS['kaigen_test_users'] = [
+			1 => (object) [ 'roles' => [ 'author' ] ],
+			2 => (object) [ 'roles' => [ 'author', 'editor' ] ],
+			3 => (object) [ 'roles' => [ 'subscriber' ] ],
+		];
+
+		update_option(
+			Generation_Quotas::OPTION_NAME,
+			[
+				'author' => [
+					'daily'   => 3,
+					'monthly' => 10,
+				],
+				'editor' => [
+					'daily'   => 5,
+					'monthly' => 0,
+				],
+			]
+		);
+	}
+
+	/**
+	 * Tests that a user with several roles gets the most generous limit, 0 being unlimited.
+	 *
+	 * @return void
+	 */
+	public function test_limits_use_the_most_generous_role() {
+		$this->assertSame(
+			[
+				'daily'   => 3,
+				'monthly' => 10,
+			],
+			Generation_Quotas::get_limits( 1 )
+		);
+		$this->assertSame(
+			[
+				'daily'   => 5,
+				'monthly' => 0,
+			],
+			Generation_Quotas::get_limits( 2 )
+		);
+	}
+
+	/**
+	 * Tests that a user's own limits override their roles' limits.
+	 *
+	 * @return void
+	 */
+	public function test_user_limits_override_role_limits() {
+		Generation_Quotas::set_user_limits(
+			1,
+			[
+				'daily'   => '8',
+				'monthly' => '',
+			]
+		);
+
+		$this->assertSame(
+			[
+				'daily'   => 8,
+				'monthly' => 10,
+			],
+			Generation_Quotas::get_limits( 1 )
+		);
+	}
+
+	/**
+	 * Tests that reserved images count against both periods.
+	 *
+	 * @return void
+	 */
+	public function test_reserve_counts_images_against_the_day_and_month() {
+		$this->assertTrue( Generation_Quotas::reserve( 1, 2 ) );
+
+		$status = Generation_Quotas::get_status( 1 );
+
+		$this->assertSame( 2, $status['daily']['used'] );
+		$this->assertSame( 1, $status['daily']['remaining'] );
+		$this->assertSame( 2, $status['monthly']['used'] );
+		$this->assertSame( 8, $status['monthly']['remaining'] );
+	}
+
+	/**
+	 * Tests that a reservation going over the limit is refused and counts nothing.
+	 *
+	 * @return void
+	 */
+	public function test_reserve_refuses_to_go_over_the_limit() {
+		Generation_Quotas::reserve( 1, 2 );
+
+		$error = Generation_Quotas::reserve( 1, 2 );
+
+		$this->assertInstanceOf( \WP_Error::class, $error );
+		$this->assertSame( 'kaigen_quota_exceeded', $error->get_error_code() );
+		$this->assertSame( 429, $error->get_error_data()['status'] );
+		$this->assertSame(
+			[
+				'daily'   => 2,
+				'monthly' => 2,
+			],
+			Generation_Quotas::get_usage( 1 )
+		);
+	}
+
+	/**
+	 * Tests that a day already counted is given back when the month is used up.
+	 *
+	 * @return void
+	 */
+	public function test_reserve_gives_the_day_back_when_the_month_is_used_up() {
+		Generation_Quotas::set_user_limits(
+			1,
+			[
+				'daily'   => 5,
+				'monthly' => 3,
+			]
+		);
+		Generation_Quotas::reserve( 1, 2 );
+
+		$error = Generation_Quotas::reserve( 1, 2 );
+
+		$this->assertSame( 'You have 1 of 3 generations left this month.', $error->get_error_message() );
+		$this->assertSame( 2, Generation_Quotas::get_usage( 1 )['daily'] );
+	}
+
+	/**
+	 * Tests that unlimited users are still counted.
+	 *
+	 * @return void
+	 */
+	public function test_unlimited_users_are_counted() {
+		$this->assertTrue( Generation_Quotas::reserve( 3, 50 ) );
+		$this->assertTrue( Generation_Quotas::reserve( 3, 50 ) );
+
+		$status = Generation_Quotas::get_status( 3 );
+
+		$this->assertSame( 100, $status['daily']['used'] );
+		$this->assertNull( $status['daily']['remaining'] );
+	}
+
+	/**
+	 * Tests that refunds give images back without going below zero.
+	 *
+	 * @return void
+	 */
+	public function test_refund_gives_images_back() {
+		Generation_Quotas::reserve( 1, 3 );
+		Generation_Quotas::refund( 1, 2, time() );
+
+		$this->assertSame( 1, Generation_Quotas::get_usage( 1 )['daily'] );
+
+		Generation_Quotas::refund( 1, 2, time() );
+
+		$this->assertSame(
+			[
+				'daily'   => 0,
+				'monthly' => 0,
+			],
+			Generation_Quotas::get_usage( 1 )
+		);
+	}
+
+	/**
+	 * Tests that counters of ended periods are deleted, and other users' counters are kept.
+	 *
+	 * @return void
+	 */
+	public function test_reserve_deletes_counters_of_ended_periods() {
+		$yesterday = Generation_Quotas::USAGE_OPTION_PREFIX . '1_' . gmdate( 'Y-m-d', strtotime( '-1 day' ) );
+		$other     = Generation_Quotas::USAGE_OPTION_PREFIX . '11_' . gmdate( 'Y-m-d', strtotime( '-1 day' ) );
+		update_option( $yesterday, '3' );
+		update_option( $other, '4' );
+
+		Generation_Quotas::reserve( 1, 1 );
+
+		$this->assertFalse( get_option( $yesterday ) );
+		$this->assertSame( '4', get_option( $other ) );
+		$this->assertSame( 1, Generation_Quotas::get_usage( 1 )['daily'] );
+	}
+}
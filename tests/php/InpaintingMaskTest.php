@@ -0,0 +1,132 @@
+<?php
+/**
+ * Tests for sending inpainting masks to providers.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Image_Generation_Service;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-reference-images.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-generation-jobs.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-alt-text-generator.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-image-generation-service.php';
+
+/**
+ * Tests that masks stay out of job data and reach the provider as a model option.
+ */
+final class InpaintingMaskTest extends TestCase {
+	/**
+	 * Smallest PNG signature the mask validation accepts.
+	 *
+	 * @var string
+	 */
+	private const PNG = "\x89PNG\r\n\x1a\n";
+
+	/**
+	 * Temporary mask file.
+	 *
+	 * @var string
+	 */
+	private $file;
+
+	/**
+	 * Writes a mask file the way a queued job leaves it.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+
+		$this->file = sys_get_temp_dir() . '/' . uniqid( 'kaigen-mask-' ) . '.png';
+		file_put_contents( $this->file, self::PNG ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+	}
+
+	/**
+	 * Removes the mask file.
+	 *
+	 * @return void
+	 */
+	protected function tearDown(): void {
+		wp_delete_file( $this->file );
+	}
+
+	/**
+	 * Tests that a mask data URI is decoded, so only the PNG is kept.
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_mask_decodes_the_png() {
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Building a mask data URI.
+		$mask = 'data:image/png;base64,' . base64_encode( self::PNG );
+
+		$this->assertSame( self::PNG, $this->call( 'sanitize_mask', $mask ) );
+		$this->assertSame( '', $this->call( 'sanitize_mask', '' ) );
+		$this->assertInstanceOf( \WP_Error::class, $this->call( 'sanitize_mask', 'data:image/jpeg;base64,AAAA' ) );
+	}
+
+	/**
+	 * Tests that the job reads the mask back from its file and sends it as the mask option.
+	 *
+	 * @return void
+	 */
+	public function test_mask_file_is_sent_as_the_mask_option() {
+		$mask = $this->call( 'load_mask', [ 'source_mask_file' => $this->file ] );
+
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Building the expected data URI.
+		$this->assertSame( 'data:image/png;base64,' . base64_encode( self::PNG ), $mask );
+		$this->assertSame(
+			[ 'mask' => $mask ],
+			$this->call(
+				'get_custom_options',
+				[
+					'provider'    => 'openai',
+					'source_mask' => $mask,
+				]
+			)
+		);
+	}
+
+	/**
+	 * Tests that jobs without a mask send no mask option.
+	 *
+	 * @return void
+	 */
+	public function test_jobs_without_a_mask_send_no_mask_option() {
+		$this->assertSame( '', $this->call( 'load_mask', [] ) );
+		$this->assertSame( [], $this->call( 'get_custom_options', [ 'provider' => 'openai' ] ) );
+	}
+
+	/**
+	 * Tests that a mask file removed before the job ran fails the job.
+	 *
+	 * @return void
+	 */
+	public function test_missing_mask_file_fails_the_job() {
+		$this->call( 'delete_mask', [ 'source_mask_file' => $this->file ] );
+
+		$this->assertFalse( file_exists( $this->file ) );
+
+		$error = $this->call( 'load_mask', [ 'source_mask_file' => $this->file ] );
+
+		$this->assertInstanceOf( \WP_Error::class, $error );
+		$this->assertSame( 'missing_mask', $error->get_error_code() );
+	}
+
+	/**
+	 * Calls a private method of the image generation service.
+	 *
+	 * @param string $method Method name.
+	 * @param mixed  $arg Method argument.
+	 * @return mixed The method's return value.
+	 */
+	private function call( $method, $arg ) {
+		$method = new \ReflectionMethod( Image_Generation_Service::class, $method );
+		$method->setAccessible( true );
+
+		return $method->invoke( new Image_Generation_Service(), $arg );
+	}
+}
@@ -0,0 +1,93 @@
+<?php
+/**
+ * Tests for cancelling background image generation jobs.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Generation_Jobs;
+use KaiGen\Generation_Quotas;
+use KaiGen\Image_Generation_Service;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-reference-images.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-generation-jobs.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-generation-quotas.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-alt-text-generator.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-image-generation-service.php';
+
+/**
+ * Tests that cancelling a job gives its images back to the quota exactly once.
+ */
+final class JobCancellationTest extends TestCase {
+	/**
+	 * The queued job.
+	 *
+	 * @var array
+	 */
+	private $job;
+
+	/**
+	 * Queues a job of two images for a logged-in user.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+
+		$GLOBALS['kaigen_test_users']   = [ 1 => (object) [ 'roles' => [ 'author' ] ] ];
+		$GLOBALS['kaigen_test_user_id'] = 1;
+
+		Generation_Quotas::reserve( 1, 2 );
+		$this->job = Generation_Jobs::create( 1, [ 'count' => 2 ] );
+	}
+
+	/**
+	 * Tests that a queued job's images go back when it is cancelled, and only once.
+	 *
+	 * @return void
+	 */
+	public function test_cancelling_a_queued_job_refunds_it_once() {
+		$service = new Image_Generation_Service();
+
+		$this->assertSame( Generation_Jobs::STATUS_CANCELLED, $service->cancel_job( $this->job['id'] )['status'] );
+		$this->assertSame( 0, Generation_Quotas::get_usage( 1 )['daily'] );
+
+		Generation_Quotas::reserve( 1, 1 );
+		$service->cancel_job( $this->job['id'] );
+
+		$this->assertSame( 1, Generation_Quotas::get_usage( 1 )['daily'] );
+	}
+
+	/**
+	 * Tests that cancelling a job a runner has claimed leaves the refund to the runner.
+	 *
+	 * @return void
+	 */
+	public function test_cancelling_a_claimed_job_leaves_the_refund_to_its_runner() {
+		$this->assertTrue( Generation_Jobs::claim( $this->job['id'] ) );
+
+		$response = ( new Image_Generation_Service() )->cancel_job( $this->job['id'] );
+
+		$this->assertSame( Generation_Jobs::STATUS_CANCELLED, $response['status'] );
+		$this->assertSame( 2, Generation_Quotas::get_usage( 1 )['daily'] );
+		$this->assertFalse( Generation_Jobs::claim( $this->job['id'] ) );
+	}
+
+	/**
+	 * Tests that a job cancelled before a runner claimed it is never run.
+	 *
+	 * @return void
+	 */
+	public function test_a_cancelled_job_is_not_run() {
+		$service = new Image_Generation_Service();
+		$service->cancel_job( $this->job['id'] );
+
+		$service->run_job( $this->job['id'] );
+
+		$this->assertSame( Generation_Jobs::STATUS_CANCELLED, Generation_Jobs::get( $this->job['id'] )['status'] );
+		$this->assertSame( 0, Generation_Quotas::get_usage( 1 )['daily'] );
+	}
+}
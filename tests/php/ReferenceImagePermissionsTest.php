@@ -0,0 +1,183 @@
+<?php
+/**
+ * Tests for who may generate with which reference images.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Image_Generation_Service;
+use KaiGen\Reference_Images;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-reference-images.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-generation-jobs.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-alt-text-generator.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-image-generation-service.php';
+
+/**
+ * Tests the reference image checks made before a generation request is sent.
+ */
+final class ReferenceImagePermissionsTest extends TestCase {
+	/**
+	 * Image file shared by the test attachments.
+	 *
+	 * @var string
+	 */
+	private $file;
+
+	/**
+	 * Sets up three images: one the user uploaded, one in the reference library and one of someone else's.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+
+		$this->file = sys_get_temp_dir() . '/' . uniqid( 'kaigen-reference-' ) . '.png';
+		touch( $this->file );
+
+		$GLOBALS['kaigen_test_images']   = [
+			10 => $this->file,
+			20 => $this->file,
+			30 => $this->file,
+		];
+		$GLOBALS['kaigen_test_editable'] = [ 10 ];
+		update_post_meta( 20, Reference_Images::META_KEY, 1 );
+	}
+
+	/**
+	 * Removes the image file.
+	 *
+	 * @return void
+	 */
+	protected function tearDown(): void {
+		wp_delete_file( $this->file );
+	}
+
+	/**
+	 * Tests that users may generate with their own images.
+	 *
+	 * @return void
+	 */
+	public function test_own_images_can_be_used() {
+		$builder = $this->attach( [ 'source_image_ids' => [ 10 ] ] );
+
+		$this->assertCount( 1, $builder->files );
+	}
+
+	/**
+	 * Tests that reference library images can be used by users who can read but not edit them.
+	 *
+	 * @return void
+	 */
+	public function test_reference_library_images_can_be_used_by_anyone() {
+		$this->assertTrue( Reference_Images::is_reference( 20 ) );
+
+		$builder = $this->attach( [ 'source_image_ids' => [ 10, 20 ] ] );
+
+		$this->assertCount( 2, $builder->files );
+	}
+
+	/**
+	 * Tests that reference library images the user cannot read, such as those attached to a private post, are refused.
+	 *
+	 * @return void
+	 */
+	public function test_unreadable_reference_library_images_cannot_be_used() {
+		$GLOBALS['kaigen_test_unreadable'] = [ 20 ];
+
+		$error = $this->attach( [ 'source_image_ids' => [ 20 ] ] );
+
+		$this->assertInstanceOf( \WP_Error::class, $error );
+		$this->assertSame( 403, $error->get_error_data()['status'] );
+	}
+
+	/**
+	 * Tests that other users' images outside the library are refused.
+	 *
+	 * @return void
+	 */
+	public function test_other_users_images_cannot_be_used() {
+		$this->assertFalse( Reference_Images::is_reference( 30 ) );
+
+		$error = $this->attach( [ 'source_image_ids' => [ 30 ] ] );
+
+		$this->assertInstanceOf( \WP_Error::class, $error );
+		$this->assertSame( 403, $error->get_error_data()['status'] );
+	}
+
+	/**
+	 * Tests that a style preset's images can be used by users who cannot edit them.
+	 *
+	 * @return void
+	 */
+	public function test_preset_images_can_be_used_by_anyone_using_the_preset() {
+		$builder = $this->attach(
+			[
+				'source_image_ids' => [ 10, 30 ],
+				'preset'           => [
+					'id'               => 'brand',
+					'source_image_ids' => [ 30 ],
+				],
+			]
+		);
+
+		$this->assertCount( 2, $builder->files );
+	}
+
+	/**
+	 * Tests that a preset's images cannot be used without the preset.
+	 *
+	 * @return void
+	 */
+	public function test_preset_images_cannot_be_used_without_the_preset() {
+		$error = $this->attach(
+			[
+				'source_image_ids' => [ 30 ],
+				'preset'           => [
+					'id'               => 'other',
+					'source_image_ids' => [ 20 ],
+				],
+			]
+		);
+
+		$this->assertInstanceOf( \WP_Error::class, $error );
+	}
+
+	/**
+	 * Attaches reference images the way a generation request does.
+	 *
+	 * @param array $args Generation arguments.
+	 * @return object|\WP_Error Builder holding the attached files, or error.
+	 */
+	private function attach( $args ) {
+		$builder = new class() {
+			/**
+			 * Attached file paths.
+			 *
+			 * @var string[]
+			 */
+			public $files = [];
+
+			/**
+			 * Attaches a file.
+			 *
+			 * @param string $file File path or data URI.
+			 * @return object
+			 */
+			public function with_file( $file ) {
+				$this->files[] = $file;
+
+				return $this;
+			}
+		};
+
+		$method = new \ReflectionMethod( Image_Generation_Service::class, 'attach_reference_images' );
+		$method->setAccessible( true );
+		$result = $method->invoke( new Image_Generation_Service(), $builder, $args );
+
+		return is_wp_error( $result ) ? $result : $builder;
+	}
+}
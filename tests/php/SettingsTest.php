@@ -0,0 +1,111 @@
+<?php
+/**
+ * Tests for the site-wide settings.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Settings;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-settings.php';
+
+/**
+ * Tests settings sanitization and the post types KaiGen is enabled for.
+ */
+final class SettingsTest extends TestCase {
+	/**
+	 * Resets the in-memory WordPress state.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+	}
+
+	/**
+	 * Tests that valid settings are saved as given.
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_keeps_valid_settings() {
+		$settings = [
+			'provider'         => 'openai',
+			'orientation'      => 'portrait',
+			'timeout'          => 240,
+			'alt_text'         => 'prompt',
+			'filename_pattern' => '{site}-{date}',
+			'post_types'       => [ 'page' ],
+		];
+
+		$this->assertSame( $settings, Settings::sanitize( $settings ) );
+	}
+
+	/**
+	 * Tests that invalid values fall back to the defaults.
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_falls_back_to_defaults_for_invalid_values() {
+		$settings = Settings::sanitize(
+			[
+				'provider'         => '',
+				'orientation'      => 'wide',
+				'alt_text'         => 'guess',
+				'filename_pattern' => '<b></b>',
+			]
+		);
+
+		$this->assertSame( 'auto', $settings['provider'] );
+		$this->assertSame( 'square', $settings['orientation'] );
+		$this->assertSame( 'describe', $settings['alt_text'] );
+		$this->assertSame( 'ai-{prompt}', $settings['filename_pattern'] );
+	}
+
+	/**
+	 * Tests that the timeout is kept within the allowed range.
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_clamps_the_timeout() {
+		$this->assertSame( 30, Settings::sanitize( [ 'timeout' => 5 ] )['timeout'] );
+		$this->assertSame( 600, Settings::sanitize( [ 'timeout' => '9999' ] )['timeout'] );
+	}
+
+	/**
+	 * Tests that only registered post types are saved.
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_drops_unknown_post_types() {
+		$settings = Settings::sanitize( [ 'post_types' => [ 'Page', 'product', 'post' ] ] );
+
+		$this->assertSame( [ 'page', 'post' ], $settings['post_types'] );
+	}
+
+	/**
+	 * Tests that the post types stay unset until an admin saves a list.
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_keeps_post_types_unset_until_a_list_is_saved() {
+		$this->assertNull( Settings::sanitize( [] )['post_types'] );
+		$this->assertSame( [], Settings::sanitize( [ 'post_types' => [] ] )['post_types'] );
+	}
+
+	/**
+	 * Tests that every post type is enabled until an admin saves a list.
+	 *
+	 * @return void
+	 */
+	public function test_every_post_type_is_enabled_until_a_list_is_saved() {
+		$this->assertTrue( Settings::is_post_type_enabled( 'product' ) );
+
+		update_option( Settings::OPTION_NAME, [ 'post_types' => [ 'post' ] ] );
+
+		$this->assertTrue( Settings::is_post_type_enabled( 'post' ) );
+		$this->assertFalse( Settings::is_post_type_enabled( 'product' ) );
+	}
+}
@@ -0,0 +1,195 @@
+<?php
+/**
+ * Tests for the usage and cost dashboard totals.
+ *
+ * @package KaiGen
+ */
+
+namespace KaiGen\Tests\PHP;
+
+use KaiGen\Usage_Stats;
+use PHPUnit\Framework\TestCase;
+
+require_once KAIGEN_TESTS_ROOT . '/inc/class-image-handler.php';
+require_once KAIGEN_TESTS_ROOT . '/inc/class-usage-stats.php';
+
+/**
+ * Tests recording generation requests and summarizing them.
+ */
+final class UsageStatsTest extends TestCase {
+	/**
+	 * Sets up two users.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		kaigen_tests_reset_wordpress();
+
+		$GLOBALS['kaigen_test_users'] = [
+			1 => (object) [ 'display_name' => 'Ada' ],
+			2 => (object) [ 'display_name' => 'Grace' ],
+		];
+	}
+
+	/**
+	 * Tests that requests are summarized per user, provider and model, with the estimated cost.
+	 *
+	 * @return void
+	 */
+	public function test_summary_groups_requests_and_estimates_cost() {
+		Usage_Stats::update_prices(
+			[
+				[
+					'provider' => 'openai',
+					'model'    => 'gpt-image-1',
+					'price'    => 0.04,
+				],
+			]
+		);
+
+		$this->record( 1, 'openai', 'gpt-image-1', 2 );
+		$this->record( 1, 'openai', 'gpt-image-1', 1 );
+		$this->record( 2, 'google', 'imagen', 1 );
+
+		$summary = Usage_Stats::get_summary( 7 );
+
+		$this->assertCount( 7, $summary['days'] );
+		$this->assertSame( gmdate( 'Y-m-d' ), $summary['days'][6] );
+		$this->assertSame( 3, $summary['totals']['requests'] );
+		$this->assertSame( 4, $summary['totals']['images'] );
+		$this->assertSame( [ 0, 0, 0, 0, 0, 0, 4 ], $summary['totals']['daily'] );
+		$this->assertSame( 0.12, $summary['totals']['estimated_cost'] );
+
+		$this->assertSame( [ 'Ada', 'Grace' ], array_column( $summary['users'], 'name' ) );
+		$this->assertSame( [ 'openai', 'google' ], array_column( $summary['providers'], 'key' ) );
+		$this->assertSame( 'openai / gpt-image-1', $summary['models'][0]['name'] );
+		$this->assertSame( 0.04, $summary['models'][0]['price'] );
+		$this->assertSame( 3, $summary['models'][0]['images'] );
+	}
+
+	/**
+	 * Tests that failures count toward the failure rate, and cancelled requests count as neither failures nor images.
+	 *
+	 * @return void
+	 */
+	public function test_summary_separates_failures_from_cancellations() {
+		$this->record( 1, 'openai', 'gpt-image-1', 1 );
+		$this->record_error( 1, 'ai_generation_failed' );
+		$this->record_error( 1, 'generation_cancelled' );
+		$this->record_error( 1, 'generation_cancelled' );
+
+		$totals = Usage_Stats::get_summary( 1 )['totals'];
+
+		$this->assertSame( 4, $totals['requests'] );
+		$this->assertSame( 1, $totals['images'] );
+		$this->assertSame( 1, $totals['failures'] );
+		$this->assertSame( 0.25, $totals['failure_rate'] );
+	}
+
+	/**
+	 * Tests that each request adds to its day's row in a single statement.
+	 *
+	 * @return void
+	 */
+	public function test_each_request_adds_to_the_stored_row() {
+		for ( $request = 0; $request < 5; $request++ ) {
+			$this->record( 1, 'openai', 'gpt-image-1', 1 );
+		}
+
+		$this->assertCount( 1, $GLOBALS['kaigen_test_usage'] );
+		$this->assertSame( 5, Usage_Stats::get_summary( 1 )['totals']['images'] );
+	}
+
+	/**
+	 * Tests that images of a request cancelled after it was recorded are taken back.
+	 *
+	 * @return void
+	 */
+	public function test_discarded_images_are_not_counted() {
+		$result = $this->record( 1, 'openai', 'gpt-image-1', 2 );
+
+		Usage_Stats::discard_images( [ 'provider' => 'openai' ], $result );
+
+		$totals = Usage_Stats::get_summary( 1 )['totals'];
+
+		$this->assertSame( 1, $totals['requests'] );
+		$this->assertSame( 0, $totals['images'] );
+	}
+
+	/**
+	 * Tests that days before the covered range are left out, and days older than the dashboard can show are deleted.
+	 *
+	 * @return void
+	 */
+	public function test_summary_covers_only_the_requested_days() {
+		$GLOBALS['kaigen_test_usage'] = [
+			'old'       => $this->row( gmdate( 'Y-m-d', strtotime( '-' . Usage_Stats::MAX_DAYS . ' days' ) ) ),
+			'last_week' => $this->row( gmdate( 'Y-m-d', strtotime( '-7 days' ) ) ),
+		];
+
+		$this->record( 1, 'openai', 'gpt-image-1', 1 );
+
+		$this->assertSame( 1, Usage_Stats::get_summary( 7 )['totals']['images'] );
+		$this->assertSame( 3, Usage_Stats::get_summary( 8 )['totals']['images'] );
+		$this->assertArrayNotHasKey( 'old', $GLOBALS['kaigen_test_usage'] );
+	}
+
+	/**
+	 * Records a successful request.
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $provider Provider ID.
+	 * @param string $model Model ID.
+	 * @param int    $images Number of images generated.
+	 * @return array The request result.
+	 */
+	private function record( $user_id, $provider, $model, $images ) {
+		$GLOBALS['kaigen_test_user_id'] = $user_id;
+
+		$result = [
+			'images'   => array_fill( 0, $images, [ 'id' => 1 ] ),
+			'metadata' => [
+				'provider_metadata' => [ 'id' => $provider ],
+				'model_metadata'    => [ 'id' => $model ],
+			],
+		];
+
+		Usage_Stats::start_request();
+		Usage_Stats::record_request( [ 'provider' => $provider ], $result );
+
+		return $result;
+	}
+
+	/**
+	 * Records a request that ended with an error.
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $code Error code.
+	 * @return void
+	 */
+	private function record_error( $user_id, $code ) {
+		$GLOBALS['kaigen_test_user_id'] = $user_id;
+
+		Usage_Stats::start_request();
+		Usage_Stats::record_request( [ 'provider' => 'openai' ], new \WP_Error( $code, 'Error' ) );
+	}
+
+	/**
+	 * Builds a stored row of two images.
+	 *
+	 * @param string $day Date, as Y-m-d.
+	 * @return array The row.
+	 */
+	private function row( $day ) {
+		return [
+			'day'      => $day,
+			'user_id'  => '1',
+			'provider' => 'openai',
+			'model'    => 'gpt-image-1',
+			'requests' => '1',
+			'images'   => '2',
+			'failures' => '0',
+			'duration' => '3.5',
+		];
+	}
+}
@@ -6,3 +6,5 @@
  */
 
 define( 'KAIGEN_TESTS_ROOT', dirname( __DIR__, 2 ) );
+
+require_once __DIR__ . '/includes/wordpress-stubs.php';
@@ -0,0 +1,696 @@
+<?php
+/**
+ * Minimal stand-ins for the WordPress functions KaiGen's PHP unit tests touch.
+ *
+ * Options, user meta, users, post types, image attachments and the usage totals table live in globals
+ * so each test can set them up and reset them.
+ *
+ * @package KaiGen
+ */
+
+// phpcs:disable WordPress.NamingConventions.PrefixAllGlobals, Generic.Files.OneObjectStructurePerFile, Universal.Files.SeparateFunctionsFromOO -- Test doubles for WordPress core.
+
+define( 'MB_IN_BYTES', 1024 * 1024 );
+define( 'ARRAY_A', 'ARRAY_A' );
+define( 'HOUR_IN_SECONDS', 3600 );
+define( 'DAY_IN_SECONDS', 86400 );
+
+/**
+ * Resets the in-memory WordPress state between tests.
+ *
+ * @return void
+ */
+function kaigen_tests_reset_wordpress() {
+	$GLOBALS['kaigen_test_options']    = [];
+	$GLOBALS['kaigen_test_user_meta']  = [];
+	$GLOBALS['kaigen_test_users']      = [];
+	$GLOBALS['kaigen_test_post_types'] = [ 'post', 'page' ];
+	$GLOBALS['kaigen_test_post_meta']  = [];
+	$GLOBALS['kaigen_test_images']     = [];
+	$GLOBALS['kaigen_test_editable']   = [];
+	$GLOBALS['kaigen_test_unreadable'] = [];
+	$GLOBALS['kaigen_test_scheduled']  = [];
+	$GLOBALS['kaigen_test_usage']      = [];
+	$GLOBALS['kaigen_test_user_id']    = 0;
+	$GLOBALS['wpdb']                   = new KaiGen_Tests_WPDB();
+}
+
+/**
+ * Database stand-in that runs the queries KaiGen makes against the in-memory options and usage totals.
+ */
+class KaiGen_Tests_WPDB {
+	/**
+	 * Table prefix.
+	 *
+	 * @var string
+	 */
+	public $prefix = 'wp_';
+
+	/**
+	 * Options table name.
+	 *
+	 * @var string
+	 */
+	public $options = 'wp_options';
+
+	/**
+	 * Replaces placeholders with the quoted arguments.
+	 *
+	 * @param string $query Query with %d, %f and %s placeholders.
+	 * @param mixed  ...$args Values for the placeholders.
+	 * @return string The query.
+	 */
+	public function prepare( $query, ...$args ) {
+		$index = 0;
+
+		return preg_replace_callback(
+			'/%[dfs]/',
+			function ( $placeholder ) use ( $args, &$index ) {
+				$value = $args[ $index++ ];
+
+				if ( '%d' === $placeholder[0] ) {
+					return (string) (int) $value;
+				}
+
+				if ( '%f' === $placeholder[0] ) {
+					return (string) (float) $value;
+				}
+
+				return "'" . addslashes( (string) $value ) . "'";
+			},
+			$query
+		);
+	}
+
+	/**
+	 * Escapes LIKE wildcards.
+	 *
+	 * @param string $text Text.
+	 * @return string
+	 */
+	public function esc_like( $text ) {
+		return addcslashes( $text, '_%\\' );
+	}
+
+	/**
+	 * Runs an INSERT, UPDATE or DELETE on the options or the usage totals.
+	 *
+	 * @param string $query The query.
+	 * @return int Number of rows changed.
+	 * @throws RuntimeException When the query is not one KaiGen makes.
+	 */
+	public function query( $query ) {
+		$options = &$GLOBALS['kaigen_test_options'];
+		$usage   = &$GLOBALS['kaigen_test_usage'];
+
+		if ( preg_match( "/^INSERT INTO wp_kaigen_usage \(day, user_id, provider, model, requests, images, failures, duration\) VALUES \('(.+?)', (\d+), '(.*?)', '(.*?)', 1, (\d+), (\d+), ([\d.E-]+)\) ON DUPLICATE KEY UPDATE /", $query, $matches ) ) {
+			$key = implode( '|', array_slice( $matches, 1, 4 ) );
+			$row = $usage[ $key ] ?? [
+				'day'      => $matches[1],
+				'user_id'  => $matches[2],
+				'provider' => $matches[3],
+				'model'    => $matches[4],
+				'requests' => 0,
+				'images'   => 0,
+				'failures' => 0,
+				'duration' => 0,
+			];
+
+			// Stored as strings, the way wpdb returns them.
+			$row['requests'] = (string) ( $row['requests'] + 1 );
+			$row['images']   = (string) ( $row['images'] + $matches[5] );
+			$row['failures'] = (string) ( $row['failures'] + $matches[6] );
+			$row['duration'] = (string) ( $row['duration'] + $matches[7] );
+			$usage[ $key ]   = $row;
+
+			return 1;
+		}
+
+		if ( preg_match( "/^UPDATE wp_kaigen_usage SET images = GREATEST\( images - (\d+), 0 \) WHERE day = '(.+?)' AND user_id = (\d+) AND provider = '(.*?)' AND model = '(.*?)'$/", $query, $matches ) ) {
+			$key = implode( '|', array_slice( $matches, 2, 4 ) );
+			if ( ! isset( $usage[ $key ] ) ) {
+				return 0;
+			}
+
+			$usage[ $key ]['images'] = (string) max( $usage[ $key ]['images'] - $matches[1], 0 );
+
+			return 1;
+		}
+
+		if ( preg_match( "/^DELETE FROM wp_kaigen_usage WHERE day < '(.+?)'$/", $query, $matches ) ) {
+			$before = count( $usage );
+			$usage  = array_filter(
+				$usage,
+				function ( $row ) use ( $matches ) {
+					return $row['day'] >= $matches[1];
+				}
+			);
+
+			return $before - count( $usage );
+		}
+
+		if ( preg_match( "/^INSERT IGNORE INTO wp_options \(option_name, option_value, autoload\) VALUES \('(.+?)', '(.*?)', 'no'\)$/", $query, $matches ) ) {
+			if ( array_key_exists( $matches[1], $options ) ) {
+				return 0;
+			}
+
+			$options[ $matches[1] ] = $matches[2];
+
+			return 1;
+		}
+
+		if ( preg_match( "/^UPDATE wp_options SET option_value = option_value \+ (\d+) WHERE option_name = '(.+?)'(?: AND option_value \+ \d+ <= (\d+))?$/", $query, $matches ) ) {
+			if ( ! array_key_exists( $matches[2], $options ) ) {
+				return 0;
+			}
+
+			$value = (int) $options[ $matches[2] ] + (int) $matches[1];
+			if ( isset( $matches[3] ) && $value > (int) $matches[3] ) {
+				return 0;
+			}
+
+			$options[ $matches[2] ] = (string) $value;
+
+			return 1;
+		}
+
+		if ( preg_match( "/^UPDATE wp_options SET option_value = GREATEST\( option_value - (\d+), 0 \) WHERE option_name = '(.+?)'$/", $query, $matches ) ) {
+			if ( ! array_key_exists( $matches[2], $options ) ) {
+				return 0;
+			}
+
+			$options[ $matches[2] ] = (string) max( (int) $options[ $matches[2] ] - (int) $matches[1], 0 );
+
+			return 1;
+		}
+
+		if ( preg_match( "/^DELETE FROM wp_options WHERE option_name LIKE '(.+?)'(?: AND option_name NOT IN \((.+)\))?$/", $query, $matches ) ) {
+			// KaiGen only deletes by prefix, so turn the escaped LIKE pattern back into a plain prefix.
+			$prefix  = str_replace( '\\_', '_', rtrim( stripslashes( $matches[1] ), '%' ) );
+			$kept    = isset( $matches[2] ) ? array_map(
+				function ( $name ) {
+					return trim( $name, " '" );
+				},
+				explode( ',', $matches[2] )
+			) : [];
+			$deleted = 0;
+
+			foreach ( array_keys( $options ) as $name ) {
+				if ( 0 === strpos( $name, $prefix ) && ! in_array( $name, $kept, true ) ) {
+					unset( $options[ $name ] );
+					++$deleted;
+				}
+			}
+
+			return $deleted;
+		}
+
+		throw new RuntimeException( 'Unexpected query: ' . $query ); // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+	}
+
+	/**
+	 * Gets one option value.
+	 *
+	 * @param string $query The query.
+	 * @return string|null The value, or null when the option does not exist.
+	 * @throws RuntimeException When the query is not one KaiGen makes.
+	 */
+	public function get_var( $query ) {
+		if ( preg_match( "/^SELECT option_value FROM wp_options WHERE option_name = '(.+?)'$/", $query, $matches ) ) {
+			return $GLOBALS['kaigen_test_options'][ $matches[1] ] ?? null;
+		}
+
+		throw new RuntimeException( 'Unexpected query: ' . $query ); // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+	}
+
+	/**
+	 * Gets usage totals rows.
+	 *
+	 * @param string $query The query.
+	 * @return array Rows as associative arrays.
+	 * @throws RuntimeException When the query is not one KaiGen makes.
+	 */
+	public function get_results( $query ) {
+		if ( preg_match( "/^SELECT day, user_id, provider, model, requests, images, failures, duration FROM wp_kaigen_usage WHERE day >= '(.+?)'$/", $query, $matches ) ) {
+			return array_values(
+				array_filter(
+					$GLOBALS['kaigen_test_usage'],
+					function ( $row ) use ( $matches ) {
+						return $row['day'] >= $matches[1];
+					}
+				)
+			);
+		}
+
+		throw new RuntimeException( 'Unexpected query: ' . $query ); // phpcs:ignore WordPress.Security.EscapeOutput.ExceptionNotEscaped
+	}
+}
+
+/**
+ * Error object returned by WordPress functions.
+ */
+class WP_Error {
+	/**
+	 * Error code.
+	 *
+	 * @var string
+	 */
+	private $code;
+
+	/**
+	 * Error message.
+	 *
+	 * @var string
+	 */
+	private $message;
+
+	/**
+	 * Error data.
+	 *
+	 * @var mixed
+	 */
+	private $data;
+
+	/**
+	 * Creates an error.
+	 *
+	 * @param string $code Error code.
+	 * @param string $message Error message.
+	 * @param mixed  $data Error data.
+	 */
+	public function __construct( $code = '', $message = '', $data = '' ) {
+		$this->code    = $code;
+		$this->message = $message;
+		$this->data    = $data;
+	}
+
+	/**
+	 * Gets the error code.
+	 *
+	 * @return string
+	 */
+	public function get_error_code() {
+		return $this->code;
+	}
+
+	/**
+	 * Gets the error message.
+	 *
+	 * @return string
+	 */
+	public function get_error_message() {
+		return $this->message;
+	}
+
+	/**
+	 * Gets the error data.
+	 *
+	 * @return mixed
+	 */
+	public function get_error_data() {
+		return $this->data;
+	}
+}
+
+/**
+ * Checks whether a value is an error.
+ *
+ * @param mixed $thing Value to check.
+ * @return bool
+ */
+function is_wp_error( $thing ) {
+	return $thing instanceof WP_Error;
+}
+
+/**
+ * Returns the text untranslated.
+ *
+ * @param string $text Text.
+ * @return string
+ */
+function __( $text ) {
+	return $text;
+}
+
+/**
+ * Converts a value to a non-negative integer.
+ *
+ * @param mixed $maybeint Value.
+ * @return int
+ */
+function absint( $maybeint ) {
+	return abs( (int) $maybeint );
+}
+
+/**
+ * Sanitizes a key to lowercase letters, digits, dashes and underscores.
+ *
+ * @param string $key Key.
+ * @return string
+ */
+function sanitize_key( $key ) {
+	return preg_replace( '/[^a-z0-9_\-]/', '', strtolower( (string) $key ) );
+}
+
+/**
+ * Strips tags and surrounding whitespace.
+ *
+ * @param string $str Text.
+ * @return string
+ */
+function sanitize_text_field( $str ) {
+	return trim( wp_strip_all_tags( (string) $str ) );
+}
+
+/**
+ * Strips tags.
+ *
+ * @param string $text Text.
+ * @return string
+ */
+function wp_strip_all_tags( $text ) {
+	return strip_tags( $text ); // phpcs:ignore WordPress.WP.AlternativeFunctions.strip_tags_strip_tags -- This is the stand-in for wp_strip_all_tags().
+}
+
+/**
+ * Returns the filtered value unchanged.
+ *
+ * @param string $hook_name Filter name.
+ * @param mixed  $value Value to filter.
+ * @return mixed
+ */
+function apply_filters( $hook_name, $value ) {
+	return $value;
+}
+
+/**
+ * Formats a timestamp in UTC.
+ *
+ * @param string   $format Date format.
+ * @param int|null $timestamp Unix timestamp, now when null.
+ * @return string
+ */
+function wp_date( $format, $timestamp = null ) {
+	return gmdate( $format, null === $timestamp ? time() : $timestamp );
+}
+
+/**
+ * Gets an option.
+ *
+ * @param string $option Option name.
+ * @param mixed  $default_value Value when the option is not set.
+ * @return mixed
+ */
+function get_option( $option, $default_value = false ) {
+	return $GLOBALS['kaigen_test_options'][ $option ] ?? $default_value;
+}
+
+/**
+ * Saves an option.
+ *
+ * @param string $option Option name.
+ * @param mixed  $value Option value.
+ * @return bool
+ */
+function update_option( $option, $value ) {
+	$GLOBALS['kaigen_test_options'][ $option ] = $value;
+
+	return true;
+}
+
+/**
+ * Deletes an option.
+ *
+ * @param string $option Option name.
+ * @return bool
+ */
+function delete_option( $option ) {
+	unset( $GLOBALS['kaigen_test_options'][ $option ] );
+
+	return true;
+}
+
+/**
+ * Gets a transient, kept with the options as nothing expires during a test.
+ *
+ * @param string $transient Transient name.
+ * @return mixed
+ */
+function get_transient( $transient ) {
+	return get_option( '_transient_' . $transient );
+}
+
+/**
+ * Saves a transient.
+ *
+ * @param string $transient Transient name.
+ * @param mixed  $value Transient value.
+ * @return bool
+ */
+function set_transient( $transient, $value ) {
+	return update_option( '_transient_' . $transient, $value );
+}
+
+/**
+ * Generates a random UUID.
+ *
+ * @return string
+ */
+function wp_generate_uuid4() {
+	return uniqid( 'job-', true );
+}
+
+/**
+ * Records a scheduled event in the kaigen_test_scheduled global.
+ *
+ * @param int    $timestamp When the event runs.
+ * @param string $hook Action hook.
+ * @param array  $args Hook arguments.
+ * @return bool
+ */
+function wp_schedule_single_event( $timestamp, $hook, $args = [] ) {
+	$GLOBALS['kaigen_test_scheduled'][] = [ $timestamp, $hook, $args ];
+
+	return true;
+}
+
+/**
+ * Does nothing, as nothing is scheduled.
+ *
+ * @return int
+ */
+function wp_clear_scheduled_hook() {
+	return 0;
+}
+
+/**
+ * Wraps a REST response; tests read the data as is.
+ *
+ * @param mixed $response Response data.
+ * @return mixed
+ */
+function rest_ensure_response( $response ) {
+	return $response;
+}
+
+/**
+ * Gets a single user meta value.
+ *
+ * @param int    $user_id User ID.
+ * @param string $key Meta key.
+ * @return mixed
+ */
+function get_user_meta( $user_id, $key ) {
+	return $GLOBALS['kaigen_test_user_meta'][ $user_id ][ $key ] ?? '';
+}
+
+/**
+ * Saves a user meta value.
+ *
+ * @param int    $user_id User ID.
+ * @param string $key Meta key.
+ * @param mixed  $value Meta value.
+ * @return bool
+ */
+function update_user_meta( $user_id, $key, $value ) {
+	$GLOBALS['kaigen_test_user_meta'][ $user_id ][ $key ] = $value;
+
+	return true;
+}
+
+/**
+ * Deletes a user meta value.
+ *
+ * @param int    $user_id User ID.
+ * @param string $key Meta key.
+ * @return bool
+ */
+function delete_user_meta( $user_id, $key ) {
+	unset( $GLOBALS['kaigen_test_user_meta'][ $user_id ][ $key ] );
+
+	return true;
+}
+
+/**
+ * Gets the user a test is acting as.
+ *
+ * @return int User ID, or 0 when logged out.
+ */
+function get_current_user_id() {
+	return $GLOBALS['kaigen_test_user_id'];
+}
+
+/**
+ * Gets a user set up by a test.
+ *
+ * @param int $user_id User ID.
+ * @return object|false User with roles and display_name, or false.
+ */
+function get_userdata( $user_id ) {
+	return $GLOBALS['kaigen_test_users'][ $user_id ] ?? false;
+}
+
+/**
+ * Checks whether a post type is registered.
+ *
+ * @param string $post_type Post type name.
+ * @return bool
+ */
+function post_type_exists( $post_type ) {
+	return in_array( $post_type, $GLOBALS['kaigen_test_post_types'], true );
+}
+
+/**
+ * Does nothing, as nothing is cached.
+ *
+ * @return bool
+ */
+function wp_cache_delete() {
+	return true;
+}
+
+/**
+ * Ignores hook registrations.
+ *
+ * @return bool
+ */
+function add_action() {
+	return true;
+}
+
+/**
+ * Checks a capability; edit_post and delete_post are granted for the attachments in the
+ * kaigen_test_editable global, and read_post for every test image not in the kaigen_test_unreadable global.
+ *
+ * @param string $capability Capability name.
+ * @param int    $object_id Optional post ID.
+ * @return bool
+ */
+function current_user_can( $capability, $object_id = 0 ) {
+	if ( 'edit_post' === $capability || 'delete_post' === $capability ) {
+		return in_array( $object_id, $GLOBALS['kaigen_test_editable'], true );
+	}
+
+	if ( 'read_post' === $capability ) {
+		return isset( $GLOBALS['kaigen_test_images'][ $object_id ] ) && ! in_array( $object_id, $GLOBALS['kaigen_test_unreadable'], true );
+	}
+
+	return 'upload_files' === $capability;
+}
+
+/**
+ * Gets a single post meta value.
+ *
+ * @param int    $post_id Post ID.
+ * @param string $key Meta key.
+ * @return mixed
+ */
+function get_post_meta( $post_id, $key ) {
+	return $GLOBALS['kaigen_test_post_meta'][ $post_id ][ $key ] ?? '';
+}
+
+/**
+ * Saves a post meta value.
+ *
+ * @param int    $post_id Post ID.
+ * @param string $key Meta key.
+ * @param mixed  $value Meta value.
+ * @return bool
+ */
+function update_post_meta( $post_id, $key, $value ) {
+	$GLOBALS['kaigen_test_post_meta'][ $post_id ][ $key ] = $value;
+
+	return true;
+}
+
+/**
+ * Deletes a post meta value.
+ *
+ * @param int    $post_id Post ID.
+ * @param string $key Meta key.
+ * @return bool
+ */
+function delete_post_meta( $post_id, $key ) {
+	unset( $GLOBALS['kaigen_test_post_meta'][ $post_id ][ $key ] );
+
+	return true;
+}
+
+/**
+ * Deletes one of the images in the kaigen_test_images global, with its meta.
+ *
+ * @param int $attachment_id Attachment ID.
+ * @return bool
+ */
+function wp_delete_attachment( $attachment_id ) {
+	unset( $GLOBALS['kaigen_test_images'][ $attachment_id ], $GLOBALS['kaigen_test_post_meta'][ $attachment_id ] );
+
+	return true;
+}
+
+/**
+ * Checks whether an attachment is one of the images in the kaigen_test_images global.
+ *
+ * @param int $attachment_id Attachment ID.
+ * @return bool
+ */
+function wp_attachment_is_image( $attachment_id ) {
+	return isset( $GLOBALS['kaigen_test_images'][ $attachment_id ] );
+}
+
+/**
+ * Gets an image attachment's file path.
+ *
+ * @param int $attachment_id Attachment ID.
+ * @return string|false
+ */
+function get_attached_file( $attachment_id ) {
+	return $GLOBALS['kaigen_test_images'][ $attachment_id ] ?? false;
+}
+
+/**
+ * Deletes a file.
+ *
+ * @param string $file File path.
+ * @return bool
+ */
+function wp_delete_file( $file ) {
+	return file_exists( $file ) && unlink( $file ); // phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink -- This is the stand-in for wp_delete_file().
+}
+
+/**
+ * Gets a file's extension and image MIME type.
+ *
+ * @param string $filename File name.
+ * @return array
+ */
+function wp_check_filetype( $filename ) {
+	$ext = strtolower( pathinfo( $filename, PATHINFO_EXTENSION ) );
+
+	return [
+		'ext'  => $ext,
+		'type' => 'jpg' === $ext ? 'image/jpeg' : 'image/' . $ext,
+	];
+}
+
+kaigen_tests_reset_wordpress();
@@ -125,6 +125,101 @@ describe( 'GenerateImageModal', () => {
 		);
 	} );
 
+	it( 'browses reference images with search, sorting, paging and upload', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+		const browser = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/ReferenceImageBrowser.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/className="kaigen-modal__reference-menu">\s*<ReferenceImageBrowser\s+pinnedImages=\{\s*pinnedReferenceImages\s*\}/
+		);
+		expect( browser ).toContain( '<SearchControl' );
+		expect( browser ).toContain( "{ value: 'usage', label: 'Most used' }" );
+		expect( browser ).toContain( 'new window.IntersectionObserver(' );
+		expect( browser ).toMatch(
+			/const image = await uploadReferenceImage\(\s*file\s*\);[\s\S]*onToggle\(\s*image\s*\);/
+		);
+	} );
+
+	it( 'selects a whole reference collection up to the provider limit', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+		const browser = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/ReferenceImageBrowser.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/const handleSelectCollection = \( images \) => \{[\s\S]*?\.slice\( 0, referenceImageLimit \)/
+		);
+		expect( source ).toContain(
+			'onSelectCollection={ handleSelectCollection }'
+		);
+		expect( browser ).toContain(
+			"{ value: '0', label: 'All references' }"
+		);
+		expect( browser ).toMatch(
+			/fetchReferenceImages\( \{\s*collection: query\.collection,[\s\S]*?perPage: selectionLimit,[\s\S]*?onSelectCollection\( result\.images \);/
+		);
+	} );
+
+	it( 'accepts pasted and dropped reference images on the composer', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/useReferenceFileDrop\( \{\s*acceptedMimeTypes: referenceMimeTypes,\s*remainingSlots: referenceImageLimit - selectedRefs\.length,/
+		);
+		expect( source ).toMatch(
+			/className=\{ `kaigen-modal__composer[\s\S]*?\{ \.\.\.referenceDropZoneProps \}\s*>\s*<ReferenceImageChips/
+		);
+		expect( source ).toContain( 'await markAsReferenceImage( imageId );' );
+	} );
+
+	it( 'restores initial generation settings after the open reset', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+		const resetIndex = source.indexOf( 'setSelectedRefs( [] );' );
+		const restoreIndex = source.indexOf(
+			'restoreSettingsRef.current( initialSettings );'
+		);
+
+		expect( resetIndex ).toBeGreaterThan( -1 );
+		expect( restoreIndex ).toBeGreaterThan( resetIndex );
+		expect( source ).toContain(
+			'restoreSettingsRef.current = handleRestoreHistory;'
+		);
+	} );
+
 	it( 'shows reference image thumbnails at their full 150px size', () => {
 		const styles = fs.readFileSync(
 			path.join( __dirname, '../../assets/kaigen-admin.css' ),
@@ -357,17 +452,55 @@ describe( 'GenerateImageModal', () => {
 			'const [ generatedImage, setGeneratedImage ]'
 		);
 		expect( source ).toMatch(
-			/const media = await generateImage\(\s*prompt\.trim\(\),\s*options\s*\);[\s\S]*setGeneratedImage\(\s*media\s*\);[\s\S]*setSelectedRefs\(\s*getReferenceImageId\(\s*media\s*\)\s*\?\s*\[\s*media\s*\]\s*:\s*\[\s*\]\s*\);[\s\S]*onSelect\(\s*media\s*\);[\s\S]*setIsLoading\(\s*false\s*\);/s
+			/const handleSelectCandidate = \(\s*media\s*\) => \{[\s\S]*setGeneratedImage\(\s*media\s*\);[\s\S]*setSelectedRefs\(\s*getReferenceImageId\(\s*media\s*\)\s*\?\s*\[\s*media\s*\]\s*:\s*\[\s*\]\s*\);[\s\S]*onSelect\(\s*media\s*\);/s
 		);
 
 		const successBlock = source.match(
-			/try\s*\{[\s\S]*?const media = await generateImage[\s\S]*?\}\s*catch/
+			/try\s*\{[\s\S]*?const results = await generateImages[\s\S]*?\}\s*catch/
 		)?.[ 0 ];
 
 		expect( successBlock ).toBeTruthy();
 		expect( successBlock ).not.toContain( 'handleClose()' );
 	} );
 
+	it( 'only calls onSelect directly for a single candidate and lets the user pick from several', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/if\s*\(\s*results\.length === 1\s*\)\s*\{\s*handleSelectCandidate\(\s*results\[\s*0\s*\]\s*\);\s*\}\s*else\s*\{\s*setCandidates\(\s*results\s*\);/s
+		);
+		expect( source ).toMatch(
+			/className="kaigen-modal__candidates"[\s\S]*onClick=\{\s*\(\)\s*=>\s*handleSelectCandidate\(\s*candidate\s*\)/
+		);
+		expect( source ).toContain(
+			'const CANDIDATE_COUNT_OPTIONS = [ 1, 2, 3, 4 ];'
+		);
+	} );
+
+	it( 'deletes the candidates the user did not pick', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/const handleSelectCandidate = \( media \) => \{\s*releaseCandidates\(\s*media\.id\s*\);/
+		);
+		expect( source ).toMatch( /resolveCandidates\(\s*ids,\s*keptId\s*\)/ );
+		expect( source ).toMatch(
+			/const handleClose = \(\) => \{[\s\S]*?releaseCandidates\(\);/
+		);
+	} );
+
 	it( 'renders a generated image preview inside the modal stage', () => {
 		const source = fs.readFileSync(
 			path.join(
@@ -400,4 +533,184 @@ describe( 'GenerateImageModal', () => {
 			/\.kaigen-modal__generated-preview img\s*\{[^}]*height:\s*auto;[^}]*max-height:\s*min\(56vh,\s*540px\);[^}]*max-width:\s*min\(72vw,\s*760px\);[^}]*object-fit:\s*contain;[^}]*width:\s*auto;/s
 		);
 	} );
+
+	it( 'generates gallery images with bounded concurrency and reports each as it finishes', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toContain( 'const GALLERY_CONCURRENCY = 2;' );
+		expect( source ).toMatch(
+			/runWithConcurrency\(\s*tasks,\s*GALLERY_CONCURRENCY\s*\)/
+		);
+		expect( source ).toMatch(
+			/updateItem\(\s*index,\s*\{\s*status:\s*'done',\s*media\s*\}\s*\);\s*onSelect\(\s*media,\s*index\s*\);/
+		);
+		expect( source ).toMatch( /status:\s*'failed',\s*error:/ );
+	} );
+
+	it( 'only offers the mask editor when the selected provider supports it', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/const canEditMask\s*=\s*selectedProvider\?\.supportsMask === true/
+		);
+		expect( source ).toMatch(
+			/canEditMask && isMaskEditing && \(\s*<MaskCanvas/
+		);
+		expect( source ).toMatch(
+			/options\.sourceMask = maskDataUrl;\s*options\.sourceImageIds = \[\s*generatedImageId,/
+		);
+	} );
+
+	it( 'counts the mask against the reference image limit', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/supportsMask === true &&\s*referenceImageLimit > 1 &&/
+		);
+		expect( source ).toMatch(
+			/\]\.slice\(\s*0,\s*referenceImageLimit - 1\s*\);/
+		);
+	} );
+
+	it( 'places the style preset picker next to the aspect ratio and sends the chosen preset', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/\{ aspectRatioDropdown \}\s*<StylePresetDropdown/
+		);
+		expect( source ).toMatch(
+			/if \( presetId \) \{\s*options\.presetId = presetId;/
+		);
+		expect( source ).toMatch(
+			/setPresetId\(\s*entry\.preset_id \|\| null\s*\)/
+		);
+	} );
+
+	it( "removes the previous style preset's reference images when the preset changes", () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/const previousPresetImageIds = presetImageIdsRef\.current;\s*presetImageIdsRef\.current = \( preset\?\.reference_images \|\| \[\] \)\.map\(/
+		);
+		expect( source ).toMatch(
+			/! previousPresetImageIds\.includes\(\s*getReferenceImageId\( img \)\s*\)/
+		);
+	} );
+
+	it( 'only sends advanced options the selected provider supports', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/const supportedOptions = selectedProvider\?\.supportedOptions \|\| \[\];/
+		);
+		expect( source ).toMatch(
+			/supportedOptions\.includes\( 'negative_prompt' \)\s*&&\s*negativePrompt/
+		);
+		expect( source ).toMatch(
+			/supportedOptions\.includes\( 'seed' \) && seed >= 0/
+		);
+		expect( source ).toMatch(
+			/setLastSeed\(\s*results\[ 0 \]\?\.metadata\?\.seed \?\? null\s*\)/
+		);
+		expect( source ).toMatch(
+			/<AdvancedOptionsPanel[\s\S]*showCount=\{ ! isGalleryMode \}/
+		);
+	} );
+
+	it( 'offers prompt enhancement with undo in the prompt row', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+		const promptRow = source.match(
+			/<div className="kaigen-modal__prompt-row">[\s\S]*?<\/div>\s*<\/div>\s*\{ hasAdvancedOptions/
+		)[ 0 ];
+
+		expect( promptRow ).toContain( 'onClick={ handleEnhancePrompt }' );
+		expect( promptRow ).toMatch(
+			/promptBeforeEnhance !== null && \([\s\S]*onClick=\{ handleUndoEnhance \}/
+		);
+		expect( source ).toMatch(
+			/setPromptBeforeEnhance\(\s*null\s*\);\s*if \( isGalleryMode \)/
+		);
+	} );
+
+	it( 'shows the generations left and blocks generating once the quota is used up', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/if \( isOpen \) \{\s*fetchQuota\(\)\.then\( setQuota \);/
+		);
+		expect( source ).toMatch(
+			/const isQuotaUsedUp = quotaSummary\?\.remaining === 0;/
+		);
+		expect( source ).toMatch(
+			/formatQuotaSummary\( quotaSummary \)[\s\S]*className="kaigen-modal__submit-button"[\s\S]*?disabled=\{[^}]*isQuotaUsedUp\s*\}/
+		);
+	} );
+
+	it( 'falls back to the closest orientation for ratios the server rejects', () => {
+		const source = fs.readFileSync(
+			path.join(
+				__dirname,
+				'../../src/components/GenerateImageModal.js'
+			),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/! isValidAspectRatio\(\s*initialSizeWidth,\s*initialSizeHeight\s*\)/
+		);
+		expect( source ).toMatch(
+			/! hasUnsupportedInitialRatio\s*\?\s*\{\s*width: initialSizeWidth/
+		);
+		expect( source ).toMatch(
+			/if \( hasUnsupportedInitialRatio \) \{\s*setError\(/
+		);
+	} );
 } );
@@ -9,13 +9,13 @@ describe( 'addBlockEditFilter', () => {
 		);
 
 		expect( source ).toMatch(
-			/const currentImage\s*=\s*props\.attributes\.url\s*\?/
+			/const currentImage\s*=\s*blockImage\?\.url\s*\?/
 		);
 		expect( source ).toMatch(
 			/id:\s*hasValidId\s*\?\s*normalizedBlockId\s*:\s*undefined/
 		);
 		expect( source ).not.toMatch(
-			/const currentImage\s*=\s*hasValidId && props\.attributes\.url\s*\?/
+			/const currentImage\s*=\s*hasValidId && blockImage\?\.url\s*\?/
 		);
 	} );
 
@@ -26,7 +26,70 @@ describe( 'addBlockEditFilter', () => {
 		);
 
 		expect( source ).toMatch(
-			/props\.setAttributes\(\s*{\s*url: result\.url,\s*id: result\.id,\s*alt: result\.alt \|\| '',\s*}\s*\)/
+			/props\.setAttributes\(\s*getMediaAttributes\(\s*props\.name,\s*result\s*\)\s*\)/
+		);
+	} );
+	it( 'writes generated alt text to the block alt attribute', () => {
+		const source = fs.readFileSync(
+			path.join( __dirname, '../../src/filters/addBlockEditFilter.js' ),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/describeImage\(\s*normalizedBlockId,\s*\{\s*save:\s*!!\s*blockConfig\.isSiteLogo,?\s*\}\s*\)/
+		);
+		expect( source ).toMatch(
+			/\[\s*blockConfig\.attributes\.alt\s*\]:\s*alt/
+		);
+	} );
+	it( 'reopens the modal with the settings an image was generated with', () => {
+		const source = fs.readFileSync(
+			path.join( __dirname, '../../src/filters/addBlockEditFilter.js' ),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/<GenerationDetailsPanel\s+attachmentId=\{\s*normalizedBlockId\s*\}\s+onRegenerate=\{[\s\S]*?setRegenerateSettings\([\s\S]*?setIsModalOpen\(\s*true\s*\)/
+		);
+		expect( source ).toContain( 'initialSettings={ regenerateSettings }' );
+	} );
+	it( 'shows the provenance badge in the KaiGen inspector panel', () => {
+		const source = fs.readFileSync(
+			path.join( __dirname, '../../src/filters/addBlockEditFilter.js' ),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/<PanelBody title="KaiGen" initialOpen=\{ false \}>\s*<ProvenanceBadge\s+attachmentId=\{\s*normalizedBlockId\s*\}/
+		);
+	} );
+	it( 'files the image in reference collections from the inspector', () => {
+		const source = fs.readFileSync(
+			path.join( __dirname, '../../src/filters/addBlockEditFilter.js' ),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/<ReferenceCollectionsField\s+attachmentId=\{\s*normalizedBlockId\s*\}/
+		);
+		expect( source ).toMatch(
+			/collections\.length > 0[\s\S]*?setIsReferenceImage\(\s*true\s*\)/
+		);
+	} );
+	it( 'gives galleries a panel acting on the images inside them', () => {
+		const source = fs.readFileSync(
+			path.join( __dirname, '../../src/filters/addBlockEditFilter.js' ),
+			'utf8'
+		);
+
+		expect( source ).toMatch(
+			/select\(\s*'core\/block-editor'\s*\)\.getBlocks\(\s*props\.clientId\s*\)/
+		);
+		expect( source ).toMatch(
+			/blockConfig\.multiple &&\s*galleryImageIds\.length > 0 &&\s*isAvailable &&/
+		);
+		expect( source ).toMatch(
+			/galleryImageIds\.map\(\s*\( id \) =>\s*markAsReferenceImage\(\s*id\s*\)/
 		);
 	} );
 } );
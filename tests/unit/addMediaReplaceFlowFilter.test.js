@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+
+describe( 'addMediaReplaceFlowFilter', () => {
+	const source = fs.readFileSync(
+		path.join(
+			__dirname,
+			'../../src/filters/addMediaReplaceFlowFilter.js'
+		),
+		'utf8'
+	);
+
+	it( 'adds the KaiGen menu item and keeps the modal outside the closing menu', () => {
+		expect( source ).toContain( "'editor.MediaReplaceFlow'" );
+		expect( source ).toMatch( /variant="menu"/ );
+		expect( source ).toMatch(
+			/<\/OriginalMediaReplaceFlow>\s*<GenerateImageModal/
+		);
+	} );
+
+	it( 'starts from the current image and records it when replacing', () => {
+		expect( source ).toMatch(
+			/initialReferenceImage=\{\s*currentImage\s*\}/
+		);
+		expect( source ).toMatch(
+			/recordReplacedAttachment\(\s*media\.id,\s*currentImage\.id\s*\)/
+		);
+		expect( source ).toContain( 'kaigen_replaced_attachment' );
+	} );
+} );
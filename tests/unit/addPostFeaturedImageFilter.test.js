@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+
+describe( 'addPostFeaturedImageFilter', () => {
+	const source = fs.readFileSync(
+		path.join(
+			__dirname,
+			'../../src/filters/addPostFeaturedImageFilter.js'
+		),
+		'utf8'
+	);
+
+	it( 'pre-fills the modal prompt from the post title and excerpt', () => {
+		expect( source ).toContain( "getEditedPostAttribute( 'title' )" );
+		expect( source ).toContain( "getEditedPostAttribute( 'excerpt' )" );
+		expect( source ).toMatch( /initialPrompt=\{\s*initialPrompt\s*\}/ );
+	} );
+
+	it( 'sets the generated image as the featured image', () => {
+		expect( source ).toMatch(
+			/editPost\(\s*{\s*featured_media:\s*media\.id,\s*}\s*\)/
+		);
+	} );
+} );
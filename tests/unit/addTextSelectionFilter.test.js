@@ -0,0 +1,26 @@
+import fs from 'fs';
+import path from 'path';
+
+describe( 'addTextSelectionFilter', () => {
+	const source = fs.readFileSync(
+		path.join( __dirname, '../../src/filters/addTextSelectionFilter.js' ),
+		'utf8'
+	);
+
+	it( 'renders the text selection toolbar for paragraph, heading and list blocks', () => {
+		expect( source ).toContain( "'core/paragraph'" );
+		expect( source ).toContain( "'core/heading'" );
+		expect( source ).toContain( "'core/list'" );
+		expect( source ).toMatch( /isTextSelected=\{\s*true\s*\}/ );
+		expect( source ).toMatch(
+			/onGenerateImage=\{\s*handleGenerateImage\s*\}/
+		);
+	} );
+
+	it( 'inserts the generated image right after the current block', () => {
+		expect( source ).toMatch( /createBlock\(\s*'core\/image'/ );
+		expect( source ).toMatch(
+			/getBlockIndex\(\s*anchorClientId\s*\)\s*\+\s*1/
+		);
+	} );
+} );
@@ -1,6 +1,33 @@
 import apiFetch from '@wordpress/api-fetch';
 
-import { generateImage } from '../../src/api';
+import {
+	createStylePreset,
+	deletePromptHistoryEntry,
+	deleteStylePreset,
+	describeImage,
+	enhancePrompt,
+	fetchGenerationDetails,
+	fetchImageCollections,
+	fetchImageProvenance,
+	fetchImagesById,
+	fetchPluginSettings,
+	fetchPromptHistory,
+	fetchQuota,
+	fetchReferenceCollections,
+	fetchReferenceImages,
+	fetchStylePresets,
+	fetchUsageStats,
+	generateImage,
+	generateImages,
+	isAbortError,
+	markAsReferenceImage,
+	resolveCandidates,
+	updateImageCollections,
+	updateImagePrices,
+	updatePluginSettings,
+	uploadMediaImage,
+	uploadReferenceImage,
+} from '../../src/api';
 
 jest.mock( '@wordpress/api-fetch' );
 
@@ -45,6 +72,20 @@ describe( 'generateImage', () => {
 		} );
 	} );
 
+	it( 'uses the alt text written by the server over the prompt', async () => {
+		apiFetch.mockResolvedValue( {
+			id: 125,
+			url: 'https://example.com/generated-image.jpg',
+			alt: 'A robot with a brush in front of a half-painted wall',
+		} );
+
+		const media = await generateImage( 'A robot painting a mural' );
+
+		expect( media.alt ).toBe(
+			'A robot with a brush in front of a half-painted wall'
+		);
+	} );
+
 	it( 'does not post URL-only reference images', async () => {
 		apiFetch.mockResolvedValue( {
 			id: 124,
@@ -82,3 +123,756 @@ describe( 'generateImage', () => {
 		);
 	} );
 } );
+
+describe( 'generateImages', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'requests several candidates and returns one media object per image', async () => {
+		apiFetch.mockResolvedValue( {
+			id: 201,
+			url: 'https://example.com/one.jpg',
+			images: [
+				{ id: 201, url: 'https://example.com/one.jpg' },
+				{ id: 202, url: 'https://example.com/two.jpg' },
+			],
+			metadata: { provider: 'google' },
+		} );
+
+		const media = await generateImages( 'Two lighthouses', {
+			provider: 'google',
+			count: 2,
+		} );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/generate-image',
+			method: 'POST',
+			data: {
+				prompt: 'Two lighthouses',
+				provider: 'google',
+				orientation: 'square',
+				count: 2,
+			},
+		} );
+		expect( media.map( ( item ) => item.id ) ).toEqual( [ 201, 202 ] );
+		expect( media[ 1 ] ).toEqual( {
+			id: 202,
+			url: 'https://example.com/two.jpg',
+			alt: 'Two lighthouses',
+			caption: '',
+			metadata: { provider: 'google' },
+		} );
+	} );
+
+	it( 'sends advanced options using the REST parameter names', async () => {
+		apiFetch.mockResolvedValue( {
+			id: 204,
+			url: 'https://example.com/advanced.webp',
+			metadata: { seed: 42 },
+		} );
+
+		const [ media ] = await generateImages( 'A foggy harbor', {
+			negativePrompt: 'people',
+			seed: 42,
+			quality: 'high',
+			outputMimeType: 'image/webp',
+		} );
+
+		expect( apiFetch ).toHaveBeenCalledWith(
+			expect.objectContaining( {
+				data: expect.objectContaining( {
+					negative_prompt: 'people',
+					seed: 42,
+					quality: 'high',
+					output_mime_type: 'image/webp',
+				} ),
+			} )
+		);
+		expect( media.metadata.seed ).toBe( 42 );
+	} );
+
+	it( 'sends an aspect ratio or an exact pixel size to crop to', async () => {
+		apiFetch.mockResolvedValue( {
+			id: 205,
+			url: 'https://example.com/cropped.jpg',
+		} );
+
+		await generateImage( 'A wide banner', {
+			size: { width: 21, height: 9, exact: false },
+		} );
+		await generateImage( 'A social card', {
+			size: { width: 1200, height: 630, exact: true },
+		} );
+
+		expect( apiFetch.mock.calls[ 0 ][ 0 ].data.aspect_ratio ).toBe(
+			'21:9'
+		);
+		expect( apiFetch.mock.calls[ 1 ][ 0 ].data ).toEqual(
+			expect.objectContaining( { width: 1200, height: 630 } )
+		);
+		expect( apiFetch.mock.calls[ 1 ][ 0 ].data ).not.toHaveProperty(
+			'aspect_ratio'
+		);
+	} );
+
+	it( 'sends the inpainting mask with the image it was painted on', async () => {
+		apiFetch.mockResolvedValue( {
+			id: 203,
+			url: 'https://example.com/edited.jpg',
+		} );
+
+		await generateImage( 'Replace the sky', {
+			sourceImageIds: [ 42 ],
+			sourceMask: 'data:image/png;base64,iVBORw0KGgo=',
+		} );
+
+		expect( apiFetch ).toHaveBeenCalledWith(
+			expect.objectContaining( {
+				data: expect.objectContaining( {
+					source_image_ids: [ 42 ],
+					source_mask: 'data:image/png;base64,iVBORw0KGgo=',
+				} ),
+			} )
+		);
+	} );
+} );
+
+describe( 'generation jobs', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+		jest.useFakeTimers();
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+	} );
+
+	it( 'polls a queued job and reports each server status', async () => {
+		apiFetch
+			.mockResolvedValueOnce( { job_id: 'job-1', status: 'queued' } )
+			.mockResolvedValueOnce( { job_id: 'job-1', status: 'running' } )
+			.mockResolvedValueOnce( {
+				job_id: 'job-1',
+				status: 'done',
+				result: {
+					id: 301,
+					url: 'https://example.com/queued.jpg',
+				},
+			} );
+		const onStatus = jest.fn();
+
+		const pending = generateImage( 'A queued robot', { onStatus } );
+		await jest.advanceTimersByTimeAsync( 4000 );
+		const media = await pending;
+
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/kaigen/v1/jobs/job-1',
+			method: 'GET',
+		} );
+		expect( onStatus.mock.calls.map( ( [ status ] ) => status ) ).toEqual( [
+			'queued',
+			'running',
+			'done',
+		] );
+		expect( media.id ).toBe( 301 );
+	} );
+
+	it( 'throws the server error when a job fails', async () => {
+		apiFetch
+			.mockResolvedValueOnce( { job_id: 'job-2', status: 'queued' } )
+			.mockResolvedValueOnce( {
+				job_id: 'job-2',
+				status: 'failed',
+				error: {
+					code: 'ai_generation_failed',
+					message: 'Rate limited',
+				},
+			} );
+
+		const pending = generateImage( 'A failing robot' ).catch(
+			( error ) => error
+		);
+		await jest.advanceTimersByTimeAsync( 2000 );
+		const error = await pending;
+
+		expect( error.message ).toBe( 'Rate limited' );
+	} );
+
+	it( 'gives up and cancels a job that never finishes', async () => {
+		apiFetch.mockImplementation( ( { method } ) =>
+			Promise.resolve( {
+				job_id: 'job-4',
+				status: method === 'DELETE' ? 'cancelled' : 'queued',
+			} )
+		);
+
+		const pending = generateImage( 'A stuck robot' ).catch(
+			( error ) => error
+		);
+		await jest.advanceTimersByTimeAsync( 25 * 60 * 1000 + 2000 );
+		const error = await pending;
+
+		expect( error.message ).toBe(
+			'The image took too long to generate. Please try again.'
+		);
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/kaigen/v1/jobs/job-4',
+			method: 'DELETE',
+		} );
+	} );
+} );
+
+describe( 'cancelling a generation', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+		jest.useFakeTimers();
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+	} );
+
+	it( 'cancels the server job and rejects with an AbortError', async () => {
+		apiFetch
+			.mockResolvedValueOnce( { job_id: 'job-3', status: 'queued' } )
+			.mockResolvedValueOnce( { job_id: 'job-3', status: 'cancelled' } );
+		const controller = new AbortController();
+
+		const pending = generateImage( 'A cancelled robot', {
+			signal: controller.signal,
+		} ).catch( ( error ) => error );
+		await jest.advanceTimersByTimeAsync( 0 );
+		controller.abort();
+		const error = await pending;
+
+		expect( isAbortError( error ) ).toBe( true );
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/kaigen/v1/jobs/job-3',
+			method: 'DELETE',
+		} );
+	} );
+
+	it( 'cancels the job queued by a request that was still in flight when aborted', async () => {
+		let respond;
+		apiFetch
+			.mockReturnValueOnce(
+				new Promise( ( resolve ) => {
+					respond = resolve;
+				} )
+			)
+			.mockResolvedValueOnce( { job_id: 'job-4', status: 'cancelled' } );
+		const controller = new AbortController();
+
+		const pending = generateImage( 'A robot cancelled early', {
+			signal: controller.signal,
+		} ).catch( ( error ) => error );
+		controller.abort();
+
+		expect( isAbortError( await pending ) ).toBe( true );
+		expect( apiFetch ).toHaveBeenCalledTimes( 1 );
+
+		respond( { job_id: 'job-4', status: 'queued' } );
+		await jest.advanceTimersByTimeAsync( 0 );
+
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/kaigen/v1/jobs/job-4',
+			method: 'DELETE',
+		} );
+	} );
+} );
+
+describe( 'prompt history', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'returns an empty list when the history request fails', async () => {
+		apiFetch.mockRejectedValue( new Error( 'Forbidden' ) );
+
+		await expect( fetchPromptHistory() ).resolves.toEqual( [] );
+	} );
+
+	it( 'deletes a history entry by ID', async () => {
+		apiFetch.mockResolvedValue( { deleted: true } );
+
+		await deletePromptHistoryEntry( 'a1b2c3' );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/history/a1b2c3',
+			method: 'DELETE',
+		} );
+	} );
+} );
+
+describe( 'resolveCandidates', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'keeps the picked candidate and deletes the others', async () => {
+		apiFetch.mockResolvedValue( { deleted: [ 11, 13 ] } );
+
+		await resolveCandidates( [ 11, 13 ], 12 );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/candidates',
+			method: 'DELETE',
+			data: { ids: [ 11, 13 ], keep: 12 },
+		} );
+	} );
+} );
+
+describe( 'fetchQuota', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'fetches the current user quota', async () => {
+		const quota = {
+			daily: { limit: 10, used: 3, remaining: 7 },
+			monthly: { limit: 0, used: 3, remaining: null },
+		};
+		apiFetch.mockResolvedValue( quota );
+
+		await expect( fetchQuota() ).resolves.toEqual( quota );
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/quota',
+			method: 'GET',
+		} );
+	} );
+
+	it( 'returns null when the quota request fails', async () => {
+		apiFetch.mockRejectedValue( new Error( 'Forbidden' ) );
+
+		await expect( fetchQuota() ).resolves.toBeNull();
+	} );
+} );
+
+describe( 'usage stats', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'fetches usage for the requested number of days', async () => {
+		apiFetch.mockResolvedValue( { days: [], totals: {} } );
+
+		await fetchUsageStats( 30 );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/stats?days=30',
+			method: 'GET',
+		} );
+	} );
+
+	it( 'saves image prices', async () => {
+		const prices = [
+			{ provider: 'OpenAI', model: 'gpt-image-1', price: 0.04 },
+		];
+		apiFetch.mockResolvedValue( { OpenAI: { 'gpt-image-1': 0.04 } } );
+
+		await updateImagePrices( prices );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/stats/prices',
+			method: 'POST',
+			data: { prices },
+		} );
+	} );
+
+	it( 'reports a failed usage request', async () => {
+		apiFetch.mockRejectedValue( {
+			message: 'Sorry, you are not allowed.',
+		} );
+
+		await expect( fetchUsageStats( 7 ) ).rejects.toThrow(
+			'Sorry, you are not allowed.'
+		);
+	} );
+} );
+
+describe( 'plugin settings', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'reads the KaiGen settings from the REST settings endpoint', async () => {
+		apiFetch.mockResolvedValue( {
+			title: 'Site',
+			kaigen_settings: { provider: 'auto', timeout: 180 },
+		} );
+
+		await expect( fetchPluginSettings() ).resolves.toEqual( {
+			provider: 'auto',
+			timeout: 180,
+		} );
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/wp/v2/settings',
+			method: 'GET',
+		} );
+	} );
+
+	it( 'saves the KaiGen settings under their option name', async () => {
+		const settings = { provider: 'openai', timeout: 240 };
+		apiFetch.mockResolvedValue( { kaigen_settings: settings } );
+
+		await expect( updatePluginSettings( settings ) ).resolves.toEqual(
+			settings
+		);
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/wp/v2/settings',
+			method: 'POST',
+			data: { kaigen_settings: settings },
+		} );
+	} );
+} );
+
+describe( 'style presets', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'returns an empty list when the presets request fails', async () => {
+		apiFetch.mockRejectedValue( new Error( 'Forbidden' ) );
+
+		await expect( fetchStylePresets() ).resolves.toEqual( [] );
+	} );
+
+	it( 'creates and deletes presets through the presets resource', async () => {
+		apiFetch.mockResolvedValue( { id: 'p1' } );
+
+		await createStylePreset( {
+			name: 'Brand flat',
+			prompt: 'Flat illustration, brand blues',
+		} );
+		await deleteStylePreset( 'p1' );
+
+		expect( apiFetch ).toHaveBeenNthCalledWith( 1, {
+			path: '/kaigen/v1/presets',
+			method: 'POST',
+			data: {
+				name: 'Brand flat',
+				prompt: 'Flat illustration, brand blues',
+			},
+		} );
+		expect( apiFetch ).toHaveBeenNthCalledWith( 2, {
+			path: '/kaigen/v1/presets/p1',
+			method: 'DELETE',
+		} );
+	} );
+
+	it( 'sends the chosen preset with the generation request', async () => {
+		apiFetch.mockResolvedValue( {
+			id: 401,
+			url: 'https://example.com/preset.jpg',
+		} );
+
+		await generateImage( 'A product shot', { presetId: 'p1' } );
+
+		expect( apiFetch ).toHaveBeenCalledWith(
+			expect.objectContaining( {
+				data: expect.objectContaining( { preset_id: 'p1' } ),
+			} )
+		);
+	} );
+} );
+
+describe( 'enhancePrompt', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'returns the rewritten prompt', async () => {
+		apiFetch.mockResolvedValue( {
+			prompt: 'A lighthouse at dusk, wide shot, warm rim light',
+		} );
+
+		await expect( enhancePrompt( 'A lighthouse' ) ).resolves.toBe(
+			'A lighthouse at dusk, wide shot, warm rim light'
+		);
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/enhance-prompt',
+			method: 'POST',
+			data: { prompt: 'A lighthouse' },
+		} );
+	} );
+
+	it( 'surfaces the server error message', async () => {
+		apiFetch.mockRejectedValue(
+			new Error(
+				'No configured WordPress AI provider supports text generation.'
+			)
+		);
+
+		await expect( enhancePrompt( 'A lighthouse' ) ).rejects.toThrow(
+			'No configured WordPress AI provider supports text generation.'
+		);
+	} );
+} );
+
+describe( 'describeImage', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'returns the alt text without saving it by default', async () => {
+		apiFetch.mockResolvedValue( {
+			attachment_id: 42,
+			alt: 'A red bicycle leaning on a brick wall',
+			saved: false,
+		} );
+
+		await expect( describeImage( 42 ) ).resolves.toBe(
+			'A red bicycle leaning on a brick wall'
+		);
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/describe-image',
+			method: 'POST',
+			data: { attachment_id: 42, save: false },
+		} );
+	} );
+
+	it( 'asks the server to save the alt text on request', async () => {
+		apiFetch.mockResolvedValue( { alt: 'A logo', saved: true } );
+
+		await describeImage( 7, { save: true } );
+
+		expect( apiFetch ).toHaveBeenCalledWith(
+			expect.objectContaining( {
+				data: { attachment_id: 7, save: true },
+			} )
+		);
+	} );
+
+	it( 'surfaces the server error message', async () => {
+		apiFetch.mockRejectedValue(
+			new Error(
+				'No configured WordPress AI provider can describe images.'
+			)
+		);
+
+		await expect( describeImage( 42 ) ).rejects.toThrow(
+			'No configured WordPress AI provider can describe images.'
+		);
+	} );
+} );
+
+describe( 'reference images', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'requests a page of reference images and reads the page count', async () => {
+		apiFetch.mockResolvedValue( {
+			json: () => Promise.resolve( [ { id: 5, url: 'a.jpg' } ] ),
+			headers: { get: () => '3' },
+		} );
+
+		await expect(
+			fetchReferenceImages( {
+				search: 'cat',
+				page: 2,
+				perPage: 10,
+				orderby: 'usage',
+			} )
+		).resolves.toEqual( {
+			images: [ { id: 5, url: 'a.jpg' } ],
+			totalPages: 3,
+		} );
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/reference-images?page=2&per_page=10&orderby=usage&search=cat',
+			method: 'GET',
+			parse: false,
+		} );
+	} );
+
+	it( 'surfaces errors instead of returning an empty library', async () => {
+		apiFetch.mockRejectedValue(
+			new Error( 'Sorry, you are not allowed.' )
+		);
+
+		await expect( fetchReferenceImages() ).rejects.toThrow(
+			'Sorry, you are not allowed.'
+		);
+	} );
+
+	it( 'uploads a new reference image as form data', async () => {
+		const file = new window.File( [ 'image' ], 'cat.png', {
+			type: 'image/png',
+		} );
+		apiFetch.mockResolvedValue( { id: 9, url: 'cat.png' } );
+
+		await expect( uploadReferenceImage( file ) ).resolves.toEqual( {
+			id: 9,
+			url: 'cat.png',
+		} );
+
+		const [ request ] = apiFetch.mock.calls[ 0 ];
+		expect( request.path ).toBe( '/kaigen/v1/reference-images' );
+		expect( request.method ).toBe( 'POST' );
+		expect( request.body.get( 'file' ).name ).toBe( 'cat.png' );
+	} );
+
+	it( 'uploads pasted images through the media endpoint without marking them', async () => {
+		const file = new window.File( [ 'image' ], 'paste.png', {
+			type: 'image/png',
+		} );
+		apiFetch.mockResolvedValue( {
+			id: 12,
+			source_url: 'paste.png',
+			alt_text: '',
+			media_details: {
+				sizes: { thumbnail: { source_url: 'paste-150x150.png' } },
+			},
+		} );
+
+		await expect( uploadMediaImage( file ) ).resolves.toEqual( {
+			id: 12,
+			url: 'paste.png',
+			thumbnail_url: 'paste-150x150.png',
+			alt: '',
+		} );
+
+		const [ request ] = apiFetch.mock.calls[ 0 ];
+		expect( request.path ).toBe( '/wp/v2/media' );
+		expect( request.body.get( 'file' ).name ).toBe( 'paste.png' );
+	} );
+
+	it( 'marks an uploaded image as a reference image', async () => {
+		apiFetch.mockResolvedValue( {} );
+
+		await markAsReferenceImage( 12 );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/wp/v2/media/12',
+			method: 'POST',
+			data: { meta: { kaigen_reference_image: true } },
+		} );
+	} );
+
+	it( 'filters reference images by collection', async () => {
+		apiFetch.mockResolvedValue( {
+			json: () => Promise.resolve( [] ),
+			headers: { get: () => '0' },
+		} );
+
+		await fetchReferenceImages( { collection: 7, perPage: 4 } );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/reference-images?page=1&per_page=4&orderby=date&collection=7',
+			method: 'GET',
+			parse: false,
+		} );
+	} );
+} );
+
+describe( 'generation details', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'reads the generation settings from attachment meta in the edit context', async () => {
+		const details = { prompt: 'A cat', provider: 'openai', seed: 4 };
+		apiFetch.mockResolvedValue( { meta: { kaigen_generation: details } } );
+
+		await expect( fetchGenerationDetails( 8 ) ).resolves.toEqual( details );
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/wp/v2/media/8?context=edit',
+		} );
+	} );
+
+	it( 'returns null for images KaiGen did not generate', async () => {
+		apiFetch.mockResolvedValue( { meta: { kaigen_generation: [] } } );
+
+		await expect( fetchGenerationDetails( 8 ) ).resolves.toBeNull();
+	} );
+
+	it( 'fetches reference images by ID in order', async () => {
+		apiFetch.mockResolvedValue( [
+			{ id: 3, source_url: 'c.png', alt_text: 'C' },
+		] );
+
+		await expect( fetchImagesById( [ 3, 9 ] ) ).resolves.toEqual( [
+			{ id: 3, url: 'c.png', thumbnail_url: 'c.png', alt: 'C' },
+		] );
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/wp/v2/media?include=3,9&per_page=2&orderby=include',
+		} );
+		await expect( fetchImagesById( [] ) ).resolves.toEqual( [] );
+		expect( apiFetch ).toHaveBeenCalledTimes( 1 );
+	} );
+} );
+
+describe( 'image provenance', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'reads the provenance embedded in the image file', async () => {
+		const provenance = { is_ai_generated: true, model: 'gpt-image-1' };
+		apiFetch.mockResolvedValue( { attachment_id: 4, provenance } );
+
+		await expect( fetchImageProvenance( 4 ) ).resolves.toEqual(
+			provenance
+		);
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/kaigen/v1/provenance/4',
+			method: 'GET',
+		} );
+	} );
+
+	it( 'returns null when the file carries no provenance', async () => {
+		apiFetch.mockResolvedValue( { attachment_id: 4, provenance: null } );
+
+		await expect( fetchImageProvenance( 4 ) ).resolves.toBeNull();
+	} );
+} );
+
+describe( 'reference collections', () => {
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'lists collections and falls back to none on error', async () => {
+		apiFetch.mockResolvedValueOnce( [
+			{ id: 7, name: 'Mascot', count: 3 },
+		] );
+		await expect( fetchReferenceCollections() ).resolves.toEqual( [
+			{ id: 7, name: 'Mascot', count: 3 },
+		] );
+
+		apiFetch.mockRejectedValueOnce( new Error( 'Nope' ) );
+		await expect( fetchReferenceCollections() ).resolves.toEqual( [] );
+	} );
+
+	it( "reads and replaces an image's collections", async () => {
+		apiFetch.mockResolvedValueOnce( [ 'Mascot' ] );
+		await expect( fetchImageCollections( 5 ) ).resolves.toEqual( [
+			'Mascot',
+		] );
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/kaigen/v1/reference-images/5/collections',
+			method: 'GET',
+		} );
+
+		apiFetch.mockResolvedValueOnce( [ 'Mascot', 'Office' ] );
+		await expect(
+			updateImageCollections( 5, [ 'Mascot', 'Office' ] )
+		).resolves.toEqual( [ 'Mascot', 'Office' ] );
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/kaigen/v1/reference-images/5/collections',
+			method: 'POST',
+			data: { collections: [ 'Mascot', 'Office' ] },
+		} );
+	} );
+
+	it( 'surfaces errors when saving collections fails', async () => {
+		apiFetch.mockRejectedValue(
+			new Error( 'You are not allowed to edit this image.' )
+		);
+
+		await expect(
+			updateImageCollections( 5, [ 'Mascot' ] )
+		).rejects.toThrow( 'You are not allowed to edit this image.' );
+	} );
+} );
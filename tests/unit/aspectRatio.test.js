@@ -0,0 +1,58 @@
+import {
+	getClosestOrientation,
+	getImageBlockSize,
+	isValidAspectRatio,
+	parseAspectRatio,
+} from '../../src/utils/aspectRatio';
+
+describe( 'aspectRatio', () => {
+	it( 'picks the closest native orientation for a ratio', () => {
+		expect( getClosestOrientation( 21, 9 ) ).toBe( 'landscape' );
+		expect( getClosestOrientation( 3, 2 ) ).toBe( 'landscape' );
+		expect( getClosestOrientation( 2, 3 ) ).toBe( 'portrait' );
+		expect( getClosestOrientation( 5, 4 ) ).toBe( 'square' );
+	} );
+
+	it( 'parses the ratio formats used by the image block', () => {
+		expect( parseAspectRatio( '4/3' ) ).toEqual( { width: 4, height: 3 } );
+		expect( parseAspectRatio( '21:9' ) ).toEqual( {
+			width: 21,
+			height: 9,
+		} );
+		expect( parseAspectRatio( '1' ) ).toEqual( { width: 1, height: 1 } );
+		expect( parseAspectRatio( 'auto' ) ).toBeNull();
+	} );
+
+	it( 'reduces ratios over the server limit and accepts only the terms it allows', () => {
+		expect( parseAspectRatio( '1920:1080' ) ).toEqual( {
+			width: 16,
+			height: 9,
+		} );
+		expect( parseAspectRatio( '42:18' ) ).toEqual( {
+			width: 42,
+			height: 18,
+		} );
+		expect( isValidAspectRatio( 16, 9 ) ).toBe( true );
+		expect( isValidAspectRatio( 99, 1 ) ).toBe( true );
+		expect( isValidAspectRatio( 100, 1 ) ).toBe( false );
+		expect( getImageBlockSize( { aspectRatio: '100:1' } ) ).toEqual( {
+			width: 100,
+			height: 1,
+			exact: false,
+		} );
+	} );
+
+	it( 'prefers exact pixel dimensions over the aspect ratio', () => {
+		expect(
+			getImageBlockSize( {
+				width: '1200px',
+				height: 630,
+				aspectRatio: '16/9',
+			} )
+		).toEqual( { width: 1200, height: 630, exact: true } );
+		expect(
+			getImageBlockSize( { width: '50%', aspectRatio: '3/2' } )
+		).toEqual( { width: 3, height: 2, exact: false } );
+		expect( getImageBlockSize( {} ) ).toBeNull();
+	} );
+} );
@@ -0,0 +1,45 @@
+import { runWithConcurrency } from '../../src/utils/concurrency';
+
+describe( 'runWithConcurrency', () => {
+	it( 'never runs more tasks than the limit at once', async () => {
+		let running = 0;
+		let maxRunning = 0;
+		const tasks = [ 1, 2, 3, 4, 5 ].map( ( value ) => async () => {
+			running++;
+			maxRunning = Math.max( maxRunning, running );
+			await Promise.resolve();
+			running--;
+			return value;
+		} );
+
+		const results = await runWithConcurrency( tasks, 2 );
+
+		expect( maxRunning ).toBe( 2 );
+		expect( results.map( ( result ) => result.value ) ).toEqual( [
+			1, 2, 3, 4, 5,
+		] );
+	} );
+
+	it( 'keeps running the remaining tasks when one fails', async () => {
+		const tasks = [
+			async () => 'first',
+			async () => {
+				throw new Error( 'Provider error' );
+			},
+			async () => 'third',
+		];
+
+		const results = await runWithConcurrency( tasks, 1 );
+
+		expect( results[ 0 ] ).toEqual( {
+			status: 'fulfilled',
+			value: 'first',
+		} );
+		expect( results[ 1 ].status ).toBe( 'rejected' );
+		expect( results[ 1 ].reason.message ).toBe( 'Provider error' );
+		expect( results[ 2 ] ).toEqual( {
+			status: 'fulfilled',
+			value: 'third',
+		} );
+	} );
+} );
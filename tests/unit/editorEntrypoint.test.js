@@ -2,7 +2,7 @@ import fs from 'fs';
 import path from 'path';
 
 describe( 'editor entrypoint', () => {
-	it( 'loads image placeholder and toolbar integrations without the replace menu integration', () => {
+	it( 'loads image placeholder, replace menu and toolbar integrations', () => {
 		const entrypoint = fs.readFileSync(
 			path.join( __dirname, '../../src/index.js' ),
 			'utf8'
@@ -10,8 +10,11 @@ describe( 'editor entrypoint', () => {
 
 		expect( entrypoint ).toContain( './filters/addMediaPlaceholderFilter' );
 		expect( entrypoint ).toContain( './filters/addBlockEditFilter' );
-		expect( entrypoint ).not.toContain(
-			'./filters/addMediaReplaceFlowFilter'
+		expect( entrypoint ).toContain( './filters/addTextSelectionFilter' );
+		expect( entrypoint ).toContain(
+			'./filters/addPostFeaturedImageFilter'
 		);
+		expect( entrypoint ).toContain( './plugins/altTextAudit' );
+		expect( entrypoint ).toContain( './filters/addMediaReplaceFlowFilter' );
 	} );
 } );
@@ -39,4 +39,20 @@ describe( 'isKaiGenAvailable', () => {
 
 		expect( isKaiGenAvailable() ).toBe( true );
 	} );
+
+	it( 'falls back to localized settings outside the block editor', () => {
+		select.mockReturnValue( undefined );
+		window.kaiGen = {
+			settings: {
+				is_ai_client_available: true,
+				providers: [ { id: 'openai', name: 'OpenAI' } ],
+			},
+		};
+
+		try {
+			expect( isKaiGenAvailable() ).toBe( true );
+		} finally {
+			delete window.kaiGen;
+		}
+	} );
 } );
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+
+describe( 'media frame entrypoint', () => {
+	it( 'is built alongside the editor entrypoint', () => {
+		const packageJson = JSON.parse(
+			fs.readFileSync(
+				path.join( __dirname, '../../package.json' ),
+				'utf8'
+			)
+		);
+
+		expect( packageJson.scripts.build ).toContain( 'src/index.js' );
+		expect( packageJson.scripts.build ).toContain( 'src/media.js' );
+	} );
+
+	it( 'adds the KaiGen tab to both select and post media frames', () => {
+		const entrypoint = fs.readFileSync(
+			path.join( __dirname, '../../src/media.js' ),
+			'utf8'
+		);
+
+		expect( entrypoint ).toMatch(
+			/MediaFrame\.Select = withKaiGenTab\(\s*MediaFrame\.Select\s*\)/
+		);
+		expect( entrypoint ).toMatch(
+			/MediaFrame\.Post = withKaiGenTab\(\s*MediaFrame\.Post\s*\)/
+		);
+		expect( entrypoint ).toMatch( /isInline=\{\s*true\s*\}/ );
+		expect( entrypoint ).toContain( "state.get( 'selection' )?.add(" );
+	} );
+
+	it( 'filters the attachments browser by KaiGen source', () => {
+		const entrypoint = fs.readFileSync(
+			path.join( __dirname, '../../src/media.js' ),
+			'utf8'
+		);
+		const admin = fs.readFileSync(
+			path.join( __dirname, '../../inc/class-admin.php' ),
+			'utf8'
+		);
+
+		expect( entrypoint ).toMatch(
+			/view\.AttachmentsBrowser = withSourceFilter\(\s*view\.AttachmentsBrowser\s*\)/
+		);
+		expect( entrypoint ).toContain( 'props: { kaigen_source: value }' );
+		expect( admin ).toContain(
+			"public const MEDIA_SOURCES = [ 'generated', 'reference', 'other' ];"
+		);
+		expect( admin ).toContain( "$_REQUEST['query']['kaigen_source']" );
+		[ 'generated', 'reference', 'other' ].forEach( ( source ) => {
+			expect( entrypoint ).toContain( `value: '${ source }'` );
+		} );
+	} );
+
+	it( 'loads the notices store the modal reports to', () => {
+		const admin = fs.readFileSync(
+			path.join( __dirname, '../../inc/class-admin.php' ),
+			'utf8'
+		);
+
+		expect( admin ).toContain(
+			"array_merge( $asset['dependencies'], [ 'media-views', 'wp-notices' ] )"
+		);
+	} );
+} );
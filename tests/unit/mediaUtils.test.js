@@ -0,0 +1,159 @@
+import {
+	getCurrentImage,
+	getImageBlocksMissingAlt,
+	getMediaAttributes,
+	shouldDisplayForSelectedMediaBlock,
+} from '../../src/filters/mediaUtils';
+
+jest.mock( '@wordpress/blocks', () => ( {
+	createBlock: jest.fn(),
+} ) );
+
+describe( 'mediaUtils', () => {
+	it( 'reads the current image from each block attribute mapping', () => {
+		expect(
+			getCurrentImage( {
+				name: 'core/media-text',
+				attributes: {
+					mediaUrl: 'https://example.com/side.jpg',
+					mediaId: 12,
+					mediaAlt: 'Side image',
+				},
+			} )
+		).toEqual( {
+			url: 'https://example.com/side.jpg',
+			id: 12,
+			alt: 'Side image',
+		} );
+		expect(
+			getCurrentImage( {
+				name: 'core/cover',
+				attributes: { url: 'https://example.com/cover.jpg', id: 7 },
+			} )
+		).toEqual( {
+			url: 'https://example.com/cover.jpg',
+			id: 7,
+			alt: '',
+		} );
+		expect(
+			getCurrentImage(
+				{
+					name: 'core/site-logo',
+					attributes: {},
+				},
+				{
+					id: 40,
+					source_url: 'https://example.com/logo.png',
+					alt_text: 'Logo',
+				}
+			)
+		).toEqual( {
+			url: 'https://example.com/logo.png',
+			id: 40,
+			alt: 'Logo',
+		} );
+	} );
+
+	it( 'maps generated media onto block attributes and updates alt text', () => {
+		const media = {
+			id: 55,
+			url: 'https://example.com/generated.jpg',
+			alt: 'A generated skyline',
+		};
+
+		expect( getMediaAttributes( 'core/image', media ) ).toEqual( {
+			url: media.url,
+			id: 55,
+			alt: 'A generated skyline',
+		} );
+		expect( getMediaAttributes( 'core/cover', media ) ).toEqual( {
+			backgroundType: 'image',
+			url: media.url,
+			id: 55,
+			alt: 'A generated skyline',
+		} );
+		expect(
+			getMediaAttributes( 'core/media-text', { url: media.url } )
+		).toEqual( {
+			mediaType: 'image',
+			mediaUrl: media.url,
+			mediaId: undefined,
+			mediaAlt: '',
+		} );
+	} );
+
+	it( 'shows the placeholder button for image-capable placeholders of supported blocks', () => {
+		const cover = { name: 'core/cover', attributes: {} };
+		const gallery = { name: 'core/gallery', attributes: {} };
+
+		expect(
+			shouldDisplayForSelectedMediaBlock(
+				{ allowedTypes: [ 'image', 'video' ] },
+				cover,
+				{ requireEmptyImage: true }
+			)
+		).toBe( true );
+		expect(
+			shouldDisplayForSelectedMediaBlock(
+				{ allowedTypes: [ 'image' ], multiple: true },
+				gallery
+			)
+		).toBe( true );
+		expect(
+			shouldDisplayForSelectedMediaBlock(
+				{ allowedTypes: [ 'image' ], multiple: true },
+				{ name: 'core/image', attributes: {} }
+			)
+		).toBe( false );
+		expect(
+			shouldDisplayForSelectedMediaBlock(
+				{ allowedTypes: [ 'video' ] },
+				cover
+			)
+		).toBe( false );
+	} );
+	it( 'finds image blocks missing alt text, including nested ones', () => {
+		const blocks = [
+			{
+				clientId: 'a',
+				name: 'core/image',
+				attributes: { url: 'https://example.com/a.jpg', alt: '' },
+				innerBlocks: [],
+			},
+			{
+				clientId: 'b',
+				name: 'core/image',
+				attributes: { url: 'https://example.com/b.jpg', alt: 'A dog' },
+				innerBlocks: [],
+			},
+			{
+				clientId: 'c',
+				name: 'core/image',
+				attributes: {},
+				innerBlocks: [],
+			},
+			{
+				clientId: 'd',
+				name: 'core/gallery',
+				attributes: {},
+				innerBlocks: [
+					{
+						clientId: 'e',
+						name: 'core/image',
+						attributes: {
+							url: 'https://example.com/e.jpg',
+							alt: ' ',
+						},
+						innerBlocks: [],
+					},
+				],
+			},
+		];
+
+		expect(
+			getImageBlocksMissingAlt( blocks ).map(
+				( block ) => block.clientId
+			)
+		).toEqual( [ 'a', 'e' ] );
+	} );
+} );
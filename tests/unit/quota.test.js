@@ -0,0 +1,37 @@
+import { formatQuotaSummary, getQuotaSummary } from '../../src/utils/quota';
+
+describe( 'quota', () => {
+	it( 'ignores periods without a limit', () => {
+		expect( getQuotaSummary( null ) ).toBeNull();
+		expect(
+			getQuotaSummary( {
+				daily: { limit: 0, used: 4, remaining: null },
+				monthly: { limit: 0, used: 4, remaining: null },
+			} )
+		).toBeNull();
+	} );
+
+	it( 'picks the period with the fewest generations left', () => {
+		expect(
+			getQuotaSummary( {
+				daily: { limit: 10, used: 2, remaining: 8 },
+				monthly: { limit: 100, used: 97, remaining: 3 },
+			} )
+		).toEqual( { remaining: 3, limit: 100, period: 'this month' } );
+		expect(
+			getQuotaSummary( {
+				daily: { limit: 10, used: 10, remaining: 0 },
+				monthly: { limit: 0, used: 10, remaining: null },
+			} )
+		).toEqual( { remaining: 0, limit: 10, period: 'today' } );
+	} );
+
+	it( 'describes the generations left', () => {
+		expect(
+			formatQuotaSummary( { remaining: 3, limit: 10, period: 'today' } )
+		).toBe( '3 of 10 generations left today' );
+		expect(
+			formatQuotaSummary( { remaining: 1, limit: 1, period: 'today' } )
+		).toBe( '1 of 1 generation left today' );
+	} );
+} );
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+
+describe( 'settings screen entrypoint', () => {
+	it( 'is built alongside the other entrypoints', () => {
+		const packageJson = JSON.parse(
+			fs.readFileSync(
+				path.join( __dirname, '../../package.json' ),
+				'utf8'
+			)
+		);
+
+		expect( packageJson.scripts.build ).toContain( 'src/settings.js' );
+		expect( packageJson.scripts.start ).toContain( 'src/settings.js' );
+	} );
+
+	it( 'mounts the settings form with the providers and post types', () => {
+		const entrypoint = fs.readFileSync(
+			path.join( __dirname, '../../src/settings.js' ),
+			'utf8'
+		);
+
+		expect( entrypoint ).toContain(
+			"document.getElementById( 'kaigen-settings-root' )"
+		);
+		expect( entrypoint ).toMatch(
+			/<SettingsPage\s+providers=\{ getKaiGenSettings\(\)\.providers \|\| \[\] \}\s+postTypes=\{ window\.kaiGen\?\.postTypes \|\| \[\] \}/
+		);
+	} );
+} );
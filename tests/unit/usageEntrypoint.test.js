@@ -0,0 +1,28 @@
+import fs from 'fs';
+import path from 'path';
+
+describe( 'usage dashboard entrypoint', () => {
+	it( 'is built alongside the editor and media entrypoints', () => {
+		const packageJson = JSON.parse(
+			fs.readFileSync(
+				path.join( __dirname, '../../package.json' ),
+				'utf8'
+			)
+		);
+
+		expect( packageJson.scripts.build ).toContain( 'src/usage.js' );
+		expect( packageJson.scripts.start ).toContain( 'src/usage.js' );
+	} );
+
+	it( 'mounts the dashboard into the admin page container', () => {
+		const entrypoint = fs.readFileSync(
+			path.join( __dirname, '../../src/usage.js' ),
+			'utf8'
+		);
+
+		expect( entrypoint ).toContain(
+			"document.getElementById( 'kaigen-usage-root' )"
+		);
+		expect( entrypoint ).toContain( '<UsageDashboard />' );
+	} );
+} );
@@ -0,0 +1,43 @@
+import {
+	formatCost,
+	formatDuration,
+	formatRate,
+	getChartSeries,
+} from '../../src/utils/usageStats';
+
+const group = ( key, daily ) => ( {
+	key,
+	name: key.toUpperCase(),
+	images: daily.reduce( ( sum, count ) => sum + count, 0 ),
+	daily,
+} );
+
+describe( 'usageStats', () => {
+	it( 'charts every group with images when they fit', () => {
+		expect(
+			getChartSeries( [ group( 'a', [ 2, 1 ] ), group( 'b', [ 0, 0 ] ) ] )
+		).toEqual( [ { key: 'a', name: 'A', daily: [ 2, 1 ] } ] );
+	} );
+
+	it( 'folds the quieter groups into an Others series', () => {
+		expect(
+			getChartSeries(
+				[
+					group( 'a', [ 5, 5 ] ),
+					group( 'b', [ 3, 1 ] ),
+					group( 'c', [ 1, 2 ] ),
+				],
+				2
+			)
+		).toEqual( [
+			{ key: 'a', name: 'A', daily: [ 5, 5 ] },
+			{ key: 'others', name: 'Others', daily: [ 4, 3 ] },
+		] );
+	} );
+
+	it( 'formats rates, durations and costs', () => {
+		expect( formatRate( 0.045 ) ).toBe( '4.5%' );
+		expect( formatDuration( 12.34 ) ).toBe( '12.3 s' );
+		expect( formatCost( 1.5 ) ).toBe( '1.50' );
+	} );
+} );
@@ -0,0 +1,51 @@
+import { partitionReferenceFiles } from '../../src/hooks/useReferenceFileDrop';
+
+jest.mock( '@wordpress/api-fetch' );
+
+const makeFile = ( name, type ) => new window.File( [ 'x' ], name, { type } );
+
+const ACCEPTED = [ 'image/png', 'image/jpeg', 'image/webp' ];
+
+describe( 'partitionReferenceFiles', () => {
+	it( 'ignores files that are not images', () => {
+		const result = partitionReferenceFiles(
+			[ makeFile( 'notes.txt', 'text/plain' ) ],
+			ACCEPTED,
+			5
+		);
+
+		expect( result.images ).toEqual( [] );
+		expect( result.uploads ).toEqual( [] );
+		expect( result.error ).toBeNull();
+	} );
+
+	it( 'skips image types the provider does not accept', () => {
+		const png = makeFile( 'a.png', 'image/png' );
+		const result = partitionReferenceFiles(
+			[ png, makeFile( 'b.gif', 'image/gif' ) ],
+			ACCEPTED,
+			5
+		);
+
+		expect( result.uploads ).toEqual( [ png ] );
+		expect( result.error ).toBe(
+			'The selected provider only accepts PNG, JPEG, WEBP reference images.'
+		);
+	} );
+
+	it( 'stops at the reference image limit', () => {
+		const files = [
+			makeFile( 'a.png', 'image/png' ),
+			makeFile( 'b.png', 'image/png' ),
+		];
+
+		expect( partitionReferenceFiles( files, ACCEPTED, 1 ) ).toEqual( {
+			images: files,
+			uploads: [ files[ 0 ] ],
+			error: 'Only 1 more reference image can be added.',
+		} );
+		expect( partitionReferenceFiles( files, ACCEPTED, 0 ).error ).toBe(
+			'The selected provider cannot take any more reference images.'
+		);
+	} );
+} );
@@ -19,9 +19,18 @@ if ( ! defined( 'WP_UNINSTALL_PLUGIN' ) ) {
  * Delete all KaiGen plugin options from the database.
  */
 function kaigen_delete_plugin_options() {
+	global $wpdb;
+
 	// List of all options used by the KaiGen plugin.
 	$options_to_delete = [
 		// Current KaiGen options.
+		'kaigen_settings',              // Defaults and behavior from Settings → KaiGen.
+		'kaigen_style_presets',         // Site-wide style presets.
+		'kaigen_generation_quotas',     // Daily and monthly generation limits per role.
+		'kaigen_usage_db_version',      // Schema version of the usage totals table.
+		'kaigen_image_prices',          // Per-image prices for cost estimates.
+
+		// Options from earlier KaiGen versions.
 		'kaigen_provider',              // Selected AI provider.
 		'kaigen_provider_api_keys',     // API keys for different providers.
 		'kaigen_quality_settings',      // Image quality settings.
@@ -47,7 +56,74 @@ function kaigen_delete_plugin_options() {
 	foreach ( $options_to_delete as $option ) {
 		delete_site_option( $option );
 	}
+
+	// Delete the per-user, per-period generation counters and any leftover jobs and job claims.
+	foreach ( [ 'kaigen_quota_usage_', 'kaigen_job_claim_', '_transient_kaigen_job_', '_transient_timeout_kaigen_job_' ] as $prefix ) {
+		$wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( $prefix ) . '%'
+			)
+		);
+	}
+
+	// Drop the daily generation totals behind the usage dashboard.
+	$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}kaigen_usage" ); // phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.DirectDatabaseQuery.SchemaChange
+}
+
+/**
+ * Delete all KaiGen user meta from the database.
+ */
+function kaigen_delete_user_meta() {
+	$meta_keys = [
+		'kaigen_prompt_history',   // Per-user prompt history.
+		'kaigen_generation_quota', // Per-user generation limits.
+	];
+
+	foreach ( $meta_keys as $meta_key ) {
+		delete_metadata( 'user', 0, $meta_key, '', true );
+	}
+}
+
+/**
+ * Delete KaiGen's attachment meta and reference collections from the database.
+ *
+ * The generated images themselves stay in the media library.
+ */
+function kaigen_delete_attachment_data() {
+	$meta_keys = [
+		'kaigen_generated',             // Marks images generated by KaiGen.
+		'kaigen_generation',            // Prompt, provider and settings of a generated image.
+		'kaigen_style_preset',          // Style preset a generated image was made with.
+		'kaigen_replaced_attachment',   // Image a replacement took the place of, for restoring it.
+		'kaigen_reference_image',       // Marks images in the reference library.
+		'kaigen_reference_usage_count', // How often a reference image was used.
+		'kaigen_candidate',             // Marks generated candidates not picked yet.
+	];
+
+	foreach ( $meta_keys as $meta_key ) {
+		delete_post_meta_by_key( $meta_key );
+	}
+
+	wp_unschedule_hook( 'kaigen_discard_candidates' );
+
+	// The taxonomy is no longer registered once the plugin is inactive, and its terms can only be deleted while it is.
+	register_taxonomy( 'kaigen_reference_collection', 'attachment' );
+
+	$term_ids = get_terms(
+		[
+			'taxonomy'   => 'kaigen_reference_collection',
+			'hide_empty' => false,
+			'fields'     => 'ids',
+		]
+	);
+
+	foreach ( is_array( $term_ids ) ? $term_ids : [] as $term_id ) {
+		wp_delete_term( $term_id, 'kaigen_reference_collection' );
+	}
 }
 
 // Execute cleanup functions.
 kaigen_delete_plugin_options();
+kaigen_delete_user_meta();
+kaigen_delete_attachment_data();